@@ -170,6 +170,8 @@ class CheckOpsMCPServer {
                             questionType: { type: 'string', description: 'Question type' },
                             options: { type: 'array', description: 'Question options' },
                             validationRules: { type: 'object', description: 'Validation rules' },
+                            tags: { type: 'array', items: { type: 'string' }, description: 'Tags' },
+                            category: { type: 'string', description: 'Category' },
                         },
                         required: ['questionText', 'questionType'],
                     },
@@ -186,6 +188,25 @@ class CheckOpsMCPServer {
                         },
                     },
                 },
+                {
+                    name: 'checkops_search_questions',
+                    description: 'Full-text search of the question bank, best match first, with optional filters',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            query: { type: 'string', description: 'Search text' },
+                            tags: { type: 'array', items: { type: 'string' }, description: 'Only questions carrying all of these tags' },
+                            category: { type: 'string', description: 'Only questions in this category' },
+                            questionType: { type: 'string', description: 'Only questions of this type' },
+                            isActive: { type: 'boolean', description: 'Only active or inactive questions' },
+                            createdAfter: { type: 'string', description: 'Only questions created at or after this date (ISO 8601)' },
+                            createdBefore: { type: 'string', description: 'Only questions created at or before this date (ISO 8601)' },
+                            limit: { type: 'number', description: 'Limit results' },
+                            offset: { type: 'number', description: 'Offset for pagination' },
+                        },
+                        required: ['query'],
+                    },
+                },
                 // NEW v3.0.0 PERFORMANCE MONITORING TOOLS
                 {
                     name: 'checkops_start_monitoring',
@@ -492,6 +513,19 @@ class CheckOpsMCPServer {
                         }
                     }
 
+                    case 'checkops_search_questions': {
+                        const { query, ...filters } = args;
+                        const questions = await checkops.searchQuestions(query, filters);
+                        return {
+                            content: [
+                                {
+                                    type: 'text',
+                                    text: JSON.stringify(questions, null, 2),
+                                },
+                            ],
+                        };
+                    }
+
                     default: {
                         throw new Error(`Unknown tool: ${name}`);
                     }
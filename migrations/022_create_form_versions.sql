@@ -0,0 +1,61 @@
+-- Migration 022: Immutable form versions
+--
+-- Editing forms.questions in place re-renders every historical submission
+-- against questions it never saw. From this migration on, every form has an
+-- ordered list of versions:
+--
+--   published → a snapshot that submissions can be pinned to; never rewritten
+--               once a submission references it
+--   draft     → pending edits on a form whose current version already has
+--               submissions; promoted with FormService.publishFormVersion()
+--
+-- forms.current_version_id points at the published version new submissions
+-- are recorded against. submissions.form_version_id pins each submission to
+-- the version it answered.
+
+CREATE TABLE IF NOT EXISTS form_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    form_sid VARCHAR(50) NOT NULL,
+    version_number INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    published_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT form_versions_number_unique UNIQUE (form_id, version_number),
+    CONSTRAINT valid_form_version_status CHECK (status IN ('draft', 'published'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_versions_form_id ON form_versions(form_id);
+
+-- At most one pending draft per form
+CREATE UNIQUE INDEX IF NOT EXISTS idx_form_versions_single_draft
+    ON form_versions(form_id) WHERE status = 'draft';
+
+ALTER TABLE forms
+    ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES form_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE submissions
+    ADD COLUMN IF NOT EXISTS form_version_id UUID REFERENCES form_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_form_version_id ON submissions(form_version_id);
+
+-- Back-fill: every existing form becomes version 1 of itself, and every
+-- existing submission is pinned to that version.
+INSERT INTO form_versions (form_id, form_sid, version_number, status, questions, created_at, published_at)
+SELECT f.id, f.sid, 1, 'published', f.questions, f.created_at, f.created_at
+FROM forms f
+WHERE NOT EXISTS (SELECT 1 FROM form_versions v WHERE v.form_id = f.id);
+
+UPDATE forms f
+SET    current_version_id = v.id
+FROM   form_versions v
+WHERE  v.form_id = f.id
+  AND  v.version_number = 1
+  AND  f.current_version_id IS NULL;
+
+UPDATE submissions s
+SET    form_version_id = f.current_version_id
+FROM   forms f
+WHERE  s.form_id = f.id
+  AND  s.form_version_id IS NULL;
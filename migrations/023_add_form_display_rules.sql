@@ -0,0 +1,14 @@
+-- Migration 023: Conditional display rules on forms
+--
+-- display_rules holds rules like "show Q-014 only when Q-013 = opt_no":
+--
+--   [{ "questionId": "<uuid>",
+--      "showWhen": { "questionId": "<uuid>", "operator": "equals", "value": "opt_no" } }]
+--
+-- Rules are part of a form version, so they are snapshotted alongside questions.
+
+ALTER TABLE forms
+    ADD COLUMN IF NOT EXISTS display_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE form_versions
+    ADD COLUMN IF NOT EXISTS display_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,15 @@
+-- Migration 024: Form sections
+--
+-- sections groups a form's questions into titled sections:
+--
+--   [{ "key": "food_safety", "title": "Food Safety", "description": "",
+--      "repeatable": false, "questionIds": ["<uuid>", "<uuid>"] }]
+--
+-- An empty array means a flat form, which is presented as a single implicit
+-- section. Sections are part of a form version, like questions and display rules.
+
+ALTER TABLE forms
+    ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE form_versions
+    ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '[]'::jsonb;
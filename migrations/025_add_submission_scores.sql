@@ -0,0 +1,17 @@
+-- Migration 025: Submission scores
+--
+-- score holds the breakdown computed when a submission is created:
+--
+--   { "total": 18, "max": 20, "percent": 90, "autoFailed": false,
+--     "failedCriticalQuestionIds": [], "sections": { "food_safety": { ... } },
+--     "questions": { "<uuid>": { "points": 2, "maxPoints": 2, ... } } }
+--
+-- It is NULL for forms without scored questions. score_percent and auto_failed
+-- are copied out of the breakdown so that reports can filter and aggregate
+-- scores with plain SQL (AVG, MIN, pass rate) instead of unpacking JSONB.
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS score         JSONB;
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS score_percent NUMERIC(5,2);
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS auto_failed   BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_form_score ON submissions(form_id, score_percent);
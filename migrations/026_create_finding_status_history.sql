@@ -0,0 +1,24 @@
+-- Migration 026: Finding status history
+--
+-- Finding status changes go through the finding workflow (see
+-- src/utils/workflow.js); every change is recorded here with who made it,
+-- when, and an optional comment. from_status is NULL for the row written
+-- when a finding is created.
+--
+-- Findings created before this migration with no status start the workflow
+-- at 'open'.
+
+CREATE TABLE IF NOT EXISTS finding_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    finding_id UUID NOT NULL REFERENCES public.findings(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by VARCHAR(100),
+    comment TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_finding_status_history_finding
+    ON finding_status_history(finding_id, changed_at);
+
+UPDATE public.findings SET status = 'open' WHERE status IS NULL;
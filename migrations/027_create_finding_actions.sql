@@ -0,0 +1,41 @@
+-- Migration 027: Corrective and preventive actions (CAPA) on findings
+--
+-- A finding can carry any number of actions, each with an owner, due date,
+-- status and verification notes. Actions have their own SIDs (ACT-001).
+--
+--   open / in_progress        → still being worked on; block closing the finding
+--   completed / verified      → done (verified once checked by an auditor)
+--   cancelled                 → no longer needed
+--
+-- An action is overdue when it is still open or in progress after its due date.
+
+CREATE TABLE IF NOT EXISTS finding_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sid VARCHAR(20) UNIQUE NOT NULL,
+    finding_id UUID NOT NULL REFERENCES public.findings(id) ON DELETE CASCADE,
+    finding_sid VARCHAR(20) NOT NULL,
+    action_type VARCHAR(20) NOT NULL DEFAULT 'corrective',
+    description TEXT NOT NULL,
+    owner VARCHAR(100),
+    due_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    verification_notes TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verified_by VARCHAR(100),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT valid_finding_action_type CHECK (action_type IN ('corrective', 'preventive')),
+    CONSTRAINT valid_finding_action_status CHECK (status IN ('open', 'in_progress', 'completed', 'verified', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_finding_actions_finding_id ON finding_actions(finding_id);
+CREATE INDEX IF NOT EXISTS idx_finding_actions_owner ON finding_actions(owner);
+CREATE INDEX IF NOT EXISTS idx_finding_actions_open_due
+    ON finding_actions(due_date) WHERE status IN ('open', 'in_progress');
+
+INSERT INTO sid_counters (entity_type, counter)
+VALUES ('action', 0)
+ON CONFLICT (entity_type) DO NOTHING;
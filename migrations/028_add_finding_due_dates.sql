@@ -0,0 +1,21 @@
+-- Migration 028: Finding SLA due dates
+--
+-- due_at is computed from the finding's severity by the SLA policy configured
+-- on CheckOps (e.g. Critical = 24h, Major = 7 days); it is NULL for severities
+-- without an SLA. resolved_at is set when the finding reaches a resolved status
+-- and cleared when it is reopened.
+--
+--   overdue  → not resolved and due_at has passed
+--   breached → resolved after due_at, or overdue
+
+ALTER TABLE public.findings ADD COLUMN IF NOT EXISTS due_at      TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.findings ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_findings_open_due_at
+    ON public.findings(due_at) WHERE resolved_at IS NULL;
+
+-- Findings already past resolution stop the clock at the time of migration
+UPDATE public.findings
+SET    resolved_at = CURRENT_TIMESTAMP
+WHERE  resolved_at IS NULL
+  AND  status IN ('resolved', 'verified', 'closed');
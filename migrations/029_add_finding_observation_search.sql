@@ -0,0 +1,13 @@
+-- Migration 029: Full-text search over finding observations
+--
+-- Finding.findAll({ search }) matches observation with
+--   to_tsvector('english', COALESCE(observation, '')) @@ plainto_tsquery('english', $n)
+-- The expression index below must stay identical to that expression for the
+-- planner to use it.
+
+CREATE INDEX IF NOT EXISTS idx_findings_observation_search
+    ON public.findings USING GIN (to_tsvector('english', COALESCE(observation, '')));
+
+-- Findings raised by a user, filtered by findAll({ createdBy })
+CREATE INDEX IF NOT EXISTS idx_findings_created_by
+    ON public.findings(created_by);
@@ -0,0 +1,14 @@
+-- Migration 030: Matrix, signature, geolocation, photo and barcode question types
+--
+-- Widens the valid_question_type CHECK on question_bank to the list in
+-- src/utils/questionTypes.js. Matrix rows are stored in
+-- validation_rules.rows; the shared column choices use the options column.
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS valid_question_type;
+
+ALTER TABLE question_bank ADD CONSTRAINT valid_question_type CHECK (question_type IN (
+    'text', 'textarea', 'number', 'email', 'phone', 'date',
+    'time', 'datetime', 'select', 'multiselect', 'radio',
+    'checkbox', 'boolean', 'file', 'rating',
+    'matrix', 'signature', 'geolocation', 'photo', 'barcode'
+));
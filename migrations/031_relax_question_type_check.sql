@@ -0,0 +1,10 @@
+-- Migration 031: Question types come from the registry
+--
+-- Apps can register custom question types at runtime
+-- (src/utils/questionTypes.js), so question_bank no longer lists the allowed
+-- types. The CHECK only keeps question_type to the registry's name format.
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS valid_question_type;
+
+ALTER TABLE question_bank ADD CONSTRAINT valid_question_type
+    CHECK (question_type ~ '^[a-z][a-z0-9_-]{0,49}$');
@@ -0,0 +1,47 @@
+-- Migration 032: Draft submissions
+--
+-- Auditors save long forms as drafts and submit them later. A draft holds
+-- partial answers (required questions may be missing), has no score and
+-- raises no findings. submitted_at stays NULL until the draft is submitted.
+--
+-- status:     'draft' or 'submitted'; existing rows are submitted
+-- created_at: when the submission or draft was first saved
+-- updated_at: last save, maintained by update_updated_at_column()
+--
+-- Drafts are inserted with an explicit NULL submitted_at; the column keeps its
+-- default so that submitted rows are stamped as before.
+--
+-- Stats, counts and lists skip drafts unless asked for them.
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS status     VARCHAR(20) NOT NULL DEFAULT 'submitted';
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE submissions
+SET created_at = COALESCE(created_at, submitted_at, CURRENT_TIMESTAMP),
+    updated_at = COALESCE(updated_at, submitted_at, CURRENT_TIMESTAMP);
+
+ALTER TABLE submissions ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE submissions ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE submissions ALTER COLUMN updated_at SET DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE submissions ALTER COLUMN updated_at SET NOT NULL;
+
+UPDATE submissions SET submitted_at = created_at WHERE submitted_at IS NULL;
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS valid_submission_status;
+ALTER TABLE submissions ADD CONSTRAINT valid_submission_status
+    CHECK (status IN ('draft', 'submitted'));
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submitted_at_when_submitted;
+ALTER TABLE submissions ADD CONSTRAINT submitted_at_when_submitted
+    CHECK ((status = 'draft') = (submitted_at IS NULL));
+
+DROP TRIGGER IF EXISTS update_submissions_updated_at ON submissions;
+CREATE TRIGGER update_submissions_updated_at
+    BEFORE UPDATE ON submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Drafts are looked up per submitter, most recently saved first
+CREATE INDEX IF NOT EXISTS idx_submissions_drafts
+    ON submissions(submitter_user_id, updated_at DESC) WHERE status = 'draft';
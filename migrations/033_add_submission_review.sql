@@ -0,0 +1,38 @@
+-- Migration 033: Submission review and sign-off
+--
+-- Submitted submissions go through the submission workflow (see
+-- src/utils/workflow.js): a reviewer picks them up, then approves them or
+-- returns them to the submitter, who resubmits. Approved submissions are
+-- closed: their answers can no longer be changed.
+--
+--   submitted -> under_review | approved | returned
+--   under_review -> approved | returned
+--   returned -> submitted
+--
+-- reviewed_by, reviewed_at and review_comment hold the latest review step;
+-- every status change is recorded in submission_status_history. from_status
+-- is NULL for the row written when a submission or draft is created.
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS valid_submission_status;
+ALTER TABLE submissions ADD CONSTRAINT valid_submission_status
+    CHECK (status IN ('draft', 'submitted', 'under_review', 'approved', 'returned'));
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS reviewed_by    VARCHAR(100);
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS reviewed_at    TIMESTAMP WITH TIME ZONE;
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS review_comment TEXT;
+
+-- Review queues list submissions by status, oldest first
+CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(status, submitted_at);
+
+CREATE TABLE IF NOT EXISTS submission_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by VARCHAR(100),
+    comment TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_status_history_submission
+    ON submission_status_history(submission_id, changed_at);
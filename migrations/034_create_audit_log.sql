@@ -0,0 +1,54 @@
+-- Migration 034: Audit log
+--
+-- Every create, update and delete of a form, bank question, submission,
+-- finding or finding action writes one row here, in the same transaction as the change (see
+-- src/models/AuditLog.js):
+--
+--   entity_type / entity_id / entity_sid  what changed
+--   action                                'create', 'update' or 'delete'
+--   actor                                 who changed it (NULL when unknown)
+--   before_data / after_data              the fields that changed, before and
+--                                         after; NULL before a create and
+--                                         after a delete
+--
+-- Rows are never changed or removed: the triggers below reject UPDATE, DELETE
+-- and TRUNCATE. There is no foreign key to the audited tables so that the
+-- trail outlives the entity.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id UUID NOT NULL,
+    entity_sid VARCHAR(50),
+    action VARCHAR(20) NOT NULL,
+    actor VARCHAR(100),
+    before_data JSONB,
+    after_data JSONB,
+    -- clock_timestamp() keeps the entries of one transaction in order
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp(),
+    CONSTRAINT valid_audit_entity_type CHECK (entity_type IN ('form', 'question', 'submission', 'finding', 'finding_action')),
+    CONSTRAINT valid_audit_action CHECK (action IN ('create', 'update', 'delete'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity_sid ON audit_log(entity_sid, created_at);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_log_change();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION reject_audit_log_change();
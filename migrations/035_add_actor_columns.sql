@@ -0,0 +1,18 @@
+-- Migration 035: Actor columns
+--
+-- Forms, bank questions and submissions record who created them and who
+-- changed them last. Both hold the userId of the actor context
+-- (src/utils/actorContext.js) and stay NULL for changes made without one.
+-- Findings already have created_by (migration 016).
+--
+-- created_by: actor of the insert
+-- updated_by: actor of the latest update
+
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS created_by VARCHAR(100);
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS updated_by VARCHAR(100);
+
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS created_by VARCHAR(100);
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS updated_by VARCHAR(100);
+
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS created_by VARCHAR(100);
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS updated_by VARCHAR(100);
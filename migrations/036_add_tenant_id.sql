@@ -0,0 +1,80 @@
+-- Migration 036: Tenant isolation
+--
+-- Several brands can share one database. Every entity row carries the tenant
+-- it belongs to, and the library scopes its queries to the current tenant
+-- (src/utils/tenantContext.js). Rows written without a tenant keep a NULL
+-- tenant_id, so existing single-tenant data is unchanged.
+--
+-- tenant_id: tenant identifier; submissions take the form's tenant, findings
+--            the submission's and actions the finding's
+--
+-- SIDs are numbered per tenant (each tenant has its own FORM-001), so the SID
+-- unique constraints become unique indexes over (tenant, sid). The indexes
+-- keep the constraint names, which the models check on conflicts.
+--
+-- sid_counters is keyed by (tenant_id, entity_type); '' is the counter of rows
+-- without a tenant. get_next_sid_counter() takes the tenant and starts a new
+-- tenant's counters at 1.
+--
+-- Row-level security is opt-in, see tenant_row_level_security.sql.
+
+ALTER TABLE forms           ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE form_versions   ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE question_bank   ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE submissions     ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE findings        ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE finding_actions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+ALTER TABLE audit_log       ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_forms_tenant           ON forms(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_form_versions_tenant   ON form_versions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_question_bank_tenant   ON question_bank(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_tenant     ON submissions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_findings_tenant        ON findings(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_finding_actions_tenant ON finding_actions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant       ON audit_log(tenant_id);
+
+-- SIDs are unique per tenant
+ALTER TABLE forms DROP CONSTRAINT IF EXISTS forms_sid_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS forms_sid_unique
+    ON forms ((COALESCE(tenant_id, '')), sid);
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS question_bank_sid_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS question_bank_sid_unique
+    ON question_bank ((COALESCE(tenant_id, '')), sid);
+
+ALTER TABLE submissions DROP CONSTRAINT IF EXISTS submissions_sid_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS submissions_sid_unique
+    ON submissions ((COALESCE(tenant_id, '')), sid);
+
+ALTER TABLE findings DROP CONSTRAINT IF EXISTS findings_sid_key;
+CREATE UNIQUE INDEX IF NOT EXISTS findings_sid_key
+    ON findings ((COALESCE(tenant_id, '')), sid);
+
+ALTER TABLE finding_actions DROP CONSTRAINT IF EXISTS finding_actions_sid_key;
+CREATE UNIQUE INDEX IF NOT EXISTS finding_actions_sid_key
+    ON finding_actions ((COALESCE(tenant_id, '')), sid);
+
+-- SID counters per tenant
+ALTER TABLE sid_counters ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT '';
+ALTER TABLE sid_counters DROP CONSTRAINT IF EXISTS sid_counters_pkey;
+ALTER TABLE sid_counters ADD CONSTRAINT sid_counters_pkey PRIMARY KEY (tenant_id, entity_type);
+
+DROP FUNCTION IF EXISTS get_next_sid_counter(VARCHAR);
+DROP FUNCTION IF EXISTS get_next_sid_counter(VARCHAR, VARCHAR);
+
+CREATE OR REPLACE FUNCTION get_next_sid_counter(p_entity_type VARCHAR(50), p_tenant_id VARCHAR(100) DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    v_counter INTEGER;
+BEGIN
+    INSERT INTO sid_counters (tenant_id, entity_type, counter)
+    VALUES (COALESCE(p_tenant_id, ''), p_entity_type, 1)
+    ON CONFLICT (tenant_id, entity_type) DO UPDATE
+    SET counter = sid_counters.counter + 1,
+        updated_at = CURRENT_TIMESTAMP
+    RETURNING counter INTO v_counter;
+
+    RETURN v_counter;
+END;
+$$ LANGUAGE plpgsql;
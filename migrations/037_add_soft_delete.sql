@@ -0,0 +1,34 @@
+-- Migration 037: Soft delete
+--
+-- Deleting a form or question used to remove the row, and the ON DELETE
+-- CASCADE constraints of migrations 008 and 016 then removed every submission
+-- and finding under it. Deletes now only mark rows; default queries skip
+-- marked rows and they can be restored. purgeDeleted() removes rows that were
+-- deleted long enough ago for good.
+--
+-- deleted_at: When the row was deleted (NULL while it is live)
+-- deleted_by: Actor that deleted it (nullable)
+--
+-- A form delete marks its submissions and findings with the form's
+-- deleted_at, so restoring the form brings back exactly those rows.
+--
+-- The audit log gains the 'restore' and 'purge' actions.
+
+ALTER TABLE forms         ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE forms         ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+ALTER TABLE submissions   ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE submissions   ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+ALTER TABLE findings      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE findings      ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+
+-- Only deleted rows are indexed; restores and purges look them up by deleted_at
+CREATE INDEX IF NOT EXISTS idx_forms_deleted_at         ON forms(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_question_bank_deleted_at ON question_bank(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_submissions_deleted_at   ON submissions(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_findings_deleted_at      ON findings(deleted_at) WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS valid_audit_action;
+ALTER TABLE audit_log ADD CONSTRAINT valid_audit_action
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
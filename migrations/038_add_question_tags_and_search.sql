@@ -0,0 +1,19 @@
+-- Migration 038: Question bank tags, categories and search
+--
+-- tags:     Free-form labels; findAll({ tags }) matches questions carrying all
+--           of the given tags (tags @> $n)
+-- category: One category per question (nullable)
+--
+-- Question.findAll({ search }) matches question_text with
+--   to_tsvector('english', COALESCE(question_text, '')) @@ plainto_tsquery('english', $n)
+-- The expression index below must stay identical to that expression for the
+-- planner to use it.
+
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS category VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_tags ON question_bank USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_question_bank_category ON question_bank(category);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_text_search
+    ON question_bank USING GIN (to_tsvector('english', COALESCE(question_text, '')));
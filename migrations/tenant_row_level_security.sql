@@ -0,0 +1,39 @@
+-- Optional: Row-level security for tenant isolation
+--
+-- Not run by the migration runner. Apply it by hand after migration 036 and
+-- initialize CheckOps with rowLevelSecurity: true, so that every connection
+-- sets checkops.tenant_id to the current tenant (src/config/database.js).
+--
+-- PostgreSQL then enforces the scoping the library already applies: a
+-- connection scoped to a tenant can neither read nor write another tenant's
+-- rows. An unscoped connection (checkops.tenant_id unset or '') sees every
+-- row, like an unscoped CheckOps instance.
+--
+-- FORCE applies the policies to the table owner too, which is usually the
+-- role the application connects as.
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY[
+        'forms', 'form_versions', 'question_bank', 'submissions',
+        'findings', 'finding_actions', 'audit_log'
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I
+                USING (COALESCE(current_setting(''checkops.tenant_id'', true), '''') = ''''
+                       OR tenant_id = current_setting(''checkops.tenant_id'', true))',
+            t
+        );
+    END LOOP;
+END $$;
+
+-- To remove:
+--   DROP POLICY IF EXISTS tenant_isolation ON <table>;
+--   ALTER TABLE <table> NO FORCE ROW LEVEL SECURITY;
+--   ALTER TABLE <table> DISABLE ROW LEVEL SECURITY;
@@ -1,5 +1,6 @@
 import pg from 'pg';
 import { EventEmitter } from 'events';
+import { getTenantId } from '../utils/tenantContext.js';
 
 const { Pool } = pg;
 
@@ -7,6 +8,7 @@ class DatabaseManager extends EventEmitter {
   constructor() {
     super();
     this.pool = null;
+    this.rowLevelSecurity = false;
     this.isHealthy = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
@@ -46,6 +48,7 @@ class DatabaseManager extends EventEmitter {
     };
 
     this.pool = new Pool(dbConfig);
+    this.rowLevelSecurity = config.rowLevelSecurity === true;
     this.setupPoolEventHandlers();
     this.startHealthCheck();
 
@@ -159,7 +162,7 @@ class DatabaseManager extends EventEmitter {
     if (!this.isHealthy) {
       throw new Error('Database is unhealthy. Operations cannot proceed safely.');
     }
-    return this.pool;
+    return this.rowLevelSecurity ? this.tenantScopedPool() : this.pool;
   }
 
   // Alternative method for operations that can handle unhealthy state
@@ -170,7 +173,37 @@ class DatabaseManager extends EventEmitter {
     if (!this.isHealthy) {
       console.warn('Database is unhealthy, but allowing operation to proceed (unsafe mode)');
     }
-    return this.pool;
+    return this.rowLevelSecurity ? this.tenantScopedPool() : this.pool;
+  }
+
+  // With rowLevelSecurity enabled, every checked out client carries the current
+  // tenant in the checkops.tenant_id setting that the row-level security
+  // policies read (migrations/tenant_row_level_security.sql)
+  tenantScopedPool() {
+    const pool = this.pool;
+
+    const connect = async () => {
+      const client = await pool.connect();
+      try {
+        await client.query("SELECT set_config('checkops.tenant_id', $1, false)", [getTenantId() ?? '']);
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+      return client;
+    };
+
+    return {
+      connect,
+      async query(...args) {
+        const client = await connect();
+        try {
+          return await client.query(...args);
+        } finally {
+          client.release();
+        }
+      },
+    };
   }
 
   async testConnection() {
@@ -228,11 +261,34 @@ class DatabaseManager extends EventEmitter {
     if (this.pool) {
       await this.pool.end();
       this.pool = null;
+      this.rowLevelSecurity = false;
       this.isHealthy = false;
       this.reconnectAttempts = 0;
     }
   }
 
+  // Run a callback inside a transaction. When an existing client is passed the
+  // callback joins that transaction, so model methods can be composed by services.
+  async withTransaction(callback, client = null) {
+    if (client) {
+      return await callback(client);
+    }
+
+    const txClient = await this.getPool().connect();
+
+    try {
+      await txClient.query('BEGIN');
+      const result = await callback(txClient);
+      await txClient.query('COMMIT');
+      return result;
+    } catch (error) {
+      await txClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      txClient.release();
+    }
+  }
+
   // Method to gracefully handle query execution with metrics
   async executeQuery(query, params = []) {
     const start = Date.now();
@@ -266,6 +322,7 @@ export const closeDatabase = dbManager.closeDatabase.bind(dbManager);
 export const testConnection = dbManager.testConnection.bind(dbManager);
 export const getMetrics = dbManager.getMetrics.bind(dbManager);
 export const executeQuery = dbManager.executeQuery.bind(dbManager);
+export const withTransaction = dbManager.withTransaction.bind(dbManager);
 
 // Export the manager instance for advanced usage
 export { dbManager };
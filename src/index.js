@@ -3,11 +3,36 @@ import { FormService } from './services/FormService.js';
 import { QuestionService } from './services/QuestionService.js';
 import { SubmissionService } from './services/SubmissionService.js';
 import { FindingService } from './services/FindingService.js';
+import { AuditService } from './services/AuditService.js';
+import { RetentionService } from './services/RetentionService.js';
 import * as errors from './utils/errors.js';
 import { metricsCollector, performanceMonitor } from './utils/metrics.js';
 import { productionMetrics, metricsMiddleware, getHealthCheckData } from './utils/productionMetrics.js';
 import { withMonitoring, withModelMonitoring, recordBatchOperation } from './utils/monitoringWrapper.js';
 import { checkOpsCache } from './utils/cache.js';
+import { normalizeActor, withActor, getActor } from './utils/actorContext.js';
+import { normalizeTenantId, withTenant, getTenantId } from './utils/tenantContext.js';
+import { authorize, createRolePolicy, DEFAULT_ROLE_PERMISSIONS } from './utils/accessPolicy.js';
+import {
+  registerQuestionType,
+  unregisterQuestionType,
+  getQuestionType,
+  getQuestionTypeNames,
+} from './utils/questionTypes.js';
+
+// View of an object whose method calls run inside wrap(); views of a CheckOps
+// instance can be stacked, e.g. checkops.forTenant('acme').as(actor)
+function scopedView(instance, wrap) {
+  return new Proxy(instance, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function' || property === 'constructor') {
+        return value;
+      }
+      return (...args) => wrap(() => value.apply(receiver, args));
+    },
+  });
+}
 
 export class CheckOps {
   constructor(config = {}) {
@@ -17,6 +42,16 @@ export class CheckOps {
     this.questionService = null;
     this.submissionService = null;
     this.findingService = null;
+    this.auditService = null;
+    this.retentionService = null;
+    this.tenantId = config.tenantId === undefined || config.tenantId === null
+      ? null
+      : normalizeTenantId(config.tenantId);
+
+    if (config.accessPolicy !== undefined && config.accessPolicy !== null && typeof config.accessPolicy !== 'function') {
+      throw new errors.ValidationError('accessPolicy must be a function');
+    }
+    this.accessPolicy = config.accessPolicy ?? null;
   }
 
   async initialize() {
@@ -28,10 +63,25 @@ export class CheckOps {
       initializeDatabase(this.config);
       await testConnection();
 
-      this.formService = new FormService();
-      this.questionService = new QuestionService();
-      this.submissionService = new SubmissionService();
-      this.findingService = new FindingService();
+      // new CheckOps({ tenantId }) runs every service call in that tenant
+      const scoped = this.tenantId === null
+        ? service => service
+        : service => scopedView(service, fn => withTenant(this.tenantId, fn));
+
+      this.formService = scoped(new FormService());
+      this.questionService = scoped(new QuestionService({
+        onQuestionDeactivated: this.config.onQuestionDeactivated,
+      }));
+      this.findingService = scoped(new FindingService({
+        workflow: this.config.findingWorkflow,
+        slaPolicy: this.config.findingSlaPolicy,
+      }));
+      this.submissionService = scoped(new SubmissionService({
+        hiddenAnswers: this.config.hiddenAnswers,
+        findingService: this.findingService,
+      }));
+      this.auditService = scoped(new AuditService());
+      this.retentionService = scoped(new RetentionService());
 
       this.initialized = true;
     } catch (error) {
@@ -50,6 +100,26 @@ export class CheckOps {
     this.questionService = null;
     this.submissionService = null;
     this.findingService = null;
+    this.auditService = null;
+    this.retentionService = null;
+  }
+
+  // Actor context: calls made inside fn (or through the view returned by as())
+  // stamp created_by/updated_by and audit entries with actor.userId
+  withActor(actor, fn) {
+    return withActor(actor, fn);
+  }
+
+  as(actor) {
+    const context = normalizeActor(actor);
+    return scopedView(this, fn => withActor(context, fn));
+  }
+
+  // Tenant scope: calls through the returned view only see and create the
+  // tenant's rows, and number SIDs per tenant
+  forTenant(tenantId) {
+    const tenant = normalizeTenantId(tenantId);
+    return scopedView(this, fn => withTenant(tenant, fn));
   }
 
   ensureInitialized() {
@@ -58,199 +128,430 @@ export class CheckOps {
     }
   }
 
-  async createForm({ title, description, questions, metadata, requireAll }) {
+  // Ask the access policy (config.accessPolicy) about a call; the resource is
+  // only loaded when there is a policy. See utils/accessPolicy.js.
+  async _authorize(action, resourceType, loadResource = null, data = {}) {
+    if (!this.accessPolicy) {
+      return;
+    }
+
+    const resource = loadResource ? await loadResource() : null;
+    await authorize(this.accessPolicy, { action, resourceType, resource, data: data ?? {} });
+  }
+
+  async createForm({ title, description, questions, displayRules, sections, metadata, requireAll }) {
     this.ensureInitialized();
-    return await this.formService.createForm({ title, description, questions, metadata, requireAll });
+    await this._authorize('create', 'form', null, { title, description, questions, displayRules, sections, metadata, requireAll });
+    return await this.formService.createForm({ title, description, questions, displayRules, sections, metadata, requireAll });
   }
 
   async getForm(id) {
     this.ensureInitialized();
+    await this._authorize('read', 'form', () => this.formService.getFormById(id));
     return await this.formService.getFormById(id);
   }
 
   async getAllForms(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'form', null, options);
     return await this.formService.getAllForms(options);
   }
 
   async updateForm(id, updates) {
     this.ensureInitialized();
+    await this._authorize('update', 'form', () => this.formService.getFormById(id), updates);
     return await this.formService.updateFormById(id, updates);
   }
 
   async deleteForm(id) {
     this.ensureInitialized();
+    await this._authorize('delete', 'form', () => this.formService.getFormById(id));
     return await this.formService.deleteFormById(id);
   }
 
+  // Deleted forms are not readable, so the policy gets the ID as data
+  async restoreForm(id) {
+    this.ensureInitialized();
+    await this._authorize('restore', 'form', null, { id });
+    return await this.formService.restoreFormById(id);
+  }
+
   async deactivateForm(id) {
     this.ensureInitialized();
+    await this._authorize('update', 'form', () => this.formService.getFormById(id), { isActive: false });
     return await this.formService.deactivateFormById(id);
   }
 
   async activateForm(id) {
     this.ensureInitialized();
+    await this._authorize('update', 'form', () => this.formService.getFormById(id), { isActive: true });
     return await this.formService.activateFormById(id);
   }
 
   async getFormCount(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'form', null, options);
     return await this.formService.getFormCount(options);
   }
 
-  async createQuestion({ questionText, questionType, options, validationRules, metadata }) {
+  async publishFormVersion(formId, versionId = null) {
+    this.ensureInitialized();
+    await this._authorize('update', 'form', () => this.formService.getFormById(formId), { versionId });
+    return await this.formService.publishFormVersion(formId, versionId);
+  }
+
+  async getFormVersions(formId) {
+    this.ensureInitialized();
+    await this._authorize('read', 'form', () => this.formService.getFormById(formId));
+    return await this.formService.getFormVersions(formId);
+  }
+
+  async getFormVersion(versionId) {
+    this.ensureInitialized();
+    const version = await this.formService.getFormVersionById(versionId);
+    // Versions are checked as a read of the form they belong to
+    await this._authorize('read', 'form', () => this.formService.getFormById(version.formId), { versionId });
+    return version;
+  }
+
+  // Question types work before initialize(); registrations are process-wide.
+  // Like getQuestionTypes(), they are application setup rather than calls made
+  // on behalf of an actor, so the access policy is not consulted.
+  registerQuestionType(definition) {
+    return registerQuestionType(definition);
+  }
+
+  unregisterQuestionType(name) {
+    return unregisterQuestionType(name);
+  }
+
+  getQuestionTypes() {
+    return getQuestionTypeNames().map(name => {
+      const { requiresOptions, builtIn } = getQuestionType(name);
+      return { name, requiresOptions, builtIn };
+    });
+  }
+
+  async createQuestion({ questionText, questionType, options, validationRules, metadata, tags, category }) {
     this.ensureInitialized();
+    await this._authorize('create', 'question', null, { questionText, questionType, options, validationRules, metadata, tags, category });
     return await this.questionService.createQuestion({
       questionText,
       questionType,
       options,
       validationRules,
       metadata,
+      tags,
+      category,
     });
   }
 
   async getQuestion(id) {
     this.ensureInitialized();
+    await this._authorize('read', 'question', () => this.questionService.getQuestionById(id));
     return await this.questionService.getQuestionById(id);
   }
 
   async getQuestions(ids) {
     this.ensureInitialized();
+    await this._authorize('read', 'question', null, { ids });
     return await this.questionService.getQuestionsByIds(ids);
   }
 
   async getAllQuestions(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'question', null, options);
     return await this.questionService.getAllQuestions(options);
   }
 
+  async searchQuestions(query, filters) {
+    this.ensureInitialized();
+    await this._authorize('read', 'question', null, { ...filters, query });
+    return await this.questionService.searchQuestions(query, filters);
+  }
+
   async updateQuestion(id, updates) {
     this.ensureInitialized();
+    await this._authorize('update', 'question', () => this.questionService.getQuestionById(id), updates);
     return await this.questionService.updateQuestionById(id, updates);
   }
 
-  async deleteQuestion(id) {
+  async getQuestionUsage(id) {
+    this.ensureInitialized();
+    await this._authorize('read', 'question', () => this.questionService.getQuestionById(id));
+    return await this.questionService.getQuestionUsageById(id);
+  }
+
+  async deleteQuestion(id, options) {
     this.ensureInitialized();
-    return await this.questionService.deleteQuestionById(id);
+    await this._authorize('delete', 'question', () => this.questionService.getQuestionById(id), options);
+    return await this.questionService.deleteQuestionById(id, options);
   }
 
   async deactivateQuestion(id) {
     this.ensureInitialized();
+    await this._authorize('update', 'question', () => this.questionService.getQuestionById(id), { isActive: false });
     return await this.questionService.deactivateQuestionById(id);
   }
 
   async activateQuestion(id) {
     this.ensureInitialized();
+    await this._authorize('update', 'question', () => this.questionService.getQuestionById(id), { isActive: true });
     return await this.questionService.activateQuestionById(id);
   }
 
   async getQuestionCount(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'question', null, options);
     return await this.questionService.getQuestionCount(options);
   }
 
   async createSubmission({ formId, submissionData, metadata, targetUnitId, submitterUserId }) {
     this.ensureInitialized();
+    await this._authorize('create', 'submission', null, { formId, submissionData, metadata, targetUnitId, submitterUserId });
     return await this.submissionService.createSubmission({ formId, submissionData, metadata, targetUnitId, submitterUserId });
   }
 
+  async saveDraft({ formId, submissionData, metadata, targetUnitId, submitterUserId }) {
+    this.ensureInitialized();
+    await this._authorize('create', 'submission', null, { formId, submissionData, metadata, targetUnitId, submitterUserId, status: 'draft' });
+    return await this.submissionService.saveDraft({ formId, submissionData, metadata, targetUnitId, submitterUserId });
+  }
+
+  async updateDraft(id, updates) {
+    this.ensureInitialized();
+    await this._authorize('update', 'submission', () => this.submissionService.getSubmissionById(id), updates);
+    return await this.submissionService.updateDraft(id, updates);
+  }
+
+  async submitDraft(id, options) {
+    this.ensureInitialized();
+    await this._authorize('update', 'submission', () => this.submissionService.getSubmissionById(id), { ...options, status: 'submitted' });
+    return await this.submissionService.submitDraft(id, options);
+  }
+
+  async getDrafts(filters) {
+    this.ensureInitialized();
+    await this._authorize('read', 'submission', null, { ...filters, status: 'draft' });
+    return await this.submissionService.getDrafts(filters);
+  }
+
   async getSubmission(id) {
     this.ensureInitialized();
+    await this._authorize('read', 'submission', () => this.submissionService.getSubmissionById(id));
     return await this.submissionService.getSubmissionById(id);
   }
 
   async getSubmissionsByForm(formId, options) {
     this.ensureInitialized();
+    await this._authorize('read', 'submission', null, { ...options, formId });
     return await this.submissionService.getSubmissionsByFormId(formId, options);
   }
 
   async getAllSubmissions(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'submission', null, options);
     return await this.submissionService.getAllSubmissions(options);
   }
 
+  async findSubmissions(filters) {
+    this.ensureInitialized();
+    await this._authorize('read', 'submission', null, filters);
+    return await this.submissionService.findSubmissions(filters);
+  }
+
   async updateSubmission(id, updates) {
     this.ensureInitialized();
+    await this._authorize('update', 'submission', () => this.submissionService.getSubmissionById(id), updates);
     return await this.submissionService.updateSubmissionById(id, updates);
   }
 
+  async transitionSubmission(id, status, options) {
+    this.ensureInitialized();
+    await this._authorize('transition', 'submission', () => this.submissionService.getSubmissionById(id), { ...options, status });
+    return await this.submissionService.transitionSubmission(id, status, options);
+  }
+
+  async getSubmissionStatusHistory(id) {
+    this.ensureInitialized();
+    await this._authorize('read', 'submission', () => this.submissionService.getSubmissionById(id));
+    return await this.submissionService.getSubmissionStatusHistory(id);
+  }
+
   async deleteSubmission(id) {
     this.ensureInitialized();
+    await this._authorize('delete', 'submission', () => this.submissionService.getSubmissionById(id));
     return await this.submissionService.deleteSubmissionById(id);
   }
 
+  async restoreSubmission(id) {
+    this.ensureInitialized();
+    await this._authorize('restore', 'submission', null, { id });
+    return await this.submissionService.restoreSubmissionById(id);
+  }
+
   async getSubmissionCount(options) {
     this.ensureInitialized();
+    await this._authorize('read', 'submission', null, options);
     return await this.submissionService.getSubmissionCount(options);
   }
 
-  async getSubmissionStats(formId) {
+  async getSubmissionStats(formId, options) {
     this.ensureInitialized();
-    return await this.submissionService.getSubmissionStatsById(formId);
+    await this._authorize('read', 'submission', null, { ...options, formId });
+    return await this.submissionService.getSubmissionStatsById(formId, options);
   }
 
   // Finding methods
   async createFinding(params) {
     this.ensureInitialized();
+    await this._authorize('create', 'finding', null, params);
     return await this.findingService.createFinding(params);
   }
 
   async getFinding(id) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', () => this.findingService.getFindingById(id));
     return await this.findingService.getFindingById(id);
   }
 
   async getFindingsByForm(formId, options) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', null, { ...options, formId });
     return await this.findingService.getFindingsByFormId(formId, options);
   }
 
-  async getFindingsBySubmission(submissionId) {
+  async getFindingsBySubmission(submissionId, options) {
     this.ensureInitialized();
-    return await this.findingService.getFindingsBySubmissionId(submissionId);
+    await this._authorize('read', 'finding', null, { ...options, submissionId });
+    return await this.findingService.getFindingsBySubmissionId(submissionId, options);
   }
 
   async getFindingsByQuestion(questionId, options) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', null, { ...options, questionId });
     return await this.findingService.getFindingsByQuestionId(questionId, options);
   }
 
   async getFindings(filters) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', null, filters);
     return await this.findingService.getFindings(filters);
   }
 
   async updateFinding(id, updates) {
     this.ensureInitialized();
+    await this._authorize('update', 'finding', () => this.findingService.getFindingById(id), updates);
     return await this.findingService.updateFindingById(id, updates);
   }
 
+  async transitionFinding(id, status, options) {
+    this.ensureInitialized();
+    await this._authorize('transition', 'finding', () => this.findingService.getFindingById(id), { ...options, status });
+    return await this.findingService.transitionFinding(id, status, options);
+  }
+
+  async getFindingStatusHistory(id) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding', () => this.findingService.getFindingById(id));
+    return await this.findingService.getFindingStatusHistory(id);
+  }
+
+  async createFindingAction(findingId, params) {
+    this.ensureInitialized();
+    await this._authorize('create', 'finding_action', null, { ...params, findingId });
+    return await this.findingService.createFindingAction(findingId, params);
+  }
+
+  async getFindingAction(id) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding_action', () => this.findingService.getFindingActionById(id));
+    return await this.findingService.getFindingActionById(id);
+  }
+
+  async getFindingActions(findingId) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding_action', null, { findingId });
+    return await this.findingService.getFindingActions(findingId);
+  }
+
+  async updateFindingAction(id, updates) {
+    this.ensureInitialized();
+    await this._authorize('update', 'finding_action', () => this.findingService.getFindingActionById(id), updates);
+    return await this.findingService.updateFindingActionById(id, updates);
+  }
+
+  async deleteFindingAction(id) {
+    this.ensureInitialized();
+    await this._authorize('delete', 'finding_action', () => this.findingService.getFindingActionById(id));
+    return await this.findingService.deleteFindingActionById(id);
+  }
+
+  async getOverdueFindings(filters) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding', null, filters);
+    return await this.findingService.getOverdueFindings(filters);
+  }
+
+  async getFindingsDueSoon(options) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding', null, options);
+    return await this.findingService.getFindingsDueSoon(options);
+  }
+
+  async getBreachedFindings(filters) {
+    this.ensureInitialized();
+    await this._authorize('read', 'finding', null, filters);
+    return await this.findingService.getBreachedFindings(filters);
+  }
+
   async deleteFinding(id) {
     this.ensureInitialized();
+    await this._authorize('delete', 'finding', () => this.findingService.getFindingById(id));
     return await this.findingService.deleteFindingById(id);
   }
 
   async getFindingCount(filters) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', null, filters);
     return await this.findingService.getFindingCount(filters);
   }
 
   async getFindingsStats(formId) {
     this.ensureInitialized();
+    await this._authorize('read', 'finding', null, { formId });
     return await this.findingService.getFindingsStats(formId);
   }
 
+  async getAuditTrail(entityId, options) {
+    this.ensureInitialized();
+    await this._authorize('read', 'audit_log', null, { ...options, entityId });
+    return await this.auditService.getAuditTrail(entityId, options);
+  }
+
+  // Maintenance: hard-delete everything soft-deleted before olderThan
+  async purgeDeleted(options) {
+    this.ensureInitialized();
+    for (const resourceType of ['form', 'question', 'submission', 'finding']) {
+      await this._authorize('purge', resourceType, null, options);
+    }
+    return await this.retentionService.purgeDeleted(options);
+  }
+
   async updateOptionLabel(questionId, optionKey, newLabel, changedBy = null) {
     this.ensureInitialized();
+    await this._authorize('update', 'question', () => this.questionService.getQuestionById(questionId), { optionKey, newLabel });
     return await this.questionService.updateOptionLabelById(questionId, optionKey, newLabel, changedBy);
   }
 
   async getOptionHistory(questionId, optionKey = null) {
     this.ensureInitialized();
+    await this._authorize('read', 'question', () => this.questionService.getQuestionById(questionId), { optionKey });
     return await this.questionService.getOptionHistoryById(questionId, optionKey);
   }
 
-  // Cache management methods for v3.0.0 MCP server
+  // Cache management methods for v3.0.0 MCP server. getCacheStats() only
+  // reports cache sizes and hit rates, so it is not checked by the access policy.
   getCacheStats() {
     this.ensureInitialized();
     return checkOpsCache.getCacheStats();
@@ -258,6 +559,7 @@ export class CheckOps {
 
   async clearCache(type = 'all', id = null) {
     this.ensureInitialized();
+    await this._authorize('delete', 'cache', null, { type, id });
 
     if (type === 'all') {
       checkOpsCache.clear();
@@ -312,6 +614,14 @@ export {
   QuestionService,
   SubmissionService,
   FindingService,
+  AuditService,
+  RetentionService,
+  withActor,
+  getActor,
+  withTenant,
+  getTenantId,
+  createRolePolicy,
+  DEFAULT_ROLE_PERMISSIONS,
   // Phase 4: Performance Monitoring & Testing
   metricsCollector,
   performanceMonitor,
@@ -0,0 +1,229 @@
+/**
+ * AuditLog Model - v4.0.0
+ *
+ * Append-only trail of model mutations (migration 034):
+ * - entityType: 'form', 'question', 'submission', 'finding' or 'finding_action'
+ * - entityId (UUID) / entitySid: The entity that changed
+ * - action: 'create', 'update', 'delete', 'restore' or 'purge' (migration 037)
+ * - actor: Actor identifier (nullable)
+ * - tenantId: Tenant of the entity (nullable, migration 036)
+ * - before / after: The fields that changed; before is null for creates and
+ *   restores, after is null for deletes and purges
+ *
+ * Models record their own mutations with AuditLog.record(), inside the
+ * transaction that makes the change.
+ */
+
+import { getPool } from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+import { getActorId } from '../utils/actorContext.js';
+import { getTenantId, sidTenantCondition, tenantCondition } from '../utils/tenantContext.js';
+
+// Stamped on every write, so not a change of their own
+const IGNORED_FIELDS = new Set(['updatedAt', 'updatedBy']);
+
+/**
+ * Plain JSON copy of a model instance or object
+ */
+function toSnapshot(entity) {
+    if (!entity) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(typeof entity.toJSON === 'function' ? entity.toJSON() : entity));
+}
+
+export class AuditLog {
+    static ENTITY_TYPES = ['form', 'question', 'submission', 'finding', 'finding_action'];
+    static ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+    // Actions that store the entity as it was rather than as it is now
+    static REMOVALS = ['delete', 'purge'];
+
+    constructor(data) {
+        this.id = data.id;
+        this.entityType = data.entityType ?? data.entity_type;
+        this.entityId = data.entityId ?? data.entity_id;
+        this.entitySid = data.entitySid ?? data.entity_sid ?? null;
+        this.action = data.action;
+        this.actor = data.actor ?? null;
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
+        this.before = data.before ?? data.before_data ?? null;
+        this.after = data.after ?? data.after_data ?? null;
+        this.createdAt = data.createdAt ?? data.created_at;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            entitySid: this.entitySid,
+            action: this.action,
+            actor: this.actor,
+            tenantId: this.tenantId,
+            before: this.before,
+            after: this.after,
+            createdAt: this.createdAt,
+        };
+    }
+
+    static fromRow(row) {
+        if (!row) return null;
+        return new AuditLog({
+            id: row.id,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            entitySid: row.entity_sid,
+            action: row.action,
+            actor: row.actor,
+            tenantId: row.tenant_id,
+            before: row.before_data,
+            after: row.after_data,
+            createdAt: row.created_at,
+        });
+    }
+
+    /**
+     * Fields that differ between two snapshots of an entity
+     * @param {object} before - Entity before the change (model instance or plain object)
+     * @param {object} after - Entity after the change
+     * @returns {{before: object, after: object}|null} Changed fields on each side, or null if nothing changed
+     */
+    static diff(before, after) {
+        const previous = toSnapshot(before) ?? {};
+        const next = toSnapshot(after) ?? {};
+        const changes = { before: {}, after: {} };
+
+        for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+            if (IGNORED_FIELDS.has(field)) {
+                continue;
+            }
+            if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+                changes.before[field] = previous[field] ?? null;
+                changes.after[field] = next[field] ?? null;
+            }
+        }
+
+        return Object.keys(changes.after).length > 0 ? changes : null;
+    }
+
+    /**
+     * Record a mutation
+     *
+     * Creates and restores store the entity as it is now, deletes and purges as
+     * it was; updates store only the changed fields and are skipped when
+     * nothing changed.
+     * @param {object} params
+     * @param {string} params.entityType - One of AuditLog.ENTITY_TYPES
+     * @param {string} params.action - One of AuditLog.ACTIONS
+     * @param {object} params.before - Entity before the change (null for creates and restores)
+     * @param {object} params.after - Entity after the change (null for deletes and purges)
+     * @param {string} params.actor - Actor identifier (default: the current actor)
+     * @param {object} client - Transaction client of the change
+     * @returns {Promise<AuditLog|null>}
+     */
+    static async record({ entityType, action, before = null, after = null, actor = null }, client = null) {
+        const runner = client || getPool();
+        const entity = after ?? before;
+        // An explicit actor (a submitter, finding creator or reviewer) wins over the context
+        const actorId = actor ?? getActorId();
+
+        let changes = { before: toSnapshot(before), after: toSnapshot(after) };
+        if (action === 'update') {
+            changes = AuditLog.diff(before, after);
+            if (!changes) {
+                return null;
+            }
+        }
+
+        try {
+            const result = await runner.query(
+                `INSERT INTO audit_log (entity_type, entity_id, entity_sid, action, actor, before_data, after_data, tenant_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [
+                    entityType,
+                    entity.id,
+                    entity.sid ?? null,
+                    action,
+                    actorId === null || actorId === undefined ? null : String(actorId),
+                    changes.before ? JSON.stringify(changes.before) : null,
+                    changes.after ? JSON.stringify(changes.after) : null,
+                    entity.tenantId ?? getTenantId(),
+                ]
+            );
+
+            return AuditLog.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to write audit log', error);
+        }
+    }
+
+    /**
+     * Record the same action for several entities
+     * @param {object} params - { entityType, action, actor } plus entities
+     * @param {Array<object>} params.entities - Created, deleted, restored or purged entities
+     * @param {object} client - Transaction client of the change
+     * @returns {Promise<Array<AuditLog>>}
+     */
+    static async recordMany({ entityType, action, entities, actor = null }, client = null) {
+        const entries = [];
+
+        const removal = AuditLog.REMOVALS.includes(action);
+
+        for (const entity of entities) {
+            entries.push(await AuditLog.record({
+                entityType,
+                action,
+                before: removal ? entity : null,
+                after: removal ? null : entity,
+                actor,
+            }, client));
+        }
+
+        return entries;
+    }
+
+    /**
+     * Audit trail of an entity, oldest first
+     * @param {string} entityId - Entity UUID
+     * @param {object} options
+     * @param {number} options.limit - Limit (default: 100)
+     * @param {number} options.offset - Offset (default: 0)
+     * @returns {Promise<Array<AuditLog>>}
+     */
+    static async findByEntityId(entityId, { limit = 100, offset = 0 } = {}) {
+        const pool = getPool();
+
+        const params = [entityId, limit, offset];
+        const result = await pool.query(
+            `SELECT * FROM audit_log
+             WHERE entity_id = $1${tenantCondition(params)}
+             ORDER BY created_at ASC, id ASC
+             LIMIT $2 OFFSET $3`,
+            params
+        );
+
+        return result.rows.map(row => AuditLog.fromRow(row));
+    }
+
+    /**
+     * Audit trail of an entity by SID, oldest first; SIDs stay findable after a delete
+     * @param {string} entitySid - Entity SID (e.g. 'FORM-001')
+     * @param {object} options - Same as findByEntityId()
+     * @returns {Promise<Array<AuditLog>>}
+     */
+    static async findByEntitySid(entitySid, { limit = 100, offset = 0 } = {}) {
+        const pool = getPool();
+
+        const params = [entitySid, limit, offset];
+        const result = await pool.query(
+            `SELECT * FROM audit_log
+             WHERE entity_sid = $1${sidTenantCondition(params)}
+             ORDER BY created_at ASC, id ASC
+             LIMIT $2 OFFSET $3`,
+            params
+        );
+
+        return result.rows.map(row => AuditLog.fromRow(row));
+    }
+}
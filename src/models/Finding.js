@@ -6,14 +6,34 @@
  * - sid (VARCHAR): Human-readable ID (FND-001) for display only
  */
 
-import { getPool } from '../config/database.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { generateSID, getNextSIDCounter } from '../utils/idResolver.js';
-import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { DatabaseError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { CursorPaginator } from '../utils/queryOptimizer.js';
+import { FindingStatusHistory } from './FindingStatusHistory.js';
+import { AuditLog } from './AuditLog.js';
+import { getActorId } from '../utils/actorContext.js';
+import { tenantFilter, tenantCondition } from '../utils/tenantContext.js';
+
+// Full-text search expression; must match idx_findings_observation_search (migration 029)
+const OBSERVATION_SEARCH_VECTOR = "to_tsvector('english', COALESCE(observation, ''))";
 
 export class Finding {
+    // sortBy values accepted by findAll() and the columns they order by
+    static SORT_FIELDS = {
+        createdAt: 'created_at',
+        dueAt: 'due_at',
+        resolvedAt: 'resolved_at',
+        severity: 'severity',
+        status: 'status',
+        department: 'department',
+        sid: 'sid',
+    };
+
     constructor(data) {
         this.id = data.id;                                    // UUID (primary key)
         this.sid = data.sid;                                  // Human-readable (FND-001)
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
         this.submissionId = data.submissionId ?? data.submission_id;
         this.submissionSid = data.submissionSid ?? data.submission_sid;
         this.questionId = data.questionId ?? data.question_id;
@@ -31,12 +51,17 @@ export class Finding {
         this.createdAt = data.createdAt ?? data.created_at;
         this.createdBy = data.createdBy ?? data.created_by;
         this.targetUnitId = data.targetUnitId ?? data.target_unit_id ?? null;
+        this.dueAt = data.dueAt ?? data.due_at ?? null;
+        this.resolvedAt = data.resolvedAt ?? data.resolved_at ?? null;
+        this.deletedAt = data.deletedAt ?? data.deleted_at ?? null;
+        this.deletedBy = data.deletedBy ?? data.deleted_by ?? null;
     }
 
     toJSON() {
         return {
             id: this.id,
             sid: this.sid,
+            tenantId: this.tenantId,
             submissionId: this.submissionId,
             submissionSid: this.submissionSid,
             questionId: this.questionId,
@@ -54,6 +79,10 @@ export class Finding {
             createdAt: this.createdAt,
             createdBy: this.createdBy,
             targetUnitId: this.targetUnitId,
+            dueAt: this.dueAt,
+            resolvedAt: this.resolvedAt,
+            deletedAt: this.deletedAt,
+            deletedBy: this.deletedBy,
         };
     }
 
@@ -62,6 +91,7 @@ export class Finding {
         return new Finding({
             id: row.id,
             sid: row.sid,
+            tenantId: row.tenant_id,
             submissionId: row.submission_id,
             submissionSid: row.submission_sid,
             questionId: row.question_id,
@@ -79,6 +109,10 @@ export class Finding {
             createdAt: row.created_at,
             createdBy: row.created_by,
             targetUnitId: row.target_unit_id,
+            dueAt: row.due_at,
+            resolvedAt: row.resolved_at,
+            deletedAt: row.deleted_at,
+            deletedBy: row.deleted_by,
         });
     }
 
@@ -96,7 +130,9 @@ export class Finding {
      * @param {object[]} params.assignment - Array of assignment objects (default: [])
      * @param {string} params.status - Status (nullable)
      * @param {object} params.metadata - Additional metadata (default: {})
-     * @param {string} params.createdBy - Creator identifier (nullable)
+     * @param {string} params.createdBy - Creator identifier (default: current actor)
+     * @param {Date|string} params.dueAt - SLA due date (nullable)
+     * @param {object} client - Optional transaction client
      * @returns {Promise<Finding>}
      */
     static async create({
@@ -111,74 +147,100 @@ export class Finding {
         assignment = [],
         status = null,
         metadata = {},
-        createdBy = null
-    }) {
-        const pool = getPool();
-
-        // Look up parent SIDs (and the submission's target_unit_id) in one query
-        const sidResult = await pool.query(
-            `SELECT s.sid AS submission_sid, q.sid AS question_sid, f.sid AS form_sid,
-                    s.target_unit_id
-             FROM submissions s, question_bank q, forms f
-             WHERE s.id = $1 AND q.id = $2 AND f.id = $3`,
-            [submissionId, questionId, formId]
-        );
+        createdBy = null,
+        dueAt = null
+    }, client = null) {
+        // The finding, the history row for its initial status and the audit
+        // log entry are written together
+        return await withTransaction(async (tx) => {
+            // Look up parent SIDs (and the submission's target_unit_id and tenant) in one query
+            const parentParams = [submissionId, questionId, formId];
+            const sidResult = await tx.query(
+                `SELECT s.sid AS submission_sid, q.sid AS question_sid, f.sid AS form_sid,
+                        s.target_unit_id, s.tenant_id
+                 FROM submissions s, question_bank q, forms f
+                 WHERE s.id = $1 AND q.id = $2 AND f.id = $3
+                   AND s.deleted_at IS NULL AND q.deleted_at IS NULL AND f.deleted_at IS NULL${tenantCondition(parentParams, 's.tenant_id')}`,
+                parentParams
+            );
 
-        if (sidResult.rows.length === 0) {
-            throw new NotFoundError('Submission, Question, or Form', `${submissionId} / ${questionId} / ${formId}`);
-        }
+            if (sidResult.rows.length === 0) {
+                throw new NotFoundError('Submission, Question, or Form', `${submissionId} / ${questionId} / ${formId}`);
+            }
 
-        const { submission_sid, question_sid, form_sid, target_unit_id } = sidResult.rows[0];
+            const { submission_sid, question_sid, form_sid, target_unit_id, tenant_id } = sidResult.rows[0];
 
-        // Generate SID (human-readable ID)
-        const counter = await getNextSIDCounter('finding');
-        const sid = generateSID('finding', counter);
+            // Generate SID (human-readable ID) in the submission's tenant
+            const counter = await getNextSIDCounter('finding', tx, tenant_id);
+            const sid = generateSID('finding', counter);
 
-        try {
-            // UUID is generated by database (DEFAULT gen_random_uuid())
-            const result = await pool.query(
-                `INSERT INTO public.findings (
+            let finding;
+            try {
+                // UUID is generated by database (DEFAULT gen_random_uuid())
+                const result = await tx.query(
+                    `INSERT INTO public.findings (
           sid, submission_id, submission_sid, question_id, question_sid,
           form_id, form_sid, severity, department, observation, root_cause,
-          evidence_urls, assignment, status, metadata, created_by, target_unit_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          evidence_urls, assignment, status, metadata, created_by, target_unit_id, due_at, tenant_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
         RETURNING *`,
-                [
-                    sid,
-                    submissionId,
-                    submission_sid,
-                    questionId,
-                    question_sid,
-                    formId,
-                    form_sid,
-                    severity,
-                    department,
-                    observation,
-                    rootCause,
-                    evidenceUrls,
-                    JSON.stringify(assignment),
-                    status,
-                    JSON.stringify(metadata),
-                    createdBy,
-                    target_unit_id
-                ]
-            );
-
-            return Finding.fromRow(result.rows[0]);
-        } catch (error) {
-            throw new DatabaseError('Failed to create finding', error);
-        }
+                    [
+                        sid,
+                        submissionId,
+                        submission_sid,
+                        questionId,
+                        question_sid,
+                        formId,
+                        form_sid,
+                        severity,
+                        department,
+                        observation,
+                        rootCause,
+                        evidenceUrls,
+                        JSON.stringify(assignment),
+                        status,
+                        JSON.stringify(metadata),
+                        createdBy ?? getActorId(),
+                        target_unit_id,
+                        dueAt,
+                        tenant_id
+                    ]
+                );
+
+                finding = Finding.fromRow(result.rows[0]);
+            } catch (error) {
+                throw new DatabaseError('Failed to create finding', error);
+            }
+
+            if (finding.status) {
+                await FindingStatusHistory.create({
+                    findingId: finding.id,
+                    toStatus: finding.status,
+                    changedBy: finding.createdBy,
+                }, tx);
+            }
+
+            await AuditLog.record({ entityType: 'finding', action: 'create', after: finding, actor: finding.createdBy }, tx);
+            return finding;
+        }, client);
     }
 
     /**
      * Find finding by UUID (internal use)
      * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
+     * @param {object} options
+     * @param {boolean} options.forUpdate - Lock the row until the client's transaction ends
      * @returns {Promise<Finding>}
      */
-    static async findById(uuid) {
-        const pool = getPool();
+    static async findById(uuid, client = null, { forUpdate = false } = {}) {
+        const runner = client || getPool();
 
-        const result = await pool.query('SELECT * FROM public.findings WHERE id = $1', [uuid]);
+        const params = [uuid];
+        const result = await runner.query(
+            `SELECT * FROM public.findings WHERE id = $1 AND deleted_at IS NULL${tenantCondition(params)}${forUpdate ? ' FOR UPDATE' : ''}`,
+            params
+        );
 
         if (result.rows.length === 0) {
             throw new NotFoundError('Finding', uuid);
@@ -196,9 +258,10 @@ export class Finding {
     static async findByFormId(formId, { limit = 100, offset = 0 } = {}) {
         const pool = getPool();
 
+        const params = [formId, limit, offset];
         const result = await pool.query(
-            'SELECT * FROM public.findings WHERE form_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3',
-            [formId, limit, offset]
+            `SELECT * FROM public.findings WHERE form_id = $1 AND deleted_at IS NULL${tenantCondition(params)} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+            params
         );
 
         return result.rows.map(row => Finding.fromRow(row));
@@ -212,9 +275,10 @@ export class Finding {
     static async findBySubmissionId(submissionId) {
         const pool = getPool();
 
+        const params = [submissionId];
         const result = await pool.query(
-            'SELECT * FROM public.findings WHERE submission_id = $1 ORDER BY created_at DESC',
-            [submissionId]
+            `SELECT * FROM public.findings WHERE submission_id = $1 AND deleted_at IS NULL${tenantCondition(params)} ORDER BY created_at DESC`,
+            params
         );
 
         return result.rows.map(row => Finding.fromRow(row));
@@ -229,38 +293,45 @@ export class Finding {
     static async findByQuestionId(questionId, { limit = 100, offset = 0 } = {}) {
         const pool = getPool();
 
+        const params = [questionId, limit, offset];
         const result = await pool.query(
-            'SELECT * FROM public.findings WHERE question_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3',
-            [questionId, limit, offset]
+            `SELECT * FROM public.findings WHERE question_id = $1 AND deleted_at IS NULL${tenantCondition(params)} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+            params
         );
 
         return result.rows.map(row => Finding.fromRow(row));
     }
 
     /**
-     * Find findings with filters (for reporting)
-     * @param {object} filters
-     * @param {string} filters.formId - Form UUID (optional)
-     * @param {string} filters.severity - Severity level (optional)
-     * @param {string} filters.department - Department (optional)
-     * @param {string} filters.status - Status (optional)
-     * @param {string} filters.createdAfter - Created after date (optional)
-     * @param {string} filters.createdBefore - Created before date (optional)
-     * @param {number} filters.limit - Limit (default: 100)
-     * @param {number} filters.offset - Offset (default: 0)
-     * @returns {Promise<Array<Finding>>}
+     * Build the WHERE clause shared by findAll() and count()
+     *
+     * deleted selects soft-deleted (true) or live (false) findings; findAll()
+     * and count() default it to false.
+     * @param {object} filters - See findAll()
+     * @returns {{ where: string, conditions: Array<string>, params: Array, searchParam: number|null }}
+     *   WHERE clause (empty when unfiltered), its conditions and parameters, and the parameter number
+     *   of the search text
      */
-    static async findAll({
+    static buildFilterClause({
         formId = null,
+        questionId = null,
+        submissionId = null,
+        targetUnitId = null,
+        createdBy = null,
+        assignee = null,
+        search = null,
         severity = null,
         department = null,
         status = null,
         createdAfter = null,
         createdBefore = null,
-        limit = 100,
-        offset = 0
+        overdue = false,
+        breached = false,
+        resolved = null,
+        dueAfter = null,
+        dueBefore = null,
+        deleted = null
     } = {}) {
-        const pool = getPool();
         const whereClauses = [];
         const params = [];
         let paramIndex = 1;
@@ -270,6 +341,44 @@ export class Finding {
             params.push(formId);
         }
 
+        if (questionId) {
+            whereClauses.push(`question_id = $${paramIndex++}`);
+            params.push(questionId);
+        }
+
+        if (submissionId) {
+            whereClauses.push(`submission_id = $${paramIndex++}`);
+            params.push(submissionId);
+        }
+
+        if (Array.isArray(targetUnitId)) {
+            whereClauses.push(`target_unit_id = ANY($${paramIndex++}::uuid[])`);
+            params.push(targetUnitId);
+        } else if (targetUnitId) {
+            whereClauses.push(`target_unit_id = $${paramIndex++}`);
+            params.push(targetUnitId);
+        }
+
+        if (createdBy) {
+            whereClauses.push(`created_by = $${paramIndex++}`);
+            params.push(createdBy);
+        }
+
+        // Containment on the GIN-indexed assignment array: a user_id, or any
+        // assignment object such as { user_id, role }
+        if (assignee) {
+            const entry = typeof assignee === 'object' ? assignee : { user_id: assignee };
+            whereClauses.push(`assignment @> $${paramIndex++}::jsonb`);
+            params.push(JSON.stringify([entry]));
+        }
+
+        let searchParam = null;
+        if (search) {
+            searchParam = paramIndex++;
+            whereClauses.push(`${OBSERVATION_SEARCH_VECTOR} @@ plainto_tsquery('english', $${searchParam})`);
+            params.push(search);
+        }
+
         if (severity) {
             whereClauses.push(`severity = $${paramIndex++}`);
             params.push(severity);
@@ -295,29 +404,163 @@ export class Finding {
             params.push(createdBefore);
         }
 
-        let query = 'SELECT * FROM public.findings';
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
+        // SLA filters
+        if (overdue) {
+            whereClauses.push('resolved_at IS NULL AND due_at < NOW()');
         }
 
-        query += ` ORDER BY created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex}`;
+        if (breached) {
+            whereClauses.push('due_at < COALESCE(resolved_at, NOW())');
+        }
+
+        if (resolved === true) {
+            whereClauses.push('resolved_at IS NOT NULL');
+        } else if (resolved === false) {
+            whereClauses.push('resolved_at IS NULL');
+        }
+
+        if (dueAfter) {
+            whereClauses.push(`due_at >= $${paramIndex++}`);
+            params.push(dueAfter);
+        }
+
+        if (dueBefore) {
+            whereClauses.push(`due_at <= $${paramIndex++}`);
+            params.push(dueBefore);
+        }
+
+        if (deleted === true) {
+            whereClauses.push('deleted_at IS NOT NULL');
+        } else if (deleted === false) {
+            whereClauses.push('deleted_at IS NULL');
+        }
+
+        whereClauses.push(...tenantFilter(params));
+
+        return {
+            where: whereClauses.length > 0 ? ' WHERE ' + whereClauses.join(' AND ') : '',
+            conditions: whereClauses,
+            params,
+            searchParam,
+        };
+    }
+
+    /**
+     * Build the ORDER BY expression for findAll()
+     *
+     * Ties are broken by id so that pages do not overlap. Nulls sort last
+     * in either direction.
+     * @param {string} sortBy - Key of Finding.SORT_FIELDS, or 'relevance'
+     * @param {string} sortOrder - 'asc' or 'desc'
+     * @param {number|null} searchParam - Parameter number of the search text, required for 'relevance'
+     * @returns {string}
+     */
+    static buildOrderClause(sortBy = 'createdAt', sortOrder = 'desc', searchParam = null) {
+        const direction = typeof sortOrder === 'string' ? sortOrder.toUpperCase() : '';
+        if (!['ASC', 'DESC'].includes(direction)) {
+            throw new ValidationError(`Invalid sortOrder: ${sortOrder}. Must be 'asc' or 'desc'`);
+        }
+
+        if (sortBy === 'relevance') {
+            if (!searchParam) {
+                throw new ValidationError("sortBy 'relevance' requires a search term");
+            }
+            return `ts_rank(${OBSERVATION_SEARCH_VECTOR}, plainto_tsquery('english', $${searchParam})) ${direction}, id ${direction}`;
+        }
+
+        const column = Finding.SORT_FIELDS[sortBy];
+        if (!column) {
+            throw new ValidationError(
+                `Invalid sortBy: ${sortBy}. Must be one of: ${[...Object.keys(Finding.SORT_FIELDS), 'relevance'].join(', ')}`
+            );
+        }
+
+        return `${column} ${direction} NULLS LAST, id ${direction}`;
+    }
+
+    /**
+     * Find findings with filters (for reporting)
+     * @param {object} filters
+     * @param {string} filters.formId - Form UUID (optional)
+     * @param {string} filters.questionId - Question UUID (optional)
+     * @param {string} filters.submissionId - Submission UUID (optional)
+     * @param {string|Array<string>} filters.targetUnitId - Target unit UUID or list of UUIDs (optional)
+     * @param {string} filters.createdBy - Creator identifier (optional)
+     * @param {string|object} filters.assignee - Assigned user_id, or an assignment object to match (optional)
+     * @param {string} filters.search - Full-text search over observation (optional)
+     * @param {string} filters.severity - Severity level (optional)
+     * @param {string} filters.department - Department (optional)
+     * @param {string} filters.status - Status (optional)
+     * @param {string} filters.createdAfter - Created after date (optional)
+     * @param {string} filters.createdBefore - Created before date (optional)
+     * @param {boolean} filters.overdue - Only unresolved findings past their due date (optional)
+     * @param {boolean} filters.breached - Only findings resolved late or still overdue (optional)
+     * @param {boolean} filters.resolved - Only resolved (true) or unresolved (false) findings (optional)
+     * @param {string} filters.dueAfter - Due at or after date (optional)
+     * @param {string} filters.dueBefore - Due at or before date (optional)
+     * @param {boolean} filters.deleted - Soft-deleted (true) instead of live findings (default: false)
+     * @param {string} filters.sortBy - One of Finding.SORT_FIELDS, or 'relevance' with search (default: createdAt)
+     * @param {string} filters.sortOrder - 'asc' or 'desc' (default: 'desc')
+     * @param {number} filters.limit - Limit (default: 100)
+     * @param {number} filters.offset - Offset (default: 0)
+     * @returns {Promise<Array<Finding>>}
+     */
+    static async findAll({ limit = 100, offset = 0, sortBy = 'createdAt', sortOrder = 'desc', ...filters } = {}) {
+        const pool = getPool();
+        const { where, params, searchParam } = Finding.buildFilterClause({ deleted: false, ...filters });
+        const orderBy = Finding.buildOrderClause(sortBy, sortOrder, searchParam);
+        const paramIndex = params.length + 1;
+
+        const query = `SELECT * FROM public.findings${where} ORDER BY ${orderBy} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
         params.push(limit, offset);
 
         const result = await pool.query(query, params);
         return result.rows.map(row => Finding.fromRow(row));
     }
 
+    /**
+     * Find one page of findings, ordered by (created_at, id)
+     * @param {object} options - Filters of findAll(), plus:
+     * @param {string} options.cursor - nextCursor of the previous page (null for the first page)
+     * @param {number} options.limit - Page size (default: 100)
+     * @param {string} options.sortOrder - 'desc' (default, newest first) or 'asc'
+     * @returns {Promise<{items: Array<Finding>, nextCursor: string|null, hasMore: boolean}>}
+     */
+    static async findPage({ cursor = null, limit = 100, sortBy = 'createdAt', sortOrder = 'desc', offset: _offset, ...filters } = {}) {
+        if (sortBy !== 'createdAt') {
+            throw new ValidationError('Cursor pagination only supports sortBy createdAt');
+        }
+        if (typeof sortOrder !== 'string' || !['asc', 'desc'].includes(sortOrder.toLowerCase())) {
+            throw new ValidationError(`Invalid sortOrder: ${sortOrder}. Must be 'asc' or 'desc'`);
+        }
+
+        const { conditions, params } = Finding.buildFilterClause({ deleted: false, ...filters });
+        const page = await new CursorPaginator('public.findings', 'created_at', 'id').paginate({
+            cursor,
+            limit,
+            order: sortOrder,
+            whereConditions: conditions,
+            parameters: params,
+        });
+
+        return { items: page.data.map(row => Finding.fromRow(row)), nextCursor: page.nextCursor, hasMore: page.hasMore };
+    }
+
     /**
      * Update finding by UUID (internal use)
      * @param {string} uuid - UUID only
      * @param {object} updates - Fields to update
+     * @param {object} client - Optional database client
      * @returns {Promise<Finding>}
      */
-    static async updateById(uuid, updates) {
-        const pool = getPool();
+    static async updateById(uuid, updates, client = null) {
+        // The change and its audit log entry are written together
+        if (!client) {
+            return await withTransaction(tx => Finding.updateById(uuid, updates, tx));
+        }
 
         // First verify the finding exists
-        const finding = await Finding.findById(uuid);
+        const finding = await Finding.findById(uuid, client);
 
         const setClauses = [];
         const values = [];
@@ -363,6 +606,16 @@ export class Finding {
             values.push(JSON.stringify(updates.metadata));
         }
 
+        if (updates.dueAt !== undefined) {
+            setClauses.push(`due_at = $${paramIndex++}`);
+            values.push(updates.dueAt);
+        }
+
+        if (updates.resolvedAt !== undefined) {
+            setClauses.push(`resolved_at = $${paramIndex++}`);
+            values.push(updates.resolvedAt);
+        }
+
         if (setClauses.length === 0) {
             return finding;
         }
@@ -370,113 +623,128 @@ export class Finding {
         values.push(uuid);
         const query = `UPDATE public.findings SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
 
+        let updated;
         try {
-            const result = await pool.query(query, values);
-            return Finding.fromRow(result.rows[0]);
+            const result = await client.query(query, values);
+            updated = Finding.fromRow(result.rows[0]);
         } catch (error) {
             throw new DatabaseError('Failed to update finding', error);
         }
+
+        await AuditLog.record({ entityType: 'finding', action: 'update', before: finding, after: updated }, client);
+        return updated;
     }
 
     /**
-     * Delete finding by UUID (internal use)
+     * Soft-delete finding by UUID (internal use)
      * @param {string} uuid - UUID only
-     * @returns {Promise<Finding>}
+     * @param {object} client - Optional database client
+     * @returns {Promise<Finding>} The deleted finding
      */
-    static async deleteById(uuid) {
-        const pool = getPool();
+    static async deleteById(uuid, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Finding.deleteById(uuid, tx));
+        }
 
         // First verify the finding exists
-        const finding = await Finding.findById(uuid);
+        const finding = await Finding.findById(uuid, client);
 
+        let deleted;
         try {
-            await pool.query('DELETE FROM public.findings WHERE id = $1', [uuid]);
-            return finding;
+            const result = await client.query(
+                `UPDATE public.findings SET deleted_at = NOW(), deleted_by = $2
+                 WHERE id = $1
+                 RETURNING *`,
+                [uuid, getActorId()]
+            );
+            deleted = Finding.fromRow(result.rows[0]);
         } catch (error) {
             throw new DatabaseError('Failed to delete finding', error);
         }
+
+        await AuditLog.record({ entityType: 'finding', action: 'delete', before: finding }, client);
+        return deleted;
     }
 
     /**
-     * Count findings
-     * @param {object} filters
-     * @param {string} filters.formId - Form UUID (optional)
-     * @param {string} filters.severity - Severity level (optional)
-     * @param {string} filters.department - Department (optional)
-     * @returns {Promise<number>}
+     * Hard-delete findings soft-deleted before a date, in the current tenant
+     * @param {Date} before - Purge findings deleted before this date
+     * @param {object} client - Optional database client
+     * @returns {Promise<Array<Finding>>} The purged findings
      */
-    static async count({ formId = null, questionId = null, severity = null, department = null, status = null } = {}) {
-        const pool = getPool();
-        const whereClauses = [];
-        const params = [];
-        let paramIndex = 1;
-
-        if (formId) {
-            whereClauses.push(`form_id = $${paramIndex++}`);
-            params.push(formId);
-        }
-
-        if (questionId) {
-            whereClauses.push(`question_id = $${paramIndex++}`);
-            params.push(questionId);
-        }
-
-        if (severity) {
-            whereClauses.push(`severity = $${paramIndex++}`);
-            params.push(severity);
+    static async purgeDeleted(before, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Finding.purgeDeleted(before, tx));
         }
 
-        if (department) {
-            whereClauses.push(`department = $${paramIndex++}`);
-            params.push(department);
+        let findings;
+        try {
+            const params = [before];
+            const result = await client.query(
+                `DELETE FROM public.findings WHERE deleted_at < $1${tenantCondition(params)} RETURNING *`,
+                params
+            );
+            findings = result.rows.map(row => Finding.fromRow(row));
+        } catch (error) {
+            throw new DatabaseError('Failed to purge deleted findings', error);
         }
 
-        if (status) {
-            whereClauses.push(`status = $${paramIndex++}`);
-            params.push(status);
-        }
+        await AuditLog.recordMany({ entityType: 'finding', action: 'purge', entities: findings }, client);
+        return findings;
+    }
 
-        let query = 'SELECT COUNT(*) as count FROM public.findings';
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
-        }
+    /**
+     * Count findings
+     * @param {object} filters - Same filters as findAll(), without limit/offset
+     * @returns {Promise<number>}
+     */
+    static async count(filters = {}) {
+        const pool = getPool();
+        const { where, params } = Finding.buildFilterClause({ deleted: false, ...filters });
 
-        const result = await pool.query(query, params);
+        const result = await pool.query(`SELECT COUNT(*) as count FROM public.findings${where}`, params);
         return parseInt(result.rows[0].count, 10);
     }
 
     static async getStats(formId) {
         const pool = getPool();
+        const params = [formId];
+        const scope = ` AND deleted_at IS NULL${tenantCondition(params)}`;
 
         const summaryResult = await pool.query(
             `SELECT
                 COUNT(*) AS total,
                 COUNT(*) FILTER (WHERE cardinality(evidence_urls) > 0) AS with_evidence,
                 COUNT(*) FILTER (WHERE jsonb_array_length(assignment) > 0) AS assigned,
-                COUNT(*) FILTER (WHERE jsonb_array_length(assignment) = 0) AS unassigned
-             FROM public.findings WHERE form_id = $1`,
-            [formId]
+                COUNT(*) FILTER (WHERE jsonb_array_length(assignment) = 0) AS unassigned,
+                COUNT(*) FILTER (WHERE due_at IS NOT NULL) AS with_due_date,
+                COUNT(*) FILTER (WHERE resolved_at IS NULL AND due_at < NOW()) AS overdue,
+                COUNT(*) FILTER (WHERE due_at < COALESCE(resolved_at, NOW())) AS breached
+             FROM public.findings WHERE form_id = $1${scope}`,
+            params
         );
 
         const severityResult = await pool.query(
             `SELECT severity, COUNT(*) AS count FROM public.findings
-             WHERE form_id = $1 AND severity IS NOT NULL GROUP BY severity`,
-            [formId]
+             WHERE form_id = $1${scope} AND severity IS NOT NULL GROUP BY severity`,
+            params
         );
 
         const departmentResult = await pool.query(
             `SELECT department, COUNT(*) AS count FROM public.findings
-             WHERE form_id = $1 AND department IS NOT NULL GROUP BY department`,
-            [formId]
+             WHERE form_id = $1${scope} AND department IS NOT NULL GROUP BY department`,
+            params
         );
 
         const statusResult = await pool.query(
             `SELECT status, COUNT(*) AS count FROM public.findings
-             WHERE form_id = $1 AND status IS NOT NULL GROUP BY status`,
-            [formId]
+             WHERE form_id = $1${scope} AND status IS NOT NULL GROUP BY status`,
+            params
         );
 
         const summary = summaryResult.rows[0];
+        const withDueDate = parseInt(summary.with_due_date, 10);
+        const breached = parseInt(summary.breached, 10);
         return {
             total: parseInt(summary.total, 10),
             bySeverity: Object.fromEntries(severityResult.rows.map(r => [r.severity, parseInt(r.count, 10)])),
@@ -485,6 +753,13 @@ export class Finding {
             withEvidence: parseInt(summary.with_evidence, 10),
             assigned: parseInt(summary.assigned, 10),
             unassigned: parseInt(summary.unassigned, 10),
+            sla: {
+                withDueDate,
+                overdue: parseInt(summary.overdue, 10),
+                breached,
+                // % of findings with an SLA that were resolved late or are overdue
+                breachRate: withDueDate > 0 ? Math.round((breached / withDueDate) * 10000) / 100 : 0,
+            },
         };
     }
 }
@@ -0,0 +1,369 @@
+/**
+ * FindingAction Model - v4.0.0
+ *
+ * Corrective and preventive actions (CAPA) attached to a finding:
+ * - id (UUID): Internal primary key for all database operations
+ * - sid (VARCHAR): Human-readable ID (ACT-001) for display only
+ * - findingId (UUID): Parent finding
+ *
+ * Creates, updates and deletes write an audit log entry ('finding_action') in
+ * the same transaction.
+ */
+
+import { getPool, withTransaction } from '../config/database.js';
+import { generateSID, getNextSIDCounter } from '../utils/idResolver.js';
+import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { getActorId } from '../utils/actorContext.js';
+import { tenantCondition } from '../utils/tenantContext.js';
+import { AuditLog } from './AuditLog.js';
+
+export class FindingAction {
+    static TYPES = ['corrective', 'preventive'];
+    static STATUSES = ['open', 'in_progress', 'completed', 'verified', 'cancelled'];
+    // Actions in these statuses are still being worked on
+    static OPEN_STATUSES = ['open', 'in_progress'];
+
+    constructor(data) {
+        this.id = data.id;
+        this.sid = data.sid;
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
+        this.findingId = data.findingId ?? data.finding_id;
+        this.findingSid = data.findingSid ?? data.finding_sid;
+        this.actionType = data.actionType ?? data.action_type;
+        this.description = data.description;
+        this.owner = data.owner ?? null;
+        this.dueDate = data.dueDate ?? data.due_date ?? null;
+        this.status = data.status;
+        this.verificationNotes = data.verificationNotes ?? data.verification_notes ?? null;
+        this.completedAt = data.completedAt ?? data.completed_at ?? null;
+        this.verifiedAt = data.verifiedAt ?? data.verified_at ?? null;
+        this.verifiedBy = data.verifiedBy ?? data.verified_by ?? null;
+        this.metadata = data.metadata;
+        this.createdAt = data.createdAt ?? data.created_at;
+        this.createdBy = data.createdBy ?? data.created_by ?? null;
+        this.updatedAt = data.updatedAt ?? data.updated_at;
+    }
+
+    /**
+     * Still open or in progress after its due date
+     * @returns {boolean}
+     */
+    get isOverdue() {
+        if (!this.dueDate || !FindingAction.OPEN_STATUSES.includes(this.status)) {
+            return false;
+        }
+        const due = new Date(this.dueDate);
+        due.setHours(23, 59, 59, 999);
+        return due < new Date();
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            sid: this.sid,
+            tenantId: this.tenantId,
+            findingId: this.findingId,
+            findingSid: this.findingSid,
+            actionType: this.actionType,
+            description: this.description,
+            owner: this.owner,
+            dueDate: this.dueDate,
+            status: this.status,
+            verificationNotes: this.verificationNotes,
+            completedAt: this.completedAt,
+            verifiedAt: this.verifiedAt,
+            verifiedBy: this.verifiedBy,
+            isOverdue: this.isOverdue,
+            metadata: this.metadata,
+            createdAt: this.createdAt,
+            createdBy: this.createdBy,
+            updatedAt: this.updatedAt,
+        };
+    }
+
+    static fromRow(row) {
+        if (!row) return null;
+        return new FindingAction({
+            id: row.id,
+            sid: row.sid,
+            tenantId: row.tenant_id,
+            findingId: row.finding_id,
+            findingSid: row.finding_sid,
+            actionType: row.action_type,
+            description: row.description,
+            owner: row.owner,
+            dueDate: row.due_date,
+            status: row.status,
+            verificationNotes: row.verification_notes,
+            completedAt: row.completed_at,
+            verifiedAt: row.verified_at,
+            verifiedBy: row.verified_by,
+            metadata: row.metadata,
+            createdAt: row.created_at,
+            createdBy: row.created_by,
+            updatedAt: row.updated_at,
+        });
+    }
+
+    /**
+     * Create an action on a finding
+     * @param {object} params
+     * @param {string} params.findingId - Finding UUID
+     * @param {string} params.actionType - 'corrective' (default) or 'preventive'
+     * @param {string} params.description - What has to be done
+     * @param {string} params.owner - Owner identifier (nullable)
+     * @param {string} params.dueDate - Due date, YYYY-MM-DD (nullable)
+     * @param {string} params.status - Status (default: 'open')
+     * @param {object} params.metadata - Additional metadata (default: {})
+     * @param {string} params.createdBy - Creator identifier (nullable)
+     * @param {object} client - Optional transaction client
+     * @returns {Promise<FindingAction>}
+     */
+    static async create({
+        findingId,
+        actionType = 'corrective',
+        description,
+        owner = null,
+        dueDate = null,
+        status = 'open',
+        metadata = {},
+        createdBy = null
+    }, client = null) {
+        // The action and its audit log entry are written together
+        if (!client) {
+            return await withTransaction(tx => FindingAction.create({
+                findingId, actionType, description, owner, dueDate, status, metadata, createdBy,
+            }, tx));
+        }
+
+        const findingParams = [findingId];
+        const findingResult = await client.query(
+            `SELECT sid, tenant_id FROM public.findings WHERE id = $1 AND deleted_at IS NULL${tenantCondition(findingParams)}`,
+            findingParams
+        );
+        if (findingResult.rows.length === 0) {
+            throw new NotFoundError('Finding', findingId);
+        }
+
+        // Actions are numbered within the finding's tenant
+        const counter = await getNextSIDCounter('action', client, findingResult.rows[0].tenant_id);
+        const sid = generateSID('action', counter);
+
+        let action;
+        try {
+            const result = await client.query(
+                `INSERT INTO finding_actions (
+          sid, finding_id, finding_sid, action_type, description, owner, due_date, status,
+          completed_at, metadata, created_by, tenant_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+                [
+                    sid,
+                    findingId,
+                    findingResult.rows[0].sid,
+                    actionType,
+                    description,
+                    owner,
+                    dueDate,
+                    status,
+                    ['completed', 'verified'].includes(status) ? new Date() : null,
+                    JSON.stringify(metadata),
+                    createdBy ?? getActorId(),
+                    findingResult.rows[0].tenant_id
+                ]
+            );
+
+            action = FindingAction.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to create finding action', error);
+        }
+
+        await AuditLog.record({ entityType: 'finding_action', action: 'create', after: action, actor: action.createdBy }, client);
+        return action;
+    }
+
+    /**
+     * Find action by UUID
+     * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
+     * @returns {Promise<FindingAction>}
+     */
+    static async findById(uuid, client = null) {
+        const runner = client || getPool();
+
+        const params = [uuid];
+        const result = await runner.query(
+            `SELECT * FROM finding_actions WHERE id = $1${tenantCondition(params)}`,
+            params
+        );
+
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Finding action', uuid);
+        }
+
+        return FindingAction.fromRow(result.rows[0]);
+    }
+
+    /**
+     * Actions of a finding, oldest first
+     * @param {string} findingId - Finding UUID
+     * @returns {Promise<Array<FindingAction>>}
+     */
+    static async findByFindingId(findingId) {
+        const pool = getPool();
+
+        const params = [findingId];
+        const result = await pool.query(
+            `SELECT * FROM finding_actions WHERE finding_id = $1${tenantCondition(params)} ORDER BY created_at ASC, sid ASC`,
+            params
+        );
+
+        return result.rows.map(row => FindingAction.fromRow(row));
+    }
+
+    /**
+     * Count a finding's actions that are still open or in progress
+     * @param {string} findingId - Finding UUID
+     * @param {object} client - Optional database client
+     * @returns {Promise<number>}
+     */
+    static async countOpenByFindingId(findingId, client = null) {
+        const runner = client || getPool();
+
+        const result = await runner.query(
+            'SELECT COUNT(*) AS count FROM finding_actions WHERE finding_id = $1 AND status = ANY($2)',
+            [findingId, FindingAction.OPEN_STATUSES]
+        );
+
+        return parseInt(result.rows[0].count, 10);
+    }
+
+    /**
+     * Update action by UUID
+     *
+     * Moving to 'completed' or 'verified' stamps completed_at / verified_at.
+     * @param {string} uuid - UUID only
+     * @param {object} updates - Fields to update
+     * @param {object} client - Optional database client
+     * @returns {Promise<FindingAction>}
+     */
+    static async updateById(uuid, updates, client = null) {
+        // The change and its audit log entry are written together
+        if (!client) {
+            return await withTransaction(tx => FindingAction.updateById(uuid, updates, tx));
+        }
+
+        const action = await FindingAction.findById(uuid, client);
+
+        const fields = {
+            actionType: 'action_type',
+            description: 'description',
+            owner: 'owner',
+            dueDate: 'due_date',
+            status: 'status',
+            verificationNotes: 'verification_notes',
+            verifiedBy: 'verified_by',
+        };
+
+        const setClauses = [];
+        const values = [];
+        let paramIndex = 1;
+
+        for (const [field, column] of Object.entries(fields)) {
+            if (updates[field] !== undefined) {
+                setClauses.push(`${column} = $${paramIndex++}`);
+                values.push(updates[field]);
+            }
+        }
+
+        if (updates.metadata !== undefined) {
+            setClauses.push(`metadata = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.metadata));
+        }
+
+        if (setClauses.length === 0) {
+            return action;
+        }
+
+        if (updates.status !== undefined && updates.status !== action.status) {
+            if (['completed', 'verified'].includes(updates.status)) {
+                setClauses.push('completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)');
+            }
+            if (updates.status === 'verified') {
+                setClauses.push('verified_at = CURRENT_TIMESTAMP');
+            }
+        }
+
+        setClauses.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(uuid);
+        const query = `UPDATE finding_actions SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+
+        let updated;
+        try {
+            const result = await client.query(query, values);
+            updated = FindingAction.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to update finding action', error);
+        }
+
+        await AuditLog.record({ entityType: 'finding_action', action: 'update', before: action, after: updated }, client);
+        return updated;
+    }
+
+    /**
+     * Delete action by UUID
+     * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
+     * @returns {Promise<FindingAction>}
+     */
+    static async deleteById(uuid, client = null) {
+        if (!client) {
+            return await withTransaction(tx => FindingAction.deleteById(uuid, tx));
+        }
+
+        const action = await FindingAction.findById(uuid, client);
+
+        try {
+            await client.query('DELETE FROM finding_actions WHERE id = $1', [uuid]);
+        } catch (error) {
+            throw new DatabaseError('Failed to delete finding action', error);
+        }
+
+        await AuditLog.record({ entityType: 'finding_action', action: 'delete', before: action }, client);
+        return action;
+    }
+
+    /**
+     * Action totals for the findings of a form
+     * @param {string} formId - Form UUID
+     * @returns {Promise<object>} { total, open, overdue, byStatus }
+     */
+    static async getStats(formId) {
+        const pool = getPool();
+
+        const params = [formId, FindingAction.OPEN_STATUSES];
+        const result = await pool.query(
+            `SELECT a.status, COUNT(*) AS count,
+                    COUNT(*) FILTER (WHERE a.status = ANY($2) AND a.due_date < CURRENT_DATE) AS overdue
+             FROM finding_actions a
+             JOIN public.findings f ON f.id = a.finding_id
+             WHERE f.form_id = $1 AND f.deleted_at IS NULL${tenantCondition(params, 'f.tenant_id')}
+             GROUP BY a.status`,
+            params
+        );
+
+        const stats = { total: 0, open: 0, overdue: 0, byStatus: {} };
+
+        for (const row of result.rows) {
+            const count = parseInt(row.count, 10);
+            stats.total += count;
+            stats.byStatus[row.status] = count;
+            if (FindingAction.OPEN_STATUSES.includes(row.status)) {
+                stats.open += count;
+            }
+            stats.overdue += parseInt(row.overdue, 10);
+        }
+
+        return stats;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * FindingStatusHistory Model - v4.0.0
+ *
+ * One row per finding status change:
+ * - findingId (UUID): Parent finding
+ * - fromStatus: Previous status (null for the initial status)
+ * - toStatus: New status
+ * - changedBy: Actor identifier (defaults to the current actor, nullable)
+ * - comment: Optional note on the change
+ */
+
+import { getPool } from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+import { getActorId } from '../utils/actorContext.js';
+
+export class FindingStatusHistory {
+    constructor(data) {
+        this.id = data.id;
+        this.findingId = data.findingId ?? data.finding_id;
+        this.fromStatus = data.fromStatus ?? data.from_status ?? null;
+        this.toStatus = data.toStatus ?? data.to_status;
+        this.changedBy = data.changedBy ?? data.changed_by ?? null;
+        this.comment = data.comment ?? null;
+        this.changedAt = data.changedAt ?? data.changed_at;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            findingId: this.findingId,
+            fromStatus: this.fromStatus,
+            toStatus: this.toStatus,
+            changedBy: this.changedBy,
+            comment: this.comment,
+            changedAt: this.changedAt,
+        };
+    }
+
+    static fromRow(row) {
+        if (!row) return null;
+        return new FindingStatusHistory({
+            id: row.id,
+            findingId: row.finding_id,
+            fromStatus: row.from_status,
+            toStatus: row.to_status,
+            changedBy: row.changed_by,
+            comment: row.comment,
+            changedAt: row.changed_at,
+        });
+    }
+
+    /**
+     * Record a status change
+     * @param {object} params
+     * @param {string} params.findingId - Finding UUID
+     * @param {string} params.fromStatus - Previous status (null for the initial status)
+     * @param {string} params.toStatus - New status
+     * @param {string} params.changedBy - Actor identifier (default: current actor)
+     * @param {string} params.comment - Comment (nullable)
+     * @param {object} client - Optional transaction client
+     * @returns {Promise<FindingStatusHistory>}
+     */
+    static async create({ findingId, fromStatus = null, toStatus, changedBy = null, comment = null }, client = null) {
+        const runner = client || getPool();
+
+        try {
+            const result = await runner.query(
+                `INSERT INTO finding_status_history (finding_id, from_status, to_status, changed_by, comment)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+                [findingId, fromStatus, toStatus, changedBy ?? getActorId(), comment]
+            );
+
+            return FindingStatusHistory.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to record finding status change', error);
+        }
+    }
+
+    /**
+     * Status changes of a finding, oldest first
+     * @param {string} findingId - Finding UUID
+     * @returns {Promise<Array<FindingStatusHistory>>}
+     */
+    static async findByFindingId(findingId) {
+        const pool = getPool();
+
+        const result = await pool.query(
+            'SELECT * FROM finding_status_history WHERE finding_id = $1 ORDER BY changed_at ASC, id ASC',
+            [findingId]
+        );
+
+        return result.rows.map(row => FindingStatusHistory.fromRow(row));
+    }
+}
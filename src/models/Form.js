@@ -6,36 +6,61 @@
  * - sid (VARCHAR): Human-readable ID (FORM-001) for display only
  */
 
-import { getPool } from '../config/database.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { generateSID, getNextSIDCounter } from '../utils/idResolver.js';
-import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { DatabaseError, NotFoundError, InvalidOperationError } from '../utils/errors.js';
+import { resolveFormSections } from '../utils/formSections.js';
+import { CursorPaginator } from '../utils/queryOptimizer.js';
+import { FormVersion } from './FormVersion.js';
+import { AuditLog } from './AuditLog.js';
+import { getActorId } from '../utils/actorContext.js';
+import { getTenantId, tenantFilter, tenantCondition } from '../utils/tenantContext.js';
 
 export class Form {
     constructor(data) {
         this.id = data.id;                                    // UUID (primary key)
         this.sid = data.sid;                                  // Human-readable (FORM-001)
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
         this.title = data.title;
         this.description = data.description;
         this.questions = data.questions;
+        this.displayRules = data.displayRules ?? data.display_rules ?? [];
+        this.sections = data.sections ?? [];
         this.metadata = data.metadata;
         this.requireAll = data.require_all ?? data.requireAll ?? true;
         this.isActive = data.isActive ?? data.is_active;
+        this.currentVersionId = data.currentVersionId ?? data.current_version_id ?? null;
+        this.createdBy = data.createdBy ?? data.created_by ?? null;
+        this.updatedBy = data.updatedBy ?? data.updated_by ?? null;
         this.createdAt = data.createdAt ?? data.created_at;
         this.updatedAt = data.updatedAt ?? data.updated_at;
+        this.deletedAt = data.deletedAt ?? data.deleted_at ?? null;
+        this.deletedBy = data.deletedBy ?? data.deleted_by ?? null;
     }
 
     toJSON() {
         return {
             id: this.id,           // UUID for API operations
             sid: this.sid,         // Human-readable for display
+            tenantId: this.tenantId,
             title: this.title,
             description: this.description,
             questions: this.questions,
+            displayRules: this.displayRules,
+            // Flat forms and ungrouped questions show up as an implicit section
+            sections: resolveFormSections(this.questions, this.sections),
             metadata: this.metadata,
             requireAll: this.requireAll,
             isActive: this.isActive,
+            currentVersionId: this.currentVersionId,
+            createdBy: this.createdBy,
+            updatedBy: this.updatedBy,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
+            deletedAt: this.deletedAt,
+            deletedBy: this.deletedBy,
+            // Only present on updates that were diverted into a draft version
+            ...(this.draftVersion ? { draftVersion: this.draftVersion } : {}),
         };
     }
 
@@ -44,37 +69,51 @@ export class Form {
         return new Form({
             id: row.id,
             sid: row.sid,
+            tenantId: row.tenant_id,
             title: row.title,
             description: row.description,
             questions: row.questions,
+            displayRules: row.display_rules,
+            sections: row.sections,
             metadata: row.metadata,
             requireAll: row.require_all,
             isActive: row.is_active,
+            currentVersionId: row.current_version_id,
+            createdBy: row.created_by,
+            updatedBy: row.updated_by,
             createdAt: row.created_at,
             updatedAt: row.updated_at,
+            deletedAt: row.deleted_at,
+            deletedBy: row.deleted_by,
         });
     }
 
-    static async create({ title, description, questions, metadata = {}, requireAll = true }) {
-        const pool = getPool();
-
-        // Generate SID (human-readable ID)
-        const counter = await getNextSIDCounter('form');
-        const sid = generateSID('form', counter);
-
+    static async create({ title, description, questions, displayRules = [], sections = [], metadata = {}, requireAll = true }, client = null) {
         // Build enhanced metadata
         const enhancedMetadata = Form.buildEnhancedMetadata(questions, metadata);
 
         try {
-            // UUID is generated by database (DEFAULT gen_random_uuid())
-            const result = await pool.query(
-                `INSERT INTO forms (sid, title, description, questions, metadata, require_all, is_active)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         RETURNING *`,
-                [sid, title, description, JSON.stringify(questions), JSON.stringify(enhancedMetadata), requireAll, true]
-            );
+            // Form row and its published version 1 are written atomically
+            return await withTransaction(async (tx) => {
+                // Generate SID (human-readable ID)
+                const counter = await getNextSIDCounter('form', tx);
+                const sid = generateSID('form', counter);
 
-            return Form.fromRow(result.rows[0]);
+                // UUID is generated by database (DEFAULT gen_random_uuid())
+                const result = await tx.query(
+                    `INSERT INTO forms (sid, title, description, questions, display_rules, sections, metadata, require_all, is_active, created_by, tenant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id`,
+                    [sid, title, description, JSON.stringify(questions), JSON.stringify(displayRules), JSON.stringify(sections), JSON.stringify(enhancedMetadata), requireAll, true, getActorId(), getTenantId()]
+                );
+
+                const uuid = result.rows[0].id;
+                await FormVersion.createInitialVersions([uuid], tx);
+
+                const form = await Form.findById(uuid, tx);
+                await AuditLog.record({ entityType: 'form', action: 'create', after: form }, tx);
+                return form;
+            }, client);
         } catch (error) {
             throw new DatabaseError('Failed to create form', error);
         }
@@ -89,12 +128,19 @@ export class Form {
     /**
      * Find form by UUID (internal use)
      * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
+     * @param {object} options
+     * @param {boolean} options.withDeleted - Also find a soft-deleted form
      * @returns {Promise<Form>}
      */
-    static async findById(uuid) {
-        const pool = getPool();
+    static async findById(uuid, client = null, { withDeleted = false } = {}) {
+        const runner = client || getPool();
 
-        const result = await pool.query('SELECT * FROM forms WHERE id = $1', [uuid]);
+        const params = [uuid];
+        const result = await runner.query(
+            `SELECT * FROM forms WHERE id = $1${withDeleted ? '' : ' AND deleted_at IS NULL'}${tenantCondition(params)}`,
+            params
+        );
 
         if (result.rows.length === 0) {
             throw new NotFoundError('Form', uuid);
@@ -112,12 +158,15 @@ export class Form {
         const pool = getPool();
         let query = 'SELECT * FROM forms';
         const params = [];
+        const conditions = ['deleted_at IS NULL', ...tenantFilter(params)];
 
         if (isActive !== null) {
-            query += ' WHERE is_active = $1';
             params.push(isActive);
+            conditions.push(`is_active = $${params.length}`);
         }
 
+        query += ` WHERE ${conditions.join(' AND ')}`;
+
         query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
         params.push(limit, offset);
 
@@ -125,17 +174,49 @@ export class Form {
         return result.rows.map((row) => Form.fromRow(row));
     }
 
+    /**
+     * Find one page of forms, newest first by (created_at, id)
+     * @param {object} options
+     * @param {boolean} options.isActive - Filter by active state (optional)
+     * @param {string} options.cursor - nextCursor of the previous page (null for the first page)
+     * @param {number} options.limit - Page size (default: 100)
+     * @returns {Promise<{items: Array<Form>, nextCursor: string|null, hasMore: boolean}>}
+     */
+    static async findPage({ isActive = null, cursor = null, limit = 100 } = {}) {
+        const parameters = [];
+        const whereConditions = ['deleted_at IS NULL', ...tenantFilter(parameters)];
+
+        if (isActive !== null) {
+            parameters.push(isActive);
+            whereConditions.push(`is_active = $${parameters.length}`);
+        }
+
+        const page = await new CursorPaginator('forms', 'created_at', 'id').paginate({
+            cursor,
+            limit,
+            order: 'DESC',
+            whereConditions,
+            parameters,
+        });
+
+        return { items: page.data.map((row) => Form.fromRow(row)), nextCursor: page.nextCursor, hasMore: page.hasMore };
+    }
+
     /**
      * Update form by UUID (internal use)
      * @param {string} uuid - UUID only
      * @param {object} updates - Fields to update
+     * @param {object} client - Optional database client
      * @returns {Promise<Form>}
      */
-    static async updateById(uuid, updates) {
-        const pool = getPool();
+    static async updateById(uuid, updates, client = null) {
+        // The change and its audit log entry are written together
+        if (!client) {
+            return await withTransaction(tx => Form.updateById(uuid, updates, tx));
+        }
 
         // First verify the form exists
-        const form = await Form.findById(uuid);
+        const form = await Form.findById(uuid, client);
 
         const setClauses = [];
         const values = [];
@@ -156,6 +237,16 @@ export class Form {
             values.push(JSON.stringify(updates.questions));
         }
 
+        if (updates.displayRules !== undefined) {
+            setClauses.push(`display_rules = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.displayRules));
+        }
+
+        if (updates.sections !== undefined) {
+            setClauses.push(`sections = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.sections));
+        }
+
         if (updates.metadata !== undefined) {
             setClauses.push(`metadata = $${paramIndex++}`);
             values.push(JSON.stringify(updates.metadata));
@@ -171,19 +262,31 @@ export class Form {
             values.push(updates.isActive);
         }
 
+        if (updates.currentVersionId !== undefined) {
+            setClauses.push(`current_version_id = $${paramIndex++}`);
+            values.push(updates.currentVersionId);
+        }
+
         if (setClauses.length === 0) {
             return form;
         }
 
+        setClauses.push(`updated_by = $${paramIndex++}`);
+        values.push(getActorId());
+
         values.push(uuid);
         const query = `UPDATE forms SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
 
+        let updated;
         try {
-            const result = await pool.query(query, values);
-            return Form.fromRow(result.rows[0]);
+            const result = await client.query(query, values);
+            updated = Form.fromRow(result.rows[0]);
         } catch (error) {
             throw new DatabaseError('Failed to update form', error);
         }
+
+        await AuditLog.record({ entityType: 'form', action: 'update', before: form, after: updated }, client);
+        return updated;
     }
 
     /**
@@ -193,34 +296,135 @@ export class Form {
      * @returns {Promise<Form>}
      */
     /**
-     * Delete form by UUID (internal use)
+     * Soft-delete form by UUID (internal use)
+     *
+     * The form's live submissions and findings are marked with the same
+     * deleted_at, so that restoreById() brings them back together.
      * @param {string} uuid - UUID only
-     * @returns {Promise<Form>}
+     * @param {object} client - Optional database client
+     * @returns {Promise<Form>} The deleted form
      */
-    static async deleteById(uuid) {
-        const pool = getPool();
+    static async deleteById(uuid, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Form.deleteById(uuid, tx));
+        }
 
         // First verify the form exists
-        const form = await Form.findById(uuid);
+        const form = await Form.findById(uuid, client);
 
+        let deleted;
         try {
-            await pool.query('DELETE FROM forms WHERE id = $1', [uuid]);
-            return form;
+            const result = await client.query(
+                `UPDATE forms SET deleted_at = NOW(), deleted_by = $2
+                 WHERE id = $1
+                 RETURNING *`,
+                [uuid, getActorId()]
+            );
+            deleted = Form.fromRow(result.rows[0]);
+
+            for (const table of ['submissions', 'findings']) {
+                await client.query(
+                    `UPDATE ${table} SET deleted_at = f.deleted_at, deleted_by = f.deleted_by
+                     FROM forms f
+                     WHERE f.id = $1 AND ${table}.form_id = f.id AND ${table}.deleted_at IS NULL`,
+                    [uuid]
+                );
+            }
         } catch (error) {
             throw new DatabaseError('Failed to delete form', error);
         }
+
+        await AuditLog.record({ entityType: 'form', action: 'delete', before: form }, client);
+        return deleted;
+    }
+
+    /**
+     * Restore a soft-deleted form by UUID (internal use), with the submissions
+     * and findings its delete took along
+     * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
+     * @returns {Promise<Form>}
+     * @throws {InvalidOperationError} When the form is not deleted
+     */
+    static async restoreById(uuid, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Form.restoreById(uuid, tx));
+        }
+
+        const form = await Form.findById(uuid, client, { withDeleted: true });
+        if (!form.deletedAt) {
+            throw new InvalidOperationError(`Form '${form.sid}' is not deleted`);
+        }
+
+        let restored;
+        try {
+            for (const table of ['submissions', 'findings']) {
+                // Compared in SQL: deleted_at has more precision than a JS Date
+                await client.query(
+                    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL
+                     WHERE form_id = $1 AND deleted_at = (SELECT deleted_at FROM forms WHERE id = $1)`,
+                    [uuid]
+                );
+            }
+
+            const result = await client.query(
+                `UPDATE forms SET deleted_at = NULL, deleted_by = NULL, updated_by = $2
+                 WHERE id = $1
+                 RETURNING *`,
+                [uuid, getActorId()]
+            );
+            restored = Form.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to restore form', error);
+        }
+
+        await AuditLog.record({ entityType: 'form', action: 'restore', after: restored }, client);
+        return restored;
+    }
+
+    /**
+     * Hard-delete forms soft-deleted before a date, in the current tenant
+     *
+     * Submissions and findings of the purged forms go with them (ON DELETE
+     * CASCADE).
+     * @param {Date} before - Purge forms deleted before this date
+     * @param {object} client - Optional database client
+     * @returns {Promise<Array<Form>>} The purged forms
+     */
+    static async purgeDeleted(before, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Form.purgeDeleted(before, tx));
+        }
+
+        let forms;
+        try {
+            const params = [before];
+            const result = await client.query(
+                `DELETE FROM forms WHERE deleted_at < $1${tenantCondition(params)} RETURNING *`,
+                params
+            );
+            forms = result.rows.map(row => Form.fromRow(row));
+        } catch (error) {
+            throw new DatabaseError('Failed to purge deleted forms', error);
+        }
+
+        await AuditLog.recordMany({ entityType: 'form', action: 'purge', entities: forms }, client);
+        return forms;
     }
 
     static async count({ isActive = null } = {}) {
         const pool = getPool();
         let query = 'SELECT COUNT(*) as count FROM forms';
         const params = [];
+        const conditions = ['deleted_at IS NULL', ...tenantFilter(params)];
 
         if (isActive !== null) {
-            query += ' WHERE is_active = $1';
             params.push(isActive);
+            conditions.push(`is_active = $${params.length}`);
         }
 
+        query += ` WHERE ${conditions.join(' AND ')}`;
+
         const result = await pool.query(query, params);
         return parseInt(result.rows[0].count, 10);
     }
@@ -254,11 +458,13 @@ export class Form {
             const placeholders = [];
             let paramIndex = 1;
 
+            const createdBy = getActorId();
+            const tenantId = getTenantId();
             formsData.forEach((formData, index) => {
                 const sid = sids[index];
                 const enhancedMetadata = Form.buildEnhancedMetadata(formData.questions, formData.metadata);
                 placeholders.push(
-                    `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6})`
+                    `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8})`
                 );
                 values.push(
                     sid,
@@ -267,21 +473,33 @@ export class Form {
                     JSON.stringify(formData.questions),
                     JSON.stringify(enhancedMetadata),
                     formData.requireAll ?? true,
-                    true
+                    true,
+                    createdBy,
+                    tenantId
                 );
-                paramIndex += 7;
+                paramIndex += 9;
             });
 
             const query = `
-        INSERT INTO forms (sid, title, description, questions, metadata, require_all, is_active)
+        INSERT INTO forms (sid, title, description, questions, metadata, require_all, is_active, created_by, tenant_id)
         VALUES ${placeholders.join(', ')}
-        RETURNING *
+        RETURNING id
       `;
 
             const result = await client.query(query, values);
+            const uuids = result.rows.map(row => row.id);
+
+            await FormVersion.createInitialVersions(uuids, client);
+
+            // Re-read so current_version_id is populated, keeping input order
+            const formsResult = await client.query('SELECT * FROM forms WHERE id = ANY($1)', [uuids]);
+            const rowsById = new Map(formsResult.rows.map(row => [row.id, row]));
+            const forms = uuids.map(uuid => Form.fromRow(rowsById.get(uuid)));
+
+            await AuditLog.recordMany({ entityType: 'form', action: 'create', entities: forms }, client);
             await client.query('COMMIT');
 
-            return result.rows.map(row => Form.fromRow(row));
+            return forms;
         } catch (error) {
             await client.query('ROLLBACK');
             throw new DatabaseError('Failed to create forms in bulk', error);
@@ -302,9 +520,10 @@ export class Form {
 
         const pool = getPool();
 
+        const params = [uuids];
         const result = await pool.query(
-            'SELECT * FROM forms WHERE id = ANY($1)',
-            [uuids]
+            `SELECT * FROM forms WHERE id = ANY($1) AND deleted_at IS NULL${tenantCondition(params)}`,
+            params
         );
 
         return result.rows.map(row => Form.fromRow(row));
@@ -0,0 +1,313 @@
+/**
+ * FormVersion Model - v4.0.0
+ *
+ * Immutable snapshots of a form's questions, display rules and sections:
+ * - id (UUID): Primary key, referenced by submissions.form_version_id
+ * - formId (UUID): Parent form
+ * - versionNumber: 1, 2, 3... per form
+ * - status: 'draft' (pending edits) or 'published'
+ *
+ * Saving and publishing a draft are recorded in the form's audit trail as a
+ * change of its draftVersion.
+ */
+
+import { getPool } from '../config/database.js';
+import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { tenantCondition } from '../utils/tenantContext.js';
+import { resolveFormSections } from '../utils/formSections.js';
+import { AuditLog } from './AuditLog.js';
+
+export class FormVersion {
+    // Form fields that are snapshotted per version rather than edited in place
+    static VERSIONED_FIELDS = ['questions', 'displayRules', 'sections'];
+
+    constructor(data) {
+        this.id = data.id;
+        this.formId = data.formId ?? data.form_id;
+        this.formSid = data.formSid ?? data.form_sid;
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
+        this.versionNumber = data.versionNumber ?? data.version_number;
+        this.status = data.status;
+        this.questions = data.questions;
+        this.displayRules = data.displayRules ?? data.display_rules ?? [];
+        this.sections = data.sections ?? [];
+        this.createdAt = data.createdAt ?? data.created_at;
+        this.publishedAt = data.publishedAt ?? data.published_at ?? null;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            formId: this.formId,
+            formSid: this.formSid,
+            tenantId: this.tenantId,
+            versionNumber: this.versionNumber,
+            status: this.status,
+            questions: this.questions,
+            displayRules: this.displayRules,
+            // Flat forms and ungrouped questions show up as an implicit section
+            sections: resolveFormSections(this.questions, this.sections),
+            createdAt: this.createdAt,
+            publishedAt: this.publishedAt,
+        };
+    }
+
+    static fromRow(row) {
+        if (!row) return null;
+        return new FormVersion({
+            id: row.id,
+            formId: row.form_id,
+            formSid: row.form_sid,
+            tenantId: row.tenant_id,
+            versionNumber: row.version_number,
+            status: row.status,
+            questions: row.questions,
+            displayRules: row.display_rules,
+            sections: row.sections,
+            createdAt: row.created_at,
+            publishedAt: row.published_at,
+        });
+    }
+
+    /**
+     * Create the published version 1 for newly inserted forms
+     * @param {Array<string>} formUuids - Form UUIDs
+     * @param {object} client - Database client (same transaction as the form insert)
+     * @returns {Promise<void>}
+     */
+    static async createInitialVersions(formUuids, client) {
+        await client.query(
+            `INSERT INTO form_versions (form_id, form_sid, tenant_id, version_number, status, questions, display_rules, sections, published_at)
+             SELECT id, sid, tenant_id, 1, 'published', questions, display_rules, sections, CURRENT_TIMESTAMP
+             FROM forms WHERE id = ANY($1)`,
+            [formUuids]
+        );
+
+        await client.query(
+            `UPDATE forms f SET current_version_id = v.id
+             FROM form_versions v
+             WHERE v.form_id = f.id AND v.version_number = 1 AND f.id = ANY($1)`,
+            [formUuids]
+        );
+    }
+
+    /**
+     * Find version by UUID
+     * @param {string} uuid - Version UUID
+     * @param {object} client - Optional database client
+     * @returns {Promise<FormVersion>}
+     */
+    static async findById(uuid, client = null) {
+        const runner = client || getPool();
+
+        const params = [uuid];
+        const result = await runner.query(`SELECT * FROM form_versions WHERE id = $1${tenantCondition(params)}`, params);
+
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Form version', uuid);
+        }
+
+        return FormVersion.fromRow(result.rows[0]);
+    }
+
+    /**
+     * Find versions by multiple UUIDs
+     * @param {Array<string>} uuids - Version UUIDs
+     * @returns {Promise<Array<FormVersion>>}
+     */
+    static async findByIds(uuids) {
+        if (!Array.isArray(uuids) || uuids.length === 0) {
+            return [];
+        }
+
+        const pool = getPool();
+        const params = [uuids];
+        const result = await pool.query(`SELECT * FROM form_versions WHERE id = ANY($1)${tenantCondition(params)}`, params);
+
+        return result.rows.map(row => FormVersion.fromRow(row));
+    }
+
+    /**
+     * Find all versions of a form, newest first
+     * @param {string} formUuid - Form UUID
+     * @returns {Promise<Array<FormVersion>>}
+     */
+    static async findByFormId(formUuid) {
+        const pool = getPool();
+
+        const params = [formUuid];
+        const result = await pool.query(
+            `SELECT * FROM form_versions WHERE form_id = $1${tenantCondition(params)} ORDER BY version_number DESC`,
+            params
+        );
+
+        return result.rows.map(row => FormVersion.fromRow(row));
+    }
+
+    /**
+     * Find the pending draft of a form, if any
+     * @param {string} formUuid - Form UUID
+     * @param {object} client - Optional database client
+     * @returns {Promise<FormVersion|null>}
+     */
+    static async findDraftByFormId(formUuid, client = null) {
+        const runner = client || getPool();
+
+        const result = await runner.query(
+            `SELECT * FROM form_versions WHERE form_id = $1 AND status = 'draft'`,
+            [formUuid]
+        );
+
+        return FormVersion.fromRow(result.rows[0]);
+    }
+
+    /**
+     * Check whether any submission is pinned to a version
+     * @param {string} uuid - Version UUID
+     * @param {object} client - Optional database client
+     * @returns {Promise<boolean>}
+     */
+    static async hasSubmissions(uuid, client = null) {
+        const runner = client || getPool();
+
+        const result = await runner.query(
+            'SELECT EXISTS (SELECT 1 FROM submissions WHERE form_version_id = $1) AS has_submissions',
+            [uuid]
+        );
+
+        return result.rows[0].has_submissions;
+    }
+
+    /**
+     * Create or update the pending draft of a form
+     * @param {Form} form - Parent form
+     * @param {object} fields - Versioned fields (see VERSIONED_FIELDS)
+     * @param {object} client - Database client
+     * @returns {Promise<FormVersion>}
+     */
+    static async saveDraft(form, fields, client) {
+        const existing = await FormVersion.findDraftByFormId(form.id, client);
+
+        if (existing) {
+            const draft = await FormVersion.updateById(existing.id, fields, client);
+            await FormVersion.recordDraftChange(form, existing, draft, client);
+            return draft;
+        }
+
+        // New drafts start from the current snapshot so unchanged fields carry over
+        const base = { questions: form.questions, displayRules: form.displayRules, sections: form.sections, ...fields };
+
+        let draft;
+        try {
+            const result = await client.query(
+                `INSERT INTO form_versions (form_id, form_sid, version_number, status, questions, display_rules, sections, tenant_id)
+                 SELECT $1, $2, COALESCE(MAX(version_number), 0) + 1, 'draft', $3, $4, $5, $6
+                 FROM form_versions WHERE form_id = $1
+                 RETURNING *`,
+                [
+                    form.id, form.sid, JSON.stringify(base.questions), JSON.stringify(base.displayRules), JSON.stringify(base.sections),
+                    form.tenantId,
+                ]
+            );
+
+            draft = FormVersion.fromRow(result.rows[0]);
+        } catch (error) {
+            throw new DatabaseError('Failed to create form draft version', error);
+        }
+
+        await FormVersion.recordDraftChange(form, null, draft, client);
+        return draft;
+    }
+
+    /**
+     * Publish a draft version
+     *
+     * The caller points the form at the published version with
+     * Form.updateById(), which records that change.
+     * @param {FormVersion} draft - Draft to publish
+     * @param {Form} form - Parent form, before the publish
+     * @param {object} client - Database client
+     * @returns {Promise<FormVersion>}
+     */
+    static async publish(draft, form, client) {
+        const published = await FormVersion.updateById(draft.id, { status: 'published' }, client);
+        await FormVersion.recordDraftChange(form, draft, null, client);
+        return published;
+    }
+
+    /**
+     * Record a change of a form's pending draft in the form's audit trail
+     * @param {Form} form - Parent form
+     * @param {FormVersion} previous - Draft before the change (null if there was none)
+     * @param {FormVersion} next - Draft after the change (null once published)
+     * @param {object} client - Transaction client of the change
+     * @returns {Promise<AuditLog|null>}
+     */
+    static async recordDraftChange(form, previous, next, client) {
+        return await AuditLog.record({
+            entityType: 'form',
+            action: 'update',
+            before: { ...form.toJSON(), draftVersion: previous },
+            after: { ...form.toJSON(), draftVersion: next },
+        }, client);
+    }
+
+    /**
+     * Update version by UUID
+     * @param {string} uuid - Version UUID
+     * @param {object} updates - Versioned fields and/or status
+     * @param {object} client - Optional database client
+     * @returns {Promise<FormVersion>}
+     */
+    static async updateById(uuid, updates, client = null) {
+        const runner = client || getPool();
+
+        const setClauses = [];
+        const values = [];
+        let paramIndex = 1;
+
+        if (updates.questions !== undefined) {
+            setClauses.push(`questions = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.questions));
+        }
+
+        if (updates.displayRules !== undefined) {
+            setClauses.push(`display_rules = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.displayRules));
+        }
+
+        if (updates.sections !== undefined) {
+            setClauses.push(`sections = $${paramIndex++}`);
+            values.push(JSON.stringify(updates.sections));
+        }
+
+        if (updates.status !== undefined) {
+            setClauses.push(`status = $${paramIndex++}`);
+            values.push(updates.status);
+
+            if (updates.status === 'published') {
+                setClauses.push('published_at = CURRENT_TIMESTAMP');
+            }
+        }
+
+        if (setClauses.length === 0) {
+            return await FormVersion.findById(uuid, client);
+        }
+
+        values.push(uuid);
+        const query = `UPDATE form_versions SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+
+        try {
+            const result = await runner.query(query, values);
+            if (result.rows.length === 0) {
+                throw new NotFoundError('Form version', uuid);
+            }
+            return FormVersion.fromRow(result.rows[0]);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new DatabaseError('Failed to update form version', error);
+        }
+    }
+}
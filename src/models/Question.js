@@ -6,36 +6,60 @@
  * - sid (VARCHAR): Human-readable ID (Q-001) for display only
  */
 
-import { getPool } from '../config/database.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { generateSID, getNextSIDCounter } from '../utils/idResolver.js';
 import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { CursorPaginator } from '../utils/queryOptimizer.js';
+import { AuditLog } from './AuditLog.js';
+import { getActorId } from '../utils/actorContext.js';
+import { getTenantId, tenantFilter, tenantCondition } from '../utils/tenantContext.js';
+
+// Full-text search expression; must match idx_question_bank_text_search (migration 038)
+const QUESTION_SEARCH_VECTOR = "to_tsvector('english', COALESCE(question_text, ''))";
 
 export class Question {
     constructor(data) {
         this.id = data.id;                                    // UUID (primary key)
         this.sid = data.sid;                                  // Human-readable (Q-001)
+        this.tenantId = data.tenantId ?? data.tenant_id ?? null;
         this.questionText = data.questionText ?? data.question_text;
         this.questionType = data.questionType ?? data.question_type;
         this.options = data.options;
         this.validationRules = data.validationRules ?? data.validation_rules;
         this.metadata = data.metadata;
+        this.tags = data.tags ?? [];
+        this.category = data.category ?? null;
         this.isActive = data.isActive ?? data.is_active;
+        this.createdBy = data.createdBy ?? data.created_by ?? null;
+        this.updatedBy = data.updatedBy ?? data.updated_by ?? null;
         this.createdAt = data.createdAt ?? data.created_at;
         this.updatedAt = data.updatedAt ?? data.updated_at;
+        this.deletedAt = data.deletedAt ?? data.deleted_at ?? null;
+        this.deletedBy = data.deletedBy ?? data.deleted_by ?? null;
     }
 
     toJSON() {
         return {
             id: this.id,           // UUID for API operations
             sid: this.sid,         // Human-readable for display
+            tenantId: this.tenantId,
             questionText: this.questionText,
             questionType: this.questionType,
             options: this.options,
             validationRules: this.validationRules,
             metadata: this.metadata,
+            tags: this.tags,
+            category: this.category,
             isActive: this.isActive,
+            createdBy: this.createdBy,
+            updatedBy: this.updatedBy,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
+            deletedAt: this.deletedAt,
+            deletedBy: this.deletedBy,
+            // Only present on deactivations of a question that forms use
+            ...(this.affectedForms ? { affectedForms: this.affectedForms } : {}),
+            ...(this.failedReports ? { failedReports: this.failedReports } : {}),
         };
     }
 
@@ -44,29 +68,40 @@ export class Question {
         return new Question({
             id: row.id,
             sid: row.sid,
+            tenantId: row.tenant_id,
             questionText: row.question_text,
             questionType: row.question_type,
             options: row.options,
             validationRules: row.validation_rules,
             metadata: row.metadata,
+            tags: row.tags,
+            category: row.category,
             isActive: row.is_active,
+            createdBy: row.created_by,
+            updatedBy: row.updated_by,
             createdAt: row.created_at,
             updatedAt: row.updated_at,
+            deletedAt: row.deleted_at,
+            deletedBy: row.deleted_by,
         });
     }
 
-    static async create({ questionText, questionType, options = null, validationRules = null, metadata = {} }) {
-        const pool = getPool();
+    static async create({ questionText, questionType, options = null, validationRules = null, metadata = {}, tags = [], category = null }, client = null) {
+        // The question and its audit log entry are written together
+        if (!client) {
+            return await withTransaction(tx => Question.create({ questionText, questionType, options, validationRules, metadata, tags, category }, tx));
+        }
 
         // Generate SID (human-readable ID)
-        const counter = await getNextSIDCounter('question');
+        const counter = await getNextSIDCounter('question', client);
         const sid = generateSID('question', counter);
 
+        let question;
         try {
             // UUID is generated by database (DEFAULT gen_random_uuid())
-            const result = await pool.query(
-                `INSERT INTO question_bank (sid, question_text, question_type, options, validation_rules, metadata, is_active)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
+            const result = await client.query(
+                `INSERT INTO question_bank (sid, question_text, question_type, options, validation_rules, metadata, is_active, created_by, tenant_id, tags, category)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
          RETURNING *`,
                 [
                     sid,
@@ -76,24 +111,36 @@ export class Question {
                     validationRules ? JSON.stringify(validationRules) : null,
                     JSON.stringify(metadata),
                     true,
+                    getActorId(),
+                    getTenantId(),
+                    tags,
+                    category,
                 ]
             );
 
-            return Question.fromRow(result.rows[0]);
+            question = Question.fromRow(result.rows[0]);
         } catch (error) {
             throw new DatabaseError('Failed to create question', error);
         }
+
+        await AuditLog.record({ entityType: 'question', action: 'create', after: question }, client);
+        return question;
     }
 
     /**
      * Find question by UUID (internal use)
      * @param {string} uuid - UUID only
+     * @param {object} client - Optional database client
      * @returns {Promise<Question>}
      */
-    static async findById(uuid) {
-        const pool = getPool();
+    static async findById(uuid, client = null) {
+        const runner = client || getPool();
 
-        const result = await pool.query('SELECT * FROM question_bank WHERE id = $1', [uuid]);
+        const params = [uuid];
+        const result = await runner.query(
+            `SELECT * FROM question_bank WHERE id = $1 AND deleted_at IS NULL${tenantCondition(params)}`,
+            params
+        );
 
         if (result.rows.length === 0) {
             throw new NotFoundError('Question', uuid);
@@ -103,13 +150,21 @@ export class Question {
     }
 
     /**
-     * Find question by SID (user-facing)
-     * @param {string} sid - SID only (e.g., 'Q-001')
-     * @returns {Promise<Question>}
+     * Build the WHERE clause shared by findAll(), findPage() and count()
+     * @param {object} filters - See findAll()
+     * @returns {{ where: string, conditions: Array<string>, params: Array, searchParam: number|null }}
+     *   WHERE clause, its conditions and parameters, and the parameter number of the search text
      */
-    static async findAll({ questionType = null, isActive = null, limit = 100, offset = 0 } = {}) {
-        const pool = getPool();
-        const whereClauses = [];
+    static buildFilterClause({
+        questionType = null,
+        isActive = null,
+        tags = null,
+        category = null,
+        search = null,
+        createdAfter = null,
+        createdBefore = null
+    } = {}) {
+        const whereClauses = ['deleted_at IS NULL'];
         const params = [];
         let paramIndex = 1;
 
@@ -123,33 +178,112 @@ export class Question {
             params.push(isActive);
         }
 
-        let query = 'SELECT * FROM question_bank';
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
+        // Containment on the GIN-indexed tags array: questions carrying every tag
+        const tagList = tags === null ? [] : [].concat(tags);
+        if (tagList.length > 0) {
+            whereClauses.push(`tags @> $${paramIndex++}::text[]`);
+            params.push(tagList);
         }
 
-        query += ` ORDER BY created_at DESC LIMIT $${paramIndex++} OFFSET $${paramIndex}`;
-        params.push(limit, offset);
+        if (category) {
+            whereClauses.push(`category = $${paramIndex++}`);
+            params.push(category);
+        }
+
+        let searchParam = null;
+        if (search) {
+            searchParam = paramIndex++;
+            whereClauses.push(`${QUESTION_SEARCH_VECTOR} @@ plainto_tsquery('english', $${searchParam})`);
+            params.push(search);
+        }
 
-        const result = await pool.query(query, params);
+        if (createdAfter) {
+            whereClauses.push(`created_at >= $${paramIndex++}`);
+            params.push(createdAfter);
+        }
+
+        if (createdBefore) {
+            whereClauses.push(`created_at <= $${paramIndex++}`);
+            params.push(createdBefore);
+        }
+
+        whereClauses.push(...tenantFilter(params));
+
+        return {
+            where: ` WHERE ${whereClauses.join(' AND ')}`,
+            conditions: whereClauses,
+            params,
+            searchParam,
+        };
+    }
+
+    /**
+     * Find questions with filters; newest first, or best match first with search
+     * @param {object} filters
+     * @param {string} filters.questionType - Question type (optional)
+     * @param {boolean} filters.isActive - Active state (optional)
+     * @param {string|Array<string>} filters.tags - Tags the questions must all carry (optional)
+     * @param {string} filters.category - Category (optional)
+     * @param {string} filters.search - Full-text search over question_text (optional)
+     * @param {string} filters.createdAfter - Created at or after date (optional)
+     * @param {string} filters.createdBefore - Created at or before date (optional)
+     * @param {number} filters.limit - Limit (default: 100)
+     * @param {number} filters.offset - Offset (default: 0)
+     * @returns {Promise<Array<Question>>}
+     */
+    static async findAll({ limit = 100, offset = 0, ...filters } = {}) {
+        const pool = getPool();
+        const { where, params, searchParam } = Question.buildFilterClause(filters);
+        const orderBy = searchParam
+            ? `ts_rank(${QUESTION_SEARCH_VECTOR}, plainto_tsquery('english', $${searchParam})) DESC, created_at DESC, id DESC`
+            : 'created_at DESC';
+
+        const result = await pool.query(
+            `SELECT * FROM question_bank${where} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
         return result.rows.map((row) => Question.fromRow(row));
     }
 
+    /**
+     * Find one page of questions, newest first by (created_at, id)
+     * @param {object} options - Filters of findAll(), plus:
+     * @param {string} options.cursor - nextCursor of the previous page (null for the first page)
+     * @param {number} options.limit - Page size (default: 100)
+     * @returns {Promise<{items: Array<Question>, nextCursor: string|null, hasMore: boolean}>}
+     */
+    static async findPage({ cursor = null, limit = 100, offset: _offset, ...filters } = {}) {
+        const { conditions, params } = Question.buildFilterClause(filters);
+        const page = await new CursorPaginator('question_bank', 'created_at', 'id').paginate({
+            cursor,
+            limit,
+            order: 'DESC',
+            whereConditions: conditions,
+            parameters: params,
+        });
+
+        return { items: page.data.map((row) => Question.fromRow(row)), nextCursor: page.nextCursor, hasMore: page.hasMore };
+    }
+
     /**
      * Find questions by multiple UUIDs (internal use)
      * @param {Array<string>} uuids - Array of UUIDs
+     * @param {object} options
+     * @param {boolean} options.withDeleted - Also find soft-deleted questions, e.g. to show
+     *   the answers of forms that still use them
      * @returns {Promise<Array<Question>>}
      */
-    static async findByIds(uuids) {
+    static async findByIds(uuids, { withDeleted = false } = {}) {
         if (!uuids || uuids.length === 0) {
             return [];
         }
 
         const pool = getPool();
 
+        const params = [uuids];
         const result = await pool.query(
-            'SELECT * FROM question_bank WHERE id = ANY($1)',
-            [uuids]
+            `SELECT * FROM question_bank WHERE id = ANY($1)${withDeleted ? '' : ' AND deleted_at IS NULL'}${tenantCondition(params)}`,
+            params
         );
 
         return result.rows.map((row) => Question.fromRow(row));
@@ -173,7 +307,7 @@ export class Question {
         try {
             await client.query('BEGIN');
 
-            const question = await Question.findById(uuid);
+            const question = await Question.findById(uuid, client);
 
             const setClauses = [];
             const values = [];
@@ -209,18 +343,34 @@ export class Question {
                 values.push(updates.isActive);
             }
 
+            if (updates.tags !== undefined) {
+                setClauses.push(`tags = $${paramIndex++}`);
+                values.push(updates.tags);
+            }
+
+            if (updates.category !== undefined) {
+                setClauses.push(`category = $${paramIndex++}`);
+                values.push(updates.category);
+            }
+
             if (setClauses.length === 0) {
                 await client.query('COMMIT');
                 return question;
             }
 
+            setClauses.push(`updated_by = $${paramIndex++}`);
+            values.push(getActorId());
+
             values.push(uuid);
             const query = `UPDATE question_bank SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
 
             const result = await client.query(query, values);
+            const updated = Question.fromRow(result.rows[0]);
+
+            await AuditLog.record({ entityType: 'question', action: 'update', before: question, after: updated }, client);
             await client.query('COMMIT');
 
-            return Question.fromRow(result.rows[0]);
+            return updated;
         } catch (error) {
             await client.query('ROLLBACK');
             throw new DatabaseError('Failed to update question', error);
@@ -236,54 +386,45 @@ export class Question {
      * @returns {Promise<Question>}
      */
     /**
-     * Delete question by UUID (internal use)
+     * Soft-delete question by UUID (internal use)
+     *
+     * Findings on the question are kept; forms referencing it keep their copy.
      * @param {string} uuid - UUID only
-     * @returns {Promise<Question>}
+     * @param {object} client - Optional database client
+     * @returns {Promise<Question>} The deleted question
      */
-    static async deleteById(uuid) {
-        const pool = getPool();
-        const client = await pool.connect();
-
+    static async deleteById(uuid, client = null) {
         try {
-            await client.query('BEGIN');
-
-            const question = await Question.findById(uuid);
-
-            await client.query('DELETE FROM question_bank WHERE id = $1', [uuid]);
+            // The delete and its audit log entry are written together
+            return await withTransaction(async (tx) => {
+                const question = await Question.findById(uuid, tx);
+
+                const result = await tx.query(
+                    `UPDATE question_bank SET deleted_at = NOW(), deleted_by = $2
+                     WHERE id = $1
+                     RETURNING *`,
+                    [uuid, getActorId()]
+                );
 
-            await client.query('COMMIT');
+                await AuditLog.record({ entityType: 'question', action: 'delete', before: question }, tx);
 
-            return question;
+                return Question.fromRow(result.rows[0]);
+            }, client);
         } catch (error) {
-            await client.query('ROLLBACK');
             throw new DatabaseError('Failed to delete question', error);
-        } finally {
-            client.release();
         }
     }
 
-    static async count({ questionType = null, isActive = null } = {}) {
+    /**
+     * Count questions
+     * @param {object} filters - Same filters as findAll(), without limit/offset
+     * @returns {Promise<number>}
+     */
+    static async count(filters = {}) {
         const pool = getPool();
-        const whereClauses = [];
-        const params = [];
-        let paramIndex = 1;
-
-        if (questionType) {
-            whereClauses.push(`question_type = $${paramIndex++}`);
-            params.push(questionType);
-        }
-
-        if (isActive !== null) {
-            whereClauses.push(`is_active = $${paramIndex++}`);
-            params.push(isActive);
-        }
-
-        let query = 'SELECT COUNT(*) as count FROM question_bank';
-        if (whereClauses.length > 0) {
-            query += ' WHERE ' + whereClauses.join(' AND ');
-        }
+        const { where, params } = Question.buildFilterClause(filters);
 
-        const result = await pool.query(query, params);
+        const result = await pool.query(`SELECT COUNT(*) as count FROM question_bank${where}`, params);
         return parseInt(result.rows[0].count, 10);
     }
 
@@ -316,10 +457,12 @@ export class Question {
             const placeholders = [];
             let paramIndex = 1;
 
+            const createdBy = getActorId();
+            const tenantId = getTenantId();
             questionsData.forEach((questionData, index) => {
                 const sid = sids[index];
                 placeholders.push(
-                    `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6})`
+                    `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9}, $${paramIndex + 10})`
                 );
                 values.push(
                     sid,
@@ -328,21 +471,28 @@ export class Question {
                     questionData.options ? JSON.stringify(questionData.options) : null,
                     questionData.validationRules ? JSON.stringify(questionData.validationRules) : null,
                     JSON.stringify(questionData.metadata || {}),
-                    true
+                    true,
+                    createdBy,
+                    tenantId,
+                    questionData.tags || [],
+                    questionData.category ?? null
                 );
-                paramIndex += 7;
+                paramIndex += 11;
             });
 
             const query = `
-        INSERT INTO question_bank (sid, question_text, question_type, options, validation_rules, metadata, is_active)
+        INSERT INTO question_bank (sid, question_text, question_type, options, validation_rules, metadata, is_active, created_by, tenant_id, tags, category)
         VALUES ${placeholders.join(', ')}
         RETURNING *
       `;
 
             const result = await client.query(query, values);
+            const questions = result.rows.map(row => Question.fromRow(row));
+
+            await AuditLog.recordMany({ entityType: 'question', action: 'create', entities: questions }, client);
             await client.query('COMMIT');
 
-            return result.rows.map(row => Question.fromRow(row));
+            return questions;
         } catch (error) {
             await client.query('ROLLBACK');
             throw new DatabaseError('Failed to create questions in bulk', error);
@@ -352,7 +502,7 @@ export class Question {
     }
 
     /**
-     * Batch delete questions by UUIDs (internal use)
+     * Batch soft-delete questions by UUIDs (internal use)
      * @param {Array<string>} uuids - Array of UUIDs
      * @returns {Promise<Array<Question>>}
      */
@@ -367,21 +517,25 @@ export class Question {
         try {
             await client.query('BEGIN');
 
-            // Fetch questions before deletion for return value
+            // Fetch questions before deletion for the audit log
+            const params = [uuids];
             const selectResult = await client.query(
-                'SELECT * FROM question_bank WHERE id = ANY($1)',
-                [uuids]
+                `SELECT * FROM question_bank WHERE id = ANY($1) AND deleted_at IS NULL${tenantCondition(params)}`,
+                params
             );
             const questions = selectResult.rows.map(row => Question.fromRow(row));
 
-            // Bulk delete
-            await client.query(
-                'DELETE FROM question_bank WHERE id = ANY($1)',
-                [uuids]
+            // Bulk soft delete, limited to the live questions found in this tenant
+            const result = await client.query(
+                `UPDATE question_bank SET deleted_at = NOW(), deleted_by = $2
+                 WHERE id = ANY($1)
+                 RETURNING *`,
+                [questions.map(question => question.id), getActorId()]
             );
 
+            await AuditLog.recordMany({ entityType: 'question', action: 'delete', entities: questions }, client);
             await client.query('COMMIT');
-            return questions;
+            return result.rows.map(row => Question.fromRow(row));
         } catch (error) {
             await client.query('ROLLBACK');
             throw new DatabaseError('Failed to delete questions in bulk', error);
@@ -389,4 +543,63 @@ export class Question {
             client.release();
         }
     }
+
+    /**
+     * SQL condition: form or form version `form` lists question `question`
+     *
+     * Forms reference bank questions by UUID (older forms by SID), either as a
+     * bare string or as an object carrying per-form overrides. SIDs are only
+     * unique per tenant, so the form must be in the question's tenant.
+     * @param {string} form - Alias of the forms or form_versions table
+     * @param {string} question - Alias of the question_bank table
+     * @returns {string}
+     */
+    static formUsesQuestionCondition(form, question) {
+        return `${form}.tenant_id IS NOT DISTINCT FROM ${question}.tenant_id
+            AND ${form}.questions @> ANY(ARRAY[
+                jsonb_build_array(${question}.id::text),
+                jsonb_build_array(jsonb_build_object('questionId', ${question}.id::text)),
+                jsonb_build_array(${question}.sid),
+                jsonb_build_array(jsonb_build_object('questionId', ${question}.sid))
+            ])`;
+    }
+
+    /**
+     * Hard-delete questions soft-deleted before a date, in the current tenant
+     *
+     * Questions that findings still refer to are kept, as purging them would
+     * take the findings along (ON DELETE CASCADE). So are questions that a
+     * stored form or form version still lists: forms and the submissions
+     * pinned to their versions render bank questions from the bank, and a
+     * force-deleted question stays on them until they drop it. Forms that are
+     * themselves purged go first, with their versions (see RetentionService).
+     * @param {Date} before - Purge questions deleted before this date
+     * @param {object} client - Optional database client
+     * @returns {Promise<Array<Question>>} The purged questions
+     */
+    static async purgeDeleted(before, client = null) {
+        if (!client) {
+            return await withTransaction(tx => Question.purgeDeleted(before, tx));
+        }
+
+        let questions;
+        try {
+            const params = [before];
+            const result = await client.query(
+                `DELETE FROM question_bank q
+                 WHERE q.deleted_at < $1${tenantCondition(params, 'q.tenant_id')}
+                   AND NOT EXISTS (SELECT 1 FROM public.findings f WHERE f.question_id = q.id)
+                   AND NOT EXISTS (SELECT 1 FROM public.forms f WHERE ${Question.formUsesQuestionCondition('f', 'q')})
+                   AND NOT EXISTS (SELECT 1 FROM public.form_versions v WHERE ${Question.formUsesQuestionCondition('v', 'q')})
+                 RETURNING q.*`,
+                params
+            );
+            questions = result.rows.map(row => Question.fromRow(row));
+        } catch (error) {
+            throw new DatabaseError('Failed to purge deleted questions', error);
+        }
+
+        await AuditLog.recordMany({ entityType: 'question', action: 'purge', entities: questions }, client);
+        return questions;
+    }
 }
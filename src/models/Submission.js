@@ -6,39 +6,146 @@
  * - sid (VARCHAR): Human-readable ID (SUB-001) for display only
  * - formId (UUID): Foreign key to forms table (always UUID)
  * - formSid (VARCHAR): Denormalized form SID stored for reporting
+ * - formVersionId (UUID): Form version the submission answered
+ * - score (JSONB): Score breakdown computed on create (null for unscored forms)
+ * - status: 'draft' (partial answers, submittedAt null), or a status of the
+ *   submission review workflow (submitted, under_review, approved, returned)
+ * - reviewedBy / reviewedAt / reviewComment: Latest review step
  */
 
-import { getPool } from '../config/database.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { generateSID, getNextSIDCounter } from '../utils/idResolver.js';
-import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { DatabaseError, NotFoundError, InvalidOperationError } from '../utils/errors.js';
+import { calculateScore } from '../utils/scoring.js';
+import { CursorPaginator } from '../utils/queryOptimizer.js';
 import { Form } from './Form.js';
+import { AuditLog } from './AuditLog.js';
+import { getActorId } from '../utils/actorContext.js';
+import { tenantFilter, tenantCondition } from '../utils/tenantContext.js';
+
+// Answer stored under a question key, as JSONB and as text
+const answerJson = (param) => `submission_data -> $${param}::text`;
+const answerText = (param) => `submission_data ->> $${param}::text`;
+
+const NUMERIC_COMPARATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * SQL condition for one answer predicate (see Submission.ANSWER_OPERATORS)
+ *
+ * equals, in and contains compare JSON values through the GIN index on
+ * submission_data, so '5' does not match a stored number 5. notEquals and
+ * notIn also match unanswered questions, as display rules do.
+ * @param {object} predicate - { questionId, operator, value }
+ * @param {Array} params - Query parameters; the predicate's values are appended
+ * @returns {string}
+ */
+function buildAnswerCondition({ questionId, operator = 'equals', value }, params) {
+  params.push(questionId);
+  const key = params.length;
+  const param = () => params.length;
+
+  switch (operator) {
+    case 'answered':
+      return `COALESCE(${answerText(key)}, '') NOT IN ('', '[]')`;
+    case 'notAnswered':
+      return `COALESCE(${answerText(key)}, '') IN ('', '[]')`;
+    case 'contains':
+      params.push(JSON.stringify({ [questionId]: [value] }));
+      return `submission_data @> $${param()}::jsonb`;
+    case 'in':
+    case 'notIn': {
+      params.push(value.map((item) => JSON.stringify({ [questionId]: item })));
+      const condition = `submission_data @> ANY($${param()}::jsonb[])`;
+      return operator === 'in' ? condition : `NOT (${condition})`;
+    }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      params.push(value);
+      return `CASE WHEN jsonb_typeof(${answerJson(key)}) = 'number' ` +
+        `THEN (${answerText(key)})::numeric ${NUMERIC_COMPARATORS[operator]} $${param()}::numeric ELSE false END`;
+    case 'notEquals':
+      params.push(JSON.stringify({ [questionId]: value }));
+      return `NOT (submission_data @> $${param()}::jsonb)`;
+    default:
+      params.push(JSON.stringify({ [questionId]: value }));
+      return `submission_data @> $${param()}::jsonb`;
+  }
+}
+
+/**
+ * A single value or a list of values, as a list
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
 
 export class Submission {
+  // Must stay in step with the valid_submission_status CHECK of migration 033
+  static STATUSES = ['draft', 'submitted', 'under_review', 'approved', 'returned'];
+
+  // Operators of answer predicates in findAll({ answers }) and count({ answers })
+  static ANSWER_OPERATORS = [
+    'equals', 'notEquals', 'in', 'notIn', 'contains', 'answered', 'notAnswered', 'gt', 'gte', 'lt', 'lte',
+  ];
+
   constructor(data) {
     this.id = data.id;                                    // UUID (primary key)
     this.sid = data.sid;                                  // Human-readable (SUB-001)
+    this.tenantId = data.tenantId ?? data.tenant_id ?? null;
     this.formId = data.formId ?? data.form_id;           // UUID (foreign key)
     this.formSid = data.formSid ?? data.form_sid;        // Human-readable form ID
+    this.formVersionId = data.formVersionId ?? data.form_version_id ?? null;
     this.submissionData = data.submissionData ?? data.submission_data;
     this.metadata = data.metadata;
     this.submittedAt = data.submittedAt ?? data.submitted_at;
     // Phase 3: submission targeting fields
     this.targetUnitId = data.targetUnitId ?? data.target_unit_id ?? null;
     this.submitterUserId = data.submitterUserId ?? data.submitter_user_id ?? null;
+    this.score = data.score ?? null;
+    this.status = data.status ?? 'submitted';
+    this.createdBy = data.createdBy ?? data.created_by ?? null;
+    this.updatedBy = data.updatedBy ?? data.updated_by ?? null;
+    this.createdAt = data.createdAt ?? data.created_at;
+    this.updatedAt = data.updatedAt ?? data.updated_at;
+    this.reviewedBy = data.reviewedBy ?? data.reviewed_by ?? null;
+    this.reviewedAt = data.reviewedAt ?? data.reviewed_at ?? null;
+    this.reviewComment = data.reviewComment ?? data.review_comment ?? null;
+    this.deletedAt = data.deletedAt ?? data.deleted_at ?? null;
+    this.deletedBy = data.deletedBy ?? data.deleted_by ?? null;
   }
 
   toJSON() {
     return {
       id: this.id,           // UUID for API operations
       sid: this.sid,         // Human-readable for display
+      tenantId: this.tenantId,
       formId: this.formId,   // UUID (foreign key)
       formSid: this.formSid, // Human-readable form ID
+      formVersionId: this.formVersionId,
       submissionData: this.submissionData,
       metadata: this.metadata,
       submittedAt: this.submittedAt,
       // Phase 3: submission targeting fields
       targetUnitId: this.targetUnitId,
       submitterUserId: this.submitterUserId,
+      score: this.score,
+      status: this.status,
+      createdBy: this.createdBy,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      reviewComment: this.reviewComment,
+      deletedAt: this.deletedAt,
+      deletedBy: this.deletedBy,
+      // Only present on newly created submissions that raised findings
+      ...(this.findings ? { findings: this.findings.map(finding => finding.toJSON()) } : {}),
     };
   }
 
@@ -47,14 +154,27 @@ export class Submission {
     return new Submission({
       id: row.id,
       sid: row.sid,
+      tenantId: row.tenant_id,
       formId: row.form_id,
       formSid: row.form_sid,
+      formVersionId: row.form_version_id,
       submissionData: row.submission_data,
       metadata: row.metadata,
       submittedAt: row.submitted_at,
       // Phase 3: map snake_case DB columns to camelCase constructor fields
       targetUnitId: row.target_unit_id,
       submitterUserId: row.submitter_user_id,
+      score: row.score,
+      status: row.status,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      reviewComment: row.review_comment,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by,
     });
   }
 
@@ -64,38 +184,72 @@ export class Submission {
    * @param {string} params.formId - Form UUID
    * @param {object} params.submissionData - Submission data
    * @param {object} params.metadata - Metadata
+   * @param {Array<object>} params.questions - Form questions with details; when given,
+   *   the score breakdown is computed and stored with the submission
+   * @param {string} params.status - 'submitted' (default) or 'draft'; drafts are not scored
+   * @param {object} client - Optional transaction client
    * @returns {Promise<Submission>}
    */
-  static async create({ formId, submissionData, metadata = {}, targetUnitId = null, submitterUserId = null }) {
-    const pool = getPool();
+  static async create({
+    formId, submissionData, metadata = {}, targetUnitId = null, submitterUserId = null, questions = null, status = 'submitted',
+  }, client = null) {
+    // The submission and its audit log entry are written together
+    if (!client) {
+      return await withTransaction(tx => Submission.create({
+        formId, submissionData, metadata, targetUnitId, submitterUserId, questions, status,
+      }, tx));
+    }
 
-    // Get form to populate form_sid
-    const form = await Form.findById(formId);
+    // Get form to populate form_sid and pin the current version
+    const form = await Form.findById(formId, client);
     const formSid = form.sid;  // Get SID for denormalized column
+    const formVersionId = form.currentVersionId;
+    const score = questions && status !== 'draft'
+      ? calculateScore(submissionData, questions, { sections: form.sections, displayRules: form.displayRules })
+      : null;
 
     // Retry logic for concurrent SID conflicts
     const maxRetries = 10;  // Increased from 5 for high concurrency
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      let savepoint = false;
       try {
         // Generate SID (human-readable ID)
-        const counter = await getNextSIDCounter('submission');
+        // Submissions belong to the tenant of their form
+        const counter = await getNextSIDCounter('submission', client, form.tenantId);
         const sid = generateSID('submission', counter);
 
+        // Inside a transaction a failed insert would abort it; a savepoint
+        // lets a SID conflict be retried
+        await client.query('SAVEPOINT submission_insert');
+        savepoint = true;
+
         // UUID is generated by database (DEFAULT gen_random_uuid())
         // Store both form_id (UUID) and form_sid (VARCHAR)
-        const result = await pool.query(
-          `INSERT INTO submissions (sid, form_id, form_sid, submission_data, metadata, target_unit_id, submitter_user_id)
-           VALUES ($1, $2, $3, $4, $5, $6, $7)
+        const result = await client.query(
+          `INSERT INTO submissions (sid, form_id, form_sid, form_version_id, submission_data, metadata, target_unit_id, submitter_user_id,
+                                    score, score_percent, auto_failed, status, created_by, tenant_id, submitted_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                   CASE WHEN $12::varchar = 'draft' THEN NULL ELSE CURRENT_TIMESTAMP END)
            RETURNING *`,
-          [sid, formId, formSid, JSON.stringify(submissionData), JSON.stringify(metadata), targetUnitId, submitterUserId]
+          [
+            sid, formId, formSid, formVersionId, JSON.stringify(submissionData), JSON.stringify(metadata), targetUnitId, submitterUserId,
+            score ? JSON.stringify(score) : null, score?.percent ?? null, score?.autoFailed ?? false, status, getActorId(),
+            form.tenantId,
+          ]
         );
 
-        return Submission.fromRow(result.rows[0]);
+        const submission = Submission.fromRow(result.rows[0]);
+        await AuditLog.record({ entityType: 'submission', action: 'create', after: submission, actor: submitterUserId }, client);
+        return submission;
       } catch (error) {
         lastError = error;
 
+        if (savepoint) {
+          await client.query('ROLLBACK TO SAVEPOINT submission_insert');
+        }
+
         // Check if it's a duplicate SID error (PostgreSQL error code 23505)
         if (error.code === '23505' && error.constraint === 'submissions_sid_unique') {
           // Log retry attempt in non-production
@@ -123,12 +277,20 @@ export class Submission {
   /**
    * Find submission by UUID (internal use)
    * @param {string} uuid - UUID only
+   * @param {object} client - Optional transaction client
+   * @param {object} options
+   * @param {boolean} options.forUpdate - Lock the row until the transaction ends
+   * @param {boolean} options.withDeleted - Also find a soft-deleted submission
    * @returns {Promise<Submission>}
    */
-  static async findById(uuid) {
-    const pool = getPool();
+  static async findById(uuid, client = null, { forUpdate = false, withDeleted = false } = {}) {
+    const runner = client || getPool();
 
-    const result = await pool.query('SELECT * FROM submissions WHERE id = $1', [uuid]);
+    const params = [uuid];
+    const result = await runner.query(
+      `SELECT * FROM submissions WHERE id = $1${withDeleted ? '' : ' AND deleted_at IS NULL'}${tenantCondition(params)}${forUpdate ? ' FOR UPDATE' : ''}`,
+      params
+    );
 
     if (result.rows.length === 0) {
       throw new NotFoundError('Submission', uuid);
@@ -138,7 +300,7 @@ export class Submission {
   }
 
   /**
-   * Find submissions by form UUID (internal use)
+   * Find submitted submissions by form UUID (internal use)
    * @param {string} formUuid - Form UUID
    * @param {object} options - Pagination options
    * @returns {Promise<Array<Submission>>}
@@ -147,18 +309,161 @@ export class Submission {
     const pool = getPool();
 
     const result = await pool.query(
-      'SELECT * FROM submissions WHERE form_id = $1 ORDER BY submitted_at DESC LIMIT $2 OFFSET $3',
+      "SELECT * FROM submissions WHERE form_id = $1 AND status <> 'draft' AND deleted_at IS NULL ORDER BY submitted_at DESC LIMIT $2 OFFSET $3",
       [formUuid, limit, offset]
     );
 
     return result.rows.map((row) => Submission.fromRow(row));
   }
 
-  static async findAll({ limit = 100, offset = 0 } = {}) {
+  /**
+   * Build the WHERE clause shared by findAll() and count()
+   *
+   * List filters also accept a single value. Answer predicates are ANDed and
+   * must use the keys answers are stored under (question UUIDs). deleted
+   * selects soft-deleted (true) or live (false) submissions; findAll() and
+   * count() default it to false.
+   * @param {object} filters - See findAll()
+   * @returns {{ where: string, conditions: Array<string>, params: Array }} WHERE clause (empty when
+   *   unfiltered), its conditions and its parameters
+   */
+  static buildFilterClause({
+    formId = null,
+    formIds = null,
+    formVersionId = null,
+    targetUnitIds = null,
+    submitterUserIds = null,
+    submittedAfter = null,
+    submittedBefore = null,
+    answers = null,
+    status = null,
+    deleted = null,
+  } = {}) {
+    const whereClauses = [];
+    const params = [];
+
+    const listFilters = [
+      ['form_id', [...toList(formId), ...toList(formIds)], 'uuid'],
+      ['target_unit_id', toList(targetUnitIds), 'uuid'],
+      ['submitter_user_id', toList(submitterUserIds), 'uuid'],
+      ['status', toList(status), 'text'],
+    ];
+
+    for (const [column, values, type] of listFilters) {
+      if (values.length === 1) {
+        params.push(values[0]);
+        whereClauses.push(`${column} = $${params.length}`);
+      } else if (values.length > 1) {
+        params.push(values);
+        whereClauses.push(`${column} = ANY($${params.length}::${type}[])`);
+      }
+    }
+
+    if (formVersionId) {
+      params.push(formVersionId);
+      whereClauses.push(`form_version_id = $${params.length}`);
+    }
+
+    if (submittedAfter) {
+      params.push(submittedAfter);
+      whereClauses.push(`submitted_at >= $${params.length}`);
+    }
+
+    if (submittedBefore) {
+      params.push(submittedBefore);
+      whereClauses.push(`submitted_at <= $${params.length}`);
+    }
+
+    for (const predicate of toList(answers)) {
+      whereClauses.push(buildAnswerCondition(predicate, params));
+    }
+
+    if (deleted === true) {
+      whereClauses.push('deleted_at IS NOT NULL');
+    } else if (deleted === false) {
+      whereClauses.push('deleted_at IS NULL');
+    }
+
+    whereClauses.push(...tenantFilter(params));
+
+    return {
+      where: whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : '',
+      conditions: whereClauses,
+      params,
+    };
+  }
+
+  /**
+   * Find submissions with filters, newest first
+   * @param {object} filters
+   * @param {Array<string>} filters.formIds - Form UUIDs (optional; formId also accepted)
+   * @param {string} filters.formVersionId - Form version UUID (optional)
+   * @param {Array<string>} filters.targetUnitIds - Audited target unit UUIDs (optional)
+   * @param {Array<string>} filters.submitterUserIds - Submitter user UUIDs (optional)
+   * @param {string} filters.submittedAfter - Submitted at or after date (optional)
+   * @param {string} filters.submittedBefore - Submitted at or before date (optional)
+   * @param {Array<object>} filters.answers - Answer predicates { questionId, operator, value } (optional)
+   * @param {Array<string>} filters.status - Submission statuses (optional)
+   * @param {boolean} filters.deleted - Soft-deleted (true) instead of live submissions (default: false)
+   * @param {number} filters.limit - Limit (default: 100)
+   * @param {number} filters.offset - Offset (default: 0)
+   * @returns {Promise<Array<Submission>>}
+   */
+  static async findAll({ limit = 100, offset = 0, ...filters } = {}) {
+    const pool = getPool();
+    const { where, params } = Submission.buildFilterClause({ deleted: false, ...filters });
+
+    const result = await pool.query(
+      `SELECT * FROM submissions${where} ORDER BY submitted_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return result.rows.map((row) => Submission.fromRow(row));
+  }
+
+  /**
+   * Find one page of submissions, newest first by (submitted_at, id)
+   * @param {object} options - Filters of findAll(), plus:
+   * @param {string} options.cursor - nextCursor of the previous page (null for the first page)
+   * @param {number} options.limit - Page size (default: 100)
+   * @returns {Promise<{items: Array<Submission>, nextCursor: string|null, hasMore: boolean}>}
+   */
+  static async findPage({ cursor = null, limit = 100, offset: _offset, ...filters } = {}) {
+    const { conditions, params } = Submission.buildFilterClause({ deleted: false, ...filters });
+    const page = await new CursorPaginator('submissions', 'submitted_at', 'id').paginate({
+      cursor,
+      limit,
+      order: 'DESC',
+      whereConditions: conditions,
+      parameters: params,
+    });
+
+    return { items: page.data.map((row) => Submission.fromRow(row)), nextCursor: page.nextCursor, hasMore: page.hasMore };
+  }
+
+  /**
+   * Find drafts, most recently saved first
+   * @param {object} filters
+   * @param {string} filters.formId - Form UUID (optional)
+   * @param {string} filters.submitterUserId - Submitter user UUID (optional)
+   * @param {string} filters.targetUnitId - Audited target unit UUID (optional)
+   * @param {number} filters.limit - Limit (default: 100)
+   * @param {number} filters.offset - Offset (default: 0)
+   * @returns {Promise<Array<Submission>>}
+   */
+  static async findDrafts({ formId = null, submitterUserId = null, targetUnitId = null, limit = 100, offset = 0 } = {}) {
     const pool = getPool();
+    const params = [formId, submitterUserId, targetUnitId, limit, offset];
+
     const result = await pool.query(
-      'SELECT * FROM submissions ORDER BY submitted_at DESC LIMIT $1 OFFSET $2',
-      [limit, offset]
+      `SELECT * FROM submissions
+       WHERE status = 'draft' AND deleted_at IS NULL
+         AND ($1::uuid IS NULL OR form_id = $1)
+         AND ($2::uuid IS NULL OR submitter_user_id = $2)
+         AND ($3::uuid IS NULL OR target_unit_id = $3)${tenantCondition(params)}
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $4 OFFSET $5`,
+      params
     );
 
     return result.rows.map((row) => Submission.fromRow(row));
@@ -168,49 +473,141 @@ export class Submission {
    * Update submission by UUID (internal use)
    * @param {string} uuid - UUID only
    * @param {object} updates - Fields to update
+   * @param {object} client - Optional transaction client
    * @returns {Promise<Submission>}
    */
-  static async updateById(uuid, updates) {
-    const pool = getPool();
-    const client = await pool.connect();
+  static async updateById(uuid, updates, client = null) {
+    if (!client) {
+      return await withTransaction(tx => Submission.updateById(uuid, updates, tx));
+    }
 
-    try {
-      await client.query('BEGIN');
+    const submission = await Submission.findById(uuid, client);
 
-      const submission = await Submission.findById(uuid);
+    const setClauses = [];
+    const values = [];
+    let paramIndex = 1;
 
-      const setClauses = [];
-      const values = [];
-      let paramIndex = 1;
+    if (updates.submissionData !== undefined) {
+      setClauses.push(`submission_data = $${paramIndex++}`);
+      values.push(JSON.stringify(updates.submissionData));
+    }
 
-      if (updates.submissionData !== undefined) {
-        setClauses.push(`submission_data = $${paramIndex++}`);
-        values.push(JSON.stringify(updates.submissionData));
-      }
+    if (updates.metadata !== undefined) {
+      setClauses.push(`metadata = $${paramIndex++}`);
+      values.push(JSON.stringify(updates.metadata));
+    }
 
-      if (updates.metadata !== undefined) {
-        setClauses.push(`metadata = $${paramIndex++}`);
-        values.push(JSON.stringify(updates.metadata));
-      }
+    if (updates.score !== undefined) {
+      setClauses.push(`score = $${paramIndex++}`);
+      values.push(updates.score ? JSON.stringify(updates.score) : null);
+      setClauses.push(`score_percent = $${paramIndex++}`);
+      values.push(updates.score?.percent ?? null);
+      setClauses.push(`auto_failed = $${paramIndex++}`);
+      values.push(updates.score?.autoFailed ?? false);
+    }
 
-      if (setClauses.length === 0) {
-        await client.query('COMMIT');
-        return submission;
-      }
+    if (setClauses.length === 0) {
+      return submission;
+    }
 
-      values.push(uuid);
-      const query = `UPDATE submissions SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+    setClauses.push(`updated_by = $${paramIndex++}`);
+    values.push(getActorId());
 
-      const result = await client.query(query, values);
-      await client.query('COMMIT');
+    values.push(uuid);
+    const query = `UPDATE submissions SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
 
-      return Submission.fromRow(result.rows[0]);
+    let updated;
+    try {
+      const result = await client.query(query, values);
+      updated = Submission.fromRow(result.rows[0]);
     } catch (error) {
-      await client.query('ROLLBACK');
       throw new DatabaseError('Failed to update submission', error);
-    } finally {
-      client.release();
     }
+
+    await AuditLog.record({ entityType: 'submission', action: 'update', before: submission, after: updated }, client);
+    return updated;
+  }
+
+  /**
+   * Submit a draft: store its final answers and score, and stamp submitted_at
+   * @param {string} uuid - Draft UUID
+   * @param {object} params
+   * @param {object} params.submissionData - Validated answers
+   * @param {object} params.score - Score breakdown (null for unscored forms)
+   * @param {object} client - Optional transaction client
+   * @returns {Promise<Submission>}
+   * @throws {InvalidOperationError} If the submission is not a draft
+   */
+  static async submitDraft(uuid, { submissionData, score = null }, client = null) {
+    if (!client) {
+      return await withTransaction(tx => Submission.submitDraft(uuid, { submissionData, score }, tx));
+    }
+
+    const draft = await Submission.findById(uuid, client, { forUpdate: true });
+
+    let result;
+    try {
+      result = await client.query(
+        `UPDATE submissions
+         SET status = 'submitted', submitted_at = CURRENT_TIMESTAMP,
+             submission_data = $2, score = $3, score_percent = $4, auto_failed = $5, updated_by = $6
+         WHERE id = $1 AND status = 'draft'
+         RETURNING *`,
+        [
+          uuid, JSON.stringify(submissionData), score ? JSON.stringify(score) : null, score?.percent ?? null, score?.autoFailed ?? false,
+          getActorId(),
+        ]
+      );
+    } catch (error) {
+      throw new DatabaseError('Failed to submit draft', error);
+    }
+
+    if (result.rows.length === 0) {
+      throw new InvalidOperationError(`Submission '${draft.sid}' is not a draft`);
+    }
+
+    const submitted = Submission.fromRow(result.rows[0]);
+    await AuditLog.record({ entityType: 'submission', action: 'update', before: draft, after: submitted }, client);
+    return submitted;
+  }
+
+  /**
+   * Move a submission to another status, optionally recording a review step
+   * @param {string} uuid - Submission UUID
+   * @param {object} params
+   * @param {string} params.status - New status
+   * @param {object} params.review - { reviewedBy, comment }; stamps reviewed_at (optional)
+   * @param {object} client - Optional transaction client
+   * @returns {Promise<Submission>}
+   */
+  static async updateStatus(uuid, { status, review = null }, client = null) {
+    if (!client) {
+      return await withTransaction(tx => Submission.updateStatus(uuid, { status, review }, tx));
+    }
+
+    const submission = await Submission.findById(uuid, client);
+
+    let updated;
+    try {
+      const result = review
+        ? await client.query(
+          `UPDATE submissions
+           SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_comment = $4, updated_by = $5
+           WHERE id = $1
+           RETURNING *`,
+          [uuid, status, review.reviewedBy ?? null, review.comment ?? null, getActorId()]
+        )
+        : await client.query('UPDATE submissions SET status = $2, updated_by = $3 WHERE id = $1 RETURNING *', [uuid, status, getActorId()]);
+
+      updated = Submission.fromRow(result.rows[0]);
+    } catch (error) {
+      throw new DatabaseError('Failed to update submission status', error);
+    }
+
+    await AuditLog.record({
+      entityType: 'submission', action: 'update', before: submission, after: updated, actor: review?.reviewedBy,
+    }, client);
+    return updated;
   }
 
   /**
@@ -220,9 +617,12 @@ export class Submission {
    * @returns {Promise<Submission>}
    */
   /**
-   * Delete submission by UUID (internal use)
+   * Soft-delete submission by UUID (internal use)
+   *
+   * The submission's live findings are marked with the same deleted_at, so
+   * that restoreById() brings them back together.
    * @param {string} uuid - UUID only
-   * @returns {Promise<Submission>}
+   * @returns {Promise<Submission>} The deleted submission
    */
   static async deleteById(uuid) {
     const pool = getPool();
@@ -231,13 +631,14 @@ export class Submission {
     try {
       await client.query('BEGIN');
 
-      const submission = await Submission.findById(uuid);
+      const submission = await Submission.findById(uuid, client);
 
-      await client.query('DELETE FROM submissions WHERE id = $1', [uuid]);
+      const [deleted] = await Submission.softDelete([uuid], client);
 
+      await AuditLog.record({ entityType: 'submission', action: 'delete', before: submission }, client);
       await client.query('COMMIT');
 
-      return submission;
+      return deleted;
     } catch (error) {
       await client.query('ROLLBACK');
       throw new DatabaseError('Failed to delete submission', error);
@@ -246,26 +647,153 @@ export class Submission {
     }
   }
 
+  /**
+   * Mark submissions and their live findings deleted
+   * @param {Array<string>} uuids - Submission UUIDs
+   * @param {object} client - Transaction client
+   * @returns {Promise<Array<Submission>>} The deleted submissions
+   */
+  static async softDelete(uuids, client) {
+    const result = await client.query(
+      `UPDATE submissions SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = ANY($1)
+       RETURNING *`,
+      [uuids, getActorId()]
+    );
+
+    await client.query(
+      `UPDATE findings SET deleted_at = s.deleted_at, deleted_by = s.deleted_by
+       FROM submissions s
+       WHERE s.id = ANY($1) AND findings.submission_id = s.id AND findings.deleted_at IS NULL`,
+      [uuids]
+    );
+
+    return result.rows.map((row) => Submission.fromRow(row));
+  }
+
+  /**
+   * Restore a soft-deleted submission by UUID (internal use), with the
+   * findings its delete took along
+   * @param {string} uuid - UUID only
+   * @param {object} client - Optional transaction client
+   * @returns {Promise<Submission>}
+   * @throws {InvalidOperationError} When the submission or its form is deleted
+   */
+  static async restoreById(uuid, client = null) {
+    if (!client) {
+      return await withTransaction(tx => Submission.restoreById(uuid, tx));
+    }
+
+    const submission = await Submission.findById(uuid, client, { withDeleted: true });
+    if (!submission.deletedAt) {
+      throw new InvalidOperationError(`Submission '${submission.sid}' is not deleted`);
+    }
+
+    const form = await Form.findById(submission.formId, client, { withDeleted: true });
+    if (form.deletedAt) {
+      throw new InvalidOperationError(`Form '${form.sid}' of submission '${submission.sid}' is deleted; restore the form`);
+    }
+
+    let restored;
+    try {
+      // Compared in SQL: deleted_at has more precision than a JS Date
+      await client.query(
+        `UPDATE findings SET deleted_at = NULL, deleted_by = NULL
+         WHERE submission_id = $1 AND deleted_at = (SELECT deleted_at FROM submissions WHERE id = $1)`,
+        [uuid]
+      );
+
+      const result = await client.query(
+        `UPDATE submissions SET deleted_at = NULL, deleted_by = NULL, updated_by = $2
+         WHERE id = $1
+         RETURNING *`,
+        [uuid, getActorId()]
+      );
+      restored = Submission.fromRow(result.rows[0]);
+    } catch (error) {
+      throw new DatabaseError('Failed to restore submission', error);
+    }
+
+    await AuditLog.record({ entityType: 'submission', action: 'restore', after: restored }, client);
+    return restored;
+  }
+
+  /**
+   * Hard-delete submissions soft-deleted before a date, in the current tenant
+   *
+   * Their findings go with them (ON DELETE CASCADE).
+   * @param {Date} before - Purge submissions deleted before this date
+   * @param {object} client - Optional transaction client
+   * @returns {Promise<Array<Submission>>} The purged submissions
+   */
+  static async purgeDeleted(before, client = null) {
+    if (!client) {
+      return await withTransaction(tx => Submission.purgeDeleted(before, tx));
+    }
+
+    let submissions;
+    try {
+      const params = [before];
+      const result = await client.query(
+        `DELETE FROM submissions WHERE deleted_at < $1${tenantCondition(params)} RETURNING *`,
+        params
+      );
+      submissions = result.rows.map((row) => Submission.fromRow(row));
+    } catch (error) {
+      throw new DatabaseError('Failed to purge deleted submissions', error);
+    }
+
+    await AuditLog.recordMany({ entityType: 'submission', action: 'purge', entities: submissions }, client);
+    return submissions;
+  }
+
   /**
    * Count submissions
-   * @param {object} options
-   * @param {string} options.formId - Form UUID (optional)
+   * @param {object} filters - Same filters as findAll()
    * @returns {Promise<number>}
    */
-  static async count({ formId = null } = {}) {
+  static async count(filters = {}) {
     const pool = getPool();
-    let query = 'SELECT COUNT(*) as count FROM submissions';
-    const params = [];
-
-    if (formId) {
-      query += ' WHERE form_id = $1';
-      params.push(formId);
-    }
+    const { where, params } = Submission.buildFilterClause({ deleted: false, ...filters });
 
-    const result = await pool.query(query, params);
+    const result = await pool.query(`SELECT COUNT(*) as count FROM submissions${where}`, params);
     return parseInt(result.rows[0].count, 10);
   }
 
+  /**
+   * Aggregate the scores of a form's submissions
+   * @param {string} formUuid - Form UUID
+   * @param {object} options
+   * @param {string} options.formVersionId - Restrict to one form version (optional)
+   * @returns {Promise<object>} { scoredSubmissions, averagePercent, minPercent, maxPercent, autoFailedCount }
+   */
+  static async getScoreSummary(formUuid, { formVersionId = null } = {}) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT
+         COUNT(score_percent) as scored_submissions,
+         AVG(score_percent) as average_percent,
+         MIN(score_percent) as min_percent,
+         MAX(score_percent) as max_percent,
+         COUNT(*) FILTER (WHERE auto_failed) as auto_failed_count
+       FROM submissions
+       WHERE form_id = $1 AND ($2::uuid IS NULL OR form_version_id = $2) AND status <> 'draft' AND deleted_at IS NULL`,
+      [formUuid, formVersionId]
+    );
+
+    const row = result.rows[0];
+    const toNumber = (value) => (value === null ? null : Math.round(parseFloat(value) * 100) / 100);
+
+    return {
+      scoredSubmissions: parseInt(row.scored_submissions, 10),
+      averagePercent: toNumber(row.average_percent),
+      minPercent: toNumber(row.min_percent),
+      maxPercent: toNumber(row.max_percent),
+      autoFailedCount: parseInt(row.auto_failed_count, 10),
+    };
+  }
+
   /**
    * Batch create submissions
    * @param {Array} submissionsData - Array of submission data objects with formId (UUID)
@@ -288,16 +816,17 @@ export class Submission {
         uniqueFormIds.map(id => Form.findById(id))
       );
 
-      // Create mapping of formId (UUID) to formSid
-      const formIdToSidMap = new Map();
+      // Create mapping of formId (UUID) to form (for formSid and current version)
+      const formIdToFormMap = new Map();
       forms.forEach(form => {
-        formIdToSidMap.set(form.id, form.sid);
+        formIdToFormMap.set(form.id, form);
       });
 
       // Generate all SIDs first
       const sids = [];
       for (let i = 0; i < submissionsData.length; i++) {
-        const counter = await getNextSIDCounter('submission', client);
+        const tenantId = formIdToFormMap.get(submissionsData[i].formId)?.tenantId ?? null;
+        const counter = await getNextSIDCounter('submission', client, tenantId);
         const sid = generateSID('submission', counter);
         sids.push(sid);
       }
@@ -307,40 +836,51 @@ export class Submission {
       const placeholders = [];
       let paramIndex = 1;
 
+      const createdBy = getActorId();
       submissionsData.forEach((submissionData, index) => {
         const sid = sids[index];
         const formId = submissionData.formId;
-        const formSid = formIdToSidMap.get(formId);
+        const form = formIdToFormMap.get(formId);
 
-        if (!formSid) {
+        if (!form) {
           throw new NotFoundError('Form', formId);
         }
 
         placeholders.push(
-          `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6})`
+          `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9})`
         );
         values.push(
           sid,
           formId,
-          formSid,
+          form.sid,
+          form.currentVersionId,
           JSON.stringify(submissionData.submissionData),
           JSON.stringify(submissionData.metadata || {}),
           submissionData.targetUnitId ?? null,
-          submissionData.submitterUserId ?? null
+          submissionData.submitterUserId ?? null,
+          createdBy,
+          form.tenantId
         );
-        paramIndex += 7;
+        paramIndex += 10;
       });
 
       const query = `
-        INSERT INTO submissions (sid, form_id, form_sid, submission_data, metadata, target_unit_id, submitter_user_id)
+        INSERT INTO submissions (sid, form_id, form_sid, form_version_id, submission_data, metadata, target_unit_id, submitter_user_id, created_by, tenant_id)
         VALUES ${placeholders.join(', ')}
         RETURNING *
       `;
 
       const result = await client.query(query, values);
+      const submissions = result.rows.map(row => Submission.fromRow(row));
+
+      for (const submission of submissions) {
+        await AuditLog.record({
+          entityType: 'submission', action: 'create', after: submission, actor: submission.submitterUserId,
+        }, client);
+      }
       await client.query('COMMIT');
 
-      return result.rows.map(row => Submission.fromRow(row));
+      return submissions;
     } catch (error) {
       await client.query('ROLLBACK');
       if (error instanceof NotFoundError) {
@@ -353,7 +893,7 @@ export class Submission {
   }
 
   /**
-   * Batch delete submissions by UUIDs (internal use)
+   * Batch soft-delete submissions by UUIDs (internal use)
    * @param {Array<string>} uuids - Array of UUIDs
    * @returns {Promise<Array<Submission>>}
    */
@@ -368,21 +908,20 @@ export class Submission {
     try {
       await client.query('BEGIN');
 
-      // Fetch submissions before deletion for return value
+      // Fetch submissions before deletion for the audit log
+      const params = [uuids];
       const selectResult = await client.query(
-        'SELECT * FROM submissions WHERE id = ANY($1)',
-        [uuids]
+        `SELECT * FROM submissions WHERE id = ANY($1) AND deleted_at IS NULL${tenantCondition(params)}`,
+        params
       );
       const submissions = selectResult.rows.map(row => Submission.fromRow(row));
 
-      // Bulk delete
-      await client.query(
-        'DELETE FROM submissions WHERE id = ANY($1)',
-        [uuids]
-      );
+      // Bulk soft delete, limited to the live submissions found in this tenant
+      const deleted = await Submission.softDelete(submissions.map(submission => submission.id), client);
 
+      await AuditLog.recordMany({ entityType: 'submission', action: 'delete', entities: submissions }, client);
       await client.query('COMMIT');
-      return submissions;
+      return deleted;
     } catch (error) {
       await client.query('ROLLBACK');
       throw new DatabaseError('Failed to delete submissions in bulk', error);
@@ -0,0 +1,95 @@
+/**
+ * SubmissionStatusHistory Model - v4.0.0
+ *
+ * One row per submission status change:
+ * - submissionId (UUID): Parent submission
+ * - fromStatus: Previous status (null when the submission or draft was created)
+ * - toStatus: New status
+ * - changedBy: Actor identifier (defaults to the current actor, nullable)
+ * - comment: Optional note on the change, e.g. why a submission was returned
+ */
+
+import { getPool } from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+import { getActorId } from '../utils/actorContext.js';
+
+export class SubmissionStatusHistory {
+  constructor(data) {
+    this.id = data.id;
+    this.submissionId = data.submissionId ?? data.submission_id;
+    this.fromStatus = data.fromStatus ?? data.from_status ?? null;
+    this.toStatus = data.toStatus ?? data.to_status;
+    this.changedBy = data.changedBy ?? data.changed_by ?? null;
+    this.comment = data.comment ?? null;
+    this.changedAt = data.changedAt ?? data.changed_at;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      submissionId: this.submissionId,
+      fromStatus: this.fromStatus,
+      toStatus: this.toStatus,
+      changedBy: this.changedBy,
+      comment: this.comment,
+      changedAt: this.changedAt,
+    };
+  }
+
+  static fromRow(row) {
+    if (!row) return null;
+    return new SubmissionStatusHistory({
+      id: row.id,
+      submissionId: row.submission_id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      changedBy: row.changed_by,
+      comment: row.comment,
+      changedAt: row.changed_at,
+    });
+  }
+
+  /**
+   * Record a status change
+   * @param {object} params
+   * @param {string} params.submissionId - Submission UUID
+   * @param {string} params.fromStatus - Previous status (null on creation)
+   * @param {string} params.toStatus - New status
+   * @param {string} params.changedBy - Actor identifier (default: current actor)
+   * @param {string} params.comment - Comment (nullable)
+   * @param {object} client - Optional transaction client
+   * @returns {Promise<SubmissionStatusHistory>}
+   */
+  static async create({ submissionId, fromStatus = null, toStatus, changedBy = null, comment = null }, client = null) {
+    const runner = client || getPool();
+
+    try {
+      const result = await runner.query(
+        `INSERT INTO submission_status_history (submission_id, from_status, to_status, changed_by, comment)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [submissionId, fromStatus, toStatus, changedBy ?? getActorId(), comment]
+      );
+
+      return SubmissionStatusHistory.fromRow(result.rows[0]);
+    } catch (error) {
+      throw new DatabaseError('Failed to record submission status change', error);
+    }
+  }
+
+  /**
+   * Status changes of a submission, oldest first
+   * @param {string} submissionId - Submission UUID
+   * @returns {Promise<Array<SubmissionStatusHistory>>}
+   */
+  static async findBySubmissionId(submissionId) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      'SELECT * FROM submission_status_history WHERE submission_id = $1 ORDER BY changed_at ASC, id ASC',
+      [submissionId]
+    );
+
+    return result.rows.map(row => SubmissionStatusHistory.fromRow(row));
+  }
+}
@@ -0,0 +1,29 @@
+import { AuditLog } from '../models/AuditLog.js';
+import { validateRequired } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+import { isUUID, isSID } from '../utils/idResolver.js';
+
+export class AuditService {
+  /**
+   * Audit trail of a form, question, submission, finding or finding action, oldest first
+   *
+   * Entries of deleted entities stay available, including by SID.
+   * @param {string} entityId - Entity UUID or SID
+   * @param {object} options
+   * @param {number} options.limit - Limit (default: 100)
+   * @param {number} options.offset - Offset (default: 0)
+   * @returns {Promise<Array<AuditLog>>}
+   */
+  async getAuditTrail(entityId, { limit = 100, offset = 0 } = {}) {
+    validateRequired(entityId, 'Entity ID');
+
+    if (isUUID(entityId)) {
+      return await AuditLog.findByEntityId(entityId, { limit, offset });
+    }
+    if (isSID(entityId)) {
+      return await AuditLog.findByEntitySid(entityId, { limit, offset });
+    }
+
+    throw new ValidationError('Entity ID must be a UUID or SID');
+  }
+}
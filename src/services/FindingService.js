@@ -6,10 +6,41 @@
  */
 
 import { Finding } from '../models/Finding.js';
+import { FindingStatusHistory } from '../models/FindingStatusHistory.js';
+import { FindingAction } from '../models/FindingAction.js';
+import { withTransaction } from '../config/database.js';
 import { isUUID } from '../utils/idResolver.js';
-import { ValidationError } from '../utils/errors.js';
+import { ValidationError, InvalidOperationError } from '../utils/errors.js';
+import { sanitizeString, sanitizeObject } from '../utils/sanitization.js';
+import { createWorkflow, DEFAULT_FINDING_WORKFLOW } from '../utils/workflow.js';
+import { createSlaPolicy, DEFAULT_SLA_POLICY } from '../utils/slaPolicy.js';
 
 export class FindingService {
+    /**
+     * @param {object} options
+     * @param {object} options.workflow - Finding status workflow ({ initial, transitions });
+     *   defaults to open -> in_progress -> resolved -> verified -> closed with reopen
+     * @param {object} options.slaPolicy - Due dates per severity ({ durations, resolvedStatuses });
+     *   defaults to Critical 24h, Major 7d, Minor 30d
+     */
+    constructor({ workflow = DEFAULT_FINDING_WORKFLOW, slaPolicy = DEFAULT_SLA_POLICY } = {}) {
+        this.workflow = createWorkflow(workflow, 'Finding');
+        this.slaPolicy = createSlaPolicy(slaPolicy);
+    }
+
+    /**
+     * Status and SLA due date a new finding starts with
+     * @param {string} severity - Finding severity
+     * @param {Date} createdAt - Time the finding is raised (default: now)
+     * @returns {{ status: string, dueAt: Date|null }}
+     */
+    getInitialFindingFields(severity, createdAt = new Date()) {
+        return {
+            status: this.workflow.initial,
+            dueAt: this.slaPolicy.dueAt(severity, createdAt),
+        };
+    }
+
     /**
      * Create a new finding
      * @param {object} params - Finding creation parameters
@@ -27,7 +58,8 @@ export class FindingService {
         assignment = [],
         status = null,
         metadata = {},
-        createdBy = null
+        createdBy = null,
+        dueAt = undefined
     }) {
         // Validate required UUIDs
         if (!submissionId || !isUUID(submissionId)) {
@@ -52,6 +84,23 @@ export class FindingService {
             throw new ValidationError('metadata must be an object');
         }
 
+        // New findings enter the workflow at its initial status; later statuses
+        // are reached through transitionFinding() so they land in the history
+        if (status !== null && !this.workflow.statuses.includes(status)) {
+            throw new ValidationError(`status must be one of: ${this.workflow.statuses.join(', ')}`);
+        }
+        if (status !== null && status !== this.workflow.initial) {
+            throw new InvalidOperationError(
+                `New findings start at status '${this.workflow.initial}'; use transitionFinding() to move them to '${status}'`
+            );
+        }
+
+        if (dueAt !== undefined && dueAt !== null && Number.isNaN(new Date(dueAt).getTime())) {
+            throw new ValidationError('dueAt must be a valid date');
+        }
+
+        const initial = this.getInitialFindingFields(severity);
+
         return await Finding.create({
             submissionId,
             questionId,
@@ -62,9 +111,11 @@ export class FindingService {
             rootCause,
             evidenceUrls,
             assignment,
-            status,
+            status: status ?? initial.status,
             metadata,
-            createdBy
+            createdBy,
+            // An explicit dueAt (including null) overrides the SLA policy
+            dueAt: dueAt === undefined ? initial.dueAt : dueAt
         });
     }
 
@@ -84,58 +135,117 @@ export class FindingService {
     /**
      * Get findings by form UUID
      * @param {string} formId - Form UUID
-     * @param {object} options - Pagination options
-     * @returns {Promise<Array<Finding>>}
+     * @param {object} options - Pagination options; `cursor` returns a page
+     * @returns {Promise<Array<Finding>|object>}
      */
     async getFindingsByFormId(formId, options = {}) {
         if (!formId || !isUUID(formId)) {
             throw new ValidationError('Valid form UUID is required');
         }
 
+        if (options.cursor !== undefined) {
+            return await Finding.findPage({ formId, cursor: options.cursor, limit: options.limit });
+        }
         return await Finding.findByFormId(formId, options);
     }
 
     /**
      * Get findings by submission UUID
      * @param {string} submissionId - Submission UUID
-     * @returns {Promise<Array<Finding>>}
+     * @param {object} options - Pagination options; `cursor` returns a page
+     * @returns {Promise<Array<Finding>|object>}
      */
-    async getFindingsBySubmissionId(submissionId) {
+    async getFindingsBySubmissionId(submissionId, options = {}) {
         if (!submissionId || !isUUID(submissionId)) {
             throw new ValidationError('Valid submission UUID is required');
         }
 
+        if (options.cursor !== undefined) {
+            return await Finding.findPage({ submissionId, cursor: options.cursor, limit: options.limit });
+        }
         return await Finding.findBySubmissionId(submissionId);
     }
 
     /**
      * Get findings by question UUID
      * @param {string} questionId - Question UUID
-     * @param {object} options - Pagination options
-     * @returns {Promise<Array<Finding>>}
+     * @param {object} options - Pagination options; `cursor` returns a page
+     * @returns {Promise<Array<Finding>|object>}
      */
     async getFindingsByQuestionId(questionId, options = {}) {
         if (!questionId || !isUUID(questionId)) {
             throw new ValidationError('Valid question UUID is required');
         }
 
+        if (options.cursor !== undefined) {
+            return await Finding.findPage({ questionId, cursor: options.cursor, limit: options.limit });
+        }
         return await Finding.findByQuestionId(questionId, options);
     }
 
     /**
      * Get all findings with filters
+     *
+     * Passing `cursor` (null for the first page) returns a page
+     * `{ items, nextCursor, hasMore }` ordered by creation instead of an array.
      * @param {object} filters - Filter options
-     * @returns {Promise<Array<Finding>>}
+     * @returns {Promise<Array<Finding>|object>}
      */
     async getFindings(filters = {}) {
+        this._validateFilters(filters);
+        if (filters.cursor !== undefined) {
+            return await Finding.findPage(filters);
+        }
         return await Finding.findAll(filters);
     }
 
+    /**
+     * Unresolved findings past their due date
+     * @param {object} filters - Finding filters (see Finding.findAll)
+     * @returns {Promise<Array<Finding>>}
+     */
+    async getOverdueFindings(filters = {}) {
+        return await this.getFindings({ ...filters, overdue: true });
+    }
+
+    /**
+     * Unresolved findings that fall due within the next `withinHours`
+     * @param {object} options
+     * @param {number} options.withinHours - Look-ahead window in hours (default: 24)
+     * @returns {Promise<Array<Finding>>}
+     */
+    async getFindingsDueSoon({ withinHours = 24, ...filters } = {}) {
+        if (!Number.isFinite(withinHours) || withinHours <= 0) {
+            throw new ValidationError('withinHours must be a positive number');
+        }
+
+        const now = new Date();
+        return await this.getFindings({
+            ...filters,
+            resolved: false,
+            dueAfter: now,
+            dueBefore: new Date(now.getTime() + withinHours * 60 * 60 * 1000),
+        });
+    }
+
+    /**
+     * Findings that missed their SLA: resolved late, or still open past their due date
+     * @param {object} filters - Finding filters (see Finding.findAll)
+     * @returns {Promise<Array<Finding>>}
+     */
+    async getBreachedFindings(filters = {}) {
+        return await this.getFindings({ ...filters, breached: true });
+    }
+
     /**
      * Update finding by UUID
+     *
+     * A status change must be allowed by the workflow and is recorded in the
+     * status history; use transitionFinding() to record an actor and comment.
      * @param {string} id - Finding UUID
      * @param {object} updates - Fields to update
      * @returns {Promise<Finding>}
+     * @throws {InvalidOperationError} If the status change is not allowed
      */
     async updateFindingById(id, updates) {
         if (!id || !isUUID(id)) {
@@ -152,7 +262,114 @@ export class FindingService {
             throw new ValidationError('metadata must be an object');
         }
 
-        return await Finding.updateById(id, updates);
+        const { status, ...fields } = updates;
+
+        if (fields.dueAt !== undefined && fields.dueAt !== null && Number.isNaN(new Date(fields.dueAt).getTime())) {
+            throw new ValidationError('dueAt must be a valid date');
+        }
+
+        // A new severity moves the due date unless one is given
+        if (fields.severity !== undefined && fields.dueAt === undefined) {
+            const current = await Finding.findById(id);
+            if (fields.severity !== current.severity) {
+                fields.dueAt = this.slaPolicy.dueAt(fields.severity, current.createdAt);
+            }
+        }
+
+        if (status === undefined) {
+            return await Finding.updateById(id, fields);
+        }
+
+        return await withTransaction(async (client) => {
+            const current = await Finding.findById(id, client, { forUpdate: true });
+            const finding = current.status === status
+                ? current
+                : await this._applyTransition(current, status, {}, client);
+
+            return Object.keys(fields).length > 0
+                ? await Finding.updateById(id, fields, client)
+                : finding;
+        });
+    }
+
+    /**
+     * Move a finding to another status of the workflow
+     * @param {string} id - Finding UUID
+     * @param {string} status - Target status
+     * @param {object} options
+     * @param {string} options.changedBy - Actor identifier (default: current actor)
+     * @param {string} options.comment - Comment recorded with the change (optional)
+     * @returns {Promise<Finding>}
+     * @throws {InvalidOperationError} If the workflow does not allow the change
+     */
+    async transitionFinding(id, status, { changedBy = null, comment = null } = {}) {
+        if (!id || !isUUID(id)) {
+            throw new ValidationError('Valid finding UUID is required');
+        }
+
+        if (!status || typeof status !== 'string') {
+            throw new ValidationError('status is required');
+        }
+
+        const sanitizedComment = comment === null || comment === undefined ? null : sanitizeString(String(comment));
+
+        return await withTransaction(async (client) => {
+            const current = await Finding.findById(id, client, { forUpdate: true });
+            return await this._applyTransition(current, status, { changedBy, comment: sanitizedComment }, client);
+        });
+    }
+
+    /**
+     * Status history of a finding, oldest first
+     * @param {string} id - Finding UUID
+     * @returns {Promise<Array<FindingStatusHistory>>}
+     */
+    async getFindingStatusHistory(id) {
+        if (!id || !isUUID(id)) {
+            throw new ValidationError('Valid finding UUID is required');
+        }
+
+        await Finding.findById(id);
+        return await FindingStatusHistory.findByFindingId(id);
+    }
+
+    /**
+     * Check a transition against the workflow, apply it and record it
+     * @param {Finding} finding - Finding locked by the caller's transaction
+     * @returns {Promise<Finding>}
+     */
+    async _applyTransition(finding, status, { changedBy = null, comment = null }, client) {
+        // Findings created before the workflow existed may have no status yet
+        const fromStatus = finding.status ?? this.workflow.initial;
+        this.workflow.assertTransition(fromStatus, status);
+
+        if (this.workflow.isClosed(status)) {
+            const openActions = await FindingAction.countOpenByFindingId(finding.id, client);
+            if (openActions > 0) {
+                throw new InvalidOperationError(
+                    `Finding cannot be closed while it has ${openActions} open action${openActions === 1 ? '' : 's'}`
+                );
+            }
+        }
+
+        // Resolving stops the SLA clock; reopening restarts it
+        const changes = { status };
+        if (this.slaPolicy.isResolvedStatus(status) && !finding.resolvedAt) {
+            changes.resolvedAt = new Date();
+        } else if (!this.slaPolicy.isResolvedStatus(status)) {
+            changes.resolvedAt = null;
+        }
+
+        const updated = await Finding.updateById(finding.id, changes, client);
+        await FindingStatusHistory.create({
+            findingId: finding.id,
+            fromStatus: finding.status,
+            toStatus: status,
+            changedBy,
+            comment,
+        }, client);
+
+        return updated;
     }
 
     /**
@@ -174,13 +391,212 @@ export class FindingService {
      * @returns {Promise<number>}
      */
     async getFindingCount(filters = {}) {
+        this._validateFilters(filters);
         return await Finding.count(filters);
     }
 
+    /**
+     * Validate the ID and search filters of getFindings() / getFindingCount()
+     * @param {object} filters - Filter options
+     * @private
+     */
+    _validateFilters(filters) {
+        for (const [field, label] of [['formId', 'form'], ['questionId', 'question'], ['submissionId', 'submission']]) {
+            if (filters[field] && !isUUID(filters[field])) {
+                throw new ValidationError(`Valid ${label} UUID is required for ${field}`);
+            }
+        }
+
+        const targetUnitIds = Array.isArray(filters.targetUnitId) ? filters.targetUnitId : [filters.targetUnitId];
+        if (filters.targetUnitId != null && !targetUnitIds.every(id => isUUID(id))) {
+            throw new ValidationError('targetUnitId must be a target unit UUID or an array of UUIDs');
+        }
+
+        if (filters.search != null && typeof filters.search !== 'string') {
+            throw new ValidationError('search must be a string');
+        }
+
+        if (filters.assignee != null && typeof filters.assignee !== 'string' &&
+            (typeof filters.assignee !== 'object' || Array.isArray(filters.assignee))) {
+            throw new ValidationError('assignee must be a user ID or an assignment object');
+        }
+    }
+
     async getFindingsStats(formId) {
         if (!formId || !isUUID(formId)) {
             throw new ValidationError('Valid form UUID is required');
         }
-        return await Finding.getStats(formId);
+        const stats = await Finding.getStats(formId);
+        stats.actions = await FindingAction.getStats(formId);
+        return stats;
+    }
+
+    /**
+     * Add a corrective or preventive action to a finding
+     * @param {string} findingId - Finding UUID
+     * @param {object} params - Action fields
+     * @param {string} params.description - What has to be done (required)
+     * @param {string} params.actionType - 'corrective' (default) or 'preventive'
+     * @param {string} params.owner - Owner identifier (optional)
+     * @param {string} params.dueDate - Due date, YYYY-MM-DD (optional)
+     * @param {string} params.status - Action status (default: 'open')
+     * @param {object} params.metadata - Additional metadata (optional)
+     * @param {string} params.createdBy - Creator identifier (optional)
+     * @returns {Promise<FindingAction>}
+     * @throws {InvalidOperationError} If the finding is closed
+     */
+    async createFindingAction(findingId, params = {}) {
+        if (!findingId || !isUUID(findingId)) {
+            throw new ValidationError('Valid finding UUID is required');
+        }
+
+        if (!params.description) {
+            throw new ValidationError('description is required');
+        }
+
+        const fields = this._validateActionFields(params);
+
+        // The finding stays locked so that it cannot be closed meanwhile
+        return await withTransaction(async (client) => {
+            const finding = await Finding.findById(findingId, client, { forUpdate: true });
+            if (this.workflow.isClosed(finding.status)) {
+                throw new InvalidOperationError(`Cannot add actions to finding '${finding.sid}' while it is ${finding.status}`);
+            }
+
+            return await FindingAction.create({
+                ...fields,
+                findingId,
+                createdBy: params.createdBy ?? null,
+            }, client);
+        });
+    }
+
+    /**
+     * Get action by UUID
+     * @param {string} id - Action UUID
+     * @returns {Promise<FindingAction>}
+     */
+    async getFindingActionById(id) {
+        if (!id || !isUUID(id)) {
+            throw new ValidationError('Valid action UUID is required');
+        }
+
+        return await FindingAction.findById(id);
+    }
+
+    /**
+     * Actions of a finding, oldest first
+     * @param {string} findingId - Finding UUID
+     * @returns {Promise<Array<FindingAction>>}
+     */
+    async getFindingActions(findingId) {
+        if (!findingId || !isUUID(findingId)) {
+            throw new ValidationError('Valid finding UUID is required');
+        }
+
+        return await FindingAction.findByFindingId(findingId);
+    }
+
+    /**
+     * Update action by UUID
+     * @param {string} id - Action UUID
+     * @param {object} updates - actionType, description, owner, dueDate, status,
+     *   verificationNotes, verifiedBy and/or metadata
+     * @returns {Promise<FindingAction>}
+     * @throws {InvalidOperationError} If the finding is closed
+     */
+    async updateFindingActionById(id, updates) {
+        if (!id || !isUUID(id)) {
+            throw new ValidationError('Valid action UUID is required');
+        }
+
+        const fields = this._validateActionFields(updates || {});
+
+        // The finding stays locked so that it cannot be closed meanwhile
+        return await withTransaction(async (client) => {
+            const action = await FindingAction.findById(id, client);
+            const finding = await Finding.findById(action.findingId, client, { forUpdate: true });
+            if (this.workflow.isClosed(finding.status)) {
+                throw new InvalidOperationError(`Cannot change actions of finding '${finding.sid}' while it is ${finding.status}`);
+            }
+
+            return await FindingAction.updateById(id, fields, client);
+        });
+    }
+
+    /**
+     * Delete action by UUID
+     * @param {string} id - Action UUID
+     * @returns {Promise<FindingAction>}
+     */
+    async deleteFindingActionById(id) {
+        if (!id || !isUUID(id)) {
+            throw new ValidationError('Valid action UUID is required');
+        }
+
+        return await FindingAction.deleteById(id);
+    }
+
+    /**
+     * Validate and sanitize the action fields that are present
+     * @param {object} params - Action fields
+     * @returns {object} Sanitized fields
+     */
+    _validateActionFields(params) {
+        const fields = {};
+
+        if (params.actionType !== undefined) {
+            if (!FindingAction.TYPES.includes(params.actionType)) {
+                throw new ValidationError(`actionType must be one of: ${FindingAction.TYPES.join(', ')}`);
+            }
+            fields.actionType = params.actionType;
+        }
+
+        if (params.status !== undefined) {
+            if (!FindingAction.STATUSES.includes(params.status)) {
+                throw new ValidationError(`Action status must be one of: ${FindingAction.STATUSES.join(', ')}`);
+            }
+            fields.status = params.status;
+        }
+
+        if (params.description !== undefined) {
+            const description = typeof params.description === 'string' ? sanitizeString(params.description).trim() : '';
+            if (!description || description.length > 5000) {
+                throw new ValidationError('description must be 1-5000 characters');
+            }
+            fields.description = description;
+        }
+
+        for (const field of ['owner', 'verifiedBy']) {
+            if (params[field] !== undefined) {
+                if (params[field] !== null && (typeof params[field] !== 'string' || params[field].length > 100)) {
+                    throw new ValidationError(`${field} must be a string of at most 100 characters`);
+                }
+                fields[field] = params[field] === null ? null : sanitizeString(params[field]);
+            }
+        }
+
+        if (params.verificationNotes !== undefined) {
+            if (params.verificationNotes !== null && typeof params.verificationNotes !== 'string') {
+                throw new ValidationError('verificationNotes must be a string');
+            }
+            fields.verificationNotes = params.verificationNotes === null ? null : sanitizeString(params.verificationNotes);
+        }
+
+        if (params.dueDate !== undefined) {
+            if (params.dueDate !== null && Number.isNaN(new Date(params.dueDate).getTime())) {
+                throw new ValidationError('dueDate must be a valid date');
+            }
+            fields.dueDate = params.dueDate;
+        }
+
+        if (params.metadata !== undefined) {
+            if (!params.metadata || typeof params.metadata !== 'object') {
+                throw new ValidationError('metadata must be an object');
+            }
+            fields.metadata = sanitizeObject(params.metadata);
+        }
+
+        return fields;
     }
 }
@@ -1,13 +1,20 @@
 import { Form } from '../models/Form.js';
+import { FormVersion } from '../models/FormVersion.js';
 import { Question } from '../models/Question.js';
+import { withTransaction } from '../config/database.js';
 import { validateRequired, validateString, validateQuestions } from '../utils/validation.js';
 import { validateAndSanitizeFormInput } from '../utils/optimizedValidation.js';
 import { sanitizeString, sanitizeObject } from '../utils/sanitization.js';
+import { InvalidOperationError } from '../utils/errors.js';
+import { validateDisplayRules } from '../utils/displayRules.js';
+import { toQuestionReference } from '../utils/formQuestions.js';
+import { validateAndSanitizeSections } from '../utils/formSections.js';
+import { batchResolveToUUID, isSID } from '../utils/idResolver.js';
 import { checkOpsCache } from '../utils/cache.js';
 import { metricsCollector, performanceMonitor } from '../utils/metrics.js';
 
 export class FormService {
-  async createForm({ title, description = '', questions, metadata = {}, requireAll = true }) {
+  async createForm({ title, description = '', questions, displayRules = [], sections = [], metadata = {}, requireAll = true }) {
     const start = performance.now();
     let error = null;
 
@@ -21,11 +28,15 @@ export class FormService {
       });
 
       const enrichedQuestions = await this.enrichQuestions(sanitizedData.questions);
+      const resolvedDisplayRules = await this.resolveDisplayRules(displayRules, enrichedQuestions);
+      const resolvedSections = await this.resolveSections(sections, enrichedQuestions);
 
       const form = await Form.create({
         title: sanitizedData.title,
         description: sanitizedData.description,
         questions: enrichedQuestions,
+        displayRules: resolvedDisplayRules,
+        sections: resolvedSections,
         metadata: sanitizedData.metadata,
         requireAll,
       });
@@ -44,14 +55,15 @@ export class FormService {
   }
 
   async enrichQuestions(questions) {
-    // NEW: Normalize questions to simple string array format
-    // Convert any object format to string UUID
+    // Normalize bank references to UUID strings, keeping per-form overrides
+    // as { questionId, ...overrides } objects
     const normalizedQuestions = questions.map(q => {
       if (typeof q === 'string') {
         return q; // Already in simple format
       }
       if (q.questionId) {
-        return q.questionId; // Extract UUID from object
+        // Bare UUID unless the form overrides required, label, section, etc.
+        return toQuestionReference(q);
       }
       // If it's an inline question (has questionText), keep as object
       if (q.questionText) {
@@ -63,7 +75,9 @@ export class FormService {
     // OPTIMIZATION: Fix N+1 query problem by batching question lookups
     // Step 1: Collect all unique question UUIDs that need enrichment
     const questionIds = [...new Set(
-      normalizedQuestions.filter(q => typeof q === 'string')
+      normalizedQuestions
+        .filter(q => typeof q === 'string' || q.questionId)
+        .map(q => (typeof q === 'string' ? q : q.questionId))
     )];
 
     // Early return if no questions need enrichment
@@ -98,11 +112,94 @@ export class FormService {
       }
     }
 
-    // Step 3: Return simple string array (UUIDs only)
+    // Step 3: Return references (UUIDs, or objects carrying per-form overrides)
     // The enrichment is done at retrieval time, not storage time
     return normalizedQuestions;
   }
 
+  /**
+   * Resolve question SIDs in display rules to UUIDs and validate the rules
+   * against the form's questions (unknown references, cycles)
+   * @param {Array<object>} displayRules - Display rules as given by the caller
+   * @param {Array<string|object>} questions - Enriched form questions
+   * @returns {Promise<Array<object>>} Validated rules referencing question UUIDs
+   */
+  async resolveDisplayRules(displayRules, questions) {
+    if (!Array.isArray(displayRules) || displayRules.length === 0) {
+      return validateDisplayRules(displayRules, questions);
+    }
+
+    const sanitizedRules = sanitizeObject(displayRules);
+
+    const refs = new Set();
+    for (const rule of sanitizedRules) {
+      refs.add(rule?.questionId);
+      const conditions = Array.isArray(rule?.showWhen) ? rule.showWhen : [rule?.showWhen];
+      for (const condition of conditions) {
+        refs.add(condition?.questionId);
+      }
+    }
+
+    const resolve = await this._resolveQuestionRefs(refs);
+
+    const resolvedRules = sanitizedRules.map(rule => {
+      if (!rule || typeof rule !== 'object') {
+        return rule;
+      }
+      const resolveCondition = (condition) =>
+        condition && typeof condition === 'object'
+          ? { ...condition, questionId: resolve(condition.questionId) }
+          : condition;
+
+      return {
+        ...rule,
+        questionId: resolve(rule.questionId),
+        showWhen: Array.isArray(rule.showWhen)
+          ? rule.showWhen.map(resolveCondition)
+          : resolveCondition(rule.showWhen),
+      };
+    });
+
+    return validateDisplayRules(resolvedRules, questions);
+  }
+
+  /**
+   * Resolve question SIDs in section definitions to UUIDs and validate the
+   * sections against the form's questions
+   * @param {Array<object>} sections - Sections as given by the caller
+   * @param {Array<string|object>} questions - Enriched form questions
+   * @returns {Promise<Array<object>>} Sections to store
+   */
+  async resolveSections(sections, questions) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      return validateAndSanitizeSections(sections, questions);
+    }
+
+    const refs = sections.flatMap(section =>
+      Array.isArray(section?.questionIds) ? section.questionIds : []
+    );
+    const resolve = await this._resolveQuestionRefs(refs);
+
+    const resolvedSections = sections.map(section =>
+      section && Array.isArray(section.questionIds)
+        ? { ...section, questionIds: section.questionIds.map(resolve) }
+        : section
+    );
+
+    return validateAndSanitizeSections(resolvedSections, questions);
+  }
+
+  /**
+   * Build a resolver that maps question SIDs to UUIDs (other refs pass through)
+   * @param {Iterable<string>} refs - Question references
+   * @returns {Promise<Function>}
+   */
+  async _resolveQuestionRefs(refs) {
+    const sids = [...new Set(refs)].filter(ref => isSID(ref));
+    const sidMap = sids.length > 0 ? await batchResolveToUUID(sids, 'question_bank') : new Map();
+    return (ref) => sidMap.get(ref) ?? ref;
+  }
+
   /**
    * Get form by UUID (internal use)
    * @param {string} uuid - Form UUID
@@ -126,14 +223,30 @@ export class FormService {
     return form;
   }
 
-  async getAllForms({ isActive = null, limit = 100, offset = 0 } = {}) {
+  /**
+   * List forms, newest first
+   *
+   * Passing `cursor` (null for the first page) returns a page
+   * `{ items, nextCursor, hasMore }` instead of an array.
+   * @param {object} options
+   * @returns {Promise<Array<Form>|object>}
+   */
+  async getAllForms({ isActive = null, limit = 100, offset = 0, cursor } = {}) {
     // Note: We don't cache list operations as they can vary by parameters
     // and would require more complex cache invalidation logic
+    if (cursor !== undefined) {
+      return await Form.findPage({ isActive, cursor, limit });
+    }
     return await Form.findAll({ isActive, limit, offset });
   }
 
   /**
    * Update form by UUID (internal use)
+   *
+   * Versioned fields (questions, displayRules, sections) are edited in place only while the current
+   * version has no submissions; otherwise they go into a draft version that
+   * must be published with publishFormVersion(). The draft is attached to the
+   * returned form as `draftVersion`.
    * @param {string} uuid - Form UUID
    * @param {object} updates - Updates to apply
    * @returns {Promise<Form>}
@@ -158,6 +271,14 @@ export class FormService {
       sanitizedUpdates.questions = await this.enrichQuestions(sanitizedQuestions);
     }
 
+    if (updates.displayRules !== undefined) {
+      sanitizedUpdates.displayRules = updates.displayRules ?? [];
+    }
+
+    if (updates.sections !== undefined) {
+      sanitizedUpdates.sections = updates.sections ?? [];
+    }
+
     if (updates.metadata !== undefined) {
       sanitizedUpdates.metadata = sanitizeObject(updates.metadata);
     }
@@ -170,7 +291,50 @@ export class FormService {
       sanitizedUpdates.isActive = updates.isActive;
     }
 
-    const updatedForm = await Form.updateById(uuid, sanitizedUpdates);
+    const updatedForm = await withTransaction(async (client) => {
+      const versionedUpdates = {};
+      for (const field of FormVersion.VERSIONED_FIELDS) {
+        if (sanitizedUpdates[field] !== undefined) {
+          versionedUpdates[field] = sanitizedUpdates[field];
+          delete sanitizedUpdates[field];
+        }
+      }
+
+      let draftVersion = null;
+
+      if (Object.keys(versionedUpdates).length > 0) {
+        const form = await Form.findById(uuid, client);
+        const pinned = form.currentVersionId && await FormVersion.hasSubmissions(form.currentVersionId, client);
+        const base = (pinned && await FormVersion.findDraftByFormId(uuid, client)) || form;
+
+        // Rules and sections must keep pointing at questions of the resulting version
+        const questions = versionedUpdates.questions ?? base.questions;
+        versionedUpdates.displayRules = await this.resolveDisplayRules(
+          versionedUpdates.displayRules ?? base.displayRules,
+          questions
+        );
+        versionedUpdates.sections = await this.resolveSections(
+          versionedUpdates.sections ?? base.sections,
+          questions
+        );
+
+        if (pinned) {
+          // Submissions are pinned to the current version - never rewrite it
+          draftVersion = await FormVersion.saveDraft(form, versionedUpdates, client);
+        } else {
+          Object.assign(sanitizedUpdates, versionedUpdates);
+          if (form.currentVersionId) {
+            await FormVersion.updateById(form.currentVersionId, versionedUpdates, client);
+          }
+        }
+      }
+
+      const result = await Form.updateById(uuid, sanitizedUpdates, client);
+      if (draftVersion) {
+        result.draftVersion = draftVersion;
+      }
+      return result;
+    });
 
     // Invalidate cache for this form (by both UUID and SID)
     checkOpsCache.invalidateForm(uuid);
@@ -180,7 +344,67 @@ export class FormService {
   }
 
   /**
-   * Delete form by UUID (internal use)
+   * Publish a form's draft version, making it the version new submissions use
+   * @param {string} uuid - Form UUID
+   * @param {string} versionId - Draft version UUID (optional, defaults to the pending draft)
+   * @returns {Promise<Form>}
+   */
+  async publishFormVersion(uuid, versionId = null) {
+    validateRequired(uuid, 'Form UUID');
+
+    const publishedForm = await withTransaction(async (client) => {
+      const draft = versionId
+        ? await FormVersion.findById(versionId, client)
+        : await FormVersion.findDraftByFormId(uuid, client);
+
+      if (!draft || draft.formId !== uuid) {
+        throw new InvalidOperationError(`Form '${uuid}' has no draft version to publish`);
+      }
+
+      if (draft.status !== 'draft') {
+        throw new InvalidOperationError(`Form version ${draft.versionNumber} is already published`);
+      }
+
+      const published = await FormVersion.publish(draft, await Form.findById(uuid, client), client);
+
+      const formUpdates = { currentVersionId: published.id };
+      for (const field of FormVersion.VERSIONED_FIELDS) {
+        formUpdates[field] = published[field];
+      }
+
+      return await Form.updateById(uuid, formUpdates, client);
+    });
+
+    checkOpsCache.invalidateForm(uuid);
+    checkOpsCache.invalidateForm(publishedForm.sid);
+    checkOpsCache.deleteStats(uuid);
+    checkOpsCache.deleteStats(publishedForm.sid);
+
+    return publishedForm;
+  }
+
+  /**
+   * Get all versions of a form, newest first
+   * @param {string} uuid - Form UUID
+   * @returns {Promise<Array<FormVersion>>}
+   */
+  async getFormVersions(uuid) {
+    validateRequired(uuid, 'Form UUID');
+    return await FormVersion.findByFormId(uuid);
+  }
+
+  /**
+   * Get a single form version by UUID
+   * @param {string} versionUuid - Version UUID
+   * @returns {Promise<FormVersion>}
+   */
+  async getFormVersionById(versionUuid) {
+    validateRequired(versionUuid, 'Form version UUID');
+    return await FormVersion.findById(versionUuid);
+  }
+
+  /**
+   * Soft-delete form by UUID (internal use), with its submissions and findings
    * @param {string} uuid - Form UUID
    * @returns {Promise<Form>}
    */
@@ -196,6 +420,24 @@ export class FormService {
     return result;
   }
 
+  /**
+   * Restore a soft-deleted form by UUID (internal use), with the submissions
+   * and findings deleted along with it
+   * @param {string} uuid - Form UUID
+   * @returns {Promise<Form>}
+   */
+  async restoreFormById(uuid) {
+    validateRequired(uuid, 'Form UUID');
+
+    const result = await Form.restoreById(uuid);
+
+    // Invalidate cache for this form (by both UUID and SID)
+    checkOpsCache.invalidateForm(uuid);
+    checkOpsCache.invalidateForm(result.sid);
+
+    return result;
+  }
+
   /**
    * Deactivate form by UUID (internal use)
    * @param {string} uuid - Form UUID
@@ -1,13 +1,30 @@
 import { Question } from '../models/Question.js';
+import { Finding } from '../models/Finding.js';
+import { AuditLog } from '../models/AuditLog.js';
 import { validateRequired, validateString, validateQuestionType } from '../utils/validation.js';
 import { sanitizeString, sanitizeObject } from '../utils/sanitization.js';
-import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { ValidationError, NotFoundError, InvalidOperationError } from '../utils/errors.js';
 import { OptionUtils } from '../utils/optionUtils.js';
-import { getPool } from '../config/database.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { checkOpsCache } from '../utils/cache.js';
+import { getActorId } from '../utils/actorContext.js';
+import { tenantCondition } from '../utils/tenantContext.js';
 
 export class QuestionService {
-  async createQuestion({ questionText, questionType, options = null, validationRules = null, metadata = {} }) {
+  /**
+   * @param {object} options
+   * @param {Function} options.onQuestionDeactivated - Called once per owner of the forms
+   *   that use a deactivated question: ({ owner, question, forms }); owner is the
+   *   form's createdBy (null when unknown)
+   */
+  constructor({ onQuestionDeactivated = null } = {}) {
+    if (onQuestionDeactivated !== null && typeof onQuestionDeactivated !== 'function') {
+      throw new ValidationError('onQuestionDeactivated must be a function');
+    }
+    this.onQuestionDeactivated = onQuestionDeactivated;
+  }
+
+  async createQuestion({ questionText, questionType, options = null, validationRules = null, metadata = {}, tags = [], category = null }) {
     validateRequired(questionText, 'Question text');
     validateString(questionText, 'Question text', 1, 5000);
     validateRequired(questionType, 'Question type');
@@ -17,7 +34,7 @@ export class QuestionService {
     }
 
     const sanitizedQuestionText = sanitizeString(questionText);
-    const sanitizedValidationRules = validationRules ? sanitizeObject(validationRules) : null;
+    let sanitizedValidationRules = validationRules ? sanitizeObject(validationRules) : null;
     const sanitizedMetadata = sanitizeObject(metadata);
 
     if (OptionUtils.requiresOptions(questionType) && !options) {
@@ -25,6 +42,13 @@ export class QuestionService {
     }
 
     const questionId = null;
+    if (questionType === 'matrix') {
+      sanitizedValidationRules = {
+        ...sanitizedValidationRules,
+        rows: OptionUtils.processMatrixRows(validationRules?.rows, questionId),
+      };
+    }
+
     let processedOptions = null;
     if (options) {
       if (OptionUtils.requiresOptions(questionType)) {
@@ -40,6 +64,8 @@ export class QuestionService {
       options: processedOptions,
       validationRules: sanitizedValidationRules,
       metadata: sanitizedMetadata,
+      tags: this._normalizeTags(tags),
+      category: this._normalizeCategory(category),
     });
   }
 
@@ -60,12 +86,37 @@ export class QuestionService {
     return await Question.findByIds(uuids);
   }
 
-  async getAllQuestions({ questionType = null, isActive = null, limit = 100, offset = 0 } = {}) {
-    if (questionType && !validateQuestionType(questionType)) {
-      throw new ValidationError(`Invalid question type: ${questionType}`);
+  /**
+   * List questions, newest first
+   *
+   * Passing `cursor` (null for the first page) returns a page
+   * `{ items, nextCursor, hasMore }` instead of an array.
+   * @param {object} options - Filters of Question.findAll(), plus cursor
+   * @returns {Promise<Array<Question>|object>}
+   */
+  async getAllQuestions({ limit = 100, offset = 0, cursor, ...filters } = {}) {
+    const validFilters = this._validateFilters(filters);
+
+    if (cursor !== undefined) {
+      return await Question.findPage({ ...validFilters, cursor, limit });
     }
+    return await Question.findAll({ ...validFilters, limit, offset });
+  }
+
+  /**
+   * Full-text search over question text, best match first
+   * @param {string} query - Search text; words are matched on their stems
+   * @param {object} filters - Filters of Question.findAll(): tags, category,
+   *   questionType, isActive, createdAfter, createdBefore, limit, offset
+   * @returns {Promise<Array<Question>>}
+   */
+  async searchQuestions(query, { limit = 100, offset = 0, ...filters } = {}) {
+    validateRequired(query, 'Search query');
+    validateString(query, 'Search query');
+    validateString(query.trim(), 'Search query', 1, 500);
 
-    return await Question.findAll({ questionType, isActive, limit, offset });
+    const validFilters = this._validateFilters(filters);
+    return await Question.findAll({ ...validFilters, search: query.trim(), limit, offset });
   }
 
   /**
@@ -103,6 +154,13 @@ export class QuestionService {
 
     if (updates.validationRules !== undefined) {
       sanitizedUpdates.validationRules = updates.validationRules ? sanitizeObject(updates.validationRules) : null;
+
+      if ((updates.questionType || question.questionType) === 'matrix') {
+        sanitizedUpdates.validationRules = {
+          ...sanitizedUpdates.validationRules,
+          rows: OptionUtils.processMatrixRows(updates.validationRules?.rows, uuid),
+        };
+      }
     }
 
     if (updates.metadata !== undefined) {
@@ -113,27 +171,191 @@ export class QuestionService {
       sanitizedUpdates.isActive = updates.isActive;
     }
 
+    if (updates.tags !== undefined) {
+      sanitizedUpdates.tags = this._normalizeTags(updates.tags);
+    }
+
+    if (updates.category !== undefined) {
+      sanitizedUpdates.category = this._normalizeCategory(updates.category);
+    }
+
     return await Question.updateById(uuid, sanitizedUpdates);
   }
 
   /**
-   * Delete question by UUID (internal use)
+   * Where a question is used: the live forms listing it, now or in one of their
+   * versions, with the number of their submissions that answered it, the
+   * versions listing it and the submissions pinned to those, and its findings
+   * @param {string} uuid - Question UUID
+   * @returns {Promise<object>} { question, forms, submissionCount, findingCount, findings };
+   *   forms are { id, sid, title, isActive, owner, inCurrentVersion, submissionCount,
+   *   findingCount, versions }, versions { id, versionNumber, status, submissionCount }
+   *   and findings the latest 100 findings on the question
+   */
+  async getQuestionUsageById(uuid) {
+    validateRequired(uuid, 'Question UUID');
+    const question = await Question.findById(uuid);
+    const forms = await this._findFormsUsingQuestion(question);
+
+    return {
+      question,
+      forms,
+      submissionCount: forms.reduce((total, form) => total + form.submissionCount, 0),
+      findingCount: await Finding.count({ questionId: question.id }),
+      findings: await Finding.findByQuestionId(question.id),
+    };
+  }
+
+  /**
+   * Live forms of the question's tenant that list it in their questions or in
+   * a version (submissions stay pinned to the version they were made on)
+   *
+   * submissionCount counts submissions that answered the question, directly
+   * or in a repeatable group instance; the submissionCount of a version counts
+   * every submission pinned to it, since they all render the question.
+   * @private
+   * @param {Question} question - Question
+   * @param {object} client - Optional database client
+   * @returns {Promise<Array<object>>} See getQuestionUsageById()
+   */
+  async _findFormsUsingQuestion(question, client = null) {
+    const runner = client || getPool();
+    const formLists = Question.formUsesQuestionCondition('f', 'q');
+    const versionLists = Question.formUsesQuestionCondition('v', 'q');
+
+    // Group answers are stored as { groupKey: [{ questionId: answer }, ...] }
+    const result = await runner.query(
+      `SELECT f.id, f.sid, f.title, f.is_active, f.created_by,
+        (${formLists}) AS in_current_version,
+        (SELECT COUNT(*) FROM submissions s
+         WHERE s.form_id = f.id AND s.deleted_at IS NULL
+           AND (s.submission_data ? $2 OR EXISTS (
+             SELECT 1
+             FROM jsonb_each(s.submission_data) AS g
+             CROSS JOIN LATERAL jsonb_array_elements(
+               CASE WHEN jsonb_typeof(g.value) = 'array' THEN g.value ELSE '[]'::jsonb END
+             ) AS i
+             WHERE jsonb_typeof(i) = 'object' AND i ? $2
+           ))) AS submission_count,
+        (SELECT COUNT(*) FROM findings fd
+         WHERE fd.form_id = f.id AND fd.question_id = $1 AND fd.deleted_at IS NULL) AS finding_count,
+        (SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'id', v.id,
+           'versionNumber', v.version_number,
+           'status', v.status,
+           'submissionCount', (SELECT COUNT(*) FROM submissions s
+                               WHERE s.form_version_id = v.id AND s.deleted_at IS NULL)
+         ) ORDER BY v.version_number), '[]'::jsonb)
+         FROM form_versions v
+         WHERE v.form_id = f.id AND ${versionLists}) AS versions
+      FROM forms f
+      JOIN question_bank q ON q.id = $1
+      WHERE f.deleted_at IS NULL
+        AND ((${formLists})
+          OR EXISTS (SELECT 1 FROM form_versions v WHERE v.form_id = f.id AND ${versionLists}))
+      ORDER BY f.created_at, f.id`,
+      [question.id, question.id]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sid: row.sid,
+      title: row.title,
+      isActive: row.is_active,
+      owner: row.created_by,
+      inCurrentVersion: row.in_current_version,
+      submissionCount: parseInt(row.submission_count, 10),
+      findingCount: parseInt(row.finding_count, 10),
+      versions: row.versions,
+    }));
+  }
+
+  /**
+   * Soft-delete question by UUID (internal use)
+   *
+   * The usage check and the delete run in one transaction holding a SHARE
+   * lock on forms and form_versions, so no form or version can start or stop
+   * using the question in between.
    * @param {string} uuid - Question UUID
+   * @param {object} options
+   * @param {boolean} options.force - Delete even though forms use the question (default: false)
    * @returns {Promise<Question>}
+   * @throws {InvalidOperationError} When forms use the question and force is not set
    */
-  async deleteQuestionById(uuid) {
+  async deleteQuestionById(uuid, { force = false } = {}) {
     validateRequired(uuid, 'Question UUID');
-    return await Question.deleteById(uuid);
+
+    return await withTransaction(async (client) => {
+      if (!force) {
+        await client.query('LOCK TABLE forms, form_versions IN SHARE MODE');
+
+        const question = await Question.findById(uuid, client);
+        const forms = await this._findFormsUsingQuestion(question, client);
+        if (forms.length > 0) {
+          throw new InvalidOperationError(
+            `Question '${question.sid}' is used by ${forms.length} form(s) (${forms.map(form => form.sid).join(', ')}); ` +
+            'deactivate it, or pass force: true to delete it anyway'
+          );
+        }
+      }
+
+      return await Question.deleteById(uuid, client);
+    });
   }
 
   /**
    * Deactivate question by UUID (internal use)
+   *
+   * When forms use the question, the result carries them as affectedForms and
+   * onQuestionDeactivated reports them to their owners; reports that failed
+   * are listed as failedReports.
    * @param {string} uuid - Question UUID
    * @returns {Promise<Question>}
    */
   async deactivateQuestionById(uuid) {
     validateRequired(uuid, 'Question UUID');
-    return await Question.updateById(uuid, { isActive: false });
+
+    const question = await Question.updateById(uuid, { isActive: false });
+    const { forms } = await this.getQuestionUsageById(uuid);
+    if (forms.length === 0) {
+      return question;
+    }
+
+    question.affectedForms = forms;
+    const failedReports = await this._reportDeactivation(question, forms);
+    if (failedReports.length > 0) {
+      question.failedReports = failedReports;
+    }
+    return question;
+  }
+
+  /**
+   * Report a deactivated question to the owners of the forms using it
+   *
+   * The deactivation is already committed, so a failing report is returned
+   * rather than thrown.
+   * @private
+   * @returns {Promise<Array<object>>} Failed reports: { owner, forms, error } with the error message
+   */
+  async _reportDeactivation(question, forms) {
+    if (!this.onQuestionDeactivated) {
+      return [];
+    }
+
+    const formsByOwner = new Map();
+    for (const form of forms) {
+      formsByOwner.set(form.owner, [...(formsByOwner.get(form.owner) || []), form]);
+    }
+
+    const failedReports = [];
+    for (const [owner, ownerForms] of formsByOwner) {
+      try {
+        await this.onQuestionDeactivated({ owner, question, forms: ownerForms });
+      } catch (error) {
+        failedReports.push({ owner, forms: ownerForms, error: error.message });
+      }
+    }
+    return failedReports;
   }
 
   /**
@@ -146,12 +368,66 @@ export class QuestionService {
     return await Question.updateById(uuid, { isActive: true });
   }
 
-  async getQuestionCount({ questionType = null, isActive = null } = {}) {
+  async getQuestionCount(filters = {}) {
+    return await Question.count(this._validateFilters(filters));
+  }
+
+  /**
+   * Validate the filters of getAllQuestions() / searchQuestions() / getQuestionCount()
+   * @param {object} filters - Filter options
+   * @returns {object} The filters, with tags and category normalized
+   * @private
+   */
+  _validateFilters({ questionType = null, isActive = null, tags = null, category = null, createdAfter = null, createdBefore = null } = {}) {
     if (questionType && !validateQuestionType(questionType)) {
       throw new ValidationError(`Invalid question type: ${questionType}`);
     }
 
-    return await Question.count({ questionType, isActive });
+    for (const [field, value] of [['createdAfter', createdAfter], ['createdBefore', createdBefore]]) {
+      if (value != null && Number.isNaN(new Date(value).getTime())) {
+        throw new ValidationError(`${field} must be a valid date`);
+      }
+    }
+
+    return {
+      questionType,
+      isActive,
+      tags: tags === null ? null : this._normalizeTags([].concat(tags)),
+      category: category === null ? null : this._normalizeCategory(category),
+      createdAfter,
+      createdBefore,
+    };
+  }
+
+  /**
+   * Trim and de-duplicate tags
+   * @private
+   */
+  _normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new ValidationError('tags must be an array of strings');
+    }
+
+    const normalized = new Set();
+    for (const tag of tags) {
+      validateString(tag, 'Tag');
+      validateString(tag.trim(), 'Tag', 1, 100);
+      normalized.add(sanitizeString(tag.trim()));
+    }
+    return [...normalized];
+  }
+
+  /**
+   * @private
+   */
+  _normalizeCategory(category) {
+    if (category === null) {
+      return null;
+    }
+
+    validateString(category, 'Category');
+    validateString(category.trim(), 'Category', 1, 100);
+    return sanitizeString(category.trim());
   }
 
   /**
@@ -159,7 +435,7 @@ export class QuestionService {
    * @param {string} questionUuid - Question UUID
    * @param {string} optionKey - Option key
    * @param {string} newLabel - New label
-   * @param {string} changedBy - User who made the change
+   * @param {string} changedBy - User who made the change (default: current actor)
    * @returns {Promise<Question>}
    */
   async updateOptionLabelById(questionUuid, optionKey, newLabel, changedBy = null) {
@@ -168,15 +444,17 @@ export class QuestionService {
     validateRequired(newLabel, 'New label');
     validateString(newLabel, 'New label', 1, 500);
 
+    const actor = changedBy ?? getActorId();
     const pool = getPool();
     const client = await pool.connect();
 
     try {
       await client.query('BEGIN');
 
+      const questionParams = [questionUuid];
       const questionResult = await client.query(
-        'SELECT * FROM question_bank WHERE id = $1 FOR UPDATE',
-        [questionUuid]
+        `SELECT * FROM question_bank WHERE id = $1 AND deleted_at IS NULL${tenantCondition(questionParams)} FOR UPDATE`,
+        questionParams
       );
 
       if (questionResult.rows.length === 0) {
@@ -210,27 +488,36 @@ export class QuestionService {
 
       const updatedQuestionResult = await client.query(
         `UPDATE question_bank
-         SET options = $1, updated_at = CURRENT_TIMESTAMP
+         SET options = $1, updated_by = $3, updated_at = CURRENT_TIMESTAMP
          WHERE id = $2
          RETURNING *`,
-        [JSON.stringify(updatedOptions), questionUuid]
+        [JSON.stringify(updatedOptions), questionUuid, getActorId()]
       );
+      const updatedQuestion = Question.fromRow(updatedQuestionResult.rows[0]);
 
       await this._recordOptionLabelChange(
         questionUuid,
         optionKey,
         oldLabel,
         sanitizedLabel,
-        changedBy,
+        actor,
         client
       );
+      await AuditLog.record({
+        entityType: 'question', action: 'update', before: question, after: updatedQuestion, actor,
+      }, client);
 
       await client.query('COMMIT');
 
       // After successful update, invalidate stats cache for all forms using this question
-      // Forms store questions as JSONB array, so we query to find matching forms
+      // Forms store questions as JSONB array, so we query to find matching forms.
+      // SIDs repeat across tenants, so only the question's tenant is searched.
+      const formParams = [question.tenantId];
       const formsResult = await pool.query(
-        `SELECT id, sid, questions FROM forms WHERE questions IS NOT NULL`
+        `SELECT id, sid, questions FROM forms
+         WHERE questions IS NOT NULL AND deleted_at IS NULL
+           AND tenant_id IS NOT DISTINCT FROM $1${tenantCondition(formParams)}`,
+        formParams
       );
 
       formsResult.rows.forEach(row => {
@@ -245,7 +532,7 @@ export class QuestionService {
         }
       });
 
-      return Question.fromRow(updatedQuestionResult.rows[0]);
+      return updatedQuestion;
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -264,19 +551,20 @@ export class QuestionService {
     validateRequired(questionUuid, 'Question UUID');
 
     const pool = getPool();
+    const params = [questionUuid];
     let query = `
-      SELECT id, question_id, option_key, old_label, new_label, changed_at, changed_by, change_reason
-      FROM question_option_history
-      WHERE question_id = $1
+      SELECT h.id, h.question_id, h.option_key, h.old_label, h.new_label, h.changed_at, h.changed_by, h.change_reason
+      FROM question_option_history h
+      JOIN question_bank q ON q.id = h.question_id
+      WHERE h.question_id = $1${tenantCondition(params, 'q.tenant_id')}
     `;
-    const params = [questionUuid];
 
     if (optionKey) {
-      query += ' AND option_key = $2';
       params.push(optionKey);
+      query += ` AND h.option_key = $${params.length}`;
     }
 
-    query += ' ORDER BY changed_at DESC';
+    query += ' ORDER BY h.changed_at DESC';
 
     const result = await pool.query(query, params);
 
@@ -296,13 +584,14 @@ export class QuestionService {
     const runner = client || getPool();
 
     // Get question SID for the history record
+    const params = [questionId];
     const questionResult = await runner.query(
-      `SELECT sid FROM question_bank WHERE id = $1`,
-      [questionId]
+      `SELECT sid FROM question_bank WHERE id = $1 AND deleted_at IS NULL${tenantCondition(params)}`,
+      params
     );
 
     if (questionResult.rows.length === 0) {
-      throw new Error(`Question not found: ${questionId}`);
+      throw new NotFoundError('Question', questionId);
     }
 
     const questionSid = questionResult.rows[0].sid;
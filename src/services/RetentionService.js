@@ -0,0 +1,63 @@
+import { withTransaction } from '../config/database.js';
+import { Form } from '../models/Form.js';
+import { Question } from '../models/Question.js';
+import { Submission } from '../models/Submission.js';
+import { Finding } from '../models/Finding.js';
+import { ValidationError } from '../utils/errors.js';
+import { parseDuration } from '../utils/slaPolicy.js';
+
+export class RetentionService {
+  /**
+   * Cutoff date of a purge
+   * @param {Date|number|string} olderThan - A date, or an age: hours as a number, or e.g. '90d', '12w'
+   * @param {Date} now - Current time
+   * @returns {Date}
+   */
+  static resolveCutoff(olderThan, now = new Date()) {
+    if (olderThan instanceof Date) {
+      if (Number.isNaN(olderThan.getTime())) {
+        throw new ValidationError('olderThan must be a valid date');
+      }
+      return olderThan;
+    }
+
+    try {
+      return new Date(now.getTime() - parseDuration(olderThan));
+    } catch {
+      throw new ValidationError(`Invalid olderThan: ${olderThan}. Use a Date, hours or a number with m, h, d or w`);
+    }
+  }
+
+  /**
+   * Hard-delete forms, questions, submissions and findings soft-deleted
+   * before a cutoff, in one transaction
+   *
+   * Children go first so that the counts are per entity, and questions last
+   * so that purged forms no longer hold on to them; questions that findings
+   * refer to or that a stored form lists are kept.
+   * @param {object} options
+   * @param {Date|number|string} options.olderThan - Cutoff date, or age of the deletes to purge
+   * @returns {Promise<object>} { cutoff, forms, questions, submissions, findings } with purged counts
+   */
+  async purgeDeleted({ olderThan } = {}) {
+    if (olderThan === undefined || olderThan === null) {
+      throw new ValidationError('olderThan is required');
+    }
+    const cutoff = RetentionService.resolveCutoff(olderThan);
+
+    const purged = await withTransaction(async (tx) => ({
+      findings: await Finding.purgeDeleted(cutoff, tx),
+      submissions: await Submission.purgeDeleted(cutoff, tx),
+      forms: await Form.purgeDeleted(cutoff, tx),
+      questions: await Question.purgeDeleted(cutoff, tx),
+    }));
+
+    return {
+      cutoff,
+      forms: purged.forms.length,
+      questions: purged.questions.length,
+      submissions: purged.submissions.length,
+      findings: purged.findings.length,
+    };
+  }
+}
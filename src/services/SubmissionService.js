@@ -1,23 +1,79 @@
 import { Submission } from '../models/Submission.js';
+import { SubmissionStatusHistory } from '../models/SubmissionStatusHistory.js';
 import { Form } from '../models/Form.js';
+import { FormVersion } from '../models/FormVersion.js';
 import { Question } from '../models/Question.js';
+import { Finding } from '../models/Finding.js';
+import { FindingService } from './FindingService.js';
 import { validateRequired, validateSubmissionData } from '../utils/validation.js';
 import { validateAndSanitizeSubmissionData } from '../utils/optimizedValidation.js';
-import { sanitizeObject } from '../utils/sanitization.js';
+import { sanitizeString, sanitizeObject } from '../utils/sanitization.js';
 import { OptionUtils } from '../utils/optionUtils.js';
-import { getPool } from '../config/database.js';
+import { getQuestionType } from '../utils/questionTypes.js';
+import { getPool, withTransaction } from '../config/database.js';
 import { checkOpsCache } from '../utils/cache.js';
-import { ValidationError } from '../utils/errors.js';
-import { isUUID } from '../utils/idResolver.js';
+import { ValidationError, NotFoundError, InvalidOperationError } from '../utils/errors.js';
+import { isUUID, isSID, resolveToUUID } from '../utils/idResolver.js';
+import { getHiddenQuestionIds, HIDDEN_ANSWER_POLICIES } from '../utils/displayRules.js';
+import { applyQuestionOverrides } from '../utils/formQuestions.js';
+import { resolveFormSections } from '../utils/formSections.js';
+import { calculateScore } from '../utils/scoring.js';
+import { evaluateFindingRules } from '../utils/findingRules.js';
+import { getRepeatableGroups, getGroupKeyByQuestion } from '../utils/repeatableGroups.js';
+import { createWorkflow, DEFAULT_SUBMISSION_WORKFLOW } from '../utils/workflow.js';
+import { getActorId } from '../utils/actorContext.js';
+
+// Statuses listed, counted and reported on unless a filter asks for drafts
+const DEFAULT_STATUSES = Submission.STATUSES.filter(status => status !== 'draft');
+
+/**
+ * Relation the question stats queries read answers from: the submitted
+ * submissions (drafts and deleted submissions are left out), or one row per instance of a repeatable
+ * group, with the instance as submission_data (the group key is bound as $4)
+ */
+function statsSource(groupKey) {
+  if (!groupKey) {
+    return "(SELECT * FROM submissions WHERE status <> 'draft' AND deleted_at IS NULL)";
+  }
+
+  return `(
+    SELECT s.id, s.form_id, s.form_version_id, s.submitted_at, instance.value AS submission_data
+    FROM submissions s
+    CROSS JOIN LATERAL jsonb_array_elements(
+      CASE WHEN jsonb_typeof(s.submission_data->$4::text) = 'array' THEN s.submission_data->$4::text ELSE '[]'::jsonb END
+    ) AS instance
+    WHERE s.status <> 'draft' AND s.deleted_at IS NULL
+  )`;
+}
+
+function statsParams(formUuid, questionId, formVersionId, groupKey) {
+  return groupKey ? [formUuid, questionId, formVersionId, groupKey] : [formUuid, questionId, formVersionId];
+}
 
 export class SubmissionService {
+  /**
+   * @param {object} options
+   * @param {string} options.hiddenAnswers - What to do with answers to questions hidden
+   *   by display rules: 'reject' (default) or 'strip'
+   * @param {FindingService} options.findingService - Supplies the initial status and SLA
+   *   due date of findings raised by finding rules
+   */
+  constructor({ hiddenAnswers = 'reject', findingService = new FindingService() } = {}) {
+    if (!HIDDEN_ANSWER_POLICIES.includes(hiddenAnswers)) {
+      throw new ValidationError(`hiddenAnswers must be one of: ${HIDDEN_ANSWER_POLICIES.join(', ')}`);
+    }
+    this.hiddenAnswers = hiddenAnswers;
+    this.findingService = findingService;
+    this.workflow = createWorkflow(DEFAULT_SUBMISSION_WORKFLOW, 'Submission');
+  }
+
   /**
    * Create submission (accepts formId UUID)
    * @param {object} params
    * @param {string} params.formId - Form UUID
    * @param {object} params.submissionData - Submission data
    * @param {object} params.metadata - Metadata
-   * @returns {Promise<Submission>}
+   * @returns {Promise<Submission>} Submission with the `findings` its answers raised
    */
   async createSubmission({ formId, submissionData, metadata = {}, targetUnitId = null, submitterUserId = null }) {
     validateRequired(formId, 'Form ID');
@@ -38,26 +94,238 @@ export class SubmissionService {
     // PHASE 3.2: Use optimized validation pipeline
     const sanitizedSubmissionData = validateAndSanitizeSubmissionData(
       submissionData,
-      questionsWithDetails
+      questionsWithDetails,
+      { displayRules: form.displayRules, hiddenAnswers: this.hiddenAnswers, sections: form.sections }
     );
 
     const sanitizedMetadata = sanitizeObject(metadata);
+    const raisedFindings = evaluateFindingRules(sanitizedSubmissionData, questionsWithDetails, {
+      displayRules: form.displayRules,
+      sections: form.sections,
+    });
 
-    const submission = await Submission.create({
-      formId,
-      submissionData: sanitizedSubmissionData,
-      metadata: sanitizedMetadata,
-      targetUnitId,
-      submitterUserId,
+    // The submission and the findings it raises are saved together or not at all
+    const submission = await withTransaction(async (client) => {
+      const created = await Submission.create({
+        formId,
+        submissionData: sanitizedSubmissionData,
+        metadata: sanitizedMetadata,
+        targetUnitId,
+        submitterUserId,
+        questions: questionsWithDetails,
+      }, client);
+
+      await SubmissionStatusHistory.create({
+        submissionId: created.id,
+        toStatus: created.status,
+        changedBy: submitterUserId,
+      }, client);
+
+      created.findings = await this._createRaisedFindings(created, raisedFindings, client);
+      return created;
     });
 
     // Invalidate stats cache since we have a new submission
-    checkOpsCache.deleteStats(form.id);
-    checkOpsCache.deleteStats(form.sid);
+    this._invalidateStats(form, submission.formVersionId);
+
+    return submission;
+  }
+
+  /**
+   * Save a draft submission (accepts formId UUID)
+   *
+   * Drafts accept partial answers: required questions may be left unanswered,
+   * but the answers given are validated. Drafts are not scored, raise no
+   * findings and are left out of stats and counts until submitted.
+   * @param {object} params - Same as createSubmission(); submissionData defaults to {}
+   * @returns {Promise<Submission>} Submission with status 'draft'
+   */
+  async saveDraft({ formId, submissionData = {}, metadata = {}, targetUnitId = null, submitterUserId = null }) {
+    validateRequired(formId, 'Form ID');
+
+    if (!isUUID(formId)) {
+      throw new ValidationError('Valid form UUID is required');
+    }
+
+    const form = await Form.findById(formId);
+
+    if (!form.isActive) {
+      throw new Error('Cannot submit to an inactive form');
+    }
+
+    const questionsWithDetails = await this._getQuestionsWithDetails(form.questions);
+    const sanitizedSubmissionData = validateAndSanitizeSubmissionData(
+      submissionData,
+      questionsWithDetails,
+      { displayRules: form.displayRules, hiddenAnswers: this.hiddenAnswers, sections: form.sections, partial: true }
+    );
+
+    return await withTransaction(async (client) => {
+      const draft = await Submission.create({
+        formId,
+        submissionData: sanitizedSubmissionData,
+        metadata: sanitizeObject(metadata),
+        targetUnitId,
+        submitterUserId,
+        status: 'draft',
+      }, client);
+
+      await SubmissionStatusHistory.create({ submissionId: draft.id, toStatus: 'draft', changedBy: submitterUserId }, client);
+      return draft;
+    });
+  }
+
+  /**
+   * Replace the answers and/or metadata of a draft (autosave)
+   * @param {string} uuid - Draft UUID
+   * @param {object} updates - { submissionData, metadata }
+   * @returns {Promise<Submission>}
+   * @throws {InvalidOperationError} If the submission was already submitted
+   */
+  async updateDraft(uuid, updates) {
+    validateRequired(uuid, 'Submission UUID');
+
+    const draft = await this._getDraft(uuid);
+    const sanitizedUpdates = {};
+
+    if (updates.submissionData !== undefined) {
+      const snapshot = await this._getFormSnapshot(draft);
+      const questionsWithDetails = await this._getQuestionsWithDetails(snapshot.questions);
+
+      sanitizedUpdates.submissionData = validateAndSanitizeSubmissionData(
+        updates.submissionData,
+        questionsWithDetails,
+        { displayRules: snapshot.displayRules, hiddenAnswers: this.hiddenAnswers, sections: snapshot.sections, partial: true }
+      );
+    }
+
+    if (updates.metadata !== undefined) {
+      sanitizedUpdates.metadata = sanitizeObject(updates.metadata);
+    }
+
+    return await Submission.updateById(uuid, sanitizedUpdates);
+  }
+
+  /**
+   * Submit a draft: validate its answers in full, score it, raise its findings
+   * and stamp submittedAt
+   *
+   * The draft is validated against the form version it was started on.
+   * @param {string} uuid - Draft UUID
+   * @param {object} options
+   * @param {object} options.submissionData - Final answers (default: the saved draft answers)
+   * @returns {Promise<Submission>} Submission with the `findings` its answers raised
+   * @throws {InvalidOperationError} If the submission was already submitted
+   */
+  async submitDraft(uuid, { submissionData } = {}) {
+    validateRequired(uuid, 'Submission UUID');
+
+    const draft = await this._getDraft(uuid);
+    const form = await Form.findById(draft.formId);
+
+    if (!form.isActive) {
+      throw new Error('Cannot submit to an inactive form');
+    }
+
+    const snapshot = await this._getFormSnapshot(draft);
+    const questionsWithDetails = await this._getQuestionsWithDetails(snapshot.questions);
+
+    const sanitizedSubmissionData = validateAndSanitizeSubmissionData(
+      submissionData ?? draft.submissionData,
+      questionsWithDetails,
+      { displayRules: snapshot.displayRules, hiddenAnswers: this.hiddenAnswers, sections: snapshot.sections }
+    );
+    const options = { displayRules: snapshot.displayRules, sections: snapshot.sections };
+    const score = calculateScore(sanitizedSubmissionData, questionsWithDetails, options);
+    const raisedFindings = evaluateFindingRules(sanitizedSubmissionData, questionsWithDetails, options);
+
+    const submission = await withTransaction(async (client) => {
+      const submitted = await Submission.submitDraft(uuid, { submissionData: sanitizedSubmissionData, score }, client);
+      await SubmissionStatusHistory.create({
+        submissionId: uuid,
+        fromStatus: 'draft',
+        toStatus: submitted.status,
+        changedBy: draft.submitterUserId,
+      }, client);
+      submitted.findings = await this._createRaisedFindings(submitted, raisedFindings, client);
+      return submitted;
+    });
+
+    this._invalidateStats(form, submission.formVersionId);
+
+    return submission;
+  }
+
+  /**
+   * Find drafts, most recently saved first
+   *
+   * Submission data is returned as stored (option keys, not labels).
+   * @param {object} filters
+   * @param {string} filters.formId - Form UUID (optional)
+   * @param {string} filters.submitterUserId - Submitter user UUID (optional)
+   * @param {string} filters.targetUnitId - Audited target unit UUID (optional)
+   * @param {number} filters.limit - Limit (default: 100)
+   * @param {number} filters.offset - Offset (default: 0)
+   * @returns {Promise<Array<Submission>>}
+   */
+  async getDrafts(filters = {}) {
+    for (const field of ['formId', 'submitterUserId', 'targetUnitId']) {
+      if (filters[field] != null && !isUUID(filters[field])) {
+        throw new ValidationError(`Valid UUID is required for ${field}`);
+      }
+    }
+
+    return await Submission.findDrafts(filters);
+  }
+
+  /**
+   * Load a submission that must still be a draft
+   * @private
+   */
+  async _getDraft(uuid) {
+    const submission = await Submission.findById(uuid);
+
+    if (submission.status !== 'draft') {
+      throw new InvalidOperationError(`Submission '${submission.sid}' is not a draft`);
+    }
 
     return submission;
   }
 
+  /**
+   * Save the findings raised by a submission's answers
+   * @param {Submission} submission - Saved submission
+   * @param {Array<object>} raisedFindings - From evaluateFindingRules()
+   * @param {object} client - Transaction client
+   * @returns {Promise<Array<Finding>>}
+   * @private
+   */
+  async _createRaisedFindings(submission, raisedFindings, client) {
+    const findings = [];
+
+    for (const finding of raisedFindings) {
+      findings.push(await Finding.create({
+        ...finding,
+        submissionId: submission.id,
+        formId: submission.formId,
+        ...this.findingService.getInitialFindingFields(finding.severity),
+        createdBy: submission.submitterUserId,
+      }, client));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Drop the cached stats a submitted, deleted or restored submission makes stale
+   * @private
+   */
+  _invalidateStats(form, formVersionId) {
+    checkOpsCache.deleteStats(form.id);
+    checkOpsCache.deleteStats(form.sid);
+    checkOpsCache.deleteStats(`${form.id}:${formVersionId}`);
+  }
+
   /**
    * Get submission by UUID (internal use)
    * @param {string} uuid - Submission UUID
@@ -67,8 +335,8 @@ export class SubmissionService {
     validateRequired(uuid, 'Submission UUID');
     const submission = await Submission.findById(uuid);
 
-    const form = await Form.findById(submission.formId);
-    const questionsWithDetails = await this._getQuestionsWithDetails(form.questions);
+    // Render against the version the submission answered, not the current form
+    const questionsWithDetails = await this._getQuestionsForSubmission(submission);
 
     const displayData = this._transformKeysToLabels(submission.submissionData, questionsWithDetails);
 
@@ -81,33 +349,64 @@ export class SubmissionService {
 
   /**
    * Get submissions by form UUID (internal use)
+   *
+   * Passing `cursor` (null for the first page) returns a page
+   * `{ items, nextCursor, hasMore }` instead of an array.
    * @param {string} formUuid - Form UUID
    * @param {object} options - Pagination options
-   * @returns {Promise<Array<Submission>>}
+   * @returns {Promise<Array<Submission>|object>}
    */
-  async getSubmissionsByFormId(formUuid, { limit = 100, offset = 0 } = {}) {
+  async getSubmissionsByFormId(formUuid, { limit = 100, offset = 0, cursor } = {}) {
     validateRequired(formUuid, 'Form UUID');
-    const submissions = await Submission.findByFormId(formUuid, { limit, offset });
 
-    const form = await Form.findById(formUuid);
-    const questionsWithDetails = await this._getQuestionsWithDetails(form.questions);
+    if (cursor !== undefined) {
+      const page = await Submission.findPage({ formId: formUuid, status: DEFAULT_STATUSES, cursor, limit });
+      return { ...page, items: await this._withDisplayData(formUuid, page.items) };
+    }
 
-    return submissions.map((submission) => {
-      const displayData = this._transformKeysToLabels(submission.submissionData, questionsWithDetails);
-      return {
-        ...submission,
-        submissionData: displayData,
-        _rawData: submission.submissionData,
-      };
-    });
+    const submissions = await Submission.findByFormId(formUuid, { limit, offset });
+    return await this._withDisplayData(formUuid, submissions);
   }
 
-  async getAllSubmissions({ limit = 100, offset = 0 } = {}) {
-    return await Submission.findAll({ limit, offset });
+  async getAllSubmissions({ limit = 100, offset = 0, cursor } = {}) {
+    if (cursor !== undefined) {
+      return await Submission.findPage({ status: DEFAULT_STATUSES, cursor, limit });
+    }
+    return await Submission.findAll({ status: DEFAULT_STATUSES, limit, offset });
+  }
+
+  /**
+   * Find submissions across forms, target units and submitters
+   *
+   * Submission data is returned as stored (option keys, not labels).
+   * @param {object} filters
+   * @param {Array<string>} filters.formIds - Form UUIDs (optional)
+   * @param {Array<string>} filters.targetUnitIds - Audited target unit UUIDs (optional)
+   * @param {Array<string>} filters.submitterUserIds - Submitter user UUIDs (optional)
+   * @param {string} filters.submittedAfter - Submitted at or after date (optional)
+   * @param {string} filters.submittedBefore - Submitted at or before date (optional)
+   * @param {Array<object>} filters.answers - Answer predicates such as
+   *   { questionId: 'Q-012', operator: 'equals', value: 'opt_fail' } (optional)
+   * @param {Array<string>} filters.status - Statuses to include (default: all but 'draft')
+   * @param {number} filters.limit - Limit (default: 100)
+   * @param {number} filters.offset - Offset (default: 0)
+   * @param {string} filters.cursor - Return a page `{ items, nextCursor, hasMore }`
+   *   starting after this cursor (null for the first page) (optional)
+   * @returns {Promise<Array<Submission>|object>}
+   */
+  async findSubmissions(filters = {}) {
+    const normalized = await this._normalizeFilters(filters);
+    if (filters.cursor !== undefined) {
+      return await Submission.findPage(normalized);
+    }
+    return await Submission.findAll(normalized);
   }
 
   /**
    * Update submission by UUID (internal use)
+   *
+   * The submission is locked while it is checked and updated, so that a
+   * concurrent transitionSubmission() cannot approve it in between.
    * @param {string} uuid - Submission UUID
    * @param {object} updates - Updates to apply
    * @returns {Promise<Submission>}
@@ -115,60 +414,256 @@ export class SubmissionService {
   async updateSubmissionById(uuid, updates) {
     validateRequired(uuid, 'Submission UUID');
 
-    const submission = await Submission.findById(uuid);
+    return await withTransaction(async (client) => {
+      const submission = await Submission.findById(uuid, client, { forUpdate: true });
 
-    const sanitizedUpdates = {};
+      if (submission.status === 'draft') {
+        throw new InvalidOperationError(`Submission '${submission.sid}' is a draft; use updateDraft() or submitDraft()`);
+      }
+      if (updates.submissionData !== undefined && this.workflow.isClosed(submission.status)) {
+        throw new InvalidOperationError(`Submission '${submission.sid}' is ${submission.status}; its answers can no longer be changed`);
+      }
 
-    if (updates.submissionData !== undefined) {
-      const form = await Form.findById(submission.formId);
-      const questionsWithDetails = await this._getQuestionsWithDetails(form.questions);
+      const sanitizedUpdates = {};
 
-      const transformedData = this._transformSubmissionToKeys(updates.submissionData, questionsWithDetails);
-      validateSubmissionData(transformedData, questionsWithDetails);
-      sanitizedUpdates.submissionData = sanitizeObject(transformedData);
-    }
+      if (updates.submissionData !== undefined) {
+        const snapshot = await this._getFormSnapshot(submission);
+        const questionsWithDetails = await this._getQuestionsWithDetails(snapshot.questions);
 
-    if (updates.metadata !== undefined) {
-      sanitizedUpdates.metadata = sanitizeObject(updates.metadata);
+        const transformedData = this._transformSubmissionToKeys(updates.submissionData, questionsWithDetails);
+
+        if (this.hiddenAnswers === 'strip') {
+          for (const questionId of getHiddenQuestionIds(snapshot.displayRules, transformedData)) {
+            delete transformedData[questionId];
+          }
+        }
+
+        validateSubmissionData(transformedData, questionsWithDetails, snapshot.displayRules, snapshot.sections);
+        sanitizedUpdates.submissionData = sanitizeObject(transformedData);
+        sanitizedUpdates.score = calculateScore(sanitizedUpdates.submissionData, questionsWithDetails, {
+          sections: snapshot.sections,
+          displayRules: snapshot.displayRules,
+        });
+      }
+
+      if (updates.metadata !== undefined) {
+        sanitizedUpdates.metadata = sanitizeObject(updates.metadata);
+      }
+
+      return await Submission.updateById(uuid, sanitizedUpdates, client);
+    });
+  }
+
+  /**
+   * Move a submitted submission through the review workflow
+   *
+   * Moving to any status but 'submitted' records a review step: the actor,
+   * comment and time are kept on the submission as reviewedBy, reviewComment
+   * and reviewedAt. Every change is recorded in the status history.
+   * @param {string} uuid - Submission UUID
+   * @param {string} status - Target status: under_review, approved, returned or submitted
+   * @param {object} options
+   * @param {string} options.changedBy - Actor identifier, e.g. the reviewer (default: current actor)
+   * @param {string} options.comment - Comment recorded with the change (optional)
+   * @returns {Promise<Submission>}
+   * @throws {InvalidOperationError} If the workflow does not allow the change
+   */
+  async transitionSubmission(uuid, status, { changedBy = null, comment = null } = {}) {
+    validateRequired(uuid, 'Submission UUID');
+
+    if (!status || typeof status !== 'string') {
+      throw new ValidationError('status is required');
     }
 
-    return await Submission.updateById(uuid, sanitizedUpdates);
+    const sanitizedComment = comment === null || comment === undefined ? null : sanitizeString(String(comment));
+    const actor = changedBy ?? getActorId();
+
+    return await withTransaction(async (client) => {
+      const current = await Submission.findById(uuid, client, { forUpdate: true });
+
+      if (current.status === 'draft') {
+        throw new InvalidOperationError(`Submission '${current.sid}' is a draft; use submitDraft()`);
+      }
+      this.workflow.assertTransition(current.status, status);
+
+      const review = status === this.workflow.initial ? null : { reviewedBy: actor, comment: sanitizedComment };
+      const updated = await Submission.updateStatus(uuid, { status, review }, client);
+      await SubmissionStatusHistory.create({
+        submissionId: uuid,
+        fromStatus: current.status,
+        toStatus: status,
+        changedBy: actor,
+        comment: sanitizedComment,
+      }, client);
+
+      return updated;
+    });
+  }
+
+  /**
+   * Status history of a submission, oldest first
+   * @param {string} uuid - Submission UUID
+   * @returns {Promise<Array<SubmissionStatusHistory>>}
+   */
+  async getSubmissionStatusHistory(uuid) {
+    validateRequired(uuid, 'Submission UUID');
+
+    await Submission.findById(uuid);
+    return await SubmissionStatusHistory.findBySubmissionId(uuid);
   }
 
   /**
-   * Delete submission by UUID (internal use)
+   * Soft-delete submission by UUID (internal use)
    * @param {string} uuid - Submission UUID
    * @returns {Promise<Submission>}
    */
   async deleteSubmissionById(uuid) {
     validateRequired(uuid, 'Submission UUID');
-    return await Submission.deleteById(uuid);
+
+    const submission = await Submission.deleteById(uuid);
+    this._invalidateStats({ id: submission.formId, sid: submission.formSid }, submission.formVersionId);
+
+    return submission;
+  }
+
+  /**
+   * Restore a soft-deleted submission by UUID (internal use), with the findings
+   * deleted along with it
+   * @param {string} uuid - Submission UUID
+   * @returns {Promise<Submission>}
+   */
+  async restoreSubmissionById(uuid) {
+    validateRequired(uuid, 'Submission UUID');
+
+    const submission = await Submission.restoreById(uuid);
+    this._invalidateStats({ id: submission.formId, sid: submission.formSid }, submission.formVersionId);
+
+    return submission;
   }
 
   /**
    * Get submission count
-   * @param {object} options
-   * @param {string} options.formId - Form UUID (optional)
+   * @param {object} filters - Same filters as findSubmissions(); formId is also accepted
    * @returns {Promise<number>}
    */
-  async getSubmissionCount({ formId = null } = {}) {
-    return await Submission.count({ formId });
+  async getSubmissionCount(filters = {}) {
+    return await Submission.count(await this._normalizeFilters(filters));
+  }
+
+  /**
+   * Validate submission filters and resolve question SIDs in answer predicates
+   * @param {object} filters - See findSubmissions()
+   * @returns {Promise<object>} Filters for Submission.findAll() / count()
+   * @private
+   */
+  async _normalizeFilters(filters) {
+    const normalized = { ...filters };
+
+    const uuidLists = [
+      ['formId', 'form'], ['formIds', 'form'], ['targetUnitIds', 'target unit'], ['submitterUserIds', 'submitter user'],
+    ];
+    for (const [field, label] of uuidLists) {
+      if (normalized[field] == null) {
+        continue;
+      }
+      const ids = Array.isArray(normalized[field]) ? normalized[field] : [normalized[field]];
+      if (!ids.every((id) => isUUID(id))) {
+        throw new ValidationError(`${field} must contain valid ${label} UUIDs`);
+      }
+    }
+
+    if (normalized.formVersionId != null && !isUUID(normalized.formVersionId)) {
+      throw new ValidationError('Valid form version UUID is required for formVersionId');
+    }
+
+    for (const field of ['submittedAfter', 'submittedBefore']) {
+      if (normalized[field] != null && Number.isNaN(new Date(normalized[field]).getTime())) {
+        throw new ValidationError(`${field} must be a valid date`);
+      }
+    }
+
+    if (normalized.status == null) {
+      normalized.status = DEFAULT_STATUSES;
+    } else {
+      const statuses = Array.isArray(normalized.status) ? normalized.status : [normalized.status];
+      const invalid = statuses.find((status) => !Submission.STATUSES.includes(status));
+      if (invalid !== undefined) {
+        throw new ValidationError(`Invalid submission status '${invalid}'. Must be one of: ${Submission.STATUSES.join(', ')}`);
+      }
+      // Drafts have no submitted_at to page by
+      if (normalized.cursor !== undefined && statuses.includes('draft')) {
+        throw new ValidationError('Drafts cannot be paged with a cursor; use getDrafts()');
+      }
+    }
+
+    if (normalized.answers != null) {
+      const predicates = Array.isArray(normalized.answers) ? normalized.answers : [normalized.answers];
+      normalized.answers = await Promise.all(predicates.map((predicate) => this._normalizeAnswerPredicate(predicate)));
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate one answer predicate, resolving a question SID to the UUID answers are keyed by
+   * @param {object} predicate - { questionId, operator, value }
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _normalizeAnswerPredicate(predicate) {
+    if (!predicate || typeof predicate !== 'object' || !predicate.questionId) {
+      throw new ValidationError('Each answer filter needs a questionId');
+    }
+
+    const operator = predicate.operator || 'equals';
+    if (!Submission.ANSWER_OPERATORS.includes(operator)) {
+      throw new ValidationError(
+        `Invalid answer filter operator '${operator}'. Must be one of: ${Submission.ANSWER_OPERATORS.join(', ')}`
+      );
+    }
+
+    if ((operator === 'in' || operator === 'notIn') && !Array.isArray(predicate.value)) {
+      throw new ValidationError(`Answer filter operator '${operator}' requires an array value`);
+    }
+    if (['gt', 'gte', 'lt', 'lte'].includes(operator) && !Number.isFinite(predicate.value)) {
+      throw new ValidationError(`Answer filter operator '${operator}' requires a number value`);
+    }
+    if (!['answered', 'notAnswered'].includes(operator) && predicate.value === undefined) {
+      throw new ValidationError(`Answer filter operator '${operator}' requires a value`);
+    }
+
+    let questionId = predicate.questionId;
+    if (isSID(questionId, 'Q')) {
+      questionId = await resolveToUUID(questionId, 'question_bank');
+      if (!questionId) {
+        throw new NotFoundError('Question', predicate.questionId);
+      }
+    }
+
+    return { questionId: String(questionId), operator, value: predicate.value };
   }
 
   /**
    * Get submission stats by form UUID (internal use)
    * @param {string} formUuid - Form UUID
+   * @param {object} options
+   * @param {string} options.formVersionId - Restrict stats to one form version (optional)
    * @returns {Promise<object>}
    */
-  async getSubmissionStatsById(formUuid) {
+  async getSubmissionStatsById(formUuid, { formVersionId = null } = {}) {
     validateRequired(formUuid, 'Form UUID');
 
     // Check cache first
-    const cachedStats = checkOpsCache.getStats(formUuid);
+    const cacheKey = formVersionId ? `${formUuid}:${formVersionId}` : formUuid;
+    const cachedStats = checkOpsCache.getStats(cacheKey);
     if (cachedStats) {
       return cachedStats;
     }
 
+    // Load the form first: it is looked up in the current tenant, and its
+    // submissions belong to the same tenant
+    const form = await Form.findById(formUuid);
+
     // OPTIMIZATION: Use database aggregation instead of loading all submissions into memory
     const pool = getPool();
 
@@ -179,38 +674,213 @@ export class SubmissionService {
         MIN(submitted_at) as first_submission,
         MAX(submitted_at) as last_submission
       FROM submissions
-      WHERE form_id = $1
+      WHERE form_id = $1 AND ($2::uuid IS NULL OR form_version_id = $2) AND status <> 'draft' AND deleted_at IS NULL
     `;
 
-    const basicStatsResult = await pool.query(basicStatsQuery, [formUuid]);
+    const basicStatsResult = await pool.query(basicStatsQuery, [formUuid, formVersionId]);
     const basicStats = basicStatsResult.rows[0];
 
-    // Step 2: Get form and question details (using our optimized enrichQuestions)
-    const form = await Form.findById(formUuid);
-    const questionsWithDetails = await this._getQuestionsWithDetails(form.questions);
+    // Step 2: Get question details for the version(s) being reported on
+    const { entries, sections } = await this._getStatsQuestionEntries(form, formVersionId);
+    const questionsWithDetails = await this._getQuestionsWithDetails(entries);
 
     // Step 3: Build stats object with database aggregation
     const stats = {
       totalSubmissions: parseInt(basicStats.total_submissions, 10),
       firstSubmission: basicStats.first_submission,
       lastSubmission: basicStats.last_submission,
+      formVersionId,
       questionStats: {},
+      sectionStats: {},
+      scoring: await Submission.getScoreSummary(formUuid, { formVersionId }),
     };
 
-    // Step 4: Calculate stats per question using database aggregation
+    // Step 4: Calculate stats per question using database aggregation; questions of
+    // repeatable sections aggregate over every instance
+    const groups = getRepeatableGroups(questionsWithDetails, sections);
+    const groupKeyByQuestion = getGroupKeyByQuestion(groups);
+
     for (const question of questionsWithDetails) {
-      const questionId = question.questionId || question.sid;
-      stats.questionStats[questionId] = await this._getQuestionStatsFromDB(formUuid, questionId, question);
+      const questionId = question.questionId || question.id || question.sid;
+      const groupKey = groupKeyByQuestion.get(questionId) ?? null;
+      stats.questionStats[questionId] = await this._getQuestionStatsFromDB(formUuid, questionId, question, formVersionId, groupKey);
+      if (groupKey) {
+        stats.questionStats[questionId].groupKey = groupKey;
+      }
     }
 
+    // Step 5: Roll question stats up into their sections
+    const instanceCounts = await this._getGroupInstanceCountsFromDB(formUuid, groups.map(group => group.key), formVersionId);
+    stats.sectionStats = this._buildSectionStats(resolveFormSections(entries, sections), stats, instanceCounts);
+
     // Cache the results (3 minute TTL for stats)
-    checkOpsCache.setStats(formUuid, stats, 180000);
-    checkOpsCache.setStats(form.sid, stats, 180000);
+    checkOpsCache.setStats(cacheKey, stats, 180000);
+    if (!formVersionId) {
+      checkOpsCache.setStats(form.sid, stats, 180000);
+    }
 
     return stats;
   }
 
-  async _getQuestionStatsFromDB(formUuid, questionId, question) {
+  /**
+   * Number of instances submitted for each repeatable group
+   * @param {Array<string>} groupKeys - Section keys of the repeatable groups
+   * @returns {Promise<object>} Group key -> instance count
+   */
+  async _getGroupInstanceCountsFromDB(formUuid, groupKeys, formVersionId = null) {
+    if (groupKeys.length === 0) {
+      return {};
+    }
+
+    const pool = getPool();
+    const result = await pool.query(
+      `SELECT g.key as group_key,
+         COALESCE(SUM(
+           CASE WHEN jsonb_typeof(s.submission_data->g.key) = 'array' THEN jsonb_array_length(s.submission_data->g.key) ELSE 0 END
+         ), 0) as instance_count
+       FROM unnest($2::text[]) AS g(key)
+       LEFT JOIN submissions s ON s.form_id = $1 AND ($3::uuid IS NULL OR s.form_version_id = $3) AND s.status <> 'draft'
+         AND s.deleted_at IS NULL
+       GROUP BY g.key`,
+      [formUuid, groupKeys, formVersionId]
+    );
+
+    return Object.fromEntries(result.rows.map(row => [row.group_key, parseInt(row.instance_count, 10)]));
+  }
+
+  /**
+   * Per-section totals derived from question stats
+   *
+   * Repeatable sections measure completion against the number of instances
+   * submitted rather than the number of submissions.
+   * @param {Array<object>} sections - Resolved sections
+   * @param {object} stats - Stats with totalSubmissions and questionStats
+   * @param {object} instanceCounts - Repeatable section key -> instance count
+   * @returns {object} Section key -> section stats
+   */
+  _buildSectionStats(sections, stats, instanceCounts = {}) {
+    const sectionStats = {};
+
+    for (const section of sections) {
+      const questionIds = section.questionIds.filter(questionId => stats.questionStats[questionId]);
+      const totalAnswers = questionIds.reduce(
+        (sum, questionId) => sum + stats.questionStats[questionId].totalAnswers, 0
+      );
+      const instanceCount = section.repeatable ? (instanceCounts[section.key] ?? 0) : null;
+      const possibleAnswers = questionIds.length * (section.repeatable ? instanceCount : stats.totalSubmissions);
+
+      sectionStats[section.key] = {
+        title: section.title,
+        description: section.description,
+        repeatable: section.repeatable,
+        implicit: Boolean(section.implicit),
+        questionIds,
+        questionCount: questionIds.length,
+        totalAnswers,
+        completionRate: possibleAnswers > 0 ? (totalAnswers / possibleAnswers) * 100 : 0,
+      };
+      if (section.repeatable) {
+        sectionStats[section.key].instanceCount = instanceCount;
+      }
+    }
+
+    return sectionStats;
+  }
+
+  /**
+   * Question entries to report on: a single version's questions, or the union
+   * of the current questions and every published version's questions so that
+   * answers to since-removed questions still show up
+   * @returns {Promise<{entries: Array, sections: Array}>} Entries plus the sections to group them by
+   */
+  async _getStatsQuestionEntries(form, formVersionId = null) {
+    if (formVersionId) {
+      const version = await FormVersion.findById(formVersionId);
+      if (version.formId !== form.id) {
+        throw new ValidationError(`Form version '${formVersionId}' does not belong to form '${form.id}'`);
+      }
+      return { entries: version.questions, sections: version.sections };
+    }
+
+    const versions = await FormVersion.findByFormId(form.id);
+    const seen = new Set();
+    const entries = [];
+
+    for (const questions of [form.questions, ...versions.filter(v => v.status === 'published').map(v => v.questions)]) {
+      for (const entry of questions || []) {
+        const key = typeof entry === 'string' ? entry : (entry.questionId || entry.id || entry.questionText);
+        if (!seen.has(key)) {
+          seen.add(key);
+          entries.push(entry);
+        }
+      }
+    }
+
+    // Questions dropped from the current form fall into the implicit section
+    return { entries, sections: form.sections };
+  }
+
+  /**
+   * Resolve the form definition a submission answered: its pinned form version,
+   * or the current form for submissions that predate versioning
+   * @returns {Promise<FormVersion|Form>} Object with questions and displayRules
+   */
+  async _getFormSnapshot(submission) {
+    if (submission.formVersionId) {
+      return await FormVersion.findById(submission.formVersionId);
+    }
+
+    return await Form.findById(submission.formId);
+  }
+
+  async _getQuestionsForSubmission(submission) {
+    const snapshot = await this._getFormSnapshot(submission);
+    return await this._getQuestionsWithDetails(snapshot.questions);
+  }
+
+  /**
+   * Replace option keys with labels, keeping the stored answers as _rawData
+   * @param {string} formUuid - Form UUID the submissions belong to
+   * @param {Array<Submission>} submissions - Submissions of that form
+   * @returns {Promise<Array<object>>}
+   * @private
+   */
+  async _withDisplayData(formUuid, submissions) {
+    const form = await Form.findById(formUuid);
+    const questionsByVersion = await this._getQuestionsByVersion(form, submissions);
+
+    return submissions.map((submission) => {
+      const questionsWithDetails = questionsByVersion.get(submission.formVersionId ?? null);
+      const displayData = this._transformKeysToLabels(submission.submissionData, questionsWithDetails);
+      return {
+        ...submission,
+        submissionData: displayData,
+        _rawData: submission.submissionData,
+      };
+    });
+  }
+
+  /**
+   * Resolve question details once per form version used by a page of submissions
+   * @returns {Promise<Map<string|null, Array>>} version UUID (null = current form) -> questions
+   */
+  async _getQuestionsByVersion(form, submissions) {
+    const questionsByVersion = new Map();
+    const versionIds = [...new Set(submissions.map(s => s.formVersionId).filter(Boolean))];
+    const versions = await FormVersion.findByIds(versionIds);
+
+    for (const version of versions) {
+      questionsByVersion.set(version.id, await this._getQuestionsWithDetails(version.questions));
+    }
+
+    if (submissions.some(s => !s.formVersionId)) {
+      questionsByVersion.set(null, await this._getQuestionsWithDetails(form.questions));
+    }
+
+    return questionsByVersion;
+  }
+
+  async _getQuestionStatsFromDB(formUuid, questionId, question, formVersionId = null, groupKey = null) {
     const pool = getPool();
 
     // OPTIMIZATION: Single query per question using PostgreSQL JSONB functions
@@ -218,8 +888,8 @@ export class SubmissionService {
       WITH question_answers AS (
         SELECT 
           submission_data->$2 as answer
-        FROM submissions
-        WHERE form_id = $1
+        FROM ${statsSource(groupKey)} AS submissions
+        WHERE form_id = $1 AND ($3::uuid IS NULL OR form_version_id = $3)
       )
       SELECT 
         COUNT(*) as total_answers,
@@ -228,7 +898,7 @@ export class SubmissionService {
       FROM question_answers
     `;
 
-    const result = await pool.query(query, [formUuid, questionId]);
+    const result = await pool.query(query, statsParams(formUuid, questionId, formVersionId, groupKey));
     const row = result.rows[0];
 
     const baseStats = {
@@ -239,19 +909,41 @@ export class SubmissionService {
       uniqueAnswerCount: parseInt(row.unique_answer_count, 10),
     };
 
-    // OPTIMIZATION: Only calculate distribution for questions with options
-    if (question.options && OptionUtils.requiresOptions(question.questionType)) {
-      baseStats.answerDistribution = await this._getAnswerDistributionFromDB(formUuid, questionId, question);
-      baseStats._keyDistribution = await this._getKeyDistributionFromDB(formUuid, questionId, question);
+    const questionType = getQuestionType(question.questionType);
+
+    if (questionType?.builtIn) {
+      // Built-in types aggregate in SQL
+      const stats = this._getStatsQueries(formUuid, questionId, question, formVersionId, groupKey);
+      Object.assign(baseStats, await questionType.aggregateStats(stats, question));
+    } else if (questionType?.aggregateStats) {
+      // Custom question types aggregate their own answers
+      const answers = await this._getAnswersFromDB(formUuid, questionId, formVersionId, groupKey);
+      baseStats.answerDistribution = {};
+      Object.assign(baseStats, await questionType.aggregateStats(answers, question));
     } else {
-      // For non-option questions, get simple answer distribution
-      baseStats.answerDistribution = await this._getSimpleAnswerDistributionFromDB(formUuid, questionId);
+      baseStats.answerDistribution = await this._getSimpleAnswerDistributionFromDB(formUuid, questionId, formVersionId, groupKey);
     }
 
     return baseStats;
   }
 
-  async _getAnswerDistributionFromDB(formUuid, questionId, question) {
+  /**
+   * Stats queries for one question, passed to the aggregateStats hook of
+   * built-in question types
+   * @returns {object} Query name -> function returning a Promise
+   */
+  _getStatsQueries(formUuid, questionId, question, formVersionId = null, groupKey = null) {
+    return {
+      answerDistribution: () => this._getAnswerDistributionFromDB(formUuid, questionId, question, formVersionId, groupKey),
+      keyDistribution: () => this._getKeyDistributionFromDB(formUuid, questionId, question, formVersionId, groupKey),
+      matrixDistribution: () => this._getMatrixDistributionFromDB(formUuid, questionId, question, formVersionId, groupKey),
+      simpleDistribution: () => this._getSimpleAnswerDistributionFromDB(formUuid, questionId, formVersionId, groupKey),
+      fileCount: () => this._getFileCountFromDB(formUuid, questionId, formVersionId, groupKey),
+      locationBounds: () => this._getLocationBoundsFromDB(formUuid, questionId, formVersionId, groupKey),
+    };
+  }
+
+  async _getAnswerDistributionFromDB(formUuid, questionId, question, formVersionId = null, groupKey = null) {
     const pool = getPool();
 
     // Use PostgreSQL's aggregation for option counting
@@ -259,15 +951,16 @@ export class SubmissionService {
       SELECT 
         submission_data->$2 as answer,
         COUNT(*) as count
-      FROM submissions
+      FROM ${statsSource(groupKey)} AS submissions
       WHERE form_id = $1
+        AND ($3::uuid IS NULL OR form_version_id = $3)
         AND submission_data->$2 IS NOT NULL
         AND submission_data->$2::text != 'null'
         AND submission_data->$2::text != '""'
       GROUP BY submission_data->$2
     `;
 
-    const result = await pool.query(query, [formUuid, questionId]);
+    const result = await pool.query(query, statsParams(formUuid, questionId, formVersionId, groupKey));
 
     const distribution = {};
 
@@ -293,22 +986,23 @@ export class SubmissionService {
     return distribution;
   }
 
-  async _getKeyDistributionFromDB(formUuid, questionId, question) {
+  async _getKeyDistributionFromDB(formUuid, questionId, question, formVersionId = null, groupKey = null) {
     const pool = getPool();
 
     const query = `
       SELECT 
         submission_data->$2 as answer,
         COUNT(*) as count
-      FROM submissions
+      FROM ${statsSource(groupKey)} AS submissions
       WHERE form_id = $1
+        AND ($3::uuid IS NULL OR form_version_id = $3)
         AND submission_data->$2 IS NOT NULL
         AND submission_data->$2::text != 'null'
         AND submission_data->$2::text != '""'
       GROUP BY submission_data->$2
     `;
 
-    const result = await pool.query(query, [formUuid, questionId]);
+    const result = await pool.query(query, statsParams(formUuid, questionId, formVersionId, groupKey));
 
     const keyDistribution = {};
 
@@ -328,7 +1022,128 @@ export class SubmissionService {
     return keyDistribution;
   }
 
-  async _getSimpleAnswerDistributionFromDB(formUuid, questionId) {
+  /**
+   * Non-empty answers to a question, for custom type aggregators
+   * @returns {Promise<Array>} Stored answers
+   */
+  async _getAnswersFromDB(formUuid, questionId, formVersionId = null, groupKey = null) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT submission_data->$2 as answer
+       FROM ${statsSource(groupKey)} AS submissions
+       WHERE form_id = $1
+         AND ($3::uuid IS NULL OR form_version_id = $3)
+         AND submission_data->$2 IS NOT NULL
+         AND submission_data->$2::text != 'null'
+         AND submission_data->$2::text != '""'
+       ORDER BY submitted_at ASC`,
+      statsParams(formUuid, questionId, formVersionId, groupKey)
+    );
+
+    return result.rows.map(row => row.answer);
+  }
+
+  /**
+   * Option counts per matrix row
+   * @returns {Promise<object>} { answerDistribution: row label -> option label -> count,
+   *   keyDistribution: row key -> option key -> count }
+   */
+  async _getMatrixDistributionFromDB(formUuid, questionId, question, formVersionId = null, groupKey = null) {
+    const pool = getPool();
+
+    // One result row per (matrix row, chosen option); multi-choice rows are unnested
+    const query = `
+      SELECT
+        r.key as row_key,
+        COALESCE(e.value, r.value) #>> '{}' as option_key,
+        COUNT(*) as count
+      FROM ${statsSource(groupKey)} AS s
+      CROSS JOIN LATERAL jsonb_each(
+        CASE WHEN jsonb_typeof(s.submission_data->$2) = 'object' THEN s.submission_data->$2 ELSE '{}'::jsonb END
+      ) AS r
+      LEFT JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(r.value) = 'array' THEN r.value ELSE '[]'::jsonb END
+      ) AS e ON true
+      WHERE s.form_id = $1
+        AND ($3::uuid IS NULL OR s.form_version_id = $3)
+        AND (jsonb_typeof(r.value) <> 'array' OR e.value IS NOT NULL)
+        AND jsonb_typeof(r.value) <> 'null'
+      GROUP BY 1, 2
+    `;
+
+    const result = await pool.query(query, statsParams(formUuid, questionId, formVersionId, groupKey));
+
+    const rows = question.validationRules?.rows || [];
+    const answerDistribution = {};
+    const keyDistribution = {};
+
+    result.rows.forEach(row => {
+      const count = parseInt(row.count, 10);
+      const rowLabel = rows.find(entry => entry.key === row.row_key)?.label ?? row.row_key;
+      const optionLabel = question.options.find(opt => opt.key === row.option_key)?.label ?? row.option_key;
+
+      answerDistribution[rowLabel] = answerDistribution[rowLabel] || {};
+      answerDistribution[rowLabel][optionLabel] = (answerDistribution[rowLabel][optionLabel] || 0) + count;
+      keyDistribution[row.row_key] = keyDistribution[row.row_key] || {};
+      keyDistribution[row.row_key][row.option_key] = count;
+    });
+
+    return { answerDistribution, keyDistribution };
+  }
+
+  /**
+   * Number of files in photo answers (one photo, or an array of them)
+   * @returns {Promise<number>}
+   */
+  async _getFileCountFromDB(formUuid, questionId, formVersionId = null, groupKey = null) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT COALESCE(SUM(
+         CASE WHEN jsonb_typeof(submission_data->$2) = 'array' THEN jsonb_array_length(submission_data->$2) ELSE 1 END
+       ), 0) as file_count
+       FROM ${statsSource(groupKey)} AS submissions
+       WHERE form_id = $1
+         AND ($3::uuid IS NULL OR form_version_id = $3)
+         AND jsonb_typeof(submission_data->$2) IN ('object', 'array')`,
+      statsParams(formUuid, questionId, formVersionId, groupKey)
+    );
+    return parseInt(result.rows[0].file_count, 10);
+  }
+
+  /**
+   * Bounds of geolocation answers
+   * @returns {Promise<object|null>} { minLatitude, maxLatitude, minLongitude,
+   *   maxLongitude, averageAccuracy }, or null without answers
+   */
+  async _getLocationBoundsFromDB(formUuid, questionId, formVersionId = null, groupKey = null) {
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT
+         MIN((submission_data->$2->>'latitude')::float8) as min_latitude,
+         MAX((submission_data->$2->>'latitude')::float8) as max_latitude,
+         MIN((submission_data->$2->>'longitude')::float8) as min_longitude,
+         MAX((submission_data->$2->>'longitude')::float8) as max_longitude,
+         AVG((submission_data->$2->>'accuracy')::float8) as average_accuracy
+       FROM ${statsSource(groupKey)} AS submissions
+       WHERE form_id = $1
+         AND ($3::uuid IS NULL OR form_version_id = $3)
+         AND jsonb_typeof(submission_data->$2) = 'object'`,
+      statsParams(formUuid, questionId, formVersionId, groupKey)
+    );
+    const row = result.rows[0];
+    return row.min_latitude === null ? null : {
+      minLatitude: row.min_latitude,
+      maxLatitude: row.max_latitude,
+      minLongitude: row.min_longitude,
+      maxLongitude: row.max_longitude,
+      averageAccuracy: row.average_accuracy,
+    };
+  }
+
+  async _getSimpleAnswerDistributionFromDB(formUuid, questionId, formVersionId = null, groupKey = null) {
     const pool = getPool();
 
     const query = `
@@ -336,19 +1151,23 @@ export class SubmissionService {
         CASE 
           WHEN jsonb_typeof(submission_data->$2) = 'array' THEN
             array_to_string(ARRAY(SELECT jsonb_array_elements_text(submission_data->$2)), ', ')
+          -- Barcode scans { value, format } group by value
+          WHEN jsonb_typeof(submission_data->$2) = 'object' AND submission_data->$2 ? 'value' THEN
+            submission_data->$2->>'value'
           ELSE
             submission_data->>$2
         END as answer_text,
         COUNT(*) as count
-      FROM submissions
+      FROM ${statsSource(groupKey)} AS submissions
       WHERE form_id = $1
+        AND ($3::uuid IS NULL OR form_version_id = $3)
         AND submission_data->$2 IS NOT NULL
         AND submission_data->$2::text != 'null'
         AND submission_data->$2::text != '""'
       GROUP BY answer_text
     `;
 
-    const result = await pool.query(query, [formUuid, questionId]);
+    const result = await pool.query(query, statsParams(formUuid, questionId, formVersionId, groupKey));
 
     const distribution = {};
     result.rows.forEach(row => {
@@ -364,7 +1183,7 @@ export class SubmissionService {
       .filter((q) => typeof q === 'string') // Simple string UUIDs
       .map((q) => q);
 
-    // Also handle old object format for backward compatibility during transition
+    // Bank references that carry per-form overrides
     const objectQuestionIds = formQuestions
       .filter((q) => typeof q === 'object' && q.questionId)
       .map((q) => q.questionId);
@@ -375,8 +1194,9 @@ export class SubmissionService {
       return formQuestions;
     }
 
-    // Use findByIds since questionId contains UUIDs
-    const questionDetails = await Question.findByIds(allQuestionIds);
+    // Use findByIds since questionId contains UUIDs; questions deleted from the
+    // bank while the form still uses them keep their answers on display
+    const questionDetails = await Question.findByIds(allQuestionIds, { withDeleted: true });
     const questionMap = new Map(questionDetails.map((q) => [q.id, q]));
 
     return formQuestions.map((q) => {
@@ -386,10 +1206,10 @@ export class SubmissionService {
         return details ? details.toJSON() : null;
       }
 
-      // Handle old object format
+      // Bank reference with per-form overrides (required, label, section, ...)
       if (q.questionId) {
         const details = questionMap.get(q.questionId);
-        return details ? { ...q, ...details.toJSON(), questionId: q.questionId } : q;
+        return details ? applyQuestionOverrides(details.toJSON(), q) : q;
       }
 
       return q;
@@ -418,6 +1238,23 @@ export class SubmissionService {
       }
     });
 
+    return this._transformGroupInstances(transformed, questions, (instance) => this._transformSubmissionToKeys(instance, questions));
+  }
+
+  /**
+   * Apply a transform to each instance of the repeatable groups in submission
+   * data: arrays of answer objects stored under keys that are not questions
+   */
+  _transformGroupInstances(transformed, questions, transform) {
+    const questionKeys = new Set(questions.flatMap((question) => [question.id, question.sid, question.questionId]));
+
+    for (const [key, value] of Object.entries(transformed)) {
+      if (!questionKeys.has(key) && Array.isArray(value) &&
+        value.every((instance) => instance !== null && typeof instance === 'object' && !Array.isArray(instance))) {
+        transformed[key] = value.map(transform);
+      }
+    }
+
     return transformed;
   }
 
@@ -443,6 +1280,6 @@ export class SubmissionService {
       }
     });
 
-    return transformed;
+    return this._transformGroupInstances(transformed, questions, (instance) => this._transformKeysToLabels(instance, questions));
   }
 }
@@ -0,0 +1,114 @@
+/**
+ * Access policies
+ *
+ * When CheckOps is given an accessPolicy, every facade method that reads or
+ * changes stored data asks it before doing anything:
+ *
+ *   policy({ actor, action, resourceType, resource, data }) -> boolean (or a Promise of one)
+ *
+ * - actor: the current actor ({ userId, roles, tenantId }, see actorContext.js) or null
+ * - action: 'create', 'read', 'update', 'delete', 'transition', 'restore' (of a
+ *   soft-deleted form or submission) or 'purge' (hard delete, see purgeDeleted())
+ * - resourceType: 'form', 'question', 'submission', 'finding', 'finding_action',
+ *   'audit_log' or 'cache'
+ * - resource: the stored entity the call acts on (loaded before the check), or
+ *   null for creates, lists and counts
+ * - data: the input of the call: create params, updates, { status, ... } for
+ *   transitions, filters for lists, { id } for restores
+ *
+ * Not checked: setup and scoping (initialize, close, withActor, as,
+ * forTenant), the process-wide question type registry (registerQuestionType,
+ * unregisterQuestionType, getQuestionTypes) and getCacheStats, which holds no
+ * entity data. Form versions are checked as 'read' of their form.
+ *
+ * Anything but true is a denial and throws ForbiddenError. createRolePolicy()
+ * builds a policy from a role -> permissions matrix; custom policies can add
+ * rules and fall back to it.
+ */
+
+import { ValidationError, ForbiddenError } from './errors.js';
+import { getActor } from './actorContext.js';
+
+export const ACTIONS = ['create', 'read', 'update', 'delete', 'transition', 'restore', 'purge'];
+export const RESOURCE_TYPES = ['form', 'question', 'submission', 'finding', 'finding_action', 'audit_log', 'cache'];
+
+// Permissions are 'resourceType:action'; '*' matches any resource type or action
+export const DEFAULT_ROLE_PERMISSIONS = {
+    admin: ['*'],
+    manager: ['form:*', 'question:*', 'submission:*', 'finding:*', 'finding_action:*', 'audit_log:read'],
+    qa: [
+        'form:read', 'question:read', 'submission:read', 'submission:transition',
+        'finding:*', 'finding_action:*', 'audit_log:read',
+    ],
+    auditor: [
+        'form:read', 'question:read', 'submission:create', 'submission:read', 'submission:update',
+        'finding:create', 'finding:read', 'finding_action:read',
+    ],
+    viewer: ['form:read', 'question:read', 'submission:read', 'finding:read', 'finding_action:read'],
+};
+
+/**
+ * Whether a permission grants an action on a resource type
+ */
+function grants(permission, resourceType, action) {
+    if (permission === '*') {
+        return true;
+    }
+
+    const [type, allowed] = permission.split(':');
+    return (type === '*' || type === resourceType) && (allowed === '*' || allowed === action);
+}
+
+/**
+ * Build a policy that allows a call when one of the actor's roles has a
+ * permission for it; callers without an actor are denied
+ * @param {object} permissions - Role -> permissions (default: DEFAULT_ROLE_PERMISSIONS)
+ * @returns {Function} Policy
+ */
+export function createRolePolicy(permissions = DEFAULT_ROLE_PERMISSIONS) {
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        throw new ValidationError('Role permissions must be an object of role -> permissions');
+    }
+
+    for (const [role, rolePermissions] of Object.entries(permissions)) {
+        if (!Array.isArray(rolePermissions)) {
+            throw new ValidationError(`Permissions of role '${role}' must be an array`);
+        }
+        for (const permission of rolePermissions) {
+            const [type, action, ...rest] = String(permission).split(':');
+            const valid = permission === '*' || (
+                rest.length === 0 &&
+                (type === '*' || RESOURCE_TYPES.includes(type)) &&
+                (action === '*' || ACTIONS.includes(action))
+            );
+            if (!valid) {
+                throw new ValidationError(`Invalid permission '${permission}' for role '${role}'; expected 'resourceType:action'`);
+            }
+        }
+    }
+
+    return function rolePolicy({ actor, action, resourceType }) {
+        if (!actor) {
+            return false;
+        }
+
+        return actor.roles.some(role =>
+            (permissions[role] || []).some(permission => grants(permission, resourceType, action))
+        );
+    };
+}
+
+/**
+ * Ask a policy about a call by the current actor
+ * @param {Function} policy - Access policy
+ * @param {object} request - { action, resourceType, resource, data }
+ * @throws {ForbiddenError} Unless the policy returns true
+ */
+export async function authorize(policy, { action, resourceType, resource = null, data = {} }) {
+    const actor = getActor();
+    const allowed = await policy({ actor, action, resourceType, resource, data });
+
+    if (allowed !== true) {
+        throw new ForbiddenError(action, resourceType, actor?.userId ?? null);
+    }
+}
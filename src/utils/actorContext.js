@@ -0,0 +1,67 @@
+/**
+ * Actor context
+ *
+ * Who is acting, carried through async calls with AsyncLocalStorage instead of
+ * a parameter on every method:
+ *
+ *   await withActor({ userId: 'user-7', roles: ['auditor'] }, () => checkops.createForm(...));
+ *   await checkops.as({ userId: 'user-7' }).createForm(...);
+ *
+ * Models stamp created_by / updated_by with the actor's userId, and audit and
+ * status history entries record it when no actor is given explicitly.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ValidationError } from './errors.js';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Validate an actor and freeze it as { userId, roles, tenantId }
+ * @param {object} actor - { userId, roles?, tenantId? }
+ * @returns {object}
+ */
+export function normalizeActor(actor) {
+    if (!actor || typeof actor !== 'object' || Array.isArray(actor)) {
+        throw new ValidationError('Actor must be an object with a userId');
+    }
+
+    const { userId, roles = [], tenantId = null } = actor;
+    if ((typeof userId !== 'string' && typeof userId !== 'number') || String(userId).trim() === '') {
+        throw new ValidationError('Actor userId must be a non-empty string or number');
+    }
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+        throw new ValidationError('Actor roles must be an array of strings');
+    }
+    if (String(userId).length > 100) {
+        throw new ValidationError('Actor userId must not exceed 100 characters');
+    }
+
+    return Object.freeze({ userId: String(userId), roles: Object.freeze([...roles]), tenantId });
+}
+
+/**
+ * Run a function with an actor; async work started inside it sees the actor
+ * @param {object} actor - { userId, roles?, tenantId? }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withActor(actor, fn) {
+    return storage.run(normalizeActor(actor), fn);
+}
+
+/**
+ * Current actor, or null outside withActor()
+ * @returns {object|null}
+ */
+export function getActor() {
+    return storage.getStore() ?? null;
+}
+
+/**
+ * userId of the current actor, or null
+ * @returns {string|null}
+ */
+export function getActorId() {
+    return getActor()?.userId ?? null;
+}
@@ -0,0 +1,615 @@
+/**
+ * Type-specific answer validators
+ *
+ * The validate and normalize hooks of the built-in question types (see
+ * questionTypes.js). Each validator throws a ValidationError whose message
+ * starts with `label` and returns the value to store.
+ *
+ * validationRules honored per type:
+ *   text, textarea  minLength, maxLength (at most 5000 characters)
+ *   number    min, max
+ *   date      minDate, maxDate ('YYYY-MM-DD')
+ *   time      minTime, maxTime ('HH:MM' or 'HH:MM:SS')
+ *   datetime  minDate, maxDate (ISO 8601 date or date-time)
+ *   rating    min (default 1), max (default 5), step (default 1)
+ *   file      allowedTypes (MIME types, 'image/*' wildcards), maxSize (bytes),
+ *             multiple (accept an array of files)
+ *   photo     as file, with allowedTypes defaulting to ['image/*']
+ *   matrix    rows (required, [{ key, label }]), multiple (several choices per
+ *             row), requireAllRows
+ *   geolocation  maxAccuracy (metres; accuracy becomes required)
+ *   barcode   formats (allowed symbologies, e.g. ['EAN-13', 'QR']), pattern
+ *             (regular expression the value must match)
+ *
+ * The option validators (select, radio, multiselect, checkbox) take the
+ * question's options; so does the matrix validator, whose options are the
+ * choices shared by every row.
+ */
+
+import { ValidationError } from './errors.js';
+import { sanitizeString } from './sanitization.js';
+
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[\d\s()+-]+$/;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_EMAIL_LENGTH = 255;
+const DATETIME_REGEX = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d)(?:\.\d{1,6})?)?(Z|[+-](?:[01]\d|2[0-3]):[0-5]\d)?$/;
+
+/**
+ * Whether a 'YYYY-MM-DD' string is a real calendar date
+ */
+function isCalendarDate(value) {
+    const match = DATE_REGEX.exec(value);
+    if (!match) {
+        return false;
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Read a min/max bound from validationRules, rejecting malformed rules
+ */
+function readBound(rules, name, isValid) {
+    const bound = rules[name];
+    if (bound === undefined || bound === null) {
+        return null;
+    }
+    if (typeof bound !== 'string' || !isValid(bound)) {
+        throw new ValidationError(`Invalid validationRules.${name}: ${bound}`);
+    }
+    return bound;
+}
+
+function toSeconds(time) {
+    const [, hours, minutes, seconds = '0'] = TIME_REGEX.exec(time);
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function isDateOrDateTime(value) {
+    return isCalendarDate(value) || (DATETIME_REGEX.test(value) && isCalendarDate(value.slice(0, 10)));
+}
+
+/**
+ * Validate a text answer
+ * @param {*} answer - Answer (a string, or a number stored as text)
+ * @param {object} rules - validationRules ({ minLength, maxLength })
+ * @param {string} label - Start of error messages
+ * @returns {string} The sanitized text
+ */
+export function validateTextAnswer(answer, rules = {}, label = 'Answer') {
+    if (typeof answer !== 'string' && typeof answer !== 'number') {
+        throw new ValidationError(`${label} must be a string`);
+    }
+
+    const text = String(answer);
+    const minLength = rules.minLength ?? 0;
+    const maxLength = Math.min(rules.maxLength ?? MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+
+    if (text.length < minLength) {
+        throw new ValidationError(`${label} must be at least ${minLength} characters`);
+    }
+    if (text.length > maxLength) {
+        throw new ValidationError(`${label} must not exceed ${maxLength} characters`);
+    }
+
+    return sanitizeString(text);
+}
+
+/**
+ * Validate a number answer
+ * @param {*} answer - Answer (a number or numeric string)
+ * @param {object} rules - validationRules ({ min, max })
+ * @param {string} label - Start of error messages
+ * @returns {number} The number
+ */
+export function validateNumberAnswer(answer, rules = {}, label = 'Answer') {
+    const num = Number(answer);
+    if (typeof answer === 'boolean' || Number.isNaN(num)) {
+        throw new ValidationError(`${label} must be a valid number`);
+    }
+
+    if (typeof rules.min === 'number' && num < rules.min) {
+        throw new ValidationError(`${label} must be at least ${rules.min}`);
+    }
+    if (typeof rules.max === 'number' && num > rules.max) {
+        throw new ValidationError(`${label} must not exceed ${rules.max}`);
+    }
+
+    return num;
+}
+
+/**
+ * Validate an email answer
+ * @param {*} answer - Answer
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @returns {string} The address, lowercased
+ */
+export function validateEmailAnswer(answer, _rules = {}, label = 'Answer') {
+    if (typeof answer !== 'string' || answer.length > MAX_EMAIL_LENGTH || !EMAIL_REGEX.test(answer)) {
+        throw new ValidationError(`${label} must be a valid email address`);
+    }
+
+    return sanitizeString(answer).toLowerCase();
+}
+
+/**
+ * Validate a phone answer (digits, spaces and + - ( ))
+ * @param {*} answer - Answer
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @returns {string} The phone number
+ */
+export function validatePhoneAnswer(answer, _rules = {}, label = 'Answer') {
+    if ((typeof answer !== 'string' && typeof answer !== 'number') || !PHONE_REGEX.test(String(answer))) {
+        throw new ValidationError(`${label} must be a valid phone number`);
+    }
+
+    return String(answer);
+}
+
+/**
+ * Validate a date answer ('YYYY-MM-DD')
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ minDate, maxDate })
+ * @param {string} label - Start of error messages
+ * @returns {string} The date
+ */
+export function validateDateAnswer(answer, rules = {}, label = 'Answer') {
+    if (typeof answer !== 'string' || !isCalendarDate(answer.trim())) {
+        throw new ValidationError(`${label} must be a valid date (YYYY-MM-DD)`);
+    }
+
+    const date = answer.trim();
+    const minDate = readBound(rules, 'minDate', isCalendarDate);
+    const maxDate = readBound(rules, 'maxDate', isCalendarDate);
+
+    // ISO dates compare correctly as strings
+    if (minDate && date < minDate) {
+        throw new ValidationError(`${label} must be on or after ${minDate}`);
+    }
+    if (maxDate && date > maxDate) {
+        throw new ValidationError(`${label} must be on or before ${maxDate}`);
+    }
+
+    return date;
+}
+
+/**
+ * Validate a time answer ('HH:MM' or 'HH:MM:SS', 24-hour)
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ minTime, maxTime })
+ * @param {string} label - Start of error messages
+ * @returns {string} The time
+ */
+export function validateTimeAnswer(answer, rules = {}, label = 'Answer') {
+    if (typeof answer !== 'string' || !TIME_REGEX.test(answer.trim())) {
+        throw new ValidationError(`${label} must be a valid time (HH:MM or HH:MM:SS)`);
+    }
+
+    const time = answer.trim();
+    const isTime = (value) => TIME_REGEX.test(value);
+    const minTime = readBound(rules, 'minTime', isTime);
+    const maxTime = readBound(rules, 'maxTime', isTime);
+
+    if (minTime && toSeconds(time) < toSeconds(minTime)) {
+        throw new ValidationError(`${label} must be at or after ${minTime}`);
+    }
+    if (maxTime && toSeconds(time) > toSeconds(maxTime)) {
+        throw new ValidationError(`${label} must be at or before ${maxTime}`);
+    }
+
+    return time;
+}
+
+/**
+ * Validate a datetime answer (ISO 8601, e.g. '2025-03-01T14:30' or '2025-03-01T14:30:00Z')
+ *
+ * Date-times without an offset are compared as UTC; date-only bounds are
+ * compared with the answer's calendar date.
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ minDate, maxDate })
+ * @param {string} label - Start of error messages
+ * @returns {string} The date-time
+ */
+export function validateDateTimeAnswer(answer, rules = {}, label = 'Answer') {
+    const value = typeof answer === 'string' ? answer.trim() : '';
+    if (!DATETIME_REGEX.test(value) || !isCalendarDate(value.slice(0, 10))) {
+        throw new ValidationError(`${label} must be a valid ISO 8601 date-time`);
+    }
+
+    // Date-times without an offset are read as UTC
+    const toTime = (text) => new Date(/(Z|[+-]\d{2}:\d{2})$/.test(text) ? text : `${text}Z`).getTime();
+    const day = value.slice(0, 10);
+
+    const minDate = readBound(rules, 'minDate', isDateOrDateTime);
+    const maxDate = readBound(rules, 'maxDate', isDateOrDateTime);
+
+    // A date-only bound covers the whole day
+    const beforeMin = minDate && (isCalendarDate(minDate) ? day < minDate : toTime(value) < toTime(minDate));
+    const afterMax = maxDate && (isCalendarDate(maxDate) ? day > maxDate : toTime(value) > toTime(maxDate));
+
+    if (beforeMin) {
+        throw new ValidationError(`${label} must be on or after ${minDate}`);
+    }
+    if (afterMax) {
+        throw new ValidationError(`${label} must be on or before ${maxDate}`);
+    }
+
+    return value;
+}
+
+// Strings accepted for boolean answers, e.g. from HTML forms or yes/no buttons
+const BOOLEAN_STRINGS = { true: true, false: false, yes: true, no: false };
+
+/**
+ * Validate a boolean answer
+ *
+ * Accepts true and false, and the strings 'true', 'false', 'yes' and 'no' in
+ * any case; anything else (numbers, objects, other strings) is rejected.
+ * @param {*} answer - Answer
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @returns {boolean}
+ */
+export function validateBooleanAnswer(answer, _rules = {}, label = 'Answer') {
+    if (typeof answer === 'boolean') {
+        return answer;
+    }
+
+    const key = typeof answer === 'string' ? answer.trim().toLowerCase() : null;
+    if (key === null || !Object.hasOwn(BOOLEAN_STRINGS, key)) {
+        throw new ValidationError(`${label} must be true or false`);
+    }
+
+    return BOOLEAN_STRINGS[key];
+}
+
+/**
+ * Validate a rating answer on a min..max scale in steps of `step`
+ * @param {*} answer - Answer (number or numeric string)
+ * @param {object} rules - validationRules ({ min = 1, max = 5, step = 1 })
+ * @param {string} label - Start of error messages
+ * @returns {number}
+ */
+export function validateRatingAnswer(answer, rules = {}, label = 'Answer') {
+    const { min = 1, max = 5, step = 1 } = rules;
+    if (![min, max, step].every(Number.isFinite) || min > max || step <= 0) {
+        throw new ValidationError(`Invalid rating validationRules: min ${min}, max ${max}, step ${step}`);
+    }
+
+    const rating = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+    if (typeof rating !== 'number' || !Number.isFinite(rating)) {
+        throw new ValidationError(`${label} must be a number`);
+    }
+
+    if (rating < min || rating > max) {
+        throw new ValidationError(`${label} must be between ${min} and ${max}`);
+    }
+
+    const steps = (rating - min) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+        throw new ValidationError(`${label} must be in steps of ${step} from ${min}`);
+    }
+
+    return rating;
+}
+
+/**
+ * Whether a MIME type matches an allowed type ('application/pdf' or 'image/*')
+ */
+function matchesMimeType(mimeType, allowed) {
+    const type = mimeType.toLowerCase();
+    const pattern = String(allowed).toLowerCase();
+    return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+}
+
+function validateFileDescriptor(file, rules, label) {
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new ValidationError(`${label} must be a file descriptor { name, mimeType, size, url }`);
+    }
+
+    const { name, mimeType, size, url } = file;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+        throw new ValidationError(`${label} file name must be a non-empty string of up to 255 characters`);
+    }
+    if (typeof mimeType !== 'string' || !/^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) {
+        throw new ValidationError(`${label} file mimeType must be a MIME type such as image/png`);
+    }
+    if (!Number.isInteger(size) || size < 0) {
+        throw new ValidationError(`${label} file size must be a non-negative integer (bytes)`);
+    }
+
+    let parsedUrl = null;
+    try {
+        parsedUrl = new URL(url);
+    } catch {
+        parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new ValidationError(`${label} file url must be an http(s) URL`);
+    }
+
+    if (Array.isArray(rules.allowedTypes) && rules.allowedTypes.length > 0 &&
+        !rules.allowedTypes.some(allowed => matchesMimeType(mimeType, allowed))) {
+        throw new ValidationError(`${label} file type ${mimeType} is not allowed (allowed: ${rules.allowedTypes.join(', ')})`);
+    }
+    if (Number.isFinite(rules.maxSize) && size > rules.maxSize) {
+        throw new ValidationError(`${label} file must not exceed ${rules.maxSize} bytes`);
+    }
+
+    return { name: sanitizeString(name), mimeType: mimeType.toLowerCase(), size, url: parsedUrl.href };
+}
+
+/**
+ * Validate a file answer: a descriptor { name, mimeType, size, url } of an
+ * uploaded file, or an array of them when validationRules.multiple is set
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ allowedTypes, maxSize, multiple })
+ * @param {string} label - Start of error messages
+ * @returns {object|Array<object>} Descriptor(s) with only name, mimeType, size and url
+ */
+export function validateFileAnswer(answer, rules = {}, label = 'Answer') {
+    if (Array.isArray(answer)) {
+        if (!rules.multiple) {
+            throw new ValidationError(`${label} must be a single file`);
+        }
+        return answer.map(file => validateFileDescriptor(file, rules, label));
+    }
+
+    return validateFileDescriptor(answer, rules, label);
+}
+
+/**
+ * Validate a photo answer: a file answer restricted to images unless
+ * validationRules.allowedTypes says otherwise
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ allowedTypes = ['image/*'], maxSize, multiple })
+ * @param {string} label - Start of error messages
+ * @returns {object|Array<object>} Descriptor(s) with only name, mimeType, size and url
+ */
+export function validatePhotoAnswer(answer, rules = {}, label = 'Answer') {
+    return validateFileAnswer(answer, { ...rules, allowedTypes: rules.allowedTypes ?? ['image/*'] }, label);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Resolve a row or option given by key or label to its key
+ */
+function findKey(items, value) {
+    const item = items.find(entry => entry.key === value || entry.label === value);
+    return item ? item.key : null;
+}
+
+/**
+ * Validate a single-choice answer (select, radio)
+ *
+ * The option may be given by key or label; the key is stored.
+ * @param {*} answer - Answer
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @param {Array<object>} options - Question options
+ * @returns {string} Option key
+ */
+export function validateChoiceAnswer(answer, _rules = {}, label = 'Answer', options = []) {
+    const key = Array.isArray(options) ? findKey(options, answer) : null;
+    if (key === null) {
+        throw new ValidationError(`${label} must be a valid option`);
+    }
+    return key;
+}
+
+/**
+ * Validate a multiple-choice answer (multiselect, checkbox)
+ * @param {*} answer - Answer, an array of option keys or labels
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @param {Array<object>} options - Question options
+ * @returns {Array<string>} Option keys
+ */
+export function validateMultipleChoiceAnswer(answer, _rules = {}, label = 'Answer', options = []) {
+    if (!Array.isArray(answer)) {
+        throw new ValidationError(`${label} must be an array for multi-select questions`);
+    }
+    return answer.map(value => validateChoiceAnswer(value, _rules, label, options));
+}
+
+/**
+ * Validate a matrix answer: the chosen option per row, keyed by row
+ *
+ *   { row_floor: 'opt_good', row_walls: 'opt_poor' }
+ *
+ * Rows and options may be given by key or label; both are stored as keys.
+ * With validationRules.multiple each row takes an array of options.
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ rows, multiple, requireAllRows })
+ * @param {string} label - Start of error messages
+ * @param {Array<object>} options - Options shared by every row
+ * @returns {object} Row key -> option key(s)
+ */
+export function validateMatrixAnswer(answer, rules = {}, label = 'Answer', options = []) {
+    const rows = Array.isArray(rules.rows) ? rules.rows : [];
+    if (rows.length === 0 || !Array.isArray(options) || options.length === 0) {
+        throw new ValidationError(`${label}: matrix question needs validationRules.rows and options`);
+    }
+    if (!isPlainObject(answer)) {
+        throw new ValidationError(`${label} must be an object of row -> option`);
+    }
+
+    const result = {};
+
+    for (const [row, choice] of Object.entries(answer)) {
+        const rowKey = findKey(rows, row);
+        if (!rowKey) {
+            throw new ValidationError(`${label} has an unknown row: ${row}`);
+        }
+        if (choice === undefined || choice === null || choice === '') {
+            continue;
+        }
+
+        if (rules.multiple) {
+            if (!Array.isArray(choice)) {
+                throw new ValidationError(`${label} row '${row}' must be an array of options`);
+            }
+        } else if (Array.isArray(choice)) {
+            throw new ValidationError(`${label} row '${row}' takes a single option`);
+        }
+
+        const keys = (Array.isArray(choice) ? choice : [choice]).map(value => findKey(options, value));
+        if (keys.includes(null)) {
+            throw new ValidationError(`${label} row '${row}' has an invalid option`);
+        }
+
+        result[rowKey] = rules.multiple ? keys : keys[0];
+    }
+
+    if (rules.requireAllRows) {
+        const missing = rows.filter(row => result[row.key] === undefined ||
+            (Array.isArray(result[row.key]) && result[row.key].length === 0));
+        if (missing.length > 0) {
+            throw new ValidationError(`${label} must answer every row (missing: ${missing.map(row => row.label).join(', ')})`);
+        }
+    }
+
+    return result;
+}
+
+const SIGNATURE_DATA_URL_REGEX = /^data:image\/(png|jpeg|svg\+xml);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Validate a signature answer: { url, signedBy, signedAt }, or the bare url
+ *
+ * url is an http(s) URL of the stored image or a base64 PNG, JPEG or SVG data
+ * URL; signedAt is an ISO 8601 date-time.
+ * @param {*} answer - Answer
+ * @param {object} _rules - validationRules (unused)
+ * @param {string} label - Start of error messages
+ * @returns {object} { url, signedBy, signedAt }
+ */
+export function validateSignatureAnswer(answer, _rules = {}, label = 'Answer') {
+    const signature = typeof answer === 'string' ? { url: answer } : answer;
+    if (!isPlainObject(signature) || typeof signature.url !== 'string') {
+        throw new ValidationError(`${label} must be a signature { url, signedBy, signedAt }`);
+    }
+
+    // Data URLs are kept verbatim: sanitizing would corrupt the base64 payload
+    let url = signature.url.trim();
+    if (!SIGNATURE_DATA_URL_REGEX.test(url)) {
+        let parsedUrl = null;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            parsedUrl = null;
+        }
+        if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw new ValidationError(`${label} signature url must be an http(s) URL or an image data URL`);
+        }
+        url = parsedUrl.href;
+    }
+
+    const { signedBy = null, signedAt = null } = signature;
+    if (signedBy !== null && (typeof signedBy !== 'string' || signedBy.length > 255)) {
+        throw new ValidationError(`${label} signedBy must be a string of up to 255 characters`);
+    }
+    if (signedAt !== null) {
+        validateDateTimeAnswer(signedAt, {}, `${label} signedAt`);
+    }
+
+    return {
+        url,
+        signedBy: signedBy === null ? null : sanitizeString(signedBy),
+        signedAt: signedAt === null ? null : signedAt.trim(),
+    };
+}
+
+/**
+ * Validate a geolocation answer: { latitude, longitude, accuracy, capturedAt }
+ * in decimal degrees, with accuracy as the radius in metres
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ maxAccuracy })
+ * @param {string} label - Start of error messages
+ * @returns {object} { latitude, longitude, accuracy, capturedAt }
+ */
+export function validateGeolocationAnswer(answer, rules = {}, label = 'Answer') {
+    if (!isPlainObject(answer)) {
+        throw new ValidationError(`${label} must be a location { latitude, longitude }`);
+    }
+
+    const { latitude, longitude, accuracy = null, capturedAt = null } = answer;
+
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        throw new ValidationError(`${label} latitude must be a number between -90 and 90`);
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        throw new ValidationError(`${label} longitude must be a number between -180 and 180`);
+    }
+    if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) {
+        throw new ValidationError(`${label} accuracy must be a non-negative number (metres)`);
+    }
+    if (Number.isFinite(rules.maxAccuracy) && (accuracy === null || accuracy > rules.maxAccuracy)) {
+        throw new ValidationError(`${label} must be accurate to within ${rules.maxAccuracy} metres`);
+    }
+    if (capturedAt !== null) {
+        validateDateTimeAnswer(capturedAt, {}, `${label} capturedAt`);
+    }
+
+    return { latitude, longitude, accuracy, capturedAt: capturedAt === null ? null : capturedAt.trim() };
+}
+
+/**
+ * Validate a barcode answer: the scanned value, or { value, format } with the
+ * symbology reported by the scanner
+ * @param {*} answer - Answer
+ * @param {object} rules - validationRules ({ formats, pattern })
+ * @param {string} label - Start of error messages
+ * @returns {object} { value, format }
+ */
+export function validateBarcodeAnswer(answer, rules = {}, label = 'Answer') {
+    const scan = typeof answer === 'string' ? { value: answer } : answer;
+    if (!isPlainObject(scan) || typeof scan.value !== 'string' || scan.value.trim() === '') {
+        throw new ValidationError(`${label} must be a barcode value or { value, format }`);
+    }
+
+    const value = sanitizeString(scan.value);
+    if (value.length > 512) {
+        throw new ValidationError(`${label} barcode value must not exceed 512 characters`);
+    }
+
+    let format = scan.format ?? null;
+    if (format !== null && typeof format !== 'string') {
+        throw new ValidationError(`${label} barcode format must be a string`);
+    }
+
+    if (Array.isArray(rules.formats) && rules.formats.length > 0) {
+        // Report the format as spelled in the rules
+        const allowed = rules.formats.find(entry => String(entry).toLowerCase() === format?.trim().toLowerCase());
+        if (!allowed) {
+            throw new ValidationError(`${label} barcode format must be one of: ${rules.formats.join(', ')}`);
+        }
+        format = allowed;
+    } else if (format !== null) {
+        format = sanitizeString(format);
+    }
+
+    if (rules.pattern !== undefined && rules.pattern !== null) {
+        let pattern = null;
+        try {
+            pattern = new RegExp(rules.pattern);
+        } catch {
+            throw new ValidationError(`Invalid validationRules.pattern: ${rules.pattern}`);
+        }
+        if (!pattern.test(value)) {
+            throw new ValidationError(`${label} barcode value does not match the expected pattern`);
+        }
+    }
+
+    return { value, format };
+}
@@ -5,6 +5,56 @@
  */
 
 import { isUUID, isSID } from './idResolver.js';
+import { getTenantId } from './tenantContext.js';
+
+/**
+ * Cache key in the current tenant's scope; SIDs repeat across tenants, so
+ * each tenant gets its own entries
+ */
+function scopedKey(key) {
+    const tenantId = getTenantId();
+    return tenantId === null ? key : `tenant:${tenantId}:${key}`;
+}
+
+/**
+ * Keys of an entry in every tenant scope, so that changes made from one scope
+ * (e.g. an unscoped instance) invalidate the others
+ */
+function keysInAllScopes(cache, key) {
+    return cache.keys().filter(cachedKey =>
+        cachedKey === key || (cachedKey.startsWith('tenant:') && cachedKey.endsWith(`:${key}`))
+    );
+}
+
+/**
+ * Delete an entry in every tenant scope
+ */
+function deleteInAllScopes(cache, key) {
+    let deleted = false;
+    for (const cachedKey of keysInAllScopes(cache, key)) {
+        deleted = cache.delete(cachedKey) || deleted;
+    }
+    return deleted;
+}
+
+/**
+ * Delete an entity cached under id together with its UUID and SID entries,
+ * in every tenant scope
+ */
+function deleteEntityInAllScopes(cache, prefix, id) {
+    const ids = new Set([id]);
+    for (const cachedKey of keysInAllScopes(cache, `${prefix}:${id}`)) {
+        const entity = cache.peek(cachedKey);
+        if (entity?.id) ids.add(entity.id);
+        if (entity?.sid) ids.add(entity.sid);
+    }
+
+    let deleted = false;
+    for (const entityId of ids) {
+        deleted = deleteInAllScopes(cache, `${prefix}:${entityId}`) || deleted;
+    }
+    return deleted;
+}
 
 export class LRUCache {
     constructor(maxSize = 100, ttl = 300000) { // 5 minutes default TTL
@@ -184,17 +234,17 @@ export class CheckOpsCache {
     // Form caching methods - v4.0.0: Cache by both UUID and SID
     getForm(id) {
         // Try direct lookup first
-        const cached = this.formCache.get(`form:${id}`);
+        const cached = this.formCache.get(scopedKey(`form:${id}`));
         if (cached) return cached;
 
         // If not found and it's a UUID, try SID lookup
         if (isUUID(id) && cached && cached.sid) {
-            return this.formCache.get(`form:${cached.sid}`);
+            return this.formCache.get(scopedKey(`form:${cached.sid}`));
         }
 
         // If not found and it's a SID, try UUID lookup
         if (isSID(id, 'FORM') && cached && cached.id) {
-            return this.formCache.get(`form:${cached.id}`);
+            return this.formCache.get(scopedKey(`form:${cached.id}`));
         }
 
         return undefined;
@@ -203,105 +253,79 @@ export class CheckOpsCache {
     setForm(id, form, ttl) {
         // Cache by UUID (primary)
         if (form.id) {
-            this.formCache.set(`form:${form.id}`, form, ttl);
+            this.formCache.set(scopedKey(`form:${form.id}`), form, ttl);
         }
 
         // Also cache by SID for quick lookup
         if (form.sid) {
-            this.formCache.set(`form:${form.sid}`, form, ttl);
+            this.formCache.set(scopedKey(`form:${form.sid}`), form, ttl);
         }
 
         // If id parameter is provided and different, cache by that too
         if (id && id !== form.id && id !== form.sid) {
-            this.formCache.set(`form:${id}`, form, ttl);
+            this.formCache.set(scopedKey(`form:${id}`), form, ttl);
         }
     }
 
     deleteForm(id) {
-        // Try to get the form first to delete both UUID and SID entries
-        const form = this.getForm(id);
-
-        let deleted = this.formCache.delete(`form:${id}`);
-
-        if (form) {
-            if (form.id && form.id !== id) {
-                deleted = this.formCache.delete(`form:${form.id}`) || deleted;
-            }
-            if (form.sid && form.sid !== id) {
-                deleted = this.formCache.delete(`form:${form.sid}`) || deleted;
-            }
-        }
-
-        return deleted;
+        // Delete both UUID and SID entries
+        return deleteEntityInAllScopes(this.formCache, 'form', id);
     }
 
     // Question caching methods
     getQuestions(ids) {
         const key = `questions:${ids.sort().join(',')}`;
-        return this.questionCache.get(key);
+        return this.questionCache.get(scopedKey(key));
     }
 
     setQuestions(ids, questions, ttl) {
         const key = `questions:${ids.sort().join(',')}`;
-        this.questionCache.set(key, questions, ttl);
+        this.questionCache.set(scopedKey(key), questions, ttl);
     }
 
     deleteQuestions(ids) {
         const key = `questions:${ids.sort().join(',')}`;
-        return this.questionCache.delete(key);
+        return deleteInAllScopes(this.questionCache, key);
     }
 
     // Stats caching methods
     getStats(formId) {
-        return this.statsCache.get(`stats:${formId}`);
+        return this.statsCache.get(scopedKey(`stats:${formId}`));
     }
 
     setStats(formId, stats, ttl) {
-        this.statsCache.set(`stats:${formId}`, stats, ttl);
+        this.statsCache.set(scopedKey(`stats:${formId}`), stats, ttl);
     }
 
     deleteStats(formId) {
-        return this.statsCache.delete(`stats:${formId}`);
+        return deleteInAllScopes(this.statsCache, `stats:${formId}`);
     }
 
     // Submission caching methods - v4.0.0: Cache by both UUID and SID
     getSubmission(id) {
-        return this.submissionCache.get(`submission:${id}`);
+        return this.submissionCache.get(scopedKey(`submission:${id}`));
     }
 
     setSubmission(id, submission, ttl) {
         // Cache by UUID (primary)
         if (submission.id) {
-            this.submissionCache.set(`submission:${submission.id}`, submission, ttl);
+            this.submissionCache.set(scopedKey(`submission:${submission.id}`), submission, ttl);
         }
 
         // Also cache by SID for quick lookup
         if (submission.sid) {
-            this.submissionCache.set(`submission:${submission.sid}`, submission, ttl);
+            this.submissionCache.set(scopedKey(`submission:${submission.sid}`), submission, ttl);
         }
 
         // If id parameter is provided and different, cache by that too
         if (id && id !== submission.id && id !== submission.sid) {
-            this.submissionCache.set(`submission:${id}`, submission, ttl);
+            this.submissionCache.set(scopedKey(`submission:${id}`), submission, ttl);
         }
     }
 
     deleteSubmission(id) {
-        // Try to get the submission first to delete both UUID and SID entries
-        const submission = this.getSubmission(id);
-
-        let deleted = this.submissionCache.delete(`submission:${id}`);
-
-        if (submission) {
-            if (submission.id && submission.id !== id) {
-                deleted = this.submissionCache.delete(`submission:${submission.id}`) || deleted;
-            }
-            if (submission.sid && submission.sid !== id) {
-                deleted = this.submissionCache.delete(`submission:${submission.sid}`) || deleted;
-            }
-        }
-
-        return deleted;
+        // Delete both UUID and SID entries
+        return deleteEntityInAllScopes(this.submissionCache, 'submission', id);
     }
 
     // Bulk operations - v4.0.0: Handle both UUID and SID
@@ -325,9 +349,11 @@ export class CheckOpsCache {
         // When a question is updated, invalidate question caches that contain it
         const questionKeys = this.questionCache.keys();
         questionKeys.forEach(key => {
-            // Parse the cache key to extract question IDs (format: "questions:id1,id2,id3")
-            if (key.startsWith('questions:')) {
-                const questionIds = key.substring('questions:'.length).split(',');
+            // Parse the cache key to extract question IDs (format: "questions:id1,id2,id3",
+            // after the tenant prefix if any)
+            const start = key.indexOf('questions:');
+            if (start !== -1) {
+                const questionIds = key.substring(start + 'questions:'.length).split(',');
                 if (questionIds.includes(questionId)) {
                     this.questionCache.delete(key);
                 }
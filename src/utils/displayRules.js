@@ -0,0 +1,240 @@
+/**
+ * Conditional display rules for form questions
+ *
+ * A form's displayRules is a list of rules such as:
+ *
+ *   { questionId: '<Q-014 uuid>', showWhen: { questionId: '<Q-013 uuid>', operator: 'equals', value: 'opt_no' } }
+ *
+ * A question with rules is shown only when every condition holds and every
+ * question it depends on is itself shown. Questions without rules are always shown.
+ */
+
+import { ValidationError } from './errors.js';
+import { getFormQuestionKey } from './formQuestions.js';
+
+export const DISPLAY_RULE_OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'contains', 'answered', 'notAnswered'];
+
+// What happens to answers submitted for hidden questions
+export const HIDDEN_ANSWER_POLICIES = ['reject', 'strip'];
+
+function isEmptyAnswer(answer) {
+    return answer === undefined || answer === null || answer === '' ||
+        (Array.isArray(answer) && answer.length === 0);
+}
+
+function sameValue(a, b) {
+    return String(a) === String(b);
+}
+
+function toConditionList(showWhen) {
+    return Array.isArray(showWhen) ? showWhen : [showWhen];
+}
+
+/**
+ * Check the shape of a single condition
+ */
+function normalizeCondition(condition, ruleIndex) {
+    if (!condition || typeof condition !== 'object' || !condition.questionId) {
+        throw new ValidationError(`Display rule ${ruleIndex + 1}: each condition needs a questionId`);
+    }
+
+    const operator = condition.operator || 'equals';
+    if (!DISPLAY_RULE_OPERATORS.includes(operator)) {
+        throw new ValidationError(
+            `Display rule ${ruleIndex + 1}: invalid operator '${operator}'. Must be one of: ${DISPLAY_RULE_OPERATORS.join(', ')}`
+        );
+    }
+
+    const normalized = { questionId: String(condition.questionId), operator };
+
+    if (operator === 'in' || operator === 'notIn') {
+        if (!Array.isArray(condition.value)) {
+            throw new ValidationError(`Display rule ${ruleIndex + 1}: operator '${operator}' requires an array value`);
+        }
+        normalized.value = condition.value;
+    } else if (operator !== 'answered' && operator !== 'notAnswered') {
+        if (condition.value === undefined) {
+            throw new ValidationError(`Display rule ${ruleIndex + 1}: operator '${operator}' requires a value`);
+        }
+        normalized.value = condition.value;
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate display rules against the questions of a form
+ *
+ * Rejects malformed rules, rules that reference questions not on the form and
+ * dependency cycles (Q1 shown when Q2 ..., Q2 shown when Q1 ...).
+ * @param {Array<object>} rules - Display rules
+ * @param {Array<string|object>} formQuestions - Entries of forms.questions
+ * @returns {Array<object>} Normalized rules
+ */
+export function validateDisplayRules(rules, formQuestions) {
+    if (rules === undefined || rules === null) {
+        return [];
+    }
+
+    if (!Array.isArray(rules)) {
+        throw new ValidationError('Display rules must be an array');
+    }
+
+    const questionKeys = new Set(formQuestions.map(getFormQuestionKey).filter(Boolean));
+
+    const normalized = rules.map((rule, index) => {
+        if (!rule || typeof rule !== 'object' || !rule.questionId) {
+            throw new ValidationError(`Display rule ${index + 1}: questionId is required`);
+        }
+        if (!rule.showWhen) {
+            throw new ValidationError(`Display rule ${index + 1}: showWhen is required`);
+        }
+
+        const questionId = String(rule.questionId);
+        if (!questionKeys.has(questionId)) {
+            throw new ValidationError(`Display rule ${index + 1}: question '${questionId}' is not on this form`);
+        }
+
+        const showWhen = toConditionList(rule.showWhen).map(condition => normalizeCondition(condition, index));
+
+        for (const condition of showWhen) {
+            if (!questionKeys.has(condition.questionId)) {
+                throw new ValidationError(
+                    `Display rule ${index + 1}: condition question '${condition.questionId}' is not on this form`
+                );
+            }
+            if (condition.questionId === questionId) {
+                throw new ValidationError(`Display rule ${index + 1}: question '${questionId}' cannot depend on itself`);
+            }
+        }
+
+        return { questionId, showWhen };
+    });
+
+    assertNoCycles(normalized);
+
+    return normalized;
+}
+
+/**
+ * Build question -> questions it depends on
+ */
+function buildDependencies(rules) {
+    const dependencies = new Map();
+
+    for (const rule of rules) {
+        if (!dependencies.has(rule.questionId)) {
+            dependencies.set(rule.questionId, []);
+        }
+        for (const condition of toConditionList(rule.showWhen)) {
+            dependencies.get(rule.questionId).push(condition.questionId);
+        }
+    }
+
+    return dependencies;
+}
+
+function assertNoCycles(rules) {
+    const dependencies = buildDependencies(rules);
+    const state = new Map(); // questionId -> 'visiting' | 'done'
+
+    const visit = (questionId, path) => {
+        if (state.get(questionId) === 'done') {
+            return;
+        }
+        if (state.get(questionId) === 'visiting') {
+            const cycle = [...path.slice(path.indexOf(questionId)), questionId];
+            throw new ValidationError(`Display rules form a cycle: ${cycle.join(' -> ')}`);
+        }
+
+        state.set(questionId, 'visiting');
+        for (const dependency of dependencies.get(questionId) || []) {
+            visit(dependency, [...path, questionId]);
+        }
+        state.set(questionId, 'done');
+    };
+
+    for (const questionId of dependencies.keys()) {
+        visit(questionId, []);
+    }
+}
+
+/**
+ * Evaluate a single condition against an answer
+ * @param {object} condition - Normalized condition
+ * @param {*} answer - Answer of the condition question (option keys for option questions)
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, answer) {
+    const operator = condition.operator || 'equals';
+
+    switch (operator) {
+        case 'answered':
+            return !isEmptyAnswer(answer);
+        case 'notAnswered':
+            return isEmptyAnswer(answer);
+        case 'contains':
+            return Array.isArray(answer) && answer.some(item => sameValue(item, condition.value));
+        case 'in':
+            return !isEmptyAnswer(answer) && condition.value.some(value => sameValue(value, answer));
+        case 'notIn':
+            return isEmptyAnswer(answer) || !condition.value.some(value => sameValue(value, answer));
+        case 'notEquals':
+            return isEmptyAnswer(answer) || !sameValue(answer, condition.value);
+        default:
+            return !isEmptyAnswer(answer) && !Array.isArray(answer) && sameValue(answer, condition.value);
+    }
+}
+
+/**
+ * Work out which questions are hidden for a set of answers
+ * @param {Array<object>} rules - Validated display rules
+ * @param {object} answers - Submission data keyed by question key
+ * @returns {Set<string>} Keys of hidden questions
+ */
+export function getHiddenQuestionIds(rules, answers) {
+    const hidden = new Set();
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return hidden;
+    }
+
+    const rulesByQuestion = new Map();
+    for (const rule of rules) {
+        if (!rulesByQuestion.has(rule.questionId)) {
+            rulesByQuestion.set(rule.questionId, []);
+        }
+        rulesByQuestion.get(rule.questionId).push(rule);
+    }
+
+    const visibility = new Map();
+
+    const isVisible = (questionId, depth = 0) => {
+        if (visibility.has(questionId)) {
+            return visibility.get(questionId);
+        }
+
+        // Rules are validated acyclic; the depth guard only protects against stale data
+        if (depth > rulesByQuestion.size) {
+            return true;
+        }
+
+        const visible = (rulesByQuestion.get(questionId) || []).every(rule =>
+            toConditionList(rule.showWhen).every(condition =>
+                isVisible(condition.questionId, depth + 1) &&
+                evaluateCondition(condition, answers[condition.questionId])
+            )
+        );
+
+        visibility.set(questionId, visible);
+        return visible;
+    };
+
+    for (const questionId of rulesByQuestion.keys()) {
+        if (!isVisible(questionId)) {
+            hidden.add(questionId);
+        }
+    }
+
+    return hidden;
+}
@@ -42,3 +42,12 @@ export class InvalidOperationError extends CheckOpsError {
     super(message, 'INVALID_OPERATION');
   }
 }
+
+export class ForbiddenError extends CheckOpsError {
+  constructor(action, resource, actor = null) {
+    super(`${actor ? `Actor '${actor}'` : 'Anonymous caller'} may not ${action} ${resource}`, 'FORBIDDEN');
+    this.action = action;
+    this.resource = resource;
+    this.actor = actor;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Finding rules
+ *
+ * A question bank reference on a form may carry a findingRule that raises a
+ * finding when a submission answers it badly:
+ *
+ *   { questionId: '<uuid>',
+ *     findingRule: { options: ['opt_fail'], outOfRange: true,
+ *                    severity: 'Major', department: 'Maintenance' } }
+ *
+ * `options` lists option keys that raise a finding; `outOfRange` raises one for
+ * numbers outside validationRules.min/max. Such numbers are accepted rather
+ * than rejected, since the finding is how they get recorded.
+ */
+
+import { ValidationError } from './errors.js';
+import { getHiddenQuestionIds } from './displayRules.js';
+import { validateAndSanitizeString } from './optimizedValidation.js';
+import { getFormQuestionKey } from './formQuestions.js';
+import { getRepeatableGroups, getGroupInstances } from './repeatableGroups.js';
+
+/**
+ * Validate and sanitize a finding rule
+ * @param {object} rule - Finding rule
+ * @returns {object} Sanitized rule
+ */
+export function validateAndSanitizeFindingRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new ValidationError('Finding rule must be an object');
+    }
+
+    const sanitized = {};
+
+    if (rule.options !== undefined && rule.options !== null) {
+        if (!Array.isArray(rule.options) || rule.options.some(key => typeof key !== 'string' || !key)) {
+            throw new ValidationError('Finding rule options must be an array of option keys');
+        }
+        sanitized.options = [...new Set(rule.options)];
+    }
+
+    if (rule.outOfRange !== undefined && rule.outOfRange !== null) {
+        sanitized.outOfRange = Boolean(rule.outOfRange);
+    }
+
+    if (!sanitized.options?.length && !sanitized.outOfRange) {
+        throw new ValidationError('Finding rule needs options or outOfRange');
+    }
+
+    sanitized.severity = rule.severity == null ? null : validateAndSanitizeString(rule.severity, 'Severity', 1, 100);
+    sanitized.department = rule.department == null ? null : validateAndSanitizeString(rule.department, 'Department', 1, 100);
+
+    if (rule.observation != null) {
+        sanitized.observation = validateAndSanitizeString(rule.observation, 'Observation', 1, 5000);
+    }
+
+    return sanitized;
+}
+
+/**
+ * Whether a number answer falls outside the question's validationRules.min/max
+ * @param {object} question - Question with details
+ * @param {*} answer - Answer
+ * @returns {boolean}
+ */
+export function isOutOfRange(question, answer) {
+    if (answer === undefined || answer === null || answer === '') {
+        return false;
+    }
+
+    const num = Number(answer);
+    const { min, max } = question.validationRules || {};
+
+    return !Number.isNaN(num) &&
+        ((typeof min === 'number' && num < min) || (typeof max === 'number' && num > max));
+}
+
+/**
+ * Option keys of an answer; matrix answers contribute the options of every row
+ */
+function getAnswerKeys(question, answer) {
+    if (question.questionType === 'matrix') {
+        return answer && typeof answer === 'object' ? Object.values(answer).flat() : [];
+    }
+    return Array.isArray(answer) ? answer : [answer];
+}
+
+/**
+ * Observation text for a raised finding
+ */
+function describeFailure(question, trigger, answer) {
+    if (trigger === 'outOfRange') {
+        const { min, max } = question.validationRules || {};
+        return `${question.questionText}: ${answer} is outside the allowed range (${min ?? '-∞'} to ${max ?? '∞'})`;
+    }
+
+    const keys = getAnswerKeys(question, answer);
+    const labels = keys.map(key => question.options?.find(option => option.key === key)?.label ?? key);
+    return `${question.questionText}: answered ${labels.join(', ')}`;
+}
+
+/**
+ * Work out which findings a submission raises
+ *
+ * Questions of repeatable sections are checked in every instance; their
+ * findings name the instance in the observation and metadata.
+ * @param {object} submissionData - Sanitized answers keyed by question key (option keys for option questions)
+ * @param {Array<object>} questions - Form questions with details and per-form overrides
+ * @param {object} options
+ * @param {Array<object>} options.displayRules - Validated display rules of the form
+ * @param {Array<object>} options.sections - Stored sections of the form
+ * @returns {Array<object>} Findings to create: { questionId, severity, department, observation, metadata }
+ */
+export function evaluateFindingRules(submissionData, questions, { displayRules = [], sections = [] } = {}) {
+    const answers = submissionData || {};
+    const hidden = getHiddenQuestionIds(displayRules, answers);
+    const groups = getRepeatableGroups(questions, sections);
+    const groupByQuestion = new Map(groups.flatMap(group => group.questions.map(question => [getFormQuestionKey(question), group])));
+    const raised = [];
+
+    for (const question of questions || []) {
+        const rule = question.findingRule;
+        // Findings reference question_bank, so only bank references can raise them
+        if (!rule || !question.questionId) {
+            continue;
+        }
+
+        const group = groupByQuestion.get(question.questionId);
+        if (!group) {
+            if (!hidden.has(question.questionId)) {
+                raiseFinding(raised, question, rule, answers[question.questionId]);
+            }
+            continue;
+        }
+
+        getGroupInstances(answers, group.key).forEach((instance, index) => {
+            if (!getHiddenQuestionIds(displayRules, { ...answers, ...instance }).has(question.questionId)) {
+                raiseFinding(raised, question, rule, instance[question.questionId], { group, index });
+            }
+        });
+    }
+
+    return raised;
+}
+
+/**
+ * Add the finding an answer raises, if any
+ * @param {object} instance - { group, index } for answers inside a repeatable group
+ */
+function raiseFinding(raised, question, rule, answer, instance = null) {
+    let trigger = null;
+
+    if (rule.options?.length) {
+        const keys = getAnswerKeys(question, answer);
+        if (keys.some(key => rule.options.includes(key))) {
+            trigger = 'option';
+        }
+    }
+
+    if (!trigger && rule.outOfRange && question.questionType === 'number' && isOutOfRange(question, answer)) {
+        trigger = 'outOfRange';
+    }
+
+    if (!trigger) {
+        return;
+    }
+
+    const observation = rule.observation ?? describeFailure(question, trigger, answer);
+    const metadata = { source: 'findingRule', trigger, answer };
+    if (instance) {
+        metadata.groupKey = instance.group.key;
+        metadata.instance = instance.index;
+    }
+
+    raised.push({
+        questionId: question.questionId,
+        severity: rule.severity ?? null,
+        department: rule.department ?? null,
+        observation: instance ? `${instance.group.title} #${instance.index + 1}: ${observation}` : observation,
+        metadata,
+    });
+}
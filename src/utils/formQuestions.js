@@ -0,0 +1,81 @@
+/**
+ * Form question entries
+ *
+ * forms.questions holds one entry per question, in form order:
+ * - 'uuid'                               → bank question used as-is
+ * - { questionId: 'uuid', required, ...} → bank question with per-form overrides
+ * - { questionText, questionType, ... }  → inline question
+ */
+
+// Fields a form may override on a bank question without touching the bank
+export const FORM_QUESTION_OVERRIDES = ['required', 'questionText', 'section', 'weight', 'helpText', 'critical', 'findingRule', 'validationRules'];
+
+/**
+ * Key a form question entry is referenced by: the bank UUID for references,
+ * or the inline question's own id
+ * @param {string|object} entry - Entry of forms.questions
+ * @returns {string|null}
+ */
+export function getFormQuestionKey(entry) {
+    if (typeof entry === 'string') {
+        return entry;
+    }
+    return entry?.questionId || entry?.id || null;
+}
+
+/**
+ * Pick the per-form overrides of a bank question reference
+ * @param {object} entry - { questionId, ...overrides }
+ * @returns {object} Overrides that are set
+ */
+export function getQuestionOverrides(entry) {
+    const overrides = {};
+
+    if (!entry || typeof entry !== 'object') {
+        return overrides;
+    }
+
+    for (const field of FORM_QUESTION_OVERRIDES) {
+        if (entry[field] !== undefined && entry[field] !== null) {
+            overrides[field] = entry[field];
+        }
+    }
+
+    return overrides;
+}
+
+/**
+ * Storage format of a bank question reference: the bare UUID when nothing is
+ * overridden, otherwise { questionId, ...overrides }
+ * @param {object} entry - { questionId, ...overrides }
+ * @returns {string|object}
+ */
+export function toQuestionReference(entry) {
+    const overrides = getQuestionOverrides(entry);
+
+    if (Object.keys(overrides).length === 0) {
+        return entry.questionId;
+    }
+
+    return { questionId: entry.questionId, ...overrides };
+}
+
+/**
+ * Merge a bank question with the overrides of its form entry
+ *
+ * Overrides win over bank values; validationRules are merged so a form can
+ * tighten a single rule without restating the rest.
+ * @param {object} bankQuestion - Question bank data (toJSON shape)
+ * @param {string|object} entry - Entry of forms.questions
+ * @returns {object} Question as seen by this form
+ */
+export function applyQuestionOverrides(bankQuestion, entry) {
+    const overrides = getQuestionOverrides(entry);
+    const merged = { ...bankQuestion, ...overrides, questionId: bankQuestion.id };
+
+    if (overrides.validationRules) {
+        merged.validationRules = { ...(bankQuestion.validationRules || {}), ...overrides.validationRules };
+    }
+
+    return merged;
+}
@@ -0,0 +1,168 @@
+/**
+ * Form sections
+ *
+ * forms.sections groups questions into titled sections, in form order:
+ *
+ *   [{ key: 'food_safety', title: 'Food Safety', description: '', repeatable: false,
+ *      questionIds: ['<uuid>', '<uuid>'] }]
+ *
+ * Repeatable sections may also set minRepeats and maxRepeats; see
+ * repeatableGroups.js for how their answers are stored.
+ *
+ * Questions not listed by any section join the section named by their form
+ * entry's `section` override, or else an implicit trailing section. A flat
+ * form (no sections) therefore loads as a single implicit section.
+ */
+
+import { ValidationError } from './errors.js';
+import { getFormQuestionKey } from './formQuestions.js';
+import { validateAndSanitizeString } from './optimizedValidation.js';
+
+export const IMPLICIT_SECTION_KEY = 'default';
+
+const SECTION_KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Validate and sanitize section definitions against a form's questions
+ * @param {Array<object>} sections - Section definitions
+ * @param {Array<string|object>} formQuestions - Entries of forms.questions
+ * @returns {Array<object>} Sections to store (implicit sections are dropped)
+ */
+export function validateAndSanitizeSections(sections, formQuestions) {
+    if (sections === undefined || sections === null) {
+        return [];
+    }
+
+    if (!Array.isArray(sections)) {
+        throw new ValidationError('Sections must be an array');
+    }
+
+    const questionKeys = new Set(formQuestions.map(getFormQuestionKey).filter(Boolean));
+    const seenKeys = new Set();
+    const assigned = new Map(); // question key -> section key
+
+    // Sections handed back from getForm() include the implicit one; it is derived, not stored
+    return sections.filter(section => !section?.implicit).map((section, index) => {
+        if (!section || typeof section !== 'object') {
+            throw new ValidationError(`Section ${index + 1}: must be an object`);
+        }
+
+        const sanitized = {};
+
+        try {
+            sanitized.key = section.key === undefined || section.key === null
+                ? `section_${index + 1}`
+                : String(section.key);
+            sanitized.title = validateAndSanitizeString(section.title, 'Title', 1, 255);
+            sanitized.description = validateAndSanitizeString(section.description, 'Description', 0, 5000);
+        } catch (error) {
+            throw new ValidationError(`Section ${index + 1}: ${error.message}`);
+        }
+
+        if (!SECTION_KEY_PATTERN.test(sanitized.key) || sanitized.key === IMPLICIT_SECTION_KEY) {
+            throw new ValidationError(`Section ${index + 1}: invalid key '${sanitized.key}'`);
+        }
+        if (seenKeys.has(sanitized.key)) {
+            throw new ValidationError(`Duplicate section key: ${sanitized.key}`);
+        }
+        seenKeys.add(sanitized.key);
+
+        const questionIds = section.questionIds ?? [];
+        if (!Array.isArray(questionIds)) {
+            throw new ValidationError(`Section ${index + 1}: questionIds must be an array`);
+        }
+
+        sanitized.questionIds = questionIds.map(String);
+        for (const questionId of sanitized.questionIds) {
+            if (!questionKeys.has(questionId)) {
+                throw new ValidationError(`Section ${index + 1}: question '${questionId}' is not on this form`);
+            }
+            if (assigned.has(questionId)) {
+                throw new ValidationError(
+                    `Question '${questionId}' is in both section '${assigned.get(questionId)}' and '${sanitized.key}'`
+                );
+            }
+            assigned.set(questionId, sanitized.key);
+        }
+
+        sanitized.repeatable = Boolean(section.repeatable);
+        validateRepeats(section, sanitized, index);
+
+        // Instances of a repeatable section are stored under its key next to the answers
+        if (sanitized.repeatable && questionKeys.has(sanitized.key)) {
+            throw new ValidationError(`Section ${index + 1}: key '${sanitized.key}' clashes with a question ID`);
+        }
+
+        return sanitized;
+    });
+}
+
+/**
+ * minRepeats / maxRepeats of a repeatable section, kept only when set
+ */
+function validateRepeats(section, sanitized, index) {
+    const bounds = {};
+
+    for (const field of ['minRepeats', 'maxRepeats']) {
+        const value = section[field];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (!sanitized.repeatable) {
+            throw new ValidationError(`Section ${index + 1}: ${field} needs repeatable: true`);
+        }
+        if (!Number.isInteger(value) || value < 0) {
+            throw new ValidationError(`Section ${index + 1}: ${field} must be a non-negative integer`);
+        }
+        bounds[field] = value;
+    }
+
+    if (bounds.maxRepeats === 0 || (bounds.maxRepeats !== undefined && (bounds.minRepeats ?? 0) > bounds.maxRepeats)) {
+        throw new ValidationError(`Section ${index + 1}: maxRepeats must be at least 1 and not below minRepeats`);
+    }
+
+    Object.assign(sanitized, bounds);
+}
+
+/**
+ * Resolve the sections a form is shown with, including ungrouped questions
+ * @param {Array<string|object>} formQuestions - Entries of forms.questions
+ * @param {Array<object>} sections - Stored sections
+ * @returns {Array<object>} Sections with ordered questionIds
+ */
+export function resolveFormSections(formQuestions, sections) {
+    const resolved = (sections || []).filter(section => !section.implicit).map(section => ({
+        ...section,
+        questionIds: [...(section.questionIds || [])],
+    }));
+    const byKey = new Map(resolved.map(section => [section.key, section]));
+    const listed = new Set(resolved.flatMap(section => section.questionIds));
+    const ungrouped = [];
+
+    for (const entry of formQuestions || []) {
+        const questionId = getFormQuestionKey(entry);
+        if (!questionId || listed.has(questionId)) {
+            continue;
+        }
+
+        const target = typeof entry === 'object' ? byKey.get(entry.section) : undefined;
+        if (target) {
+            target.questionIds.push(questionId);
+        } else {
+            ungrouped.push(questionId);
+        }
+    }
+
+    if (ungrouped.length > 0 || resolved.length === 0) {
+        resolved.push({
+            key: IMPLICIT_SECTION_KEY,
+            title: null,
+            description: null,
+            repeatable: false,
+            questionIds: ungrouped,
+            implicit: true,
+        });
+    }
+
+    return resolved;
+}
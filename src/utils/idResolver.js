@@ -6,6 +6,7 @@
  */
 
 import { getPool, getPoolUnsafe } from '../config/database.js';
+import { getTenantId, sidTenantCondition, tenantCondition } from './tenantContext.js';
 
 /**
  * Check if a string is a valid UUID
@@ -62,9 +63,10 @@ export async function resolveToUUID(id, tableName, client = null) {
     // If it's a SID, look up the UUID
     if (isSID(id)) {
         const pool = client || getPool();
+        const params = [id];
         const result = await pool.query(
-            `SELECT id FROM ${tableName} WHERE sid = $1`,
-            [id]
+            `SELECT id FROM ${tableName} WHERE sid = $1${sidTenantCondition(params)}`,
+            params
         );
 
         if (result.rows.length === 0) {
@@ -98,9 +100,10 @@ export async function resolveToSID(id, tableName, client = null) {
     // If it's a UUID, look up the SID
     if (isUUID(id)) {
         const pool = client || getPool();
+        const params = [id];
         const result = await pool.query(
-            `SELECT sid FROM ${tableName} WHERE id = $1`,
-            [id]
+            `SELECT sid FROM ${tableName} WHERE id = $1${tenantCondition(params)}`,
+            params
         );
 
         if (result.rows.length === 0) {
@@ -159,7 +162,7 @@ export function getIDType(id) {
 /**
  * Generate a new SID for a given entity type
  * This is used when creating new records
- * @param {string} entityType - 'form', 'question', 'submission', or 'finding'
+ * @param {string} entityType - 'form', 'question', 'submission', 'finding', or 'action'
  * @param {number} counter - The counter value
  * @returns {string} The generated SID
  */
@@ -168,7 +171,8 @@ export function generateSID(entityType, counter) {
         form: 'FORM',
         question: 'Q',
         submission: 'SUB',
-        finding: 'FND'
+        finding: 'FND',
+        action: 'ACT'
     };
 
     const prefix = prefixes[entityType];
@@ -182,19 +186,20 @@ export function generateSID(entityType, counter) {
 /**
  * Get the next SID counter value from the database using atomic counter
  * Note: In v4.0.0, we use a dedicated sid_counters table with atomic increments
- * to prevent concurrent SID conflicts
+ * to prevent concurrent SID conflicts. Counters are kept per tenant (migration 036).
  * 
- * @param {string} entityType - 'form', 'question', 'submission', or 'finding'
+ * @param {string} entityType - 'form', 'question', 'submission', 'finding', or 'action'
  * @param {object} client - Optional database client
+ * @param {string} tenantId - Tenant the SID is for (default: current tenant)
  * @returns {Promise<number>} The next counter value
  */
-export async function getNextSIDCounter(entityType, client = null) {
+export async function getNextSIDCounter(entityType, client = null, tenantId = getTenantId()) {
     // Use getPoolUnsafe to allow operations even if health check fails
     // This is needed for test cleanup scenarios
     const pool = client || getPoolUnsafe();
 
     // Validate entity type
-    const validTypes = ['form', 'question', 'submission', 'finding'];
+    const validTypes = ['form', 'question', 'submission', 'finding', 'action'];
     if (!validTypes.includes(entityType)) {
         throw new Error(`Invalid entity type: ${entityType}`);
     }
@@ -203,8 +208,8 @@ export async function getNextSIDCounter(entityType, client = null) {
     // This prevents concurrent SID conflicts without advisory locks
     // Cast to VARCHAR to match function signature
     const result = await pool.query(
-        'SELECT get_next_sid_counter($1::VARCHAR) AS next_counter',
-        [entityType]
+        'SELECT get_next_sid_counter($1::VARCHAR, $2::VARCHAR) AS next_counter',
+        [entityType, tenantId]
     );
 
     return result.rows[0].next_counter;
@@ -235,9 +240,10 @@ export async function batchResolveToUUID(ids, tableName, client = null) {
 
     // Batch lookup SIDs
     if (sids.length > 0) {
+        const params = [sids];
         const result = await pool.query(
-            `SELECT sid, id FROM ${tableName} WHERE sid = ANY($1)`,
-            [sids]
+            `SELECT sid, id FROM ${tableName} WHERE sid = ANY($1)${sidTenantCondition(params)}`,
+            params
         );
 
         result.rows.forEach(row => {
@@ -6,6 +6,10 @@
 import { sanitizeString, sanitizeObject } from './sanitization.js';
 import { OptionUtils } from './optionUtils.js';
 import { ValidationError } from './errors.js';
+import { getHiddenQuestionIds } from './displayRules.js';
+import { validateAndSanitizeFindingRule } from './findingRules.js';
+import { getQuestionType, getQuestionTypeNames, isQuestionType } from './questionTypes.js';
+import { getRepeatableGroups, getGroupKeyByQuestion, checkGroupInstances } from './repeatableGroups.js';
 
 /**
  * Combined validation and sanitization in a single pass
@@ -126,8 +130,7 @@ export function validateAndSanitizeQuestion(question) {
             sanitized.questionText = validateAndSanitizeString(question.questionText, 'Question text', 1, 1000);
         }
         if (question.questionType) {
-            const validTypes = ['text', 'number', 'email', 'select', 'multiselect', 'radio', 'checkbox', 'textarea', 'phone', 'date', 'time', 'datetime', 'boolean', 'file', 'rating'];
-            if (!validTypes.includes(question.questionType)) {
+            if (!isQuestionType(question.questionType)) {
                 errors.push(`Invalid question type: ${question.questionType}`);
             } else {
                 sanitized.questionType = question.questionType;
@@ -149,6 +152,14 @@ export function validateAndSanitizeQuestion(question) {
         if (question.metadata) {
             sanitized.metadata = sanitizeObject(question.metadata);
         }
+        if (question.findingRule !== undefined && question.findingRule !== null) {
+            try {
+                sanitized.findingRule = validateAndSanitizeFindingRule(question.findingRule);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        validateAndSanitizePlacement(question, sanitized, errors);
 
         if (errors.length > 0) {
             throw new ValidationError(errors.join(', '));
@@ -170,9 +181,8 @@ export function validateAndSanitizeQuestion(question) {
     }
 
     // Validate question type
-    const validTypes = ['text', 'number', 'email', 'select', 'multiselect', 'radio', 'checkbox', 'textarea', 'phone', 'date', 'time', 'datetime', 'boolean', 'file', 'rating'];
-    if (!question.questionType || !validTypes.includes(question.questionType)) {
-        errors.push(`Question type must be one of: ${validTypes.join(', ')}`);
+    if (!question.questionType || !isQuestionType(question.questionType)) {
+        errors.push(`Question type must be one of: ${getQuestionTypeNames().join(', ')}`);
     } else {
         sanitized.questionType = question.questionType;
     }
@@ -199,9 +209,26 @@ export function validateAndSanitizeQuestion(question) {
         sanitized.validationRules = null;
     }
 
+    // Matrix rows live in validationRules.rows and get keys like options
+    if (question.questionType === 'matrix') {
+        try {
+            sanitized.validationRules = {
+                ...sanitized.validationRules,
+                rows: OptionUtils.processMatrixRows(question.validationRules?.rows, null),
+            };
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
     // Set other properties
     sanitized.required = Boolean(question.required);
     sanitized.metadata = question.metadata ? sanitizeObject(question.metadata) : {};
+    validateAndSanitizePlacement(question, sanitized, errors);
+
+    if (question.findingRule !== undefined && question.findingRule !== null) {
+        errors.push('Finding rules are only supported on question bank references');
+    }
 
     // Throw all errors at once if any exist
     if (errors.length > 0) {
@@ -211,6 +238,45 @@ export function validateAndSanitizeQuestion(question) {
     return sanitized;
 }
 
+/**
+ * Per-form presentation and scoring fields shared by inline questions and bank
+ * references: section, weight, help text and critical
+ */
+function validateAndSanitizePlacement(question, sanitized, errors) {
+    if (question.section !== undefined && question.section !== null) {
+        try {
+            sanitized.section = validateAndSanitizeString(question.section, 'Section', 1, 255);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (question.weight !== undefined && question.weight !== null) {
+        const weight = Number(question.weight);
+        if (!Number.isFinite(weight) || weight < 0) {
+            errors.push('Weight must be a non-negative number');
+        } else {
+            sanitized.weight = weight;
+        }
+    }
+
+    if (question.helpText !== undefined && question.helpText !== null) {
+        try {
+            sanitized.helpText = validateAndSanitizeString(question.helpText, 'Help text', 0, 2000);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (question.critical !== undefined && question.critical !== null) {
+        if (typeof question.critical !== 'boolean') {
+            errors.push('Critical must be a boolean');
+        } else {
+            sanitized.critical = question.critical;
+        }
+    }
+}
+
 /**
  * Optimized options validation and sanitization
  */
@@ -265,7 +331,8 @@ export function validateAndSanitizeOptions(options) {
             return {
                 key: sanitizedKey,
                 label: sanitizedLabel,
-                metadata: option.metadata ? sanitizeObject(option.metadata) : {}
+                metadata: option.metadata ? sanitizeObject(option.metadata) : {},
+                ...OptionUtils.sanitizeScoring({ ...option, key: sanitizedKey })
             };
         }
 
@@ -276,9 +343,82 @@ export function validateAndSanitizeOptions(options) {
 /**
  * Optimized submission data validation
  * Validates against form questions in a single pass
+ *
+ * Questions hidden by the form's display rules are never required. Answers to
+ * hidden questions are rejected, or dropped when hiddenAnswers is 'strip'.
+ * Questions of repeatable sections are answered per instance under the
+ * section key, and each instance is validated like a submission of its own.
+ * Partial answers (drafts) skip the required and minRepeats checks; the
+ * answers that are given are validated as usual.
+ * @param {object} submissionData - Answers keyed by question ID
+ * @param {Array<object>} questions - Form questions with details
+ * @param {object} options
+ * @param {Array<object>} options.displayRules - Validated display rules of the form
+ * @param {string} options.hiddenAnswers - 'reject' (default) or 'strip'
+ * @param {Array<object>} options.sections - Stored sections of the form
+ * @param {boolean} options.partial - Accept unanswered required questions (default: false)
  */
-export function validateAndSanitizeSubmissionData(submissionData, questions) {
+export function validateAndSanitizeSubmissionData(submissionData, questions, {
+    displayRules = [], hiddenAnswers = 'reject', sections = [], partial = false,
+} = {}) {
     const errors = [];
+    const groups = getRepeatableGroups(questions, sections);
+    const groupKeyByQuestion = getGroupKeyByQuestion(groups);
+    const answers = { ...submissionData };
+
+    for (const group of groups) {
+        delete answers[group.key];
+    }
+    for (const questionId of Object.keys(answers)) {
+        if (groupKeyByQuestion.has(questionId)) {
+            errors.push(`Question ${questionId} belongs to repeatable group '${groupKeyByQuestion.get(questionId)}' and must be answered per entry`);
+            delete answers[questionId];
+        }
+    }
+
+    const sanitized = sanitizeAnswers(
+        answers,
+        questions.filter(question => !groupKeyByQuestion.has(question.questionId || question.id)),
+        { displayRules, hiddenAnswers, partial },
+        errors
+    );
+
+    for (const group of groups) {
+        const instances = submissionData[group.key];
+        const groupErrors = checkGroupInstances(partial ? { ...group, minRepeats: 0 } : group, instances);
+        if (groupErrors.length > 0 || !Array.isArray(instances)) {
+            errors.push(...groupErrors);
+            continue;
+        }
+
+        sanitized[group.key] = instances.map((instance, index) => {
+            const instanceErrors = [];
+            const sanitizedInstance = sanitizeAnswers(
+                instance,
+                group.questions,
+                { displayRules, hiddenAnswers, partial, parentAnswers: sanitized },
+                instanceErrors
+            );
+            errors.push(...instanceErrors.map(error => `${group.title} #${index + 1}: ${error}`));
+            return sanitizedInstance;
+        });
+    }
+
+    // Throw all errors at once if any exist
+    if (errors.length > 0) {
+        throw new ValidationError(`Submission validation failed: ${errors.join(', ')}`);
+    }
+
+    return sanitized;
+}
+
+/**
+ * Validate one set of answers (a submission, or one instance of a repeatable
+ * group) against its questions, collecting errors
+ * @param {object} parentAnswers - Answers outside the instance that display rules may depend on
+ * @returns {object} Sanitized answers
+ */
+function sanitizeAnswers(submissionData, questions, { displayRules, hiddenAnswers, partial = false, parentAnswers = {} }, errors) {
     const sanitized = {};
 
     // Create a map of questions for efficient lookup
@@ -315,9 +455,30 @@ export function validateAndSanitizeSubmissionData(submissionData, questions) {
         }
     }
 
+    // Visibility is evaluated on sanitized answers so option labels resolve to keys
+    const hiddenQuestionIds = getHiddenQuestionIds(displayRules, { ...parentAnswers, ...sanitized });
+
+    for (const questionId of hiddenQuestionIds) {
+        const answer = sanitized[questionId];
+        if (answer === undefined) {
+            continue;
+        }
+
+        if (hiddenAnswers === 'strip' || answer === null || answer === '' ||
+            (Array.isArray(answer) && answer.length === 0)) {
+            delete sanitized[questionId];
+        } else {
+            const question = questionMap.get(questionId);
+            errors.push(`Question "${question?.questionText ?? questionId}" is hidden by display rules and must not be answered`);
+        }
+    }
+
     // Check for required questions
     questions.forEach(question => {
         const questionId = question.questionId || question.id;
+        if (partial || hiddenQuestionIds.has(questionId)) {
+            return;
+        }
         if (question.required && (!submissionData.hasOwnProperty(questionId) ||
             submissionData[questionId] === null ||
             submissionData[questionId] === undefined ||
@@ -326,16 +487,11 @@ export function validateAndSanitizeSubmissionData(submissionData, questions) {
         }
     });
 
-    // Throw all errors at once if any exist
-    if (errors.length > 0) {
-        throw new ValidationError(`Submission validation failed: ${errors.join(', ')}`);
-    }
-
     return sanitized;
 }
 
 /**
- * Validate and sanitize a single answer
+ * Validate and sanitize a single answer with the hooks of its question type
  */
 export function validateAndSanitizeAnswer(answer, question) {
     // Handle empty answers
@@ -343,56 +499,21 @@ export function validateAndSanitizeAnswer(answer, question) {
         return answer;
     }
 
-    const questionType = question.questionType;
-
-    switch (questionType) {
-        case 'text':
-        case 'textarea':
-            return validateAndSanitizeString(answer, 'Answer', 0, 5000);
-
-        case 'number':
-            const num = Number(answer);
-            if (isNaN(num)) {
-                throw new ValidationError('Answer must be a valid number');
-            }
-            return num;
-
-        case 'email':
-            const email = validateAndSanitizeString(answer, 'Email', 1, 255);
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                throw new ValidationError('Answer must be a valid email address');
-            }
-            return email.toLowerCase();
-
-        case 'select':
-        case 'radio':
-            // Convert to key if it's a valid label or key
-            const convertedAnswer = OptionUtils.convertToKeys(answer, question.options);
-            if (convertedAnswer === answer && !question.options.some(opt => opt.key === answer)) {
-                throw new ValidationError('Answer must be a valid option');
-            }
-            return convertedAnswer;
+    const definition = getQuestionType(question.questionType);
+    if (!definition) {
+        return sanitizeString(String(answer));
+    }
 
-        case 'multiselect':
-        case 'checkbox':
-            if (!Array.isArray(answer)) {
-                throw new ValidationError('Answer must be an array for multi-select questions');
-            }
-            // Convert each answer to key if it's a valid label or key
-            const convertedAnswers = OptionUtils.convertToKeys(answer, question.options);
-            // Validate all converted answers are valid option keys
-            const validKeys = new Set(question.options.map(opt => opt.key));
-            for (const converted of convertedAnswers) {
-                if (!validKeys.has(converted)) {
-                    throw new ValidationError('Answer must be a valid option');
-                }
-            }
-            return convertedAnswers;
+    definition.validate?.(answer, question);
 
-        default:
-            return sanitizeString(String(answer));
+    if (definition.normalize) {
+        return definition.normalize(answer, question);
+    }
+    // Custom types without normalize
+    if (definition.requiresOptions) {
+        return OptionUtils.convertToKeys(answer, question.options);
     }
+    return typeof answer === 'string' ? sanitizeString(answer) : sanitizeObject(answer);
 }
 
 /**
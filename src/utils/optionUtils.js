@@ -1,6 +1,15 @@
 import crypto from 'crypto';
 import { ValidationError } from './errors.js';
 import { sanitizeString, sanitizeObject } from './sanitization.js';
+import { getQuestionType } from './questionTypes.js';
+
+function isMatrixAnswer(answer) {
+  return typeof answer === 'object' && answer !== null && !Array.isArray(answer);
+}
+
+function mapMatrixAnswer(answer, convert) {
+  return Object.fromEntries(Object.entries(answer).map(([row, value]) => [row, convert(value)]));
+}
 
 export class OptionUtils {
   static processOptions(options, questionId) {
@@ -55,9 +64,51 @@ export class OptionUtils {
       metadata: opt.metadata ? sanitizeObject(opt.metadata) : {},
       disabled: opt.disabled || false,
       createdAt: opt.createdAt || new Date().toISOString(),
+      ...OptionUtils.sanitizeScoring(opt),
     }));
   }
 
+  /**
+   * Scoring fields of an option: points earned when it is chosen, and whether
+   * it is an N/A choice that takes the question out of scoring
+   * @param {object} option - Option object
+   * @returns {object} { points?, notApplicable? } for the fields that are set
+   */
+  static sanitizeScoring(option) {
+    const scoring = {};
+
+    if (option.points !== undefined && option.points !== null) {
+      const points = Number(option.points);
+      if (option.points === '' || !Number.isFinite(points)) {
+        throw new ValidationError(`Option '${option.key}': points must be a number`);
+      }
+      scoring.points = points;
+    }
+
+    if (option.notApplicable !== undefined && option.notApplicable !== null) {
+      scoring.notApplicable = Boolean(option.notApplicable);
+      if (scoring.notApplicable && scoring.points !== undefined) {
+        throw new ValidationError(`Option '${option.key}': an N/A option cannot carry points`);
+      }
+    }
+
+    return scoring;
+  }
+
+  /**
+   * Rows of a matrix question, given like options (labels or { key, label })
+   * @param {Array} rows - Row labels or objects
+   * @param {string|null} questionId - Question ID used to derive row keys
+   * @returns {Array<object>} Rows as { key, label }
+   */
+  static processMatrixRows(rows, questionId) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ValidationError('Matrix questions require validationRules.rows');
+    }
+
+    return OptionUtils.processOptions(rows, questionId).map(({ key, label }) => ({ key, label }));
+  }
+
   static generateOptionKey(label, index, questionId) {
     const slug = label
       .toLowerCase()
@@ -115,6 +166,11 @@ export class OptionUtils {
       return answer;
     }
 
+    // Matrix answers: row -> option(s)
+    if (isMatrixAnswer(answer)) {
+      return mapMatrixAnswer(answer, (value) => OptionUtils.convertToKeys(value, options));
+    }
+
     if (Array.isArray(answer)) {
       return answer.map((value) => {
         const option = this.findOption(options, value);
@@ -135,6 +191,10 @@ export class OptionUtils {
       return answer;
     }
 
+    if (isMatrixAnswer(answer)) {
+      return mapMatrixAnswer(answer, (value) => OptionUtils.convertToLabels(value, options));
+    }
+
     if (Array.isArray(answer)) {
       return answer.map((value) => {
         const option = options.find((opt) => opt.key === value);
@@ -147,7 +207,7 @@ export class OptionUtils {
   }
 
   static requiresOptions(questionType) {
-    return ['select', 'multiselect', 'radio', 'checkbox'].includes(questionType);
+    return getQuestionType(questionType)?.requiresOptions ?? false;
   }
 
   static isValidAnswer(answer, options, questionType) {
@@ -170,6 +230,15 @@ export class OptionUtils {
       return answer.every((value) => validValues.includes(value));
     }
 
+    if (questionType === 'matrix') {
+      if (!isMatrixAnswer(answer)) {
+        return false;
+      }
+      return Object.values(answer)
+        .flat()
+        .every((value) => value === null || value === '' || validValues.includes(value));
+    }
+
     return validValues.includes(answer);
   }
 }
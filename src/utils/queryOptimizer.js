@@ -4,6 +4,7 @@
  */
 
 import { getPool } from '../config/database.js';
+import { ValidationError } from './errors.js';
 
 // Add identifier validation for SQL injection prevention
 // Supports simple identifiers (column_name) and qualified identifiers (table.column)
@@ -201,33 +202,94 @@ export class QueryBuilder {
 
 /**
  * Optimized pagination with cursor-based approach for large datasets
+ *
+ * With a tie-breaker field (a unique column such as id) pages are keyset
+ * pages over (cursorField, tieBreakerField): rows sharing a cursorField value
+ * are neither skipped nor repeated, and rows inserted while paging do not
+ * shift later pages. Cursors are then opaque strings; pass nextCursor back
+ * unchanged to get the next page.
  */
 export class CursorPaginator {
-    constructor(tableName, cursorField = 'id') {
+    constructor(tableName, cursorField = 'id', tieBreakerField = null) {
         this.tableName = validateIdentifier(tableName, 'table name');
         this.cursorField = validateIdentifier(cursorField, 'cursor field');
+        this.tieBreakerField = tieBreakerField ? validateIdentifier(tieBreakerField, 'tie-breaker field') : null;
+    }
+
+    /**
+     * Encode the key of a row as an opaque cursor
+     * @param {Array<string>} values - [cursorField value, tieBreakerField value] as text
+     * @returns {string}
+     */
+    static encodeCursor(values) {
+        return Buffer.from(JSON.stringify(values)).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor produced by encodeCursor()
+     * @param {string} cursor - Opaque cursor
+     * @returns {Array<string>} [cursorField value, tieBreakerField value]
+     * @throws {ValidationError} If the cursor was not produced by encodeCursor()
+     */
+    static decodeCursor(cursor) {
+        let values = null;
+        try {
+            values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch {
+            values = null;
+        }
+
+        if (!Array.isArray(values) || values.length !== 2 || values.some(value => typeof value !== 'string')) {
+            throw new ValidationError('Invalid pagination cursor');
+        }
+
+        return values;
     }
 
-    async paginate({
+    /**
+     * Build the page query without running it
+     * @returns {{ query: string, parameters: Array, order: string }}
+     */
+    build({
         cursor = null,
         limit = 50,
         direction = 'forward',
+        order = null,
         whereConditions = [],
+        parameters: baseParameters = [],
         orderBy = null
-    }) {
-        const pool = getPool();
-        const parameters = [];
-        let paramIndex = 1;
+    } = {}) {
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new ValidationError('Page limit must be a positive integer');
+        }
+
+        const parameters = [...baseParameters];
+        let paramIndex = parameters.length + 1;
+
+        // order overrides the direction-derived ordering (forward = ascending)
+        const orderDirection = (order || (direction === 'forward' ? 'ASC' : 'DESC')).toUpperCase();
+        if (!['ASC', 'DESC'].includes(orderDirection)) {
+            throw new Error(`Invalid order direction: ${order}. Must be ASC or DESC`);
+        }
+        const operator = orderDirection === 'ASC' ? '>' : '<';
 
-        // Build base query
-        let query = `SELECT * FROM ${this.tableName}`;
+        // Build base query; keyset pages also read the cursor value as text so
+        // that timestamps keep their full precision in the cursor
+        let query = this.tieBreakerField
+            ? `SELECT *, ${this.cursorField}::text AS _cursor FROM ${this.tableName}`
+            : `SELECT * FROM ${this.tableName}`;
 
         // Add where conditions
         const conditions = [...whereConditions];
 
         // Add cursor condition
-        if (cursor) {
-            const operator = direction === 'forward' ? '>' : '<';
+        if (cursor && this.tieBreakerField) {
+            const [value, tieBreaker] = CursorPaginator.decodeCursor(cursor);
+            conditions.push(
+                `(${this.cursorField}, ${this.tieBreakerField}) ${operator} ($${paramIndex++}, $${paramIndex++})`
+            );
+            parameters.push(value, tieBreaker);
+        } else if (cursor) {
             conditions.push(`${this.cursorField} ${operator} $${paramIndex++}`);
             parameters.push(cursor);
         }
@@ -237,14 +299,37 @@ export class CursorPaginator {
         }
 
         // Add ordering
-        const orderDirection = direction === 'forward' ? 'ASC' : 'DESC';
-        const orderField = orderBy || this.cursorField;
-        query += ` ORDER BY ${orderField} ${orderDirection}`;
+        if (this.tieBreakerField) {
+            query += ` ORDER BY ${this.cursorField} ${orderDirection}, ${this.tieBreakerField} ${orderDirection}`;
+        } else {
+            const orderField = orderBy || this.cursorField;
+            query += ` ORDER BY ${orderField} ${orderDirection}`;
+        }
 
         // Add limit
         query += ` LIMIT $${paramIndex++}`;
         parameters.push(limit + 1); // Fetch one extra to check if there are more
 
+        return { query, parameters, order: orderDirection };
+    }
+
+    /**
+     * Fetch one page
+     * @param {object} options
+     * @param {string} options.cursor - Cursor of the last row of the previous page (null for the first page)
+     * @param {number} options.limit - Page size (default: 50)
+     * @param {string} options.direction - 'forward' (ascending) or 'backward' (descending)
+     * @param {string} options.order - 'ASC' or 'DESC'; overrides direction
+     * @param {Array<string>} options.whereConditions - SQL conditions, ANDed
+     * @param {Array} options.parameters - Parameters referenced by whereConditions as $1..$n
+     * @param {string} options.orderBy - Order column when there is no tie-breaker field
+     * @returns {Promise<object>} { data, hasMore, nextCursor, prevCursor, totalFetched }
+     */
+    async paginate(options = {}) {
+        const { query, parameters } = this.build(options);
+        const limit = options.limit ?? 50;
+
+        const pool = getPool();
         const result = await pool.query(query, parameters);
         const rows = result.rows;
 
@@ -253,6 +338,21 @@ export class CursorPaginator {
             rows.pop(); // Remove the extra row
         }
 
+        if (this.tieBreakerField) {
+            const cursors = rows.map(row => CursorPaginator.encodeCursor([row._cursor, String(row[this.tieBreakerField])]));
+            for (const row of rows) {
+                delete row._cursor;
+            }
+
+            return {
+                data: rows,
+                hasMore,
+                nextCursor: hasMore ? cursors[cursors.length - 1] : null,
+                prevCursor: cursors[0] ?? null,
+                totalFetched: rows.length
+            };
+        }
+
         const nextCursor = rows.length > 0 ? rows[rows.length - 1][this.cursorField] : null;
         const prevCursor = rows.length > 0 ? rows[0][this.cursorField] : null;
 
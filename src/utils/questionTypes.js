@@ -0,0 +1,223 @@
+/**
+ * Question type registry
+ *
+ * The single list of question types accepted by the question bank, inline
+ * form questions, submission validation and stats. Built-in types are
+ * registered below; apps add their own with registerQuestionType():
+ *
+ *   registerQuestionType({
+ *       name: 'temperature',
+ *       requiresOptions: false,
+ *       validate: (answer, question) => { ... throw new ValidationError('...') },
+ *       normalize: (answer, question) => Number(answer),
+ *       aggregateStats: (answers, question) => ({ average: ... }),
+ *   });
+ *
+ * validate(answer, question) throws a ValidationError for invalid answers;
+ * normalize(answer, question) returns the value to store and runs after
+ * validate; aggregateStats(answers, question) receives the non-empty stored
+ * answers of a question and returns fields merged into its question stats.
+ * All three are optional. Custom types without normalize store strings and
+ * objects sanitized, and option keys for types that require options.
+ *
+ * Built-in types carry the same hooks, so validateSubmissionData(), the
+ * optimized pipeline and SubmissionService stats all dispatch through
+ * getQuestionType(). Their validate takes the start of error messages as a
+ * third argument, and their aggregateStats aggregates in SQL: it receives
+ * the stats queries of SubmissionService (answerDistribution(),
+ * keyDistribution(), matrixDistribution(), simpleDistribution(), fileCount(),
+ * locationBounds()) instead of the answers.
+ *
+ * The registry is shared by every CheckOps instance in the process.
+ * question_bank only checks the shape of question_type (migration 031).
+ */
+
+import { ValidationError, DuplicateError, InvalidOperationError } from './errors.js';
+import {
+    validateTextAnswer,
+    validateNumberAnswer,
+    validateEmailAnswer,
+    validatePhoneAnswer,
+    validateChoiceAnswer,
+    validateMultipleChoiceAnswer,
+    validateDateAnswer,
+    validateTimeAnswer,
+    validateDateTimeAnswer,
+    validateBooleanAnswer,
+    validateRatingAnswer,
+    validateFileAnswer,
+    validatePhotoAnswer,
+    validateMatrixAnswer,
+    validateSignatureAnswer,
+    validateGeolocationAnswer,
+    validateBarcodeAnswer,
+} from './answerValidators.js';
+
+// Must stay in step with the valid_question_type CHECK of migration 031
+const TYPE_NAME_REGEX = /^[a-z][a-z0-9_-]{0,49}$/;
+
+function answerRules(question) {
+    return question.validationRules || {};
+}
+
+// Out-of-range readings raise a finding instead of being rejected
+function readingRules(question) {
+    const rules = answerRules(question);
+    return question.findingRule?.outOfRange ? { ...rules, min: undefined, max: undefined } : rules;
+}
+
+/**
+ * validate and normalize hooks of a built-in type from its answer validator
+ */
+function answerHooks(validator, rules = answerRules) {
+    return {
+        validate: (answer, question, label = 'Answer') => {
+            validator(answer, rules(question), label, question.options);
+        },
+        normalize: (answer, question) => validator(answer, rules(question), 'Answer', question.options),
+    };
+}
+
+async function simpleStats(stats) {
+    return { answerDistribution: await stats.simpleDistribution() };
+}
+
+async function optionStats(stats, question) {
+    if (!question.options) {
+        return simpleStats(stats);
+    }
+    return {
+        answerDistribution: await stats.answerDistribution(),
+        _keyDistribution: await stats.keyDistribution(),
+    };
+}
+
+async function matrixStats(stats, question) {
+    if (!question.options) {
+        return simpleStats(stats);
+    }
+    const { answerDistribution, keyDistribution } = await stats.matrixDistribution();
+    return { answerDistribution, _keyDistribution: keyDistribution };
+}
+
+// Captures are unique per answer, so they are summarised instead of grouped
+async function signatureStats() {
+    return { answerDistribution: {} };
+}
+
+async function photoStats(stats) {
+    return { answerDistribution: {}, fileCount: await stats.fileCount() };
+}
+
+async function geolocationStats(stats) {
+    return { answerDistribution: {}, location: await stats.locationBounds() };
+}
+
+const BUILT_IN_TYPES = [
+    { name: 'text', ...answerHooks(validateTextAnswer) },
+    { name: 'textarea', ...answerHooks(validateTextAnswer) },
+    { name: 'number', ...answerHooks(validateNumberAnswer, readingRules) },
+    { name: 'email', ...answerHooks(validateEmailAnswer) },
+    { name: 'phone', ...answerHooks(validatePhoneAnswer) },
+    { name: 'date', ...answerHooks(validateDateAnswer) },
+    { name: 'time', ...answerHooks(validateTimeAnswer) },
+    { name: 'datetime', ...answerHooks(validateDateTimeAnswer) },
+    { name: 'select', requiresOptions: true, ...answerHooks(validateChoiceAnswer), aggregateStats: optionStats },
+    { name: 'multiselect', requiresOptions: true, ...answerHooks(validateMultipleChoiceAnswer), aggregateStats: optionStats },
+    { name: 'radio', requiresOptions: true, ...answerHooks(validateChoiceAnswer), aggregateStats: optionStats },
+    { name: 'checkbox', requiresOptions: true, ...answerHooks(validateMultipleChoiceAnswer), aggregateStats: optionStats },
+    { name: 'boolean', ...answerHooks(validateBooleanAnswer) },
+    { name: 'file', ...answerHooks(validateFileAnswer) },
+    { name: 'rating', ...answerHooks(validateRatingAnswer) },
+    { name: 'matrix', requiresOptions: true, ...answerHooks(validateMatrixAnswer), aggregateStats: matrixStats },
+    { name: 'signature', ...answerHooks(validateSignatureAnswer), aggregateStats: signatureStats },
+    { name: 'geolocation', ...answerHooks(validateGeolocationAnswer), aggregateStats: geolocationStats },
+    { name: 'photo', ...answerHooks(validatePhotoAnswer), aggregateStats: photoStats },
+    { name: 'barcode', ...answerHooks(validateBarcodeAnswer) },
+];
+
+const registry = new Map(
+    BUILT_IN_TYPES.map(type => [type.name, Object.freeze({
+        name: type.name,
+        requiresOptions: Boolean(type.requiresOptions),
+        validate: type.validate,
+        normalize: type.normalize,
+        aggregateStats: type.aggregateStats ?? simpleStats,
+        builtIn: true,
+    })])
+);
+
+/**
+ * Register a custom question type
+ * @param {object} definition - { name, requiresOptions, validate, normalize, aggregateStats }
+ * @returns {object} The registered definition
+ * @throws {ValidationError} If the definition is malformed
+ * @throws {DuplicateError} If a type with this name exists
+ */
+export function registerQuestionType(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new ValidationError('Question type definition must be an object');
+    }
+
+    const { name, requiresOptions = false, validate, normalize, aggregateStats } = definition;
+
+    if (typeof name !== 'string' || !TYPE_NAME_REGEX.test(name)) {
+        throw new ValidationError(
+            'Question type name must start with a lowercase letter and contain only a-z, 0-9, _ and - (max 50 characters)'
+        );
+    }
+    if (registry.has(name)) {
+        throw new DuplicateError('Question type', `name '${name}'`);
+    }
+    if (typeof requiresOptions !== 'boolean') {
+        throw new ValidationError(`Question type '${name}': requiresOptions must be a boolean`);
+    }
+    for (const [hook, fn] of Object.entries({ validate, normalize, aggregateStats })) {
+        if (fn !== undefined && typeof fn !== 'function') {
+            throw new ValidationError(`Question type '${name}': ${hook} must be a function`);
+        }
+    }
+
+    const registered = Object.freeze({ name, requiresOptions, validate, normalize, aggregateStats, builtIn: false });
+    registry.set(name, registered);
+    return registered;
+}
+
+/**
+ * Remove a custom question type
+ * @param {string} name - Type name
+ * @returns {boolean} Whether a type was removed
+ * @throws {InvalidOperationError} For built-in types
+ */
+export function unregisterQuestionType(name) {
+    if (registry.get(name)?.builtIn) {
+        throw new InvalidOperationError(`Built-in question type '${name}' cannot be unregistered`);
+    }
+    return registry.delete(name);
+}
+
+/**
+ * Definition of a question type
+ * @param {string} name - Type name
+ * @returns {object|null} Definition, or null for unknown types
+ */
+export function getQuestionType(name) {
+    return registry.get(name) ?? null;
+}
+
+/**
+ * Names of every registered question type, built-in first
+ * @returns {Array<string>}
+ */
+export function getQuestionTypeNames() {
+    return [...registry.keys()];
+}
+
+/**
+ * Whether a value is a registered question type
+ * @param {*} type - Question type
+ * @returns {boolean}
+ */
+export function isQuestionType(type) {
+    return registry.has(type);
+}
@@ -0,0 +1,92 @@
+/**
+ * Repeatable groups
+ *
+ * A section with `repeatable: true` is answered once per item, e.g. "for each
+ * fridge: temperature, seal OK, photo". Sections may bound the number of items
+ * with minRepeats (default 0) and maxRepeats (default unlimited).
+ *
+ * Submissions store a group's answers as an array of instances under the
+ * section key, each instance keyed by question like a flat submission:
+ *
+ *   { '<uuid>': 'opt_yes',
+ *     fridges: [{ '<temp uuid>': 4, '<seal uuid>': 'opt_ok' }, { '<temp uuid>': 7 }] }
+ */
+
+import { resolveFormSections } from './formSections.js';
+import { getFormQuestionKey } from './formQuestions.js';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Repeatable groups of a form with the questions they contain
+ * @param {Array<string|object>} questions - Form questions (entries or with details)
+ * @param {Array<object>} sections - Stored sections
+ * @returns {Array<object>} { key, title, minRepeats, maxRepeats, questions }
+ */
+export function getRepeatableGroups(questions, sections) {
+    const byKey = new Map((questions || []).map(question => [getFormQuestionKey(question), question]));
+
+    return resolveFormSections(questions, sections)
+        .filter(section => section.repeatable)
+        .map(section => ({
+            key: section.key,
+            title: section.title,
+            minRepeats: section.minRepeats ?? 0,
+            maxRepeats: section.maxRepeats ?? null,
+            questions: section.questionIds.map(questionId => byKey.get(questionId)).filter(Boolean),
+        }));
+}
+
+/**
+ * Map question key -> key of the repeatable group it belongs to
+ * @param {Array<object>} groups - From getRepeatableGroups()
+ * @returns {Map<string, string>}
+ */
+export function getGroupKeyByQuestion(groups) {
+    return new Map(groups.flatMap(group => group.questions.map(question => [getFormQuestionKey(question), group.key])));
+}
+
+/**
+ * Instances stored for a group, or [] when it was not answered
+ * @param {object} submissionData - Answers
+ * @param {string} groupKey - Section key of the group
+ * @returns {Array<object>}
+ */
+export function getGroupInstances(submissionData, groupKey) {
+    const instances = submissionData?.[groupKey];
+    return Array.isArray(instances) ? instances.filter(isPlainObject) : [];
+}
+
+/**
+ * Check the shape and number of a group's instances
+ * @param {object} group - From getRepeatableGroups()
+ * @param {*} instances - Value submitted under the group key
+ * @returns {Array<string>} Error messages; empty when the instances can be validated
+ */
+export function checkGroupInstances(group, instances) {
+    const name = group.title ?? group.key;
+
+    if (instances === undefined || instances === null) {
+        return group.minRepeats > 0 ? [`Group "${name}" needs at least ${group.minRepeats} entries`] : [];
+    }
+    if (!Array.isArray(instances)) {
+        return [`Group "${name}" must be an array of entries`];
+    }
+
+    const errors = [];
+    if (instances.length < group.minRepeats) {
+        errors.push(`Group "${name}" needs at least ${group.minRepeats} entries`);
+    }
+    if (group.maxRepeats !== null && instances.length > group.maxRepeats) {
+        errors.push(`Group "${name}" allows at most ${group.maxRepeats} entries`);
+    }
+    instances.forEach((instance, index) => {
+        if (!isPlainObject(instance)) {
+            errors.push(`Group "${name}" entry ${index + 1} must be an object of answers`);
+        }
+    });
+
+    return errors;
+}
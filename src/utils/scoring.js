@@ -0,0 +1,246 @@
+/**
+ * Submission scoring
+ *
+ * Option questions score by the points of the chosen options:
+ *
+ *   options: [{ key: 'opt_yes', label: 'Yes', points: 1 },
+ *             { key: 'opt_no', label: 'No', points: 0 },
+ *             { key: 'opt_na', label: 'N/A', notApplicable: true }]
+ *
+ * A question's form entry may carry a `weight` (default 1) that multiplies its
+ * points, and `critical: true` to auto-fail the whole submission when the
+ * question scores less than its maximum. Questions answered N/A or hidden by
+ * display rules drop out of the denominator. Questions without any option
+ * points are not scored. Matrix questions score each row against the shared
+ * options, and questions of repeatable sections add up over every instance.
+ */
+
+import { getFormQuestionKey } from './formQuestions.js';
+import { getHiddenQuestionIds } from './displayRules.js';
+import { resolveFormSections } from './formSections.js';
+import { getRepeatableGroups, getGroupKeyByQuestion, getGroupInstances } from './repeatableGroups.js';
+
+// Option question types where the answer is a list of option keys
+const MULTI_CHOICE_TYPES = ['multiselect', 'checkbox'];
+
+function roundScore(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toPercent(total, max) {
+    return max > 0 ? roundScore((total / max) * 100) : null;
+}
+
+/**
+ * Whether a question takes part in scoring
+ * @param {object} question - Question with details
+ * @returns {boolean}
+ */
+export function isScoredQuestion(question) {
+    return Array.isArray(question?.options) &&
+        question.options.some(option => typeof option.points === 'number');
+}
+
+/**
+ * Highest points a question can earn, before weighting
+ */
+function getMaxPoints(question) {
+    const points = question.options
+        .filter(option => !option.notApplicable && typeof option.points === 'number')
+        .map(option => option.points);
+
+    if (points.length === 0) {
+        return 0;
+    }
+
+    if (MULTI_CHOICE_TYPES.includes(question.questionType)) {
+        return points.filter(value => value > 0).reduce((sum, value) => sum + value, 0);
+    }
+
+    return Math.max(0, ...points);
+}
+
+/**
+ * Score a single question
+ * @param {object} question - Question with details
+ * @param {*} answer - Option key(s) answered
+ * @returns {object} { points, maxPoints, weight, notApplicable, answered }
+ */
+export function scoreQuestion(question, answer) {
+    if (question.questionType === 'matrix') {
+        return scoreMatrixQuestion(question, answer);
+    }
+
+    const weight = question.weight ?? 1;
+    const keys = answer === undefined || answer === null || answer === ''
+        ? []
+        : (Array.isArray(answer) ? answer : [answer]).map(String);
+    const selected = question.options.filter(option => keys.includes(String(option.key)));
+
+    if (selected.some(option => option.notApplicable)) {
+        return { points: 0, maxPoints: 0, weight, notApplicable: true, answered: true };
+    }
+
+    const points = selected.reduce(
+        (sum, option) => sum + (typeof option.points === 'number' ? option.points : 0), 0
+    );
+
+    return {
+        points: roundScore(points * weight),
+        maxPoints: roundScore(getMaxPoints(question) * weight),
+        weight,
+        notApplicable: false,
+        answered: selected.length > 0,
+    };
+}
+
+/**
+ * Score a matrix question as the sum of its rows, each scored like a single
+ * (or, with validationRules.multiple, multi) choice question. Rows answered
+ * N/A drop out; the question is N/A when every row is.
+ */
+function scoreMatrixQuestion(question, answer) {
+    const weight = question.weight ?? 1;
+    const rows = question.validationRules?.rows || [];
+    const answers = answer && typeof answer === 'object' && !Array.isArray(answer) ? answer : {};
+    const rowQuestion = {
+        options: question.options,
+        questionType: question.validationRules?.multiple ? 'checkbox' : 'radio',
+    };
+
+    let points = 0;
+    let maxPoints = 0;
+    let answered = false;
+    let notApplicableRows = 0;
+
+    for (const row of rows) {
+        const result = scoreQuestion(rowQuestion, answers[row.key]);
+        answered = answered || result.answered;
+        if (result.notApplicable) {
+            notApplicableRows += 1;
+            continue;
+        }
+        points += result.points;
+        maxPoints += result.maxPoints;
+    }
+
+    if (rows.length > 0 && notApplicableRows === rows.length) {
+        return { points: 0, maxPoints: 0, weight, notApplicable: true, answered: true };
+    }
+
+    return {
+        points: roundScore(points * weight),
+        maxPoints: roundScore(maxPoints * weight),
+        weight,
+        notApplicable: false,
+        answered,
+    };
+}
+
+/**
+ * Score a question of a repeatable group as the sum over the group's
+ * instances. Instances answered N/A drop out; the question is N/A when none
+ * are left.
+ */
+function scoreRepeatedQuestion(question, answers) {
+    const weight = question.weight ?? 1;
+    const results = answers.map(answer => scoreQuestion(question, answer));
+    const counted = results.filter(result => !result.notApplicable);
+
+    if (counted.length === 0) {
+        return { points: 0, maxPoints: 0, weight, notApplicable: true, answered: results.length > 0 };
+    }
+
+    return {
+        points: roundScore(counted.reduce((sum, result) => sum + result.points, 0)),
+        maxPoints: roundScore(counted.reduce((sum, result) => sum + result.maxPoints, 0)),
+        weight,
+        notApplicable: false,
+        answered: results.some(result => result.answered),
+    };
+}
+
+/**
+ * Calculate the score breakdown of a submission
+ * @param {object} submissionData - Sanitized answers keyed by question key (option keys for option questions)
+ * @param {Array<object>} questions - Form questions with details and per-form overrides
+ * @param {object} options
+ * @param {Array<object>} options.sections - Stored sections of the form
+ * @param {Array<object>} options.displayRules - Validated display rules of the form
+ * @returns {object|null} Score breakdown, or null when the form has no scored questions
+ */
+export function calculateScore(submissionData, questions, { sections = [], displayRules = [] } = {}) {
+    const scored = (questions || []).filter(isScoredQuestion);
+
+    if (scored.length === 0) {
+        return null;
+    }
+
+    const answers = submissionData || {};
+    const hidden = getHiddenQuestionIds(displayRules, answers);
+    const groupKeyByQuestion = getGroupKeyByQuestion(getRepeatableGroups(questions, sections));
+    const questionScores = {};
+    const failedCriticalQuestionIds = [];
+    let total = 0;
+    let max = 0;
+
+    for (const question of scored) {
+        const questionId = getFormQuestionKey(question);
+        const groupKey = groupKeyByQuestion.get(questionId);
+        if (!questionId || (!groupKey && hidden.has(questionId))) {
+            continue;
+        }
+
+        const result = groupKey
+            ? scoreRepeatedQuestion(question, getGroupInstances(answers, groupKey)
+                .filter(instance => !getHiddenQuestionIds(displayRules, { ...answers, ...instance }).has(questionId))
+                .map(instance => instance[questionId]))
+            : scoreQuestion(question, answers[questionId]);
+        questionScores[questionId] = result;
+
+        if (result.notApplicable) {
+            continue;
+        }
+
+        total += result.points;
+        max += result.maxPoints;
+
+        if (question.critical && result.points < result.maxPoints) {
+            failedCriticalQuestionIds.push(questionId);
+        }
+    }
+
+    const sectionScores = {};
+    for (const section of resolveFormSections(scored, sections)) {
+        const results = section.questionIds
+            .map(questionId => questionScores[questionId])
+            .filter(result => result && !result.notApplicable);
+
+        if (results.length === 0) {
+            continue;
+        }
+
+        const sectionTotal = roundScore(results.reduce((sum, result) => sum + result.points, 0));
+        const sectionMax = roundScore(results.reduce((sum, result) => sum + result.maxPoints, 0));
+        sectionScores[section.key] = {
+            total: sectionTotal,
+            max: sectionMax,
+            percent: toPercent(sectionTotal, sectionMax),
+        };
+    }
+
+    const autoFailed = failedCriticalQuestionIds.length > 0;
+    total = roundScore(total);
+    max = roundScore(max);
+
+    return {
+        total,
+        max,
+        // A failed critical question fails the whole submission
+        percent: autoFailed ? 0 : toPercent(total, max),
+        autoFailed,
+        failedCriticalQuestionIds,
+        sections: sectionScores,
+        questions: questionScores,
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Finding SLA policy
+ *
+ * Maps finding severity to the time allowed to resolve it:
+ *
+ *   { durations: { Critical: '24h', Major: '7d', Minor: '30d' },
+ *     resolvedStatuses: ['resolved', 'verified', 'closed'] }
+ *
+ * Durations are hours as a number, or strings with an m/h/d/w unit. A
+ * `default` duration applies to severities without their own entry; findings
+ * whose severity has no duration get no due date. The SLA clock stops when a
+ * finding reaches one of resolvedStatuses and restarts if it is reopened.
+ */
+
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_SLA_POLICY = {
+    durations: {
+        Critical: '24h',
+        Major: '7d',
+        Minor: '30d',
+    },
+    resolvedStatuses: ['resolved', 'verified', 'closed'],
+};
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration into milliseconds
+ * @param {number|string} value - Hours as a number, or e.g. '90m', '24h', '7d', '2w'
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new ValidationError(`Invalid SLA duration: ${value}`);
+        }
+        return value * UNIT_MS.h;
+    }
+
+    const match = typeof value === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*([mhdw])\s*$/i.exec(value) : null;
+    if (!match || Number(match[1]) <= 0) {
+        throw new ValidationError(`Invalid SLA duration: ${value}. Use hours or a number with m, h, d or w`);
+    }
+
+    return Number(match[1]) * UNIT_MS[match[2].toLowerCase()];
+}
+
+/**
+ * Validate an SLA policy and wrap it with due date helpers
+ * @param {object} definition - { durations, resolvedStatuses }
+ * @returns {object} Policy with durationFor, dueAt and isResolvedStatus
+ */
+export function createSlaPolicy(definition = DEFAULT_SLA_POLICY) {
+    if (!definition || typeof definition !== 'object') {
+        throw new ValidationError('SLA policy must be an object');
+    }
+
+    const durations = new Map();
+    for (const [severity, value] of Object.entries(definition.durations || {})) {
+        durations.set(severity.toLowerCase(), parseDuration(value));
+    }
+
+    const resolvedStatuses = definition.resolvedStatuses ?? DEFAULT_SLA_POLICY.resolvedStatuses;
+    if (!Array.isArray(resolvedStatuses) || resolvedStatuses.some(status => typeof status !== 'string')) {
+        throw new ValidationError('SLA policy resolvedStatuses must be an array of statuses');
+    }
+
+    const durationFor = (severity) => {
+        const key = typeof severity === 'string' ? severity.toLowerCase() : null;
+        return (key && durations.get(key)) ?? durations.get('default') ?? null;
+    };
+
+    return {
+        resolvedStatuses,
+        durationFor,
+
+        /**
+         * Due date of a finding of this severity raised at `from`
+         * @returns {Date|null} null when the severity has no SLA
+         */
+        dueAt(severity, from = new Date()) {
+            const duration = durationFor(severity);
+            return duration === null ? null : new Date(new Date(from).getTime() + duration);
+        },
+
+        /**
+         * Whether a status stops the SLA clock
+         */
+        isResolvedStatus(status) {
+            return resolvedStatuses.includes(status);
+        },
+    };
+}
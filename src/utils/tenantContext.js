@@ -0,0 +1,98 @@
+/**
+ * Tenant context
+ *
+ * Several brands can share one CheckOps database. Every entity row carries a
+ * tenant_id and SIDs are counted per tenant, so each tenant has its own
+ * FORM-001. The current tenant is carried through async calls like the actor
+ * (see actorContext.js):
+ *
+ *   const acme = checkops.forTenant('acme');
+ *   await acme.createForm(...);            // tenant_id = 'acme', SID per tenant
+ *   await acme.getForm('FORM-001');        // only acme's rows are visible
+ *
+ * Models add tenantFilter() or tenantCondition() to their lookups and store
+ * getTenantId() on insert. Without a tenant, queries are unscoped and rows are stored with a
+ * NULL tenant_id, as before multi-tenancy.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ValidationError } from './errors.js';
+import { getActor } from './actorContext.js';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Validate a tenant ID
+ * @param {string} tenantId - Tenant identifier
+ * @returns {string}
+ */
+export function normalizeTenantId(tenantId) {
+    if (typeof tenantId !== 'string' || tenantId.trim() === '') {
+        throw new ValidationError('Tenant ID must be a non-empty string');
+    }
+    if (tenantId.length > 100) {
+        throw new ValidationError('Tenant ID must not exceed 100 characters');
+    }
+    return tenantId;
+}
+
+/**
+ * Run a function scoped to a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withTenant(tenantId, fn) {
+    return storage.run(normalizeTenantId(tenantId), fn);
+}
+
+/**
+ * Current tenant: the tenant scope, else the actor's tenant, else null
+ * @returns {string|null}
+ */
+export function getTenantId() {
+    return storage.getStore() ?? getActor()?.tenantId ?? null;
+}
+
+/**
+ * WHERE conditions limiting a query to the current tenant
+ * @param {Array} params - Query parameters; the tenant ID is appended to them
+ * @param {string} column - Tenant column (default: 'tenant_id')
+ * @returns {Array<string>} [] when unscoped, else e.g. ['tenant_id = $3']
+ */
+export function tenantFilter(params, column = 'tenant_id') {
+    const tenantId = getTenantId();
+    if (tenantId === null) {
+        return [];
+    }
+
+    params.push(tenantId);
+    return [`${column} = $${params.length}`];
+}
+
+/**
+ * tenantFilter() as a suffix for an existing WHERE clause
+ * @param {Array} params - Query parameters; the tenant ID is appended to them
+ * @param {string} column - Tenant column (default: 'tenant_id')
+ * @returns {string} '' when unscoped, else e.g. ' AND tenant_id = $3'
+ */
+export function tenantCondition(params, column = 'tenant_id') {
+    return tenantFilter(params, column).map(condition => ` AND ${condition}`).join('');
+}
+
+/**
+ * Tenant condition for SID lookups. SIDs repeat across tenants, so they match
+ * within the current tenant, or among rows without a tenant when unscoped.
+ * @param {Array} params - Query parameters; the tenant ID is appended to them
+ * @param {string} column - Tenant column (default: 'tenant_id')
+ * @returns {string} Condition to append to a WHERE clause
+ */
+export function sidTenantCondition(params, column = 'tenant_id') {
+    const tenantId = getTenantId();
+    if (tenantId === null) {
+        return ` AND ${column} IS NULL`;
+    }
+
+    params.push(tenantId);
+    return ` AND ${column} = $${params.length}`;
+}
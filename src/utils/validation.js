@@ -1,6 +1,9 @@
 import { ValidationError } from './errors.js';
 import { OptionUtils } from './optionUtils.js';
 import { isUUID, isSID } from './idResolver.js';
+import { getHiddenQuestionIds } from './displayRules.js';
+import { getQuestionType, isQuestionType } from './questionTypes.js';
+import { getRepeatableGroups, getGroupKeyByQuestion, checkGroupInstances } from './repeatableGroups.js';
 
 export function validateEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -22,24 +25,7 @@ export function validateUrl(url) {
 }
 
 export function validateQuestionType(type) {
-  const validTypes = [
-    'text',
-    'textarea',
-    'number',
-    'email',
-    'phone',
-    'date',
-    'time',
-    'datetime',
-    'select',
-    'multiselect',
-    'radio',
-    'checkbox',
-    'boolean',
-    'file',
-    'rating',
-  ];
-  return validTypes.includes(type);
+  return isQuestionType(type);
 }
 
 export function validateRequired(value, fieldName) {
@@ -138,6 +124,26 @@ export function validateQuestion(question) {
   if (question.validationRules !== undefined && question.validationRules !== null) {
     validateObject(question.validationRules, 'validationRules');
   }
+
+  if (question.section !== undefined && question.section !== null) {
+    validateString(question.section, 'section', 1, 255);
+  }
+
+  if (question.weight !== undefined && question.weight !== null) {
+    validateNumber(question.weight, 'weight', 0);
+  }
+
+  if (question.helpText !== undefined && question.helpText !== null) {
+    validateString(question.helpText, 'helpText', 0, 2000);
+  }
+
+  if (question.critical !== undefined && question.critical !== null) {
+    validateBoolean(question.critical, 'critical');
+  }
+
+  if (question.findingRule !== undefined && question.findingRule !== null) {
+    validateObject(question.findingRule, 'findingRule');
+  }
 }
 
 export function validateQuestions(questions) {
@@ -157,16 +163,72 @@ export function validateQuestions(questions) {
   });
 }
 
-export function validateSubmissionData(submissionData, formQuestions) {
+/**
+ * Validate submission answers against the form's questions
+ *
+ * Questions of repeatable sections are validated per instance of the array
+ * stored under the section key.
+ * @param {object} submissionData - Answers keyed by question ID
+ * @param {Array<object>} formQuestions - Form questions with details
+ * @param {Array<object>} displayRules - Validated display rules of the form
+ * @param {Array<object>} sections - Stored sections of the form
+ * @throws {ValidationError} With every problem found in `details`
+ */
+export function validateSubmissionData(submissionData, formQuestions, displayRules = [], sections = []) {
   validateRequired(submissionData, 'Submission data');
   validateObject(submissionData, 'Submission data');
 
   const errors = [];
+  const groups = getRepeatableGroups(formQuestions, sections);
+  const groupKeyByQuestion = getGroupKeyByQuestion(groups);
+
+  collectAnswerErrors(
+    submissionData,
+    formQuestions.filter((question) => !groupKeyByQuestion.has(question.questionId || question.id)),
+    displayRules,
+    submissionData,
+    errors
+  );
+
+  for (const group of groups) {
+    const instances = submissionData[group.key];
+    const groupErrors = checkGroupInstances(group, instances);
+    errors.push(...groupErrors);
+
+    if (groupErrors.length === 0 && Array.isArray(instances)) {
+      instances.forEach((instance, index) => {
+        const instanceErrors = [];
+        collectAnswerErrors(instance, group.questions, displayRules, { ...submissionData, ...instance }, instanceErrors);
+        errors.push(...instanceErrors.map((error) => `${group.title} #${index + 1}: ${error}`));
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+}
+
+/**
+ * Collect errors in one set of answers (a submission, or one instance of a
+ * repeatable group)
+ * @param {object} visibilityAnswers - Answers display rules are evaluated on
+ */
+function collectAnswerErrors(submissionData, formQuestions, displayRules, visibilityAnswers, errors) {
+  const hiddenQuestionIds = getHiddenQuestionIds(displayRules, visibilityAnswers);
 
   formQuestions.forEach((question) => {
     const questionId = question.questionId || question.id;
     const answer = submissionData[questionId];
 
+    // Hidden questions are never required and must stay unanswered
+    if (hiddenQuestionIds.has(questionId)) {
+      if (answer !== undefined && answer !== null && answer !== '') {
+        errors.push(`Question '${questionId}' is hidden by display rules and must not be answered`);
+      }
+      return;
+    }
+
     if (question.required && (answer === undefined || answer === null || answer === '')) {
       errors.push(`Answer for question '${questionId}' is required`);
       return;
@@ -176,59 +238,22 @@ export function validateSubmissionData(submissionData, formQuestions) {
       return;
     }
 
-    const validationRules = question.validationRules || {};
-
-    if (question.questionType === 'email' && !validateEmail(answer)) {
-      errors.push(`Invalid email format for question '${questionId}'`);
-    }
-
-    if (question.questionType === 'phone' && !validatePhone(answer)) {
-      errors.push(`Invalid phone format for question '${questionId}'`);
-    }
+    const definition = getQuestionType(question.questionType);
+    const label = `Answer for question '${questionId}'`;
 
-    if (question.questionType === 'number') {
+    if (definition?.validate) {
       try {
-        const min = validationRules.min ?? -Infinity;
-        const max = validationRules.max ?? Infinity;
-        validateNumber(answer, questionId, min, max);
+        definition.validate(answer, question, label);
       } catch (error) {
-        errors.push(error.message);
+        errors.push(definition.builtIn ? error.message : `${label}: ${error.message}`);
       }
-    }
-
-    if (question.questionType === 'text' || question.questionType === 'textarea') {
-      if (typeof answer !== 'string') {
-        errors.push(`Answer for question '${questionId}' must be a string`);
-      } else {
-        const minLength = validationRules.minLength || 0;
-        const maxLength = validationRules.maxLength || Infinity;
-        if (answer.length < minLength) {
-          errors.push(`Answer for question '${questionId}' must be at least ${minLength} characters`);
-        }
-        if (answer.length > maxLength) {
-          errors.push(`Answer for question '${questionId}' must not exceed ${maxLength} characters`);
-        }
-      }
-    }
-
-    if (question.options && OptionUtils.requiresOptions(question.questionType)) {
+    } else if (definition?.requiresOptions && question.options) {
+      // Custom option types without validate
       if (!OptionUtils.isValidAnswer(answer, question.options, question.questionType)) {
-        if (question.questionType === 'multiselect' || question.questionType === 'checkbox') {
-          if (!Array.isArray(answer)) {
-            errors.push(`Answer for question '${questionId}' must be an array`);
-          } else {
-            errors.push(`Invalid options selected for question '${questionId}'`);
-          }
-        } else {
-          errors.push(`Invalid option selected for question '${questionId}'`);
-        }
+        errors.push(`Invalid option selected for question '${questionId}'`);
       }
     }
   });
-
-  if (errors.length > 0) {
-    throw new ValidationError('Validation failed', errors);
-  }
 }
 
 /**
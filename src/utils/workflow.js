@@ -0,0 +1,120 @@
+/**
+ * Status workflows
+ *
+ * A workflow is an initial status plus the statuses each status may move to:
+ *
+ *   { initial: 'open', transitions: { open: ['in_progress'], in_progress: ['resolved'], ... } }
+ *
+ * Every status must appear as a key of transitions, even if it has no way out.
+ * `closed` optionally lists the statuses that close the item; it defaults to
+ * ['closed'] when the workflow has such a status.
+ */
+
+import { ValidationError, InvalidOperationError } from './errors.js';
+
+export const DEFAULT_FINDING_WORKFLOW = {
+    initial: 'open',
+    transitions: {
+        open: ['in_progress', 'resolved'],
+        in_progress: ['resolved', 'open'],
+        resolved: ['verified', 'open'],
+        verified: ['closed', 'open'],
+        closed: ['open'],
+    },
+    closed: ['closed'],
+};
+
+// Review of submitted submissions; approval locks the answers. Drafts are not
+// part of the workflow, they enter it at 'submitted' when submitted.
+export const DEFAULT_SUBMISSION_WORKFLOW = {
+    initial: 'submitted',
+    transitions: {
+        submitted: ['under_review', 'approved', 'returned'],
+        under_review: ['approved', 'returned'],
+        returned: ['submitted'],
+        approved: [],
+    },
+    closed: ['approved'],
+};
+
+/**
+ * Validate a workflow definition and wrap it with transition checks
+ * @param {object} definition - { initial, transitions }
+ * @param {string} name - Name used in error messages (e.g. 'Finding')
+ * @returns {object} Workflow with statuses, canTransition, assertTransition, nextStatuses and isClosed
+ */
+export function createWorkflow(definition, name = 'Status') {
+    if (!definition || typeof definition !== 'object') {
+        throw new ValidationError(`${name} workflow must be an object`);
+    }
+
+    const { initial, transitions } = definition;
+
+    if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+        throw new ValidationError(`${name} workflow transitions must be an object`);
+    }
+
+    const statuses = Object.keys(transitions);
+
+    if (!statuses.includes(initial)) {
+        throw new ValidationError(`${name} workflow initial status '${initial}' is not a workflow status`);
+    }
+
+    for (const [from, targets] of Object.entries(transitions)) {
+        if (!Array.isArray(targets)) {
+            throw new ValidationError(`${name} workflow transitions for '${from}' must be an array`);
+        }
+        for (const to of targets) {
+            if (!statuses.includes(to)) {
+                throw new ValidationError(`${name} workflow transition '${from}' -> '${to}' targets an unknown status`);
+            }
+        }
+    }
+
+    const closed = definition.closed ?? (statuses.includes('closed') ? ['closed'] : []);
+    if (!Array.isArray(closed) || closed.some(status => !statuses.includes(status))) {
+        throw new ValidationError(`${name} workflow closed statuses must be workflow statuses`);
+    }
+
+    const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+    return {
+        initial,
+        statuses,
+        transitions,
+        closed,
+        canTransition,
+
+        /**
+         * Whether a status closes the item
+         */
+        isClosed(status) {
+            return closed.includes(status);
+        },
+
+        /**
+         * Statuses reachable from a status in one step
+         */
+        nextStatuses(from) {
+            return [...(transitions[from] || [])];
+        },
+
+        /**
+         * Throw unless `to` is a status and can follow `from`
+         * @throws {InvalidOperationError}
+         */
+        assertTransition(from, to) {
+            if (!statuses.includes(to)) {
+                throw new InvalidOperationError(
+                    `Unknown ${name.toLowerCase()} status '${to}'. Must be one of: ${statuses.join(', ')}`
+                );
+            }
+            if (!canTransition(from, to)) {
+                const allowed = transitions[from]?.length ? transitions[from].join(', ') : 'none';
+                throw new InvalidOperationError(
+                    `${name} cannot move from '${from}' to '${to}' (allowed: ${allowed})`
+                );
+            }
+        },
+    };
+}
@@ -102,6 +102,9 @@ export async function cleanupAllTestData(checkops) {
         // Delete questions
         stats.questions = await cleanupQuestions(checkops);
 
+        // Deletes are soft; remove the rows for good (a minute ahead covers clock skew)
+        await checkops.purgeDeleted({ olderThan: new Date(Date.now() + 60000) });
+
         return stats;
     } catch (error) {
         console.warn('Failed to cleanup all test data:', error.message);
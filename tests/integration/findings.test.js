@@ -5,6 +5,7 @@
 
 import CheckOps from '../../src/index.js';
 import { getPool } from '../../src/config/database.js';
+import { Finding } from '../../src/models/Finding.js';
 import { cleanupAllTestData } from '../helpers/cleanup.js';
 
 describe('Findings Integration Tests', () => {
@@ -236,6 +237,26 @@ describe('Findings Integration Tests', () => {
         });
     });
 
+    describe('getFindings sorting', () => {
+        test('should sort by every advertised sort field', async () => {
+            if (!checkops) return;
+
+            await checkops.createFinding({
+                submissionId: testSubmission.id,
+                questionId: testQuestion.id,
+                formId: testForm.id,
+                severity: 'Major'
+            });
+
+            for (const sortBy of Object.keys(Finding.SORT_FIELDS)) {
+                for (const sortOrder of ['asc', 'desc']) {
+                    const findings = await checkops.getFindings({ sortBy, sortOrder });
+                    expect(findings).toHaveLength(1);
+                }
+            }
+        });
+    });
+
     describe('cascade delete', () => {
         test('should delete findings when form is deleted', async () => {
             if (!checkops) return;
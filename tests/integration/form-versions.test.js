@@ -0,0 +1,126 @@
+/**
+ * Form Versions Integration Tests
+ * Submissions stay pinned to the form version they answered
+ */
+
+import CheckOps from '../../src/index.js';
+import { closeDatabase } from '../../src/config/database.js';
+import { cleanupAllTestData } from '../helpers/cleanup.js';
+
+describe('Form Versions Integration Tests', () => {
+    let checkops;
+    let testForm;
+    let testQuestion;
+
+    beforeAll(async () => {
+        checkops = new CheckOps({
+            host: process.env.DB_HOST || 'localhost',
+            port: process.env.DB_PORT || 5432,
+            database: process.env.DB_NAME || 'checkops',
+            user: process.env.DB_USER || 'postgres',
+            password: process.env.DB_PASSWORD || 'postgres',
+        });
+
+        try {
+            await checkops.initialize();
+        } catch (_error) {
+            console.log('Database not available, skipping form version tests');
+            await closeDatabase();
+            checkops = null;
+        }
+    });
+
+    afterAll(async () => {
+        if (checkops) {
+            await checkops.close();
+        }
+    });
+
+    beforeEach(async () => {
+        if (!checkops) {
+            return;
+        }
+
+        await cleanupAllTestData(checkops);
+
+        testForm = await checkops.createForm({
+            title: 'Versioned Audit Form',
+            questions: [
+                {
+                    questionText: 'Is the area clean?',
+                    questionType: 'text',
+                    required: true,
+                }
+            ],
+        });
+
+        testQuestion = testForm.questions[0];
+    });
+
+    test('should create a published version 1 with the form', async () => {
+        if (!checkops) return;
+
+        const versions = await checkops.getFormVersions(testForm.id);
+
+        expect(versions).toHaveLength(1);
+        expect(versions[0].versionNumber).toBe(1);
+        expect(versions[0].status).toBe('published');
+        expect(testForm.currentVersionId).toBe(versions[0].id);
+    });
+
+    test('should pin submissions to the current version', async () => {
+        if (!checkops) return;
+
+        const submission = await checkops.createSubmission({
+            formId: testForm.id,
+            submissionData: { [testQuestion.id]: 'Yes' },
+        });
+
+        expect(submission.formVersionId).toBe(testForm.currentVersionId);
+    });
+
+    test('should edit in place while the current version has no submissions', async () => {
+        if (!checkops) return;
+
+        const updated = await checkops.updateForm(testForm.id, {
+            questions: [{ questionText: 'Is the floor dry?', questionType: 'text' }],
+        });
+
+        expect(updated.draftVersion).toBeUndefined();
+        expect(updated.currentVersionId).toBe(testForm.currentVersionId);
+
+        const versions = await checkops.getFormVersions(testForm.id);
+        expect(versions).toHaveLength(1);
+    });
+
+    test('should create a draft and keep old submissions on their version', async () => {
+        if (!checkops) return;
+
+        const submission = await checkops.createSubmission({
+            formId: testForm.id,
+            submissionData: { [testQuestion.id]: 'Yes' },
+        });
+
+        const updated = await checkops.updateForm(testForm.id, {
+            questions: [{ questionText: 'Is the floor dry?', questionType: 'text' }],
+        });
+
+        expect(updated.draftVersion).toBeDefined();
+        expect(updated.draftVersion.status).toBe('draft');
+        expect(updated.draftVersion.versionNumber).toBe(2);
+        expect(updated.currentVersionId).toBe(testForm.currentVersionId);
+
+        const published = await checkops.publishFormVersion(testForm.id);
+        expect(published.currentVersionId).toBe(updated.draftVersion.id);
+
+        const retrieved = await checkops.getSubmission(submission.id);
+        expect(retrieved.formVersionId).toBe(testForm.currentVersionId);
+        expect(retrieved.submissionData[testQuestion.id]).toBe('Yes');
+    });
+
+    test('should reject publishing when there is no draft', async () => {
+        if (!checkops) return;
+
+        await expect(checkops.publishFormVersion(testForm.id)).rejects.toThrow('has no draft version');
+    });
+});
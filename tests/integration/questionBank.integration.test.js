@@ -38,6 +38,92 @@ describe('Question Bank Integration Tests', () => {
     }
   });
 
+  describe('Retention purge', () => {
+    it('should keep force-deleted questions that forms still use', async () => {
+      if (!checkops.initialized) return;
+
+      const question = await checkops.createQuestion({
+        questionText: 'Is the freezer door sealed?',
+        questionType: 'text',
+      });
+      const form = await checkops.createForm({
+        title: 'Freezer Check',
+        questions: [{ questionId: question.id, required: true }],
+      });
+
+      await checkops.deleteQuestion(question.id, { force: true });
+      await checkops.purgeDeleted({ olderThan: new Date(Date.now() + 60 * 1000) });
+
+      const stored = await checkops.getForm(form.id);
+      const rendered = await checkops.submissionService._getQuestionsWithDetails(stored.questions);
+      expect(rendered).toEqual([
+        expect.objectContaining({ id: question.id, questionText: 'Is the freezer door sealed?', required: true }),
+      ]);
+    });
+  });
+
+  describe('Question usage', () => {
+    it('should count answers given in repeatable group instances', async () => {
+      if (!checkops.initialized) return;
+
+      const question = await checkops.createQuestion({
+        questionText: 'Fridge temperature',
+        questionType: 'number',
+      });
+      const form = await checkops.createForm({
+        title: 'Fridge Round',
+        questions: [question.id],
+        sections: [
+          { key: 'fridges', title: 'Fridges', repeatable: true, minRepeats: 1, maxRepeats: 3, questionIds: [question.id] },
+        ],
+      });
+      await checkops.createSubmission({
+        formId: form.id,
+        submissionData: { fridges: [{ [question.id]: 4 }, { [question.id]: 5 }] },
+      });
+
+      const usage = await checkops.getQuestionUsage(question.id);
+      expect(usage.forms).toEqual([expect.objectContaining({ id: form.id, submissionCount: 1 })]);
+      await expect(checkops.deleteQuestion(question.id)).rejects.toThrow('is used by 1 form(s)');
+    });
+
+    it('should count versions that submissions are pinned to', async () => {
+      if (!checkops.initialized) return;
+
+      const [dropped, kept] = await Promise.all([
+        checkops.createQuestion({ questionText: 'Is the hood filter clean?', questionType: 'text' }),
+        checkops.createQuestion({ questionText: 'Is the hood fan running?', questionType: 'text' }),
+      ]);
+      const form = await checkops.createForm({
+        title: 'Hood Check',
+        questions: [dropped.id, kept.id],
+      });
+      await checkops.createSubmission({
+        formId: form.id,
+        submissionData: { [dropped.id]: 'Yes', [kept.id]: 'Yes' },
+      });
+
+      // The first version has a submission, so dropping the question needs a new version
+      await checkops.updateForm(form.id, { questions: [kept.id] });
+      await checkops.publishFormVersion(form.id);
+
+      const usage = await checkops.getQuestionUsage(dropped.id);
+      expect(usage.forms).toEqual([
+        expect.objectContaining({
+          id: form.id,
+          inCurrentVersion: false,
+          versions: [expect.objectContaining({ versionNumber: 1, status: 'published', submissionCount: 1 })],
+        }),
+      ]);
+      await expect(checkops.deleteQuestion(dropped.id)).rejects.toThrow('is used by 1 form(s)');
+
+      await checkops.deleteQuestion(dropped.id, { force: true });
+      await checkops.purgeDeleted({ olderThan: new Date(Date.now() + 60 * 1000) });
+      const rendered = await checkops.submissionService._getQuestionsWithDetails([dropped.id]);
+      expect(rendered).toEqual([expect.objectContaining({ id: dropped.id, questionText: 'Is the hood filter clean?' })]);
+    });
+  });
+
   describe('Question CRUD Operations', () => {
     it.skip('should create and retrieve questions', async () => {
       if (!checkops.initialized) return;
@@ -0,0 +1,180 @@
+/**
+ * Unit tests: AuditLog diffs and entries.
+ *
+ * Pure tests — no database connection required.
+ */
+
+import { AuditLog } from '../../../src/models/AuditLog.js';
+import { Form } from '../../../src/models/Form.js';
+import { FormVersion } from '../../../src/models/FormVersion.js';
+import { FindingAction } from '../../../src/models/FindingAction.js';
+import { AuditService } from '../../../src/services/AuditService.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+import { withActor } from '../../../src/utils/actorContext.js';
+import { withTenant } from '../../../src/utils/tenantContext.js';
+
+const FORM_ID = '77777777-7777-4777-8777-777777777777';
+
+function fakeClient() {
+  const calls = [];
+  return {
+    calls,
+    async query(text, params) {
+      calls.push({ text, params });
+      return { rows: [{ id: 1, entity_type: params[0], entity_id: params[1], entity_sid: params[2], action: params[3], actor: params[4] }] };
+    },
+  };
+}
+
+describe('AuditLog.diff()', () => {
+  it('returns only the changed fields on each side', () => {
+    const before = { id: FORM_ID, title: 'Old', metadata: { a: 1 }, isActive: true };
+    const after = { id: FORM_ID, title: 'New', metadata: { a: 2 }, isActive: true };
+
+    expect(AuditLog.diff(before, after)).toEqual({
+      before: { title: 'Old', metadata: { a: 1 } },
+      after: { title: 'New', metadata: { a: 2 } },
+    });
+  });
+
+  it('returns null when nothing but updatedAt changed', () => {
+    expect(AuditLog.diff({ title: 'Same', updatedAt: 1 }, { title: 'Same', updatedAt: 2 })).toBeNull();
+  });
+
+  it('records added and removed fields as null on the other side', () => {
+    expect(AuditLog.diff({ title: 'Form' }, { title: 'Form', description: 'Added' })).toEqual({
+      before: { description: null },
+      after: { description: 'Added' },
+    });
+  });
+});
+
+describe('AuditLog.record()', () => {
+  it('stores the whole entity for creates', async () => {
+    const client = fakeClient();
+    await AuditLog.record({ entityType: 'form', action: 'create', after: { id: FORM_ID, sid: 'FORM-001', title: 'Form' }, actor: 42 }, client);
+
+    expect(client.calls[0].params).toEqual([
+      'form', FORM_ID, 'FORM-001', 'create', '42', null, JSON.stringify({ id: FORM_ID, sid: 'FORM-001', title: 'Form' }), null,
+    ]);
+  });
+
+  it('prefers the given actor over the actor context', async () => {
+    const client = fakeClient();
+    await withActor({ userId: 'admin-1' }, () => AuditLog.record({
+      entityType: 'form', action: 'delete', before: { id: FORM_ID, sid: 'FORM-001' }, actor: 'user-9',
+    }, client));
+    await withActor({ userId: 'admin-1' }, () => AuditLog.record({
+      entityType: 'form', action: 'delete', before: { id: FORM_ID, sid: 'FORM-001' },
+    }, client));
+
+    expect(client.calls.map(call => call.params[4])).toEqual(['user-9', 'admin-1']);
+  });
+
+  it("stores the entity's tenant, else the current one", async () => {
+    const client = fakeClient();
+    await AuditLog.record({ entityType: 'form', action: 'create', after: { id: FORM_ID, sid: 'FORM-001', tenantId: 'acme' } }, client);
+    await withTenant('beta', () => AuditLog.record({ entityType: 'form', action: 'delete', before: { id: FORM_ID, sid: 'FORM-001' } }, client));
+
+    expect(client.calls.map(call => call.params[7])).toEqual(['acme', 'beta']);
+  });
+
+  it('ignores updatedBy when diffing', () => {
+    expect(AuditLog.diff({ title: 'Same', updatedBy: 'a' }, { title: 'Same', updatedBy: 'b' })).toBeNull();
+  });
+
+  it('skips updates that change nothing', async () => {
+    const client = fakeClient();
+    const form = { id: FORM_ID, sid: 'FORM-001', title: 'Form' };
+
+    expect(await AuditLog.record({ entityType: 'form', action: 'update', before: form, after: { ...form } }, client)).toBeNull();
+    expect(client.calls).toHaveLength(0);
+  });
+});
+
+describe('FormVersion draft audit', () => {
+  const form = new Form({ id: FORM_ID, sid: 'FORM-001', questions: ['q-1'] });
+  const draftRow = { id: 'version-2', form_id: FORM_ID, form_sid: 'FORM-001', version_number: 2, status: 'draft', questions: ['q-1', 'q-2'] };
+
+  function versionClient(existingDraft = null) {
+    const calls = [];
+    return {
+      calls,
+      async query(text, params) {
+        calls.push({ text, params });
+        if (text.includes('audit_log')) {
+          return { rows: [{ id: 1 }] };
+        }
+        return { rows: text.startsWith('SELECT') ? [existingDraft].filter(Boolean) : [draftRow] };
+      },
+    };
+  }
+
+  const auditOf = client => client.calls.find(call => call.text.includes('audit_log')).params;
+
+  it('records a new draft as a change of the form', async () => {
+    const client = versionClient();
+    await FormVersion.saveDraft(form, { questions: ['q-1', 'q-2'] }, client);
+
+    const params = auditOf(client);
+    expect(params.slice(0, 4)).toEqual(['form', FORM_ID, 'FORM-001', 'update']);
+    expect(JSON.parse(params[5])).toEqual({ draftVersion: null });
+    expect(JSON.parse(params[6]).draftVersion).toMatchObject({ id: 'version-2', status: 'draft', questions: ['q-1', 'q-2'] });
+  });
+
+  it('records the draft going away when it is published', async () => {
+    const client = versionClient();
+    await FormVersion.publish(FormVersion.fromRow(draftRow), form, client);
+
+    const params = auditOf(client);
+    expect(JSON.parse(params[5]).draftVersion).toMatchObject({ id: 'version-2' });
+    expect(JSON.parse(params[6])).toEqual({ draftVersion: null });
+  });
+});
+
+describe('FindingAction audit', () => {
+  const ACTION_ID = '88888888-8888-4888-8888-888888888888';
+  const actionRow = { id: ACTION_ID, sid: 'ACT-001', finding_id: FORM_ID, status: 'open', description: 'Replace seal' };
+
+  function actionClient() {
+    const calls = [];
+    return {
+      calls,
+      async query(text, params) {
+        calls.push({ text, params });
+        if (text.includes('audit_log')) {
+          return { rows: [{ id: 1 }] };
+        }
+        return { rows: [text.startsWith('UPDATE') ? { ...actionRow, status: 'completed' } : actionRow] };
+      },
+    };
+  }
+
+  it('records updates with the changed fields', async () => {
+    const client = actionClient();
+    await FindingAction.updateById(ACTION_ID, { status: 'completed' }, client);
+
+    const params = client.calls.at(-1).params;
+    expect(params.slice(0, 4)).toEqual(['finding_action', ACTION_ID, 'ACT-001', 'update']);
+    expect(JSON.parse(params[5])).toEqual({ status: 'open' });
+    expect(JSON.parse(params[6])).toEqual({ status: 'completed' });
+  });
+
+  it('records deletes with the action as it was', async () => {
+    const client = actionClient();
+    await FindingAction.deleteById(ACTION_ID, client);
+
+    const params = client.calls.at(-1).params;
+    expect(params.slice(0, 4)).toEqual(['finding_action', ACTION_ID, 'ACT-001', 'delete']);
+    expect(JSON.parse(params[5])).toMatchObject({ sid: 'ACT-001', description: 'Replace seal' });
+  });
+});
+
+describe('AuditService.getAuditTrail()', () => {
+  const auditService = new AuditService();
+
+  it('rejects IDs that are neither UUIDs nor SIDs', async () => {
+    await expect(auditService.getAuditTrail('not-an-id')).rejects.toThrow(ValidationError);
+    await expect(auditService.getAuditTrail()).rejects.toThrow(ValidationError);
+  });
+});
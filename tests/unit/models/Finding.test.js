@@ -0,0 +1,101 @@
+/**
+ * Unit tests: Finding filter clause and SLA field mapping.
+ *
+ * Pure tests — no database connection required.
+ */
+
+import { Finding } from '../../../src/models/Finding.js';
+
+describe('Finding.buildFilterClause()', () => {
+    it('returns no WHERE clause without filters', () => {
+        expect(Finding.buildFilterClause({})).toEqual({ where: '', conditions: [], params: [], searchParam: null });
+    });
+
+    it('numbers parameters in filter order', () => {
+        const { where, params } = Finding.buildFilterClause({
+            formId: 'form-uuid-1',
+            severity: 'Major',
+            dueBefore: '2025-01-31',
+        });
+
+        expect(where).toBe(' WHERE form_id = $1 AND severity = $2 AND due_at <= $3');
+        expect(params).toEqual(['form-uuid-1', 'Major', '2025-01-31']);
+    });
+
+    it('adds SLA conditions without parameters', () => {
+        expect(Finding.buildFilterClause({ overdue: true }).where)
+            .toBe(' WHERE resolved_at IS NULL AND due_at < NOW()');
+        expect(Finding.buildFilterClause({ breached: true, resolved: false }).where)
+            .toBe(' WHERE due_at < COALESCE(resolved_at, NOW()) AND resolved_at IS NULL');
+    });
+
+    it('selects live or soft-deleted findings', () => {
+        expect(Finding.buildFilterClause({ deleted: false }).where).toBe(' WHERE deleted_at IS NULL');
+        expect(Finding.buildFilterClause({ severity: 'Major', deleted: true }).where)
+            .toBe(' WHERE severity = $1 AND deleted_at IS NOT NULL');
+    });
+});
+
+describe('Finding.buildFilterClause() — scope and search', () => {
+    it('filters a single target unit or a list of them', () => {
+        expect(Finding.buildFilterClause({ targetUnitId: 'unit-1' }).where)
+            .toBe(' WHERE target_unit_id = $1');
+
+        const { where, params } = Finding.buildFilterClause({ targetUnitId: ['unit-1', 'unit-2'] });
+        expect(where).toBe(' WHERE target_unit_id = ANY($1::uuid[])');
+        expect(params).toEqual([['unit-1', 'unit-2']]);
+    });
+
+    it('matches assignees by JSONB containment', () => {
+        expect(Finding.buildFilterClause({ assignee: 'user-1' })).toMatchObject({
+            where: ' WHERE assignment @> $1::jsonb',
+            params: ['[{"user_id":"user-1"}]'],
+        });
+        expect(Finding.buildFilterClause({ assignee: { role: 'owner' } }).params)
+            .toEqual(['[{"role":"owner"}]']);
+    });
+
+    it('searches observations and reports the search parameter', () => {
+        const { where, params, searchParam } = Finding.buildFilterClause({
+            createdBy: 'auditor-1',
+            search: 'freezer seal',
+        });
+
+        expect(where).toBe(
+            " WHERE created_by = $1 AND to_tsvector('english', COALESCE(observation, '')) @@ plainto_tsquery('english', $2)"
+        );
+        expect(params).toEqual(['auditor-1', 'freezer seal']);
+        expect(searchParam).toBe(2);
+    });
+});
+
+describe('Finding.buildOrderClause()', () => {
+    it('defaults to newest first with a stable tie-break', () => {
+        expect(Finding.buildOrderClause()).toBe('created_at DESC NULLS LAST, id DESC');
+        expect(Finding.buildOrderClause('dueAt', 'asc')).toBe('due_at ASC NULLS LAST, id ASC');
+    });
+
+    it('ranks by relevance only when searching', () => {
+        expect(Finding.buildOrderClause('relevance', 'desc', 2)).toMatch(/^ts_rank\(.*\$2\)\) DESC, id DESC$/);
+        expect(() => Finding.buildOrderClause('relevance', 'desc')).toThrow(/requires a search term/);
+    });
+
+    it('rejects unknown sort fields and directions', () => {
+        expect(() => Finding.buildOrderClause('observation; DROP TABLE findings')).toThrow(/Invalid sortBy/);
+        expect(() => Finding.buildOrderClause('severity', 'sideways')).toThrow(/Invalid sortOrder/);
+    });
+
+    it('only offers columns of the findings table', () => {
+        // findings has no updated_at column (migration 016)
+        expect(() => Finding.buildOrderClause('updatedAt')).toThrow(/Invalid sortBy/);
+    });
+});
+
+describe('Finding.fromRow() — SLA fields', () => {
+    it('maps due_at and resolved_at', () => {
+        const finding = Finding.fromRow({ id: 'uuid-1', due_at: '2025-01-02T00:00:00Z', resolved_at: null });
+
+        expect(finding.dueAt).toBe('2025-01-02T00:00:00Z');
+        expect(finding.toJSON().resolvedAt).toBeNull();
+    });
+});
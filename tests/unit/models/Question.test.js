@@ -0,0 +1,69 @@
+/**
+ * Unit tests: Question filter clause and tag/category mapping.
+ *
+ * Pure tests — no database connection required.
+ */
+
+import { Question } from '../../../src/models/Question.js';
+
+describe('Question.buildFilterClause()', () => {
+    it('only excludes deleted questions without filters', () => {
+        expect(Question.buildFilterClause({})).toEqual({
+            where: ' WHERE deleted_at IS NULL',
+            conditions: ['deleted_at IS NULL'],
+            params: [],
+            searchParam: null,
+        });
+    });
+
+    it('matches a single tag or all of a list of tags', () => {
+        expect(Question.buildFilterClause({ tags: 'haccp' })).toMatchObject({
+            where: ' WHERE deleted_at IS NULL AND tags @> $1::text[]',
+            params: [['haccp']],
+        });
+        expect(Question.buildFilterClause({ tags: ['haccp', 'cold-chain'] }).params)
+            .toEqual([['haccp', 'cold-chain']]);
+        expect(Question.buildFilterClause({ tags: [] }).where).toBe(' WHERE deleted_at IS NULL');
+    });
+
+    it('numbers parameters in filter order', () => {
+        const { where, params } = Question.buildFilterClause({
+            questionType: 'select',
+            isActive: true,
+            category: 'Hygiene',
+            createdAfter: '2025-01-01',
+            createdBefore: '2025-01-31',
+        });
+
+        expect(where).toBe(
+            ' WHERE deleted_at IS NULL AND question_type = $1 AND is_active = $2 AND category = $3' +
+            ' AND created_at >= $4 AND created_at <= $5'
+        );
+        expect(params).toEqual(['select', true, 'Hygiene', '2025-01-01', '2025-01-31']);
+    });
+
+    it('searches question text and reports the search parameter', () => {
+        const { where, params, searchParam } = Question.buildFilterClause({
+            category: 'Hygiene',
+            search: 'hand washing',
+        });
+
+        expect(where).toBe(
+            " WHERE deleted_at IS NULL AND category = $1 AND to_tsvector('english', COALESCE(question_text, '')) @@ plainto_tsquery('english', $2)"
+        );
+        expect(params).toEqual(['Hygiene', 'hand washing']);
+        expect(searchParam).toBe(2);
+    });
+});
+
+describe('Question tags and category', () => {
+    it('maps tags and category from a row', () => {
+        const question = Question.fromRow({ id: 'q-1', sid: 'Q-001', tags: ['haccp'], category: 'Hygiene' });
+
+        expect(question.toJSON()).toMatchObject({ tags: ['haccp'], category: 'Hygiene' });
+    });
+
+    it('defaults to no tags and no category', () => {
+        expect(new Question({ id: 'q-1' })).toMatchObject({ tags: [], category: null });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests: Submission filter clause.
+ *
+ * Pure tests — no database connection required.
+ */
+
+import { Submission } from '../../../src/models/Submission.js';
+
+const Q1 = '11111111-1111-4111-8111-111111111111';
+
+describe('Submission.buildFilterClause()', () => {
+  it('returns no WHERE clause without filters', () => {
+    expect(Submission.buildFilterClause()).toEqual({ where: '', conditions: [], params: [] });
+  });
+
+  it('filters single values with = and lists with ANY', () => {
+    const { where, params } = Submission.buildFilterClause({
+      formId: 'form-1',
+      targetUnitIds: ['unit-1', 'unit-2'],
+      submitterUserIds: 'user-1',
+      submittedAfter: '2025-01-01',
+    });
+
+    expect(where).toBe(
+      ' WHERE form_id = $1 AND target_unit_id = ANY($2::uuid[]) AND submitter_user_id = $3 AND submitted_at >= $4'
+    );
+    expect(params).toEqual(['form-1', ['unit-1', 'unit-2'], 'user-1', '2025-01-01']);
+  });
+
+  it('selects live or soft-deleted submissions', () => {
+    expect(Submission.buildFilterClause({ formId: 'form-1', deleted: false }).where)
+      .toBe(' WHERE form_id = $1 AND deleted_at IS NULL');
+    expect(Submission.buildFilterClause({ deleted: true }).where).toBe(' WHERE deleted_at IS NOT NULL');
+  });
+
+  it('filters statuses as text', () => {
+    const { where, params } = Submission.buildFilterClause({ status: ['draft', 'submitted'] });
+
+    expect(where).toBe(' WHERE status = ANY($1::text[])');
+    expect(params).toEqual([['draft', 'submitted']]);
+  });
+
+  it('matches equals, contains and in through JSONB containment', () => {
+    const { where, params } = Submission.buildFilterClause({
+      answers: [
+        { questionId: Q1, operator: 'equals', value: 'opt_fail' },
+        { questionId: Q1, operator: 'contains', value: 'opt_a' },
+        { questionId: Q1, operator: 'in', value: ['opt_a', 'opt_b'] },
+      ],
+    });
+
+    expect(where).toBe(
+      ' WHERE submission_data @> $2::jsonb AND submission_data @> $4::jsonb AND submission_data @> ANY($6::jsonb[])'
+    );
+    expect(params).toEqual([
+      Q1, `{"${Q1}":"opt_fail"}`,
+      Q1, `{"${Q1}":["opt_a"]}`,
+      Q1, [`{"${Q1}":"opt_a"}`, `{"${Q1}":"opt_b"}`],
+    ]);
+  });
+
+  it('compares numbers only against number answers', () => {
+    const { where, params } = Submission.buildFilterClause({
+      answers: [{ questionId: Q1, operator: 'gte', value: 5 }],
+    });
+
+    expect(where).toBe(
+      " WHERE CASE WHEN jsonb_typeof(submission_data -> $1::text) = 'number' " +
+      'THEN (submission_data ->> $1::text)::numeric >= $2::numeric ELSE false END'
+    );
+    expect(params).toEqual([Q1, 5]);
+  });
+
+  it('treats empty answers as unanswered', () => {
+    expect(Submission.buildFilterClause({ answers: [{ questionId: Q1, operator: 'notAnswered' }] }).where)
+      .toBe(" WHERE COALESCE(submission_data ->> $1::text, '') IN ('', '[]')");
+  });
+});
@@ -1,5 +1,7 @@
 /**
- * Unit tests: field mapping for requireAll (Form) and targeting fields (Submission).
+ * Unit tests: field mapping for requireAll (Form), targeting fields (Submission)
+ * form versioning (FormVersion, Form.currentVersionId, Submission.formVersionId)
+ * and finding actions (FindingAction).
  *
  * These are pure constructor / fromRow tests — no database connection required.
  * Validated by: npm run test:unit
@@ -7,6 +9,9 @@
 
 import { Form } from '../../../src/models/Form.js';
 import { Submission } from '../../../src/models/Submission.js';
+import { FormVersion } from '../../../src/models/FormVersion.js';
+import { FindingAction } from '../../../src/models/FindingAction.js';
+import { generateSID } from '../../../src/utils/idResolver.js';
 
 // ── Form.requireAll field ──────────────────────────────────────────────────────
 
@@ -177,3 +182,97 @@ describe('Submission.fromRow() — targeting field mapping', () => {
         expect(Submission.fromRow(null)).toBeNull();
     });
 });
+
+// ── Form versioning ────────────────────────────────────────────────────────────
+
+describe('FormVersion.fromRow() — field mapping', () => {
+    it('maps snake_case columns to camelCase fields', () => {
+        const version = FormVersion.fromRow({
+            id: 'version-uuid-1',
+            form_id: 'form-uuid-1',
+            form_sid: 'FORM-001',
+            version_number: 2,
+            status: 'draft',
+            questions: ['q-uuid-1'],
+            created_at: null,
+            published_at: null,
+        });
+
+        expect(version.formId).toBe('form-uuid-1');
+        expect(version.formSid).toBe('FORM-001');
+        expect(version.versionNumber).toBe(2);
+        expect(version.status).toBe('draft');
+        expect(version.questions).toEqual(['q-uuid-1']);
+        expect(version.publishedAt).toBeNull();
+    });
+
+    it('returns null for a null row', () => {
+        expect(FormVersion.fromRow(null)).toBeNull();
+    });
+
+    it('snapshots the questions field', () => {
+        expect(FormVersion.VERSIONED_FIELDS).toContain('questions');
+    });
+});
+
+describe('Form / Submission — version references', () => {
+    it('maps row.current_version_id to form.currentVersionId', () => {
+        const form = Form.fromRow({ id: 'uuid-1', sid: 'FORM-001', current_version_id: 'version-uuid-1' });
+        expect(form.currentVersionId).toBe('version-uuid-1');
+        expect(form.toJSON().currentVersionId).toBe('version-uuid-1');
+    });
+
+    it('only includes draftVersion in toJSON() when an update created one', () => {
+        const form = new Form({ id: 'uuid-1', title: 'T' });
+        expect(form.toJSON()).not.toHaveProperty('draftVersion');
+
+        form.draftVersion = new FormVersion({ id: 'version-uuid-2', status: 'draft' });
+        expect(form.toJSON().draftVersion.id).toBe('version-uuid-2');
+    });
+
+    it('maps row.form_version_id to submission.formVersionId', () => {
+        const sub = Submission.fromRow({ id: 'uuid-1', form_id: 'form-uuid-1', form_version_id: 'version-uuid-1' });
+        expect(sub.formVersionId).toBe('version-uuid-1');
+        expect(sub.toJSON().formVersionId).toBe('version-uuid-1');
+    });
+
+    it('defaults formVersionId to null for unpinned submissions', () => {
+        const sub = new Submission({ id: 'uuid-1', formId: 'form-uuid-1' });
+        expect(sub.formVersionId).toBeNull();
+    });
+});
+
+describe('FindingAction.fromRow() — field mapping', () => {
+    const row = {
+        id: 'action-uuid-1',
+        sid: 'ACT-001',
+        finding_id: 'finding-uuid-1',
+        finding_sid: 'FND-001',
+        action_type: 'preventive',
+        description: 'Replace door seal',
+        owner: 'user-uuid-1',
+        due_date: new Date('2020-01-01T00:00:00'),
+        status: 'open',
+        verification_notes: null,
+        metadata: {},
+    };
+
+    it('maps snake_case columns to camelCase fields', () => {
+        const action = FindingAction.fromRow(row);
+
+        expect(action.findingId).toBe('finding-uuid-1');
+        expect(action.findingSid).toBe('FND-001');
+        expect(action.actionType).toBe('preventive');
+        expect(action.verificationNotes).toBeNull();
+    });
+
+    it('flags open actions past their due date as overdue', () => {
+        expect(FindingAction.fromRow(row).toJSON().isOverdue).toBe(true);
+        expect(FindingAction.fromRow({ ...row, status: 'completed' }).isOverdue).toBe(false);
+        expect(FindingAction.fromRow({ ...row, due_date: null }).isOverdue).toBe(false);
+    });
+
+    it('uses the ACT prefix for action SIDs', () => {
+        expect(generateSID('action', 7)).toBe('ACT-007');
+    });
+});
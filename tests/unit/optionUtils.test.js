@@ -248,6 +248,11 @@ describe('OptionUtils', () => {
       const result = OptionUtils.convertToKeys(null, options);
       expect(result).toBeNull();
     });
+
+    test('should convert the options of each matrix row', () => {
+      const result = OptionUtils.convertToKeys({ row_a: 'Red', row_b: ['Blue', 'color_red'] }, options);
+      expect(result).toEqual({ row_a: 'color_red', row_b: ['color_blue', 'color_red'] });
+    });
   });
 
   describe('convertToLabels', () => {
@@ -280,6 +285,11 @@ describe('OptionUtils', () => {
       const result = OptionUtils.convertToLabels('', options);
       expect(result).toBe('');
     });
+
+    test('should convert the options of each matrix row', () => {
+      const result = OptionUtils.convertToLabels({ row_a: 'color_red' }, options);
+      expect(result).toEqual({ row_a: 'Red' });
+    });
   });
 
   describe('requiresOptions', () => {
@@ -299,6 +309,10 @@ describe('OptionUtils', () => {
       expect(OptionUtils.requiresOptions('checkbox')).toBe(true);
     });
 
+    test('should return true for matrix', () => {
+      expect(OptionUtils.requiresOptions('matrix')).toBe(true);
+    });
+
     test('should return false for text', () => {
       expect(OptionUtils.requiresOptions('text')).toBe(false);
     });
@@ -349,6 +363,12 @@ describe('OptionUtils', () => {
       expect(result).toBe(false);
     });
 
+    test('should check every row of a matrix answer', () => {
+      expect(OptionUtils.isValidAnswer({ row_a: 'Red', row_b: ['color_blue'] }, options, 'matrix')).toBe(true);
+      expect(OptionUtils.isValidAnswer({ row_a: 'Green' }, options, 'matrix')).toBe(false);
+      expect(OptionUtils.isValidAnswer(['Red'], options, 'matrix')).toBe(false);
+    });
+
     test('should accept empty value', () => {
       expect(OptionUtils.isValidAnswer('', options, 'select')).toBe(true);
       expect(OptionUtils.isValidAnswer(null, options, 'select')).toBe(true);
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+import { FindingService } from '../../../src/services/FindingService.js';
+import { Finding } from '../../../src/models/Finding.js';
+import { FindingAction } from '../../../src/models/FindingAction.js';
+import { FindingStatusHistory } from '../../../src/models/FindingStatusHistory.js';
+import { dbManager } from '../../../src/config/database.js';
+import { ValidationError, InvalidOperationError } from '../../../src/utils/errors.js';
+
+const findingRow = { id: '11111111-1111-4111-8111-111111111111', sid: 'FND-001', form_id: '22222222-2222-4222-8222-222222222222' };
+const actionRow = { id: '33333333-3333-4333-8333-333333333333', sid: 'ACT-001', finding_id: findingRow.id, status: 'completed' };
+
+// Run fn with transactions on a fake client that records its queries
+async function withFakeClient(respond, fn) {
+  const calls = [];
+  const client = {
+    async query(text, params) {
+      calls.push(text);
+      return respond(text, params) ?? { rows: [] };
+    },
+    release() {},
+  };
+  const { pool, isHealthy } = dbManager;
+  dbManager.pool = { connect: async () => client, query: client.query };
+  dbManager.isHealthy = true;
+
+  try {
+    await fn();
+  } finally {
+    Object.assign(dbManager, { pool, isHealthy });
+  }
+  return calls;
+}
+
+describe('FindingService', () => {
+  let findingService;
+
+  beforeEach(() => {
+    findingService = new FindingService();
+  });
+
+  describe('workflow', () => {
+    it('should use the default finding workflow', () => {
+      expect(findingService.workflow.initial).toBe('open');
+      expect(findingService.workflow.nextStatuses('resolved')).toEqual(['verified', 'open']);
+    });
+
+    it('should accept a configured workflow', () => {
+      const service = new FindingService({
+        workflow: { initial: 'new', transitions: { new: ['closed'], closed: ['new'] } },
+      });
+
+      expect(service.workflow.statuses).toEqual(['new', 'closed']);
+    });
+
+    it('should reject an invalid workflow', () => {
+      expect(() => new FindingService({ workflow: { initial: 'open', transitions: {} } })).toThrow(ValidationError);
+    });
+  });
+
+  describe('validation', () => {
+    it('should require a valid finding UUID to transition', async () => {
+      await expect(findingService.transitionFinding('FND-001', 'resolved')).rejects.toThrow(ValidationError);
+    });
+
+    it('should require a target status', async () => {
+      await expect(
+        findingService.transitionFinding('11111111-1111-4111-8111-111111111111', '')
+      ).rejects.toThrow('status is required');
+    });
+
+    it('should reject a status outside the workflow on create', async () => {
+      await expect(
+        findingService.createFinding({
+          submissionId: '11111111-1111-4111-8111-111111111111',
+          questionId: '22222222-2222-4222-8222-222222222222',
+          formId: '33333333-3333-4333-8333-333333333333',
+          status: 'archived',
+        })
+      ).rejects.toThrow(/status must be one of/);
+    });
+
+    it('should only create findings at the initial status', async () => {
+      await expect(
+        findingService.createFinding({
+          submissionId: '11111111-1111-4111-8111-111111111111',
+          questionId: '22222222-2222-4222-8222-222222222222',
+          formId: '33333333-3333-4333-8333-333333333333',
+          status: 'closed',
+        })
+      ).rejects.toThrow("New findings start at status 'open'; use transitionFinding() to move them to 'closed'");
+    });
+
+    it('should reject malformed finding filters', async () => {
+      await expect(findingService.getFindings({ targetUnitId: ['store-1'] })).rejects.toThrow(/targetUnitId must be/);
+      await expect(findingService.getFindingCount({ submissionId: 'SUB-001' })).rejects.toThrow(ValidationError);
+      await expect(findingService.getOverdueFindings({ assignee: ['user-1'] })).rejects.toThrow(/assignee must be/);
+    });
+  });
+
+  describe('actions', () => {
+    const FINDING_ID = '11111111-1111-4111-8111-111111111111';
+    const closedFinding = text => (text.includes('FROM public.findings') ? { rows: [{ ...findingRow, status: 'closed' }] } : null);
+
+    it('should require a description', async () => {
+      await expect(findingService.createFindingAction(FINDING_ID, { owner: 'user-1' }))
+        .rejects.toThrow('description is required');
+    });
+
+    it('should reject unknown action types and statuses', () => {
+      expect(() => findingService._validateActionFields({ actionType: 'urgent' })).toThrow(ValidationError);
+      expect(() => findingService._validateActionFields({ status: 'done' })).toThrow(/Action status must be one of/);
+    });
+
+    it('should reject invalid due dates', () => {
+      expect(() => findingService._validateActionFields({ dueDate: 'next week' })).toThrow('dueDate must be a valid date');
+    });
+
+    it('should only return fields that were given', () => {
+      expect(findingService._validateActionFields({ status: 'completed', verificationNotes: 'Checked' }))
+        .toEqual({ status: 'completed', verificationNotes: 'Checked' });
+    });
+
+    it('should require a valid action UUID', async () => {
+      await expect(findingService.updateFindingActionById('ACT-001', {})).rejects.toThrow(ValidationError);
+    });
+
+    it('should not add actions to a closed finding', async () => {
+      const calls = await withFakeClient(closedFinding, async () => {
+        await expect(findingService.createFindingAction(findingRow.id, { description: 'Replace the seal' }))
+          .rejects.toThrow("Cannot add actions to finding 'FND-001' while it is closed");
+      });
+
+      // The finding is checked under the lock closing it takes
+      expect(calls).toEqual(['BEGIN', expect.stringMatching(/FOR UPDATE$/), 'ROLLBACK']);
+    });
+
+    it('should not change actions of a closed finding', async () => {
+      const respond = text => (text.includes('FROM finding_actions') ? { rows: [actionRow] } : closedFinding(text));
+      const calls = await withFakeClient(respond, async () => {
+        await expect(findingService.updateFindingActionById(actionRow.id, { status: 'open' }))
+          .rejects.toThrow("Cannot change actions of finding 'FND-001' while it is closed");
+      });
+
+      expect(calls).toEqual(['BEGIN', expect.stringContaining('FROM finding_actions'), expect.stringMatching(/FOR UPDATE$/), 'ROLLBACK']);
+    });
+  });
+
+  describe('SLA', () => {
+    it('should start new findings at the initial status with a due date from severity', () => {
+      const raisedAt = new Date('2025-01-01T00:00:00Z');
+      const fields = findingService.getInitialFindingFields('Critical', raisedAt);
+
+      expect(fields.status).toBe('open');
+      expect(fields.dueAt.toISOString()).toBe('2025-01-02T00:00:00.000Z');
+    });
+
+    it('should accept a configured SLA policy', () => {
+      const service = new FindingService({ slaPolicy: { durations: { Major: 48 } } });
+      expect(service.getInitialFindingFields('Major', new Date(0)).dueAt.getTime()).toBe(48 * 60 * 60 * 1000);
+    });
+
+    it('should reject a non-positive due-soon window', async () => {
+      await expect(findingService.getFindingsDueSoon({ withinHours: 0 })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('closing', () => {
+    const verified = Finding.fromRow({ ...findingRow, status: 'verified' });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should treat the closed status as closing', () => {
+      expect(findingService.workflow.isClosed('closed')).toBe(true);
+      expect(findingService.workflow.isClosed('verified')).toBe(false);
+    });
+
+    it('should refuse to close a finding with open actions', async () => {
+      jest.spyOn(Finding, 'findById').mockResolvedValue(verified);
+      jest.spyOn(FindingAction, 'countOpenByFindingId').mockResolvedValue(2);
+      const update = jest.spyOn(Finding, 'updateById');
+
+      await withFakeClient(() => null, async () => {
+        const closing = findingService.transitionFinding(verified.id, 'closed');
+        await expect(closing).rejects.toThrow(InvalidOperationError);
+        await expect(closing).rejects.toThrow('Finding cannot be closed while it has 2 open actions');
+      });
+
+      expect(Finding.findById).toHaveBeenCalledWith(verified.id, expect.anything(), { forUpdate: true });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should close a finding without open actions', async () => {
+      jest.spyOn(Finding, 'findById').mockResolvedValue(verified);
+      jest.spyOn(FindingAction, 'countOpenByFindingId').mockResolvedValue(0);
+      jest.spyOn(Finding, 'updateById').mockImplementation(async (_id, changes) => Finding.fromRow({ ...findingRow, ...changes }));
+      const history = jest.spyOn(FindingStatusHistory, 'create').mockResolvedValue(null);
+
+      let closed;
+      await withFakeClient(() => null, async () => {
+        closed = await findingService.transitionFinding(verified.id, 'closed', { changedBy: 'user-1' });
+      });
+
+      expect(closed.status).toBe('closed');
+      expect(history).toHaveBeenCalledWith(
+        expect.objectContaining({ fromStatus: 'verified', toStatus: 'closed', changedBy: 'user-1' }),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('stats', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count overdue actions among the open ones', async () => {
+      jest.spyOn(Finding, 'getStats').mockResolvedValue({ total: 2 });
+      const rows = [
+        { status: 'open', count: '2', overdue: '1' },
+        { status: 'in_progress', count: '1', overdue: '1' },
+        { status: 'completed', count: '4', overdue: '0' },
+      ];
+
+      let stats;
+      const calls = await withFakeClient(text => (text.includes('FROM finding_actions a') ? { rows } : null), async () => {
+        stats = await findingService.getFindingsStats(findingRow.form_id);
+      });
+
+      expect(stats).toEqual({
+        total: 2,
+        actions: { total: 7, open: 3, overdue: 2, byStatus: { open: 2, in_progress: 1, completed: 4 } },
+      });
+      // Only open and in-progress actions past their due date are overdue
+      expect(calls[0]).toContain('a.status = ANY($2) AND a.due_date < CURRENT_DATE');
+    });
+  });
+});
@@ -58,4 +58,43 @@ describe('FormService', () => {
       ).rejects.toThrow(ValidationError);
     });
   });
+
+  describe('resolveDisplayRules', () => {
+    const questions = [
+      { id: 'q1', questionText: 'Is it clean?', questionType: 'text' },
+      { id: 'q2', questionText: 'Why not?', questionType: 'text' },
+    ];
+
+    it('should accept rules between form questions', async () => {
+      const rules = await formService.resolveDisplayRules(
+        [{ questionId: 'q2', showWhen: { questionId: 'q1', operator: 'equals', value: 'no' } }],
+        questions
+      );
+
+      expect(rules).toEqual([
+        { questionId: 'q2', showWhen: [{ questionId: 'q1', operator: 'equals', value: 'no' }] },
+      ]);
+    });
+
+    it('should reject rules that reference unknown questions', async () => {
+      await expect(
+        formService.resolveDisplayRules(
+          [{ questionId: 'q3', showWhen: { questionId: 'q1', value: 'no' } }],
+          questions
+        )
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject rules that form a cycle', async () => {
+      await expect(
+        formService.resolveDisplayRules(
+          [
+            { questionId: 'q1', showWhen: { questionId: 'q2', operator: 'answered' } },
+            { questionId: 'q2', showWhen: { questionId: 'q1', operator: 'answered' } },
+          ],
+          questions
+        )
+      ).rejects.toThrow(/cycle/);
+    });
+  });
 });
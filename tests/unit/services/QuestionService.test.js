@@ -1,5 +1,7 @@
 import { QuestionService } from '../../../src/services/QuestionService.js';
-import { ValidationError } from '../../../src/utils/errors.js';
+import { ValidationError, NotFoundError } from '../../../src/utils/errors.js';
+import { withTenant } from '../../../src/utils/tenantContext.js';
+import { dbManager } from '../../../src/config/database.js';
 
 describe('QuestionService', () => {
   let questionService;
@@ -52,6 +54,16 @@ describe('QuestionService', () => {
       ).rejects.toThrow(ValidationError);
     });
 
+    it('should throw validation error for matrix without rows', async () => {
+      await expect(
+        questionService.createQuestion({
+          questionText: 'Room condition',
+          questionType: 'matrix',
+          options: ['Good', 'Poor'],
+        })
+      ).rejects.toThrow('Matrix questions require validationRules.rows');
+    });
+
     it('should throw validation error for checkbox without options', async () => {
       await expect(
         questionService.createQuestion({
@@ -61,4 +73,128 @@ describe('QuestionService', () => {
       ).rejects.toThrow(ValidationError);
     });
   });
+
+  describe('question usage', () => {
+    const question = { id: '11111111-1111-4111-8111-111111111111', sid: 'Q-001' };
+    const forms = [
+      { id: 'form-1', sid: 'FORM-001', owner: 'user-1' },
+      { id: 'form-2', sid: 'FORM-002', owner: 'user-2' },
+      { id: 'form-3', sid: 'FORM-003', owner: 'user-1' },
+    ];
+
+    it('should refuse to delete a question that forms use unless forced', async () => {
+      const calls = [];
+      const client = {
+        async query(text) {
+          calls.push(text.trim().split(/\s+/).slice(0, 3).join(' '));
+          if (text.includes('FROM question_bank WHERE id')) {
+            return { rows: [{ id: question.id, sid: question.sid, question_text: 'Fridge OK?', question_type: 'boolean' }] };
+          }
+          if (text.includes('FROM forms f')) {
+            return { rows: forms.map(form => ({ ...form, created_by: form.owner, submission_count: '0', finding_count: '0' })) };
+          }
+          return { rows: [] };
+        },
+        release() {},
+      };
+      const { pool, isHealthy } = dbManager;
+      dbManager.pool = { connect: async () => client };
+      dbManager.isHealthy = true;
+
+      try {
+        await expect(questionService.deleteQuestionById(question.id))
+          .rejects.toThrow("Question 'Q-001' is used by 3 form(s) (FORM-001, FORM-002, FORM-003)");
+      } finally {
+        Object.assign(dbManager, { pool, isHealthy });
+      }
+
+      // The check runs under a lock on forms and their versions, and nothing is deleted
+      expect(calls).toEqual(['BEGIN', 'LOCK TABLE forms,', 'SELECT * FROM', 'SELECT f.id, f.sid,', 'ROLLBACK']);
+    });
+
+    it('should report a deactivation once per form owner', async () => {
+      const reports = [];
+      const service = new QuestionService({ onQuestionDeactivated: async report => reports.push(report) });
+
+      await service._reportDeactivation(question, forms);
+
+      expect(reports).toEqual([
+        { owner: 'user-1', question, forms: [forms[0], forms[2]] },
+        { owner: 'user-2', question, forms: [forms[1]] },
+      ]);
+    });
+
+    it('should return the reports that failed', async () => {
+      const service = new QuestionService({
+        onQuestionDeactivated: async ({ owner }) => {
+          if (owner === 'user-2') {
+            throw new Error('mailbox full');
+          }
+        },
+      });
+
+      await expect(service._reportDeactivation(question, forms))
+        .resolves.toEqual([{ owner: 'user-2', forms: [forms[1]], error: 'mailbox full' }]);
+    });
+
+    it('should reject an onQuestionDeactivated that is not a function', () => {
+      expect(() => new QuestionService({ onQuestionDeactivated: 'user-1' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('option label history', () => {
+    const QUESTION_ID = '11111111-1111-4111-8111-111111111111';
+
+    function fakeClient(rows) {
+      const calls = [];
+      return {
+        calls,
+        async query(text, params) {
+          calls.push({ text, params });
+          return { rows: calls.length === 1 ? rows : [] };
+        },
+      };
+    }
+
+    it("should look the question up within the current tenant's live questions", async () => {
+      const client = fakeClient([{ sid: 'Q-001' }]);
+
+      await withTenant('acme', () =>
+        questionService._recordOptionLabelChange(QUESTION_ID, 'opt_yes', 'Yes', 'Pass', 'user-1', client));
+
+      expect(client.calls[0].text).toContain('deleted_at IS NULL AND tenant_id = $2');
+      expect(client.calls[0].params).toEqual([QUESTION_ID, 'acme']);
+      expect(client.calls[1].params).toEqual([QUESTION_ID, 'Q-001', 'opt_yes', 'Yes', 'Pass', 'user-1']);
+    });
+
+    it('should not record history for questions outside the tenant', async () => {
+      const client = fakeClient([]);
+
+      await expect(withTenant('beta', () =>
+        questionService._recordOptionLabelChange(QUESTION_ID, 'opt_yes', 'Yes', 'Pass', 'user-1', client)))
+        .rejects.toThrow(NotFoundError);
+      expect(client.calls).toHaveLength(1);
+    });
+  });
+
+  describe('tags and search', () => {
+    it('should trim and de-duplicate tags', () => {
+      expect(questionService._normalizeTags([' haccp', 'haccp ', 'cold-chain'])).toEqual(['haccp', 'cold-chain']);
+      expect(() => questionService._normalizeTags('haccp')).toThrow('tags must be an array of strings');
+      expect(() => questionService._normalizeTags(['  '])).toThrow(ValidationError);
+    });
+
+    it('should validate search filters', () => {
+      expect(questionService._validateFilters({ tags: 'haccp', category: ' Hygiene ' }))
+        .toMatchObject({ tags: ['haccp'], category: 'Hygiene' });
+      expect(() => questionService._validateFilters({ createdAfter: 'last week' }))
+        .toThrow('createdAfter must be a valid date');
+      expect(() => questionService._validateFilters({ questionType: 'essay' })).toThrow(ValidationError);
+    });
+
+    it('should require a search query', async () => {
+      await expect(questionService.searchQuestions('')).rejects.toThrow(ValidationError);
+      await expect(questionService.searchQuestions('   ')).rejects.toThrow(ValidationError);
+    });
+  });
 });
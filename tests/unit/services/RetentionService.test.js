@@ -0,0 +1,29 @@
+import { RetentionService } from '../../../src/services/RetentionService.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+describe('RetentionService', () => {
+  describe('resolveCutoff', () => {
+    const now = new Date('2025-03-31T12:00:00Z');
+
+    it('should subtract an age from now', () => {
+      expect(RetentionService.resolveCutoff('30d', now)).toEqual(new Date('2025-03-01T12:00:00Z'));
+      expect(RetentionService.resolveCutoff(6, now)).toEqual(new Date('2025-03-31T06:00:00Z'));
+    });
+
+    it('should use a date as is', () => {
+      const cutoff = new Date('2025-01-01T00:00:00Z');
+      expect(RetentionService.resolveCutoff(cutoff, now)).toBe(cutoff);
+    });
+
+    it('should reject invalid cutoffs', () => {
+      expect(() => RetentionService.resolveCutoff('soon', now)).toThrow('Invalid olderThan: soon');
+      expect(() => RetentionService.resolveCutoff(new Date('nope'), now)).toThrow(ValidationError);
+    });
+  });
+
+  describe('purgeDeleted', () => {
+    it('should require olderThan', async () => {
+      await expect(new RetentionService().purgeDeleted()).rejects.toThrow('olderThan is required');
+    });
+  });
+});
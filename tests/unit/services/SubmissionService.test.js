@@ -1,4 +1,5 @@
 import { SubmissionService } from '../../../src/services/SubmissionService.js';
+import { dbManager } from '../../../src/config/database.js';
 import { ValidationError } from '../../../src/utils/errors.js';
 
 describe('SubmissionService', () => {
@@ -58,4 +59,112 @@ describe('SubmissionService', () => {
       ).rejects.toThrow(ValidationError);
     });
   });
+
+  describe('findSubmissions', () => {
+    it('should reject malformed ID filters', async () => {
+      await expect(submissionService.findSubmissions({ targetUnitIds: ['store-1'] }))
+        .rejects.toThrow('targetUnitIds must contain valid target unit UUIDs');
+      await expect(submissionService.getSubmissionCount({ formId: 'FORM-001' })).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(submissionService.findSubmissions({ submittedAfter: 'last tuesday' }))
+        .rejects.toThrow('submittedAfter must be a valid date');
+    });
+
+    it('should reject malformed answer predicates', async () => {
+      const questionId = '11111111-1111-4111-8111-111111111111';
+
+      await expect(submissionService.findSubmissions({ answers: [{ operator: 'equals', value: 'x' }] }))
+        .rejects.toThrow('Each answer filter needs a questionId');
+      await expect(submissionService.findSubmissions({ answers: [{ questionId, operator: 'like', value: 'x' }] }))
+        .rejects.toThrow(/Invalid answer filter operator 'like'/);
+      await expect(submissionService.findSubmissions({ answers: [{ questionId, operator: 'in', value: 'x' }] }))
+        .rejects.toThrow('requires an array value');
+      await expect(submissionService.findSubmissions({ answers: [{ questionId, operator: 'gt', value: '5' }] }))
+        .rejects.toThrow('requires a number value');
+    });
+
+    it('should leave drafts out unless asked for', async () => {
+      expect((await submissionService._normalizeFilters({ status: 'draft' })).status).toBe('draft');
+
+      await expect(submissionService.findSubmissions({ status: 'pending' }))
+        .rejects.toThrow("Invalid submission status 'pending'");
+      await expect(submissionService.findSubmissions({ status: ['draft'], cursor: null }))
+        .rejects.toThrow('Drafts cannot be paged with a cursor');
+    });
+  });
+
+  describe('review', () => {
+    it('should require a submission ID and a status', async () => {
+      await expect(submissionService.transitionSubmission(null, 'approved')).rejects.toThrow(ValidationError);
+      await expect(submissionService.transitionSubmission('11111111-1111-4111-8111-111111111111'))
+        .rejects.toThrow('status is required');
+      await expect(submissionService.getSubmissionStatusHistory(null)).rejects.toThrow(ValidationError);
+    });
+
+    it('should lock an approved submission against answer changes', async () => {
+      const submission = {
+        id: '11111111-1111-4111-8111-111111111111', sid: 'SUB-001', form_id: '22222222-2222-4222-8222-222222222222',
+        status: 'approved', submission_data: {}, metadata: {},
+      };
+      const calls = [];
+      const client = {
+        async query(text) {
+          calls.push(text);
+          if (text.startsWith('SELECT * FROM submissions')) {
+            return { rows: [submission] };
+          }
+          if (text.startsWith('UPDATE submissions')) {
+            return { rows: [{ ...submission, metadata: { note: 'checked' } }] };
+          }
+          return { rows: [] };
+        },
+        release() {},
+      };
+      const { pool, isHealthy } = dbManager;
+      dbManager.pool = { connect: async () => client };
+      dbManager.isHealthy = true;
+
+      try {
+        await expect(submissionService.updateSubmissionById(submission.id, { submissionData: { a: 1 } }))
+          .rejects.toThrow("Submission 'SUB-001' is approved; its answers can no longer be changed");
+        // The status is read under the row lock transitionSubmission() takes
+        expect(calls).toEqual(['BEGIN', expect.stringMatching(/FOR UPDATE$/), 'ROLLBACK']);
+
+        calls.length = 0;
+        const updated = await submissionService.updateSubmissionById(submission.id, { metadata: { note: 'checked' } });
+        expect(updated.metadata).toEqual({ note: 'checked' });
+        expect(calls[0]).toBe('BEGIN');
+        expect(calls[1]).toMatch(/FOR UPDATE$/);
+        expect(calls).toContainEqual(expect.stringMatching(/^UPDATE submissions SET metadata/));
+        expect(calls[calls.length - 1]).toBe('COMMIT');
+      } finally {
+        Object.assign(dbManager, { pool, isHealthy });
+      }
+    });
+
+    it('should filter by review status', async () => {
+      expect((await submissionService._normalizeFilters({})).status)
+        .toEqual(['submitted', 'under_review', 'approved', 'returned']);
+      expect((await submissionService._normalizeFilters({ status: ['under_review'] })).status).toEqual(['under_review']);
+    });
+  });
+
+  describe('drafts', () => {
+    it('should require a valid form UUID to save a draft', async () => {
+      await expect(submissionService.saveDraft({})).rejects.toThrow(ValidationError);
+      await expect(submissionService.saveDraft({ formId: 'FORM-001' })).rejects.toThrow('Valid form UUID is required');
+    });
+
+    it('should require a draft ID to update or submit', async () => {
+      await expect(submissionService.updateDraft(null, {})).rejects.toThrow(ValidationError);
+      await expect(submissionService.submitDraft(null)).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject malformed draft filters', async () => {
+      await expect(submissionService.getDrafts({ submitterUserId: 'user-1' }))
+        .rejects.toThrow('Valid UUID is required for submitterUserId');
+    });
+  });
 });
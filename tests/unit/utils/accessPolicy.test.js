@@ -0,0 +1,123 @@
+import { createRolePolicy, authorize } from '../../../src/utils/accessPolicy.js';
+import { withActor } from '../../../src/utils/actorContext.js';
+import { CheckOps } from '../../../src/index.js';
+import { ForbiddenError, ValidationError } from '../../../src/utils/errors.js';
+
+const actor = (...roles) => ({ userId: 'u1', roles });
+
+describe('Access Policy', () => {
+  describe('createRolePolicy()', () => {
+    const policy = createRolePolicy();
+
+    it('should apply the default role matrix', () => {
+      expect(policy({ actor: actor('admin'), action: 'delete', resourceType: 'cache' })).toBe(true);
+      expect(policy({ actor: actor('auditor'), action: 'create', resourceType: 'submission' })).toBe(true);
+      expect(policy({ actor: actor('auditor'), action: 'delete', resourceType: 'form' })).toBe(false);
+      expect(policy({ actor: actor('qa'), action: 'transition', resourceType: 'finding' })).toBe(true);
+      expect(policy({ actor: actor('viewer', 'qa'), action: 'transition', resourceType: 'submission' })).toBe(true);
+    });
+
+    it('should deny callers without an actor or a known role', () => {
+      expect(policy({ actor: null, action: 'read', resourceType: 'form' })).toBe(false);
+      expect(policy({ actor: actor('guest'), action: 'read', resourceType: 'form' })).toBe(false);
+    });
+
+    it('should accept a custom matrix with wildcards', () => {
+      const custom = createRolePolicy({ reporter: ['*:read'] });
+      expect(custom({ actor: actor('reporter'), action: 'read', resourceType: 'audit_log' })).toBe(true);
+      expect(custom({ actor: actor('reporter'), action: 'update', resourceType: 'form' })).toBe(false);
+    });
+
+    it('should reject invalid matrices', () => {
+      expect(() => createRolePolicy([])).toThrow(ValidationError);
+      expect(() => createRolePolicy({ qa: 'finding:*' })).toThrow('must be an array');
+      expect(() => createRolePolicy({ qa: ['finding:close'] })).toThrow("Invalid permission 'finding:close'");
+      expect(() => createRolePolicy({ qa: ['findings:read'] })).toThrow(ValidationError);
+    });
+  });
+
+  describe('authorize()', () => {
+    it('should pass the current actor and request to the policy', async () => {
+      let seen;
+      await withActor(actor('qa'), () => authorize(async (request) => {
+        seen = request;
+        return true;
+      }, { action: 'transition', resourceType: 'finding', resource: { severity: 'Critical' }, data: { status: 'closed' } }));
+
+      expect(seen).toEqual({
+        actor: { userId: 'u1', roles: ['qa'], tenantId: null },
+        action: 'transition',
+        resourceType: 'finding',
+        resource: { severity: 'Critical' },
+        data: { status: 'closed' },
+      });
+    });
+
+    it('should throw ForbiddenError unless the policy returns true', async () => {
+      await expect(authorize(() => 'yes', { action: 'read', resourceType: 'form' })).rejects.toThrow(ForbiddenError);
+
+      const error = await withActor(actor('viewer'), () =>
+        authorize(() => false, { action: 'delete', resourceType: 'form' }).catch(e => e));
+      expect(error).toBeInstanceOf(ForbiddenError);
+      expect(error.code).toBe('FORBIDDEN');
+      expect(error.message).toBe("Actor 'u1' may not delete form");
+      expect(error).toMatchObject({ action: 'delete', resource: 'form', actor: 'u1' });
+    });
+  });
+
+  describe('CheckOps accessPolicy', () => {
+    const form = { id: 'form-1', sid: 'FORM-001', metadata: { owner: 'u1' } };
+
+    function createCheckOps(accessPolicy) {
+      const checkops = new CheckOps({ accessPolicy });
+      checkops.initialized = true;
+      checkops.formService = {
+        getFormById: async () => form,
+        deleteFormById: async () => form,
+      };
+      return checkops;
+    }
+
+    it('should check each call with the resolved resource before running it', async () => {
+      const requests = [];
+      const checkops = createCheckOps(({ action, resource }) => {
+        requests.push({ action, resource });
+        return resource?.metadata.owner === 'u1';
+      });
+
+      expect(await checkops.as(actor('auditor')).deleteForm('form-1')).toBe(form);
+      expect(requests).toEqual([{ action: 'delete', resource: form }]);
+    });
+
+    it('should stop the call when the policy denies it', async () => {
+      const checkops = createCheckOps(createRolePolicy());
+      checkops.formService.deleteFormById = async () => {
+        throw new Error('should not be called');
+      };
+
+      await expect(checkops.as(actor('auditor')).deleteForm('form-1')).rejects.toThrow(ForbiddenError);
+      await expect(checkops.deleteForm('form-1')).rejects.toThrow('Anonymous caller may not delete form');
+    });
+
+    it('should check form versions against the form they belong to', async () => {
+      const version = { id: 'version-1', formId: 'form-1', versionNumber: 2 };
+      const requests = [];
+      const checkops = createCheckOps(({ action, resourceType, resource, data }) => {
+        requests.push({ action, resourceType, resource, data });
+        return true;
+      });
+      checkops.formService.getFormVersionById = async () => version;
+
+      expect(await checkops.getFormVersion('version-1')).toBe(version);
+      expect(requests).toEqual([{ action: 'read', resourceType: 'form', resource: form, data: { versionId: 'version-1' } }]);
+    });
+
+    it('should allow every call without a policy', async () => {
+      expect(await createCheckOps().deleteForm('form-1')).toBe(form);
+    });
+
+    it('should reject a policy that is not a function', () => {
+      expect(() => new CheckOps({ accessPolicy: { admin: ['*'] } })).toThrow(ValidationError);
+    });
+  });
+});
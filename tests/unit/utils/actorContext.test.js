@@ -0,0 +1,59 @@
+import { withActor, getActor, getActorId, normalizeActor } from '../../../src/utils/actorContext.js';
+import { CheckOps } from '../../../src/index.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+describe('Actor Context', () => {
+  describe('normalizeActor()', () => {
+    it('should fill in roles and tenantId and stringify userId', () => {
+      expect(normalizeActor({ userId: 42 })).toEqual({ userId: '42', roles: [], tenantId: null });
+      expect(normalizeActor({ userId: 'u1', roles: ['auditor'], tenantId: 't1' }))
+        .toEqual({ userId: 'u1', roles: ['auditor'], tenantId: 't1' });
+    });
+
+    it('should reject invalid actors', () => {
+      expect(() => normalizeActor(null)).toThrow(ValidationError);
+      expect(() => normalizeActor({})).toThrow('userId');
+      expect(() => normalizeActor({ userId: '  ' })).toThrow('userId');
+      expect(() => normalizeActor({ userId: 'u1', roles: 'admin' })).toThrow('roles');
+    });
+  });
+
+  describe('withActor()', () => {
+    it('should expose the actor to async work inside it only', async () => {
+      expect(getActor()).toBeNull();
+
+      const seen = await withActor({ userId: 'u1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return getActorId();
+      });
+
+      expect(seen).toBe('u1');
+      expect(getActorId()).toBeNull();
+    });
+
+    it('should let an inner actor override an outer one', async () => {
+      const ids = await withActor({ userId: 'outer' }, async () => [
+        getActorId(),
+        await withActor({ userId: 'inner' }, async () => getActorId()),
+        getActorId(),
+      ]);
+
+      expect(ids).toEqual(['outer', 'inner', 'outer']);
+    });
+  });
+
+  describe('CheckOps.as()', () => {
+    it('should run every method of the view as the actor', async () => {
+      const checkops = new CheckOps();
+      checkops.currentActor = async () => getActorId();
+
+      expect(await checkops.as({ userId: 'u2' }).currentActor()).toBe('u2');
+      expect(await checkops.currentActor()).toBeNull();
+      expect(checkops.as({ userId: 'u2' }).getQuestionTypes()).toEqual(checkops.getQuestionTypes());
+    });
+
+    it('should validate the actor up front', () => {
+      expect(() => new CheckOps().as({ roles: [] })).toThrow(ValidationError);
+    });
+  });
+});
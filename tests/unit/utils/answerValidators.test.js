@@ -0,0 +1,328 @@
+import {
+  validateTextAnswer,
+  validateNumberAnswer,
+  validateEmailAnswer,
+  validatePhoneAnswer,
+  validateChoiceAnswer,
+  validateMultipleChoiceAnswer,
+  validateDateAnswer,
+  validateTimeAnswer,
+  validateDateTimeAnswer,
+  validateBooleanAnswer,
+  validateRatingAnswer,
+  validateFileAnswer,
+  validatePhotoAnswer,
+  validateMatrixAnswer,
+  validateSignatureAnswer,
+  validateGeolocationAnswer,
+  validateBarcodeAnswer,
+} from '../../../src/utils/answerValidators.js';
+import { validateAndSanitizeSubmissionData, validateAndSanitizeQuestion } from '../../../src/utils/optimizedValidation.js';
+import { validateSubmissionData } from '../../../src/utils/validation.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const photo = { name: 'door.jpg', mimeType: 'image/jpeg', size: 2048, url: 'https://files.example.com/door.jpg' };
+
+const matrixRules = { rows: [{ key: 'row_floor', label: 'Floor' }, { key: 'row_walls', label: 'Walls' }] };
+const conditions = [{ key: 'opt_good', label: 'Good' }, { key: 'opt_poor', label: 'Poor' }];
+
+describe('Answer Validators', () => {
+  describe('text, number, email and phone', () => {
+    it('should enforce text lengths', () => {
+      expect(validateTextAnswer('Clean', { minLength: 2 })).toBe('Clean');
+      expect(() => validateTextAnswer('x', { minLength: 2 })).toThrow('Answer must be at least 2 characters');
+      expect(() => validateTextAnswer('x'.repeat(5001))).toThrow('must not exceed 5000 characters');
+      expect(() => validateTextAnswer({ text: 'x' })).toThrow('Answer must be a string');
+    });
+
+    it('should convert numbers and enforce min and max', () => {
+      expect(validateNumberAnswer('4.5', { min: 0 })).toBe(4.5);
+      expect(() => validateNumberAnswer('warm')).toThrow('Answer must be a valid number');
+      expect(() => validateNumberAnswer(9, { max: 8 })).toThrow('Answer must not exceed 8');
+    });
+
+    it('should check email and phone formats', () => {
+      expect(validateEmailAnswer('QA@Example.com')).toBe('qa@example.com');
+      expect(() => validateEmailAnswer('qa@', {}, 'Contact')).toThrow('Contact must be a valid email address');
+      expect(validatePhoneAnswer('+44 (0)20 7946 0000')).toBe('+44 (0)20 7946 0000');
+      expect(() => validatePhoneAnswer('call me')).toThrow('Answer must be a valid phone number');
+    });
+  });
+
+  describe('options', () => {
+    it('should store option keys given by key or label', () => {
+      expect(validateChoiceAnswer('Good', {}, 'Answer', conditions)).toBe('opt_good');
+      expect(validateMultipleChoiceAnswer(['opt_good', 'Poor'], {}, 'Answer', conditions)).toEqual(['opt_good', 'opt_poor']);
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => validateChoiceAnswer('Great', {}, 'Answer', conditions)).toThrow('Answer must be a valid option');
+      expect(() => validateMultipleChoiceAnswer('Good', {}, 'Answer', conditions))
+        .toThrow('Answer must be an array for multi-select questions');
+    });
+  });
+
+  describe('date', () => {
+    it('should accept real ISO dates within the range', () => {
+      expect(validateDateAnswer('2025-02-28', { minDate: '2025-01-01', maxDate: '2025-12-31' })).toBe('2025-02-28');
+    });
+
+    it('should reject malformed and impossible dates', () => {
+      expect(() => validateDateAnswer('banana')).toThrow('Answer must be a valid date (YYYY-MM-DD)');
+      expect(() => validateDateAnswer('2025-02-30')).toThrow(ValidationError);
+      expect(() => validateDateAnswer(20250101)).toThrow(ValidationError);
+    });
+
+    it('should enforce minDate and maxDate', () => {
+      expect(() => validateDateAnswer('2024-12-31', { minDate: '2025-01-01' })).toThrow('on or after 2025-01-01');
+      expect(() => validateDateAnswer('2026-01-01', { maxDate: '2025-12-31' })).toThrow('on or before 2025-12-31');
+      expect(() => validateDateAnswer('2025-01-01', { minDate: 'yesterday' })).toThrow('Invalid validationRules.minDate');
+    });
+  });
+
+  describe('time', () => {
+    it('should accept 24-hour times within the range', () => {
+      expect(validateTimeAnswer('09:30', { minTime: '08:00', maxTime: '18:00:00' })).toBe('09:30');
+      expect(validateTimeAnswer('23:59:59')).toBe('23:59:59');
+    });
+
+    it('should reject invalid and out-of-range times', () => {
+      expect(() => validateTimeAnswer('24:00')).toThrow(ValidationError);
+      expect(() => validateTimeAnswer('7pm')).toThrow(ValidationError);
+      expect(() => validateTimeAnswer('19:00', { maxTime: '18:00' })).toThrow('at or before 18:00');
+    });
+  });
+
+  describe('datetime', () => {
+    it('should accept ISO date-times with or without an offset', () => {
+      expect(validateDateTimeAnswer('2025-03-01T14:30')).toBe('2025-03-01T14:30');
+      expect(validateDateTimeAnswer('2025-03-01T14:30:00.123+04:00')).toBe('2025-03-01T14:30:00.123+04:00');
+    });
+
+    it('should reject date-only and malformed values', () => {
+      expect(() => validateDateTimeAnswer('2025-03-01')).toThrow('valid ISO 8601 date-time');
+      expect(() => validateDateTimeAnswer('2025-02-30T10:00')).toThrow(ValidationError);
+    });
+
+    it('should compare with date-only bounds by calendar day', () => {
+      expect(validateDateTimeAnswer('2025-12-31T23:00Z', { maxDate: '2025-12-31' })).toBe('2025-12-31T23:00Z');
+      expect(() => validateDateTimeAnswer('2025-03-01T08:00Z', { minDate: '2025-03-01T09:00Z' })).toThrow('on or after');
+    });
+  });
+
+  describe('boolean', () => {
+    it('should accept booleans and yes/no strings', () => {
+      expect(validateBooleanAnswer(false)).toBe(false);
+      expect(validateBooleanAnswer('Yes')).toBe(true);
+      expect(validateBooleanAnswer('false')).toBe(false);
+    });
+
+    it('should reject anything else', () => {
+      expect(() => validateBooleanAnswer({ value: true })).toThrow('Answer must be true or false');
+      expect(() => validateBooleanAnswer(1)).toThrow(ValidationError);
+      expect(() => validateBooleanAnswer('maybe')).toThrow(ValidationError);
+    });
+  });
+
+  describe('rating', () => {
+    it('should accept ratings on the scale', () => {
+      expect(validateRatingAnswer(4)).toBe(4);
+      expect(validateRatingAnswer('3.5', { min: 0, max: 5, step: 0.5 })).toBe(3.5);
+    });
+
+    it('should reject ratings off the scale or between steps', () => {
+      expect(() => validateRatingAnswer(47)).toThrow('Answer must be between 1 and 5');
+      expect(() => validateRatingAnswer(2.5)).toThrow('in steps of 1 from 1');
+      expect(() => validateRatingAnswer('good')).toThrow('Answer must be a number');
+      expect(() => validateRatingAnswer(3, { min: 5, max: 1 })).toThrow('Invalid rating validationRules');
+    });
+  });
+
+  describe('file', () => {
+    it('should keep only the descriptor fields', () => {
+      expect(validateFileAnswer({ ...photo, extra: 'x' }, { allowedTypes: ['image/*'], maxSize: 4096 })).toEqual(photo);
+    });
+
+    it('should enforce allowed types, size and the single-file default', () => {
+      expect(() => validateFileAnswer(photo, { allowedTypes: ['application/pdf'] })).toThrow(/image\/jpeg is not allowed/);
+      expect(() => validateFileAnswer(photo, { maxSize: 1024 })).toThrow('must not exceed 1024 bytes');
+      expect(() => validateFileAnswer([photo])).toThrow('must be a single file');
+      expect(validateFileAnswer([photo, photo], { multiple: true })).toHaveLength(2);
+    });
+
+    it('should reject incomplete descriptors', () => {
+      expect(() => validateFileAnswer('door.jpg')).toThrow('file descriptor');
+      expect(() => validateFileAnswer({ ...photo, size: -1 })).toThrow('size must be a non-negative integer');
+      expect(() => validateFileAnswer({ ...photo, url: 'javascript:alert(1)' })).toThrow('http(s) URL');
+    });
+  });
+
+  describe('photo', () => {
+    it('should only accept images by default', () => {
+      expect(validatePhotoAnswer(photo)).toEqual(photo);
+      expect(() => validatePhotoAnswer({ ...photo, mimeType: 'application/pdf' })).toThrow('not allowed (allowed: image/*)');
+      expect(validatePhotoAnswer({ ...photo, mimeType: 'application/pdf' }, { allowedTypes: ['application/pdf'] }).mimeType)
+        .toBe('application/pdf');
+    });
+  });
+
+  describe('matrix', () => {
+    it('should store row and option keys given by key or label', () => {
+      expect(validateMatrixAnswer({ Floor: 'Good', row_walls: 'opt_poor' }, matrixRules, 'Answer', conditions))
+        .toEqual({ row_floor: 'opt_good', row_walls: 'opt_poor' });
+    });
+
+    it('should reject unknown rows and options', () => {
+      expect(() => validateMatrixAnswer({ Ceiling: 'Good' }, matrixRules, 'Answer', conditions)).toThrow('unknown row: Ceiling');
+      expect(() => validateMatrixAnswer({ Floor: 'Great' }, matrixRules, 'Answer', conditions)).toThrow("row 'Floor' has an invalid option");
+      expect(() => validateMatrixAnswer(['Good'], matrixRules, 'Answer', conditions)).toThrow('must be an object of row -> option');
+    });
+
+    it('should take arrays per row only with multiple', () => {
+      expect(() => validateMatrixAnswer({ Floor: ['Good'] }, matrixRules, 'Answer', conditions)).toThrow('takes a single option');
+      expect(validateMatrixAnswer({ Floor: ['Good', 'Poor'] }, { ...matrixRules, multiple: true }, 'Answer', conditions))
+        .toEqual({ row_floor: ['opt_good', 'opt_poor'] });
+    });
+
+    it('should enforce requireAllRows', () => {
+      expect(() => validateMatrixAnswer({ Floor: 'Good' }, { ...matrixRules, requireAllRows: true }, 'Answer', conditions))
+        .toThrow('must answer every row (missing: Walls)');
+    });
+
+    it('should need rows and options', () => {
+      expect(() => validateMatrixAnswer({ Floor: 'Good' }, {}, 'Answer', conditions)).toThrow('needs validationRules.rows and options');
+    });
+  });
+
+  describe('signature', () => {
+    it('should accept http(s) and image data URLs', () => {
+      expect(validateSignatureAnswer('https://files.example.com/sig.png')).toEqual({
+        url: 'https://files.example.com/sig.png',
+        signedBy: null,
+        signedAt: null,
+      });
+      const dataUrl = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABon==';
+      expect(validateSignatureAnswer({ url: dataUrl, signedBy: 'J. Doe', signedAt: '2025-03-01T10:00:00Z' }))
+        .toEqual({ url: dataUrl, signedBy: 'J. Doe', signedAt: '2025-03-01T10:00:00Z' });
+    });
+
+    it('should reject other URLs and malformed timestamps', () => {
+      expect(() => validateSignatureAnswer('javascript:alert(1)')).toThrow('http(s) URL or an image data URL');
+      expect(() => validateSignatureAnswer({ url: 'data:text/html;base64,PGI+' })).toThrow(ValidationError);
+      expect(() => validateSignatureAnswer({ url: 'https://x.example.com/s.png', signedAt: 'today' }))
+        .toThrow('Answer signedAt must be a valid ISO 8601 date-time');
+    });
+  });
+
+  describe('geolocation', () => {
+    it('should accept coordinates and fill optional fields', () => {
+      expect(validateGeolocationAnswer({ latitude: 51.5, longitude: -0.12 })).toEqual({
+        latitude: 51.5,
+        longitude: -0.12,
+        accuracy: null,
+        capturedAt: null,
+      });
+    });
+
+    it('should reject out-of-range coordinates', () => {
+      expect(() => validateGeolocationAnswer({ latitude: 91, longitude: 0 })).toThrow('latitude must be a number between -90 and 90');
+      expect(() => validateGeolocationAnswer({ latitude: 0, longitude: '10' })).toThrow('longitude');
+      expect(() => validateGeolocationAnswer('51.5,-0.12')).toThrow('must be a location');
+    });
+
+    it('should enforce maxAccuracy', () => {
+      expect(() => validateGeolocationAnswer({ latitude: 0, longitude: 0, accuracy: 80 }, { maxAccuracy: 50 }))
+        .toThrow('accurate to within 50 metres');
+      expect(() => validateGeolocationAnswer({ latitude: 0, longitude: 0 }, { maxAccuracy: 50 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('barcode', () => {
+    it('should normalize scans to { value, format }', () => {
+      expect(validateBarcodeAnswer('4006381333931')).toEqual({ value: '4006381333931', format: null });
+      expect(validateBarcodeAnswer({ value: '4006381333931', format: 'ean-13' }, { formats: ['EAN-13', 'QR'] }))
+        .toEqual({ value: '4006381333931', format: 'EAN-13' });
+    });
+
+    it('should enforce formats and pattern', () => {
+      expect(() => validateBarcodeAnswer({ value: 'ABC', format: 'CODE128' }, { formats: ['EAN-13'] }))
+        .toThrow('format must be one of: EAN-13');
+      expect(() => validateBarcodeAnswer('ABC', { pattern: '^\\d{13}$' })).toThrow('does not match the expected pattern');
+      expect(() => validateBarcodeAnswer('  ')).toThrow(ValidationError);
+    });
+  });
+
+  describe('matrix questions', () => {
+    it('should key the rows of inline matrix questions', () => {
+      const question = validateAndSanitizeQuestion({
+        questionText: 'Room condition',
+        questionType: 'matrix',
+        options: ['Good', 'Poor'],
+        validationRules: { rows: ['Floor', 'Walls'], requireAllRows: true },
+      });
+
+      expect(question.validationRules.requireAllRows).toBe(true);
+      expect(question.validationRules.rows.map(row => row.label)).toEqual(['Floor', 'Walls']);
+      expect(question.validationRules.rows[0].key).toMatch(/^opt_floor_/);
+    });
+
+    it('should reject matrix questions without rows', () => {
+      expect(() => validateAndSanitizeQuestion({ questionText: 'Room', questionType: 'matrix', options: ['Good'] }))
+        .toThrow('Matrix questions require validationRules.rows');
+    });
+  });
+
+  describe('submission validation', () => {
+    const questions = [
+      { id: 'q_date', questionText: 'Visit date', questionType: 'date', validationRules: { maxDate: '2025-12-31' } },
+      { id: 'q_ok', questionText: 'Equipment OK', questionType: 'boolean' },
+      { id: 'q_rating', questionText: 'Cleanliness', questionType: 'rating', validationRules: { max: 10 } },
+      { id: 'q_room', questionText: 'Room condition', questionType: 'matrix', options: conditions, validationRules: matrixRules },
+      { id: 'q_gps', questionText: 'Location', questionType: 'geolocation' },
+    ];
+
+    it('should normalize typed answers in the optimized pipeline', () => {
+      expect(validateAndSanitizeSubmissionData({ q_date: '2025-06-01', q_ok: 'no', q_rating: '7' }, questions))
+        .toEqual({ q_date: '2025-06-01', q_ok: false, q_rating: 7 });
+      expect(validateAndSanitizeSubmissionData({ q_room: { Floor: 'Poor' }, q_gps: { latitude: 1, longitude: 2 } }, questions))
+        .toEqual({ q_room: { row_floor: 'opt_poor' }, q_gps: { latitude: 1, longitude: 2, accuracy: null, capturedAt: null } });
+    });
+
+    it('should reject invalid typed answers in both pipelines', () => {
+      const invalid = { q_date: 'banana', q_ok: {}, q_rating: 47, q_room: { Floor: 'Great' } };
+
+      expect(() => validateAndSanitizeSubmissionData(invalid, questions)).toThrow(/Visit date.*valid date/);
+      try {
+        validateSubmissionData(invalid, questions);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.details).toEqual([
+          "Answer for question 'q_date' must be a valid date (YYYY-MM-DD)",
+          "Answer for question 'q_ok' must be true or false",
+          "Answer for question 'q_rating' must be between 1 and 10",
+          "Answer for question 'q_room' row 'Floor' has an invalid option",
+        ]);
+      }
+    });
+
+    it('should apply the same checks to basic types in both pipelines', () => {
+      const basic = [
+        { id: 'q_email', questionText: 'Contact', questionType: 'email' },
+        { id: 'q_pick', questionText: 'Condition', questionType: 'select', options: conditions },
+      ];
+
+      expect(validateAndSanitizeSubmissionData({ q_email: 'QA@Example.com', q_pick: 'Good' }, basic))
+        .toEqual({ q_email: 'qa@example.com', q_pick: 'opt_good' });
+      expect(() => validateAndSanitizeSubmissionData({ q_email: 'qa@' }, basic)).toThrow(/Contact.*valid email address/);
+      try {
+        validateSubmissionData({ q_email: 'qa@', q_pick: 'Great' }, basic);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.details).toEqual([
+          "Answer for question 'q_email' must be a valid email address",
+          "Answer for question 'q_pick' must be a valid option",
+        ]);
+      }
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import {
+  validateDisplayRules,
+  getHiddenQuestionIds,
+  evaluateCondition,
+} from '../../../src/utils/displayRules.js';
+import { validateAndSanitizeSubmissionData } from '../../../src/utils/optimizedValidation.js';
+import { validateSubmissionData } from '../../../src/utils/validation.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const Q13 = '11111111-1111-4111-8111-111111111113';
+const Q14 = '11111111-1111-4111-8111-111111111114';
+const Q15 = '11111111-1111-4111-8111-111111111115';
+
+const questions = [
+  {
+    id: Q13,
+    questionText: 'Is the freezer at temperature?',
+    questionType: 'select',
+    required: true,
+    options: [
+      { key: 'opt_yes', label: 'Yes' },
+      { key: 'opt_no', label: 'No' },
+    ],
+  },
+  { id: Q14, questionText: 'Describe the issue', questionType: 'text', required: true },
+  { id: Q15, questionText: 'Corrective action', questionType: 'text', required: true },
+];
+
+const rules = [
+  { questionId: Q14, showWhen: { questionId: Q13, operator: 'equals', value: 'opt_no' } },
+  { questionId: Q15, showWhen: { questionId: Q14, operator: 'answered' } },
+];
+
+describe('Display Rules', () => {
+  describe('validateDisplayRules', () => {
+    it('should accept rules that reference form questions', () => {
+      const normalized = validateDisplayRules(rules, [Q13, Q14, Q15]);
+
+      expect(normalized).toHaveLength(2);
+      expect(normalized[0].showWhen).toEqual([{ questionId: Q13, operator: 'equals', value: 'opt_no' }]);
+    });
+
+    it('should default the operator to equals', () => {
+      const normalized = validateDisplayRules(
+        [{ questionId: Q14, showWhen: { questionId: Q13, value: 'opt_no' } }],
+        [Q13, Q14]
+      );
+
+      expect(normalized[0].showWhen[0].operator).toBe('equals');
+    });
+
+    it('should return an empty list when no rules are given', () => {
+      expect(validateDisplayRules(undefined, [Q13])).toEqual([]);
+    });
+
+    it('should reject rules for questions not on the form', () => {
+      expect(() => validateDisplayRules(rules, [Q13, Q14])).toThrow(ValidationError);
+      expect(() => validateDisplayRules(rules, [Q13, Q14])).toThrow(/not on this form/);
+    });
+
+    it('should reject conditions on questions not on the form', () => {
+      expect(() => validateDisplayRules(
+        [{ questionId: Q14, showWhen: { questionId: 'Q-999', value: 'opt_no' } }],
+        [Q13, Q14]
+      )).toThrow(/condition question 'Q-999' is not on this form/);
+    });
+
+    it('should reject cycles', () => {
+      const cyclic = [
+        { questionId: Q13, showWhen: { questionId: Q15, operator: 'answered' } },
+        { questionId: Q14, showWhen: { questionId: Q13, operator: 'answered' } },
+        { questionId: Q15, showWhen: { questionId: Q14, operator: 'answered' } },
+      ];
+
+      expect(() => validateDisplayRules(cyclic, [Q13, Q14, Q15])).toThrow(/cycle/);
+    });
+
+    it('should reject self references', () => {
+      expect(() => validateDisplayRules(
+        [{ questionId: Q13, showWhen: { questionId: Q13, value: 'opt_no' } }],
+        [Q13]
+      )).toThrow(/cannot depend on itself/);
+    });
+
+    it('should reject unknown operators and missing values', () => {
+      expect(() => validateDisplayRules(
+        [{ questionId: Q14, showWhen: { questionId: Q13, operator: 'matches', value: 'x' } }],
+        [Q13, Q14]
+      )).toThrow(/invalid operator/);
+
+      expect(() => validateDisplayRules(
+        [{ questionId: Q14, showWhen: { questionId: Q13, operator: 'in', value: 'opt_no' } }],
+        [Q13, Q14]
+      )).toThrow(/requires an array value/);
+    });
+
+    it('should accept inline question ids', () => {
+      const inline = [{ id: 'q1', questionText: 'A' }, { id: 'q2', questionText: 'B' }];
+
+      expect(() => validateDisplayRules(
+        [{ questionId: 'q2', showWhen: { questionId: 'q1', operator: 'answered' } }],
+        inline
+      )).not.toThrow();
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('should compare scalar answers', () => {
+      expect(evaluateCondition({ operator: 'equals', value: 'opt_no' }, 'opt_no')).toBe(true);
+      expect(evaluateCondition({ operator: 'equals', value: 5 }, '5')).toBe(true);
+      expect(evaluateCondition({ operator: 'notEquals', value: 'opt_no' }, 'opt_yes')).toBe(true);
+      expect(evaluateCondition({ operator: 'in', value: ['a', 'b'] }, 'b')).toBe(true);
+      expect(evaluateCondition({ operator: 'notIn', value: ['a', 'b'] }, 'c')).toBe(true);
+    });
+
+    it('should check multi-select answers with contains', () => {
+      expect(evaluateCondition({ operator: 'contains', value: 'opt_a' }, ['opt_a', 'opt_b'])).toBe(true);
+      expect(evaluateCondition({ operator: 'contains', value: 'opt_c' }, ['opt_a'])).toBe(false);
+    });
+
+    it('should treat empty answers as unanswered', () => {
+      expect(evaluateCondition({ operator: 'answered' }, '')).toBe(false);
+      expect(evaluateCondition({ operator: 'notAnswered' }, [])).toBe(true);
+      expect(evaluateCondition({ operator: 'equals', value: 'opt_no' }, undefined)).toBe(false);
+    });
+  });
+
+  describe('getHiddenQuestionIds', () => {
+    const normalized = validateDisplayRules(rules, [Q13, Q14, Q15]);
+
+    it('should show follow-ups when the condition holds', () => {
+      const hidden = getHiddenQuestionIds(normalized, { [Q13]: 'opt_no', [Q14]: 'Too warm' });
+      expect(hidden.size).toBe(0);
+    });
+
+    it('should hide follow-ups when the condition fails', () => {
+      const hidden = getHiddenQuestionIds(normalized, { [Q13]: 'opt_yes' });
+      expect([...hidden]).toEqual([Q14, Q15]);
+    });
+
+    it('should hide dependents of hidden questions even if answered', () => {
+      const hidden = getHiddenQuestionIds(normalized, { [Q13]: 'opt_yes', [Q14]: 'stale answer' });
+      expect(hidden.has(Q15)).toBe(true);
+    });
+  });
+
+  describe('validateAndSanitizeSubmissionData with display rules', () => {
+    const displayRules = validateDisplayRules(rules, [Q13, Q14, Q15]);
+
+    it('should not require hidden questions', () => {
+      const result = validateAndSanitizeSubmissionData({ [Q13]: 'opt_yes' }, questions, { displayRules });
+      expect(result).toEqual({ [Q13]: 'opt_yes' });
+    });
+
+    it('should require visible follow-ups', () => {
+      expect(() => validateAndSanitizeSubmissionData({ [Q13]: 'opt_no' }, questions, { displayRules }))
+        .toThrow(/"Describe the issue" is required/);
+    });
+
+    it('should evaluate conditions against option labels converted to keys', () => {
+      expect(() => validateAndSanitizeSubmissionData({ [Q13]: 'No' }, questions, { displayRules }))
+        .toThrow(/"Describe the issue" is required/);
+    });
+
+    it('should reject answers to hidden questions by default', () => {
+      expect(() => validateAndSanitizeSubmissionData(
+        { [Q13]: 'opt_yes', [Q14]: 'Too warm' },
+        questions,
+        { displayRules }
+      )).toThrow(/hidden by display rules/);
+    });
+
+    it('should strip answers to hidden questions when configured', () => {
+      const result = validateAndSanitizeSubmissionData(
+        { [Q13]: 'opt_yes', [Q14]: 'Too warm', [Q15]: 'Called technician' },
+        questions,
+        { displayRules, hiddenAnswers: 'strip' }
+      );
+
+      expect(result).toEqual({ [Q13]: 'opt_yes' });
+    });
+  });
+
+  describe('validateSubmissionData with display rules', () => {
+    const displayRules = validateDisplayRules(rules, [Q13, Q14, Q15]);
+
+    it('should skip required checks for hidden questions', () => {
+      expect(() => validateSubmissionData({ [Q13]: 'opt_yes' }, questions, displayRules)).not.toThrow();
+    });
+
+    it('should reject answers to hidden questions', () => {
+      expect(() => validateSubmissionData({ [Q13]: 'opt_yes', [Q14]: 'Too warm' }, questions, displayRules))
+        .toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import {
+  validateAndSanitizeFindingRule,
+  evaluateFindingRules,
+  isOutOfRange,
+} from '../../../src/utils/findingRules.js';
+import { validateAndSanitizeQuestion, validateAndSanitizeSubmissionData } from '../../../src/utils/optimizedValidation.js';
+import { validateSubmissionData } from '../../../src/utils/validation.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const Q1 = '55555555-5555-4555-8555-555555555551';
+const Q2 = '55555555-5555-4555-8555-555555555552';
+
+const passFail = {
+  id: Q1,
+  questionId: Q1,
+  questionText: 'Fire exits clear',
+  questionType: 'radio',
+  options: [
+    { key: 'opt_pass', label: 'Pass' },
+    { key: 'opt_fail', label: 'Fail' },
+  ],
+  findingRule: { options: ['opt_fail'], severity: 'Major', department: 'Maintenance' },
+};
+
+const fridge = {
+  id: Q2,
+  questionId: Q2,
+  questionText: 'Fridge temperature',
+  questionType: 'number',
+  validationRules: { min: 0, max: 5 },
+  findingRule: { outOfRange: true, severity: 'Critical', department: 'Kitchen' },
+};
+
+describe('Finding Rules', () => {
+  describe('validateAndSanitizeFindingRule', () => {
+    it('should require a trigger', () => {
+      expect(() => validateAndSanitizeFindingRule({ severity: 'Major' })).toThrow(/needs options or outOfRange/);
+    });
+
+    it('should reject malformed option lists', () => {
+      expect(() => validateAndSanitizeFindingRule({ options: 'opt_fail' })).toThrow(ValidationError);
+    });
+
+    it('should keep the rule on question bank references only', () => {
+      expect(validateAndSanitizeQuestion({ questionId: Q1, findingRule: passFail.findingRule })).toEqual({
+        questionId: Q1,
+        findingRule: { options: ['opt_fail'], severity: 'Major', department: 'Maintenance' },
+      });
+      expect(() => validateAndSanitizeQuestion({
+        questionText: 'Inline',
+        questionType: 'text',
+        findingRule: { outOfRange: true },
+      })).toThrow(/only supported on question bank references/);
+    });
+  });
+
+  describe('evaluateFindingRules', () => {
+    it('should raise a finding for a failing option', () => {
+      const findings = evaluateFindingRules({ [Q1]: 'opt_fail' }, [passFail]);
+
+      expect(findings).toEqual([{
+        questionId: Q1,
+        severity: 'Major',
+        department: 'Maintenance',
+        observation: 'Fire exits clear: answered Fail',
+        metadata: { source: 'findingRule', trigger: 'option', answer: 'opt_fail' },
+      }]);
+    });
+
+    it('should raise a finding for a number outside the allowed range', () => {
+      const findings = evaluateFindingRules({ [Q1]: 'opt_pass', [Q2]: 9 }, [passFail, fridge]);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ questionId: Q2, severity: 'Critical', metadata: { trigger: 'outOfRange' } });
+    });
+
+    it('should not raise findings for passing or hidden answers', () => {
+      expect(evaluateFindingRules({ [Q1]: 'opt_pass', [Q2]: 3 }, [passFail, fridge])).toEqual([]);
+      expect(evaluateFindingRules(
+        { [Q1]: 'opt_fail', [Q2]: 9 },
+        [passFail, fridge],
+        { displayRules: [{ questionId: Q2, showWhen: [{ questionId: Q1, operator: 'equals', value: 'opt_pass' }] }] }
+      )).toHaveLength(1);
+    });
+
+    it('should detect out-of-range numbers', () => {
+      expect(isOutOfRange(fridge, -1)).toBe(true);
+      expect(isOutOfRange(fridge, 5)).toBe(false);
+      expect(isOutOfRange(fridge, '')).toBe(false);
+    });
+  });
+
+  describe('submission validation', () => {
+    it('should accept out-of-range numbers that raise a finding', () => {
+      expect(validateAndSanitizeSubmissionData({ [Q2]: 9 }, [fridge])).toEqual({ [Q2]: 9 });
+      expect(() => validateSubmissionData({ [Q2]: 9 }, [fridge])).not.toThrow();
+    });
+
+    it('should still reject out-of-range numbers without a finding rule', () => {
+      const { findingRule: _findingRule, ...plain } = fridge;
+      expect(() => validateAndSanitizeSubmissionData({ [Q2]: 9 }, [plain])).toThrow(/must not exceed 5/);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import {
+  getFormQuestionKey,
+  getQuestionOverrides,
+  toQuestionReference,
+  applyQuestionOverrides,
+} from '../../../src/utils/formQuestions.js';
+import { validateAndSanitizeQuestion, validateAndSanitizeSubmissionData } from '../../../src/utils/optimizedValidation.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const QID = '22222222-2222-4222-8222-222222222222';
+
+const bankQuestion = {
+  id: QID,
+  sid: 'Q-007',
+  questionText: 'Fridge temperature',
+  questionType: 'number',
+  options: null,
+  validationRules: { min: -30, max: 10 },
+  metadata: {},
+};
+
+describe('Form Questions', () => {
+  describe('getFormQuestionKey', () => {
+    it('should key bank references by UUID and inline questions by id', () => {
+      expect(getFormQuestionKey(QID)).toBe(QID);
+      expect(getFormQuestionKey({ questionId: QID, required: true })).toBe(QID);
+      expect(getFormQuestionKey({ id: 'q1', questionText: 'Name' })).toBe('q1');
+      expect(getFormQuestionKey({ questionText: 'Name' })).toBeNull();
+    });
+  });
+
+  describe('toQuestionReference', () => {
+    it('should store a bare UUID when nothing is overridden', () => {
+      expect(toQuestionReference({ questionId: QID })).toBe(QID);
+    });
+
+    it('should keep per-form overrides', () => {
+      expect(toQuestionReference({
+        questionId: QID,
+        required: true,
+        questionText: 'Walk-in fridge temperature',
+        section: 'cold_storage',
+        weight: 2,
+        helpText: 'Read the display',
+      })).toEqual({
+        questionId: QID,
+        required: true,
+        questionText: 'Walk-in fridge temperature',
+        section: 'cold_storage',
+        weight: 2,
+        helpText: 'Read the display',
+      });
+    });
+
+    it('should keep required: false as an override', () => {
+      expect(toQuestionReference({ questionId: QID, required: false })).toEqual({ questionId: QID, required: false });
+    });
+
+    it('should drop fields that are not overridable', () => {
+      expect(getQuestionOverrides({ questionId: QID, questionType: 'text', options: ['a'] })).toEqual({});
+    });
+  });
+
+  describe('applyQuestionOverrides', () => {
+    it('should let overrides win over bank values', () => {
+      const merged = applyQuestionOverrides(bankQuestion, {
+        questionId: QID,
+        required: true,
+        questionText: 'Walk-in fridge temperature',
+      });
+
+      expect(merged.required).toBe(true);
+      expect(merged.questionText).toBe('Walk-in fridge temperature');
+      expect(merged.questionType).toBe('number');
+      expect(merged.questionId).toBe(QID);
+      expect(merged.sid).toBe('Q-007');
+    });
+
+    it('should merge validation rules', () => {
+      const merged = applyQuestionOverrides(bankQuestion, { questionId: QID, validationRules: { max: 5 } });
+      expect(merged.validationRules).toEqual({ min: -30, max: 5 });
+    });
+
+    it('should leave the bank question untouched for bare references', () => {
+      const merged = applyQuestionOverrides(bankQuestion, QID);
+      expect(merged).toEqual({ ...bankQuestion, questionId: QID });
+    });
+  });
+
+  describe('validateAndSanitizeQuestion overrides', () => {
+    it('should accept section, weight and help text on references', () => {
+      const result = validateAndSanitizeQuestion({
+        questionId: QID,
+        section: 'cold_storage',
+        weight: '2',
+        helpText: 'Read the display',
+      });
+
+      expect(result).toEqual({
+        questionId: QID,
+        section: 'cold_storage',
+        weight: 2,
+        helpText: 'Read the display',
+      });
+    });
+
+    it('should reject negative weights', () => {
+      expect(() => validateAndSanitizeQuestion({ questionId: QID, weight: -1 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('submission validation with overrides', () => {
+    it('should require a question that is required on this form only', () => {
+      const question = applyQuestionOverrides(bankQuestion, { questionId: QID, required: true });
+
+      expect(() => validateAndSanitizeSubmissionData({}, [question])).toThrow(/is required/);
+    });
+
+    it('should apply overridden validation rules', () => {
+      const question = applyQuestionOverrides(bankQuestion, { questionId: QID, validationRules: { max: 5 } });
+
+      expect(() => validateAndSanitizeSubmissionData({ [QID]: 8 }, [question])).toThrow(/must not exceed 5/);
+      expect(validateAndSanitizeSubmissionData({ [QID]: 4 }, [question])).toEqual({ [QID]: 4 });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  validateAndSanitizeSections,
+  resolveFormSections,
+  IMPLICIT_SECTION_KEY,
+} from '../../../src/utils/formSections.js';
+import { SubmissionService } from '../../../src/services/SubmissionService.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const Q1 = '33333333-3333-4333-8333-333333333331';
+const Q2 = '33333333-3333-4333-8333-333333333332';
+const Q3 = '33333333-3333-4333-8333-333333333333';
+
+describe('Form Sections', () => {
+  describe('validateAndSanitizeSections', () => {
+    it('should sanitize sections and keep question order', () => {
+      const sections = validateAndSanitizeSections(
+        [
+          { key: 'food_safety', title: 'Food Safety', description: 'Cold chain', questionIds: [Q2, Q1] },
+          { title: 'Front of House', questionIds: [Q3], repeatable: true },
+        ],
+        [Q1, Q2, Q3]
+      );
+
+      expect(sections).toEqual([
+        { key: 'food_safety', title: 'Food Safety', description: 'Cold chain', questionIds: [Q2, Q1], repeatable: false },
+        { key: 'section_2', title: 'Front of House', description: '', questionIds: [Q3], repeatable: true },
+      ]);
+    });
+
+    it('should return an empty list for flat forms', () => {
+      expect(validateAndSanitizeSections(undefined, [Q1])).toEqual([]);
+    });
+
+    it('should drop the implicit section handed back by getForm', () => {
+      const sections = validateAndSanitizeSections(
+        [{ key: IMPLICIT_SECTION_KEY, title: null, questionIds: [Q1], implicit: true }],
+        [Q1]
+      );
+
+      expect(sections).toEqual([]);
+    });
+
+    it('should require a title', () => {
+      expect(() => validateAndSanitizeSections([{ questionIds: [Q1] }], [Q1])).toThrow(ValidationError);
+    });
+
+    it('should reject questions that are not on the form', () => {
+      expect(() => validateAndSanitizeSections([{ title: 'A', questionIds: [Q3] }], [Q1]))
+        .toThrow(/is not on this form/);
+    });
+
+    it('should reject a question listed in two sections', () => {
+      expect(() => validateAndSanitizeSections(
+        [{ key: 'a', title: 'A', questionIds: [Q1] }, { key: 'b', title: 'B', questionIds: [Q1] }],
+        [Q1]
+      )).toThrow(/in both section 'a' and 'b'/);
+    });
+
+    it('should reject duplicate and reserved keys', () => {
+      expect(() => validateAndSanitizeSections(
+        [{ key: 'a', title: 'A' }, { key: 'a', title: 'B' }],
+        [Q1]
+      )).toThrow(/Duplicate section key/);
+
+      expect(() => validateAndSanitizeSections([{ key: IMPLICIT_SECTION_KEY, title: 'A' }], [Q1]))
+        .toThrow(/invalid key/);
+    });
+  });
+
+  describe('resolveFormSections', () => {
+    it('should load a flat form as a single implicit section', () => {
+      expect(resolveFormSections([Q1, Q2], [])).toEqual([
+        {
+          key: IMPLICIT_SECTION_KEY,
+          title: null,
+          description: null,
+          repeatable: false,
+          questionIds: [Q1, Q2],
+          implicit: true,
+        },
+      ]);
+    });
+
+    it('should place ungrouped questions by their section override, then in the implicit section', () => {
+      const sections = resolveFormSections(
+        [Q1, { questionId: Q2, section: 'food_safety' }, Q3],
+        [{ key: 'food_safety', title: 'Food Safety', description: '', repeatable: false, questionIds: [Q1] }]
+      );
+
+      expect(sections.map(s => [s.key, s.questionIds])).toEqual([
+        ['food_safety', [Q1, Q2]],
+        [IMPLICIT_SECTION_KEY, [Q3]],
+      ]);
+    });
+
+    it('should not add an implicit section when every question is grouped', () => {
+      const sections = resolveFormSections(
+        [Q1],
+        [{ key: 'a', title: 'A', description: '', repeatable: false, questionIds: [Q1] }]
+      );
+
+      expect(sections).toHaveLength(1);
+    });
+  });
+
+  describe('SubmissionService section stats', () => {
+    it('should roll question stats up per section', () => {
+      const service = new SubmissionService();
+      const sections = resolveFormSections(
+        [Q1, Q2, Q3],
+        [{ key: 'a', title: 'A', description: '', repeatable: false, questionIds: [Q1, Q2] }]
+      );
+
+      const sectionStats = service._buildSectionStats(sections, {
+        totalSubmissions: 10,
+        questionStats: {
+          [Q1]: { totalAnswers: 10 },
+          [Q2]: { totalAnswers: 5 },
+          [Q3]: { totalAnswers: 0 },
+        },
+      });
+
+      expect(sectionStats.a).toMatchObject({ questionCount: 2, totalAnswers: 15, completionRate: 75 });
+      expect(sectionStats[IMPLICIT_SECTION_KEY]).toMatchObject({ implicit: true, questionCount: 1, completionRate: 0 });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { CursorPaginator } from '../../../src/utils/queryOptimizer.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+describe('CursorPaginator', () => {
+  describe('cursors', () => {
+    it('should round-trip an opaque cursor', () => {
+      const values = ['2025-01-01 10:00:00.123456+00', '11111111-1111-4111-8111-111111111111'];
+      const cursor = CursorPaginator.encodeCursor(values);
+
+      expect(cursor).not.toContain('2025');
+      expect(CursorPaginator.decodeCursor(cursor)).toEqual(values);
+    });
+
+    it('should reject cursors it did not produce', () => {
+      expect(() => CursorPaginator.decodeCursor('not-a-cursor')).toThrow(ValidationError);
+      expect(() => CursorPaginator.decodeCursor(CursorPaginator.encodeCursor(['only-one']))).toThrow('Invalid pagination cursor');
+    });
+  });
+
+  describe('build', () => {
+    const paginator = new CursorPaginator('forms', 'created_at', 'id');
+
+    it('should order the first page by the cursor field and tie-breaker', () => {
+      const { query, parameters } = paginator.build({ limit: 20, order: 'DESC' });
+
+      expect(query).toBe('SELECT *, created_at::text AS _cursor FROM forms ORDER BY created_at DESC, id DESC LIMIT $1');
+      expect(parameters).toEqual([21]);
+    });
+
+    it('should continue after the cursor row, numbering parameters after the filters', () => {
+      const cursor = CursorPaginator.encodeCursor(['2025-01-01 10:00:00+00', 'form-uuid']);
+      const { query, parameters } = paginator.build({
+        cursor,
+        limit: 10,
+        order: 'desc',
+        whereConditions: ['is_active = $1'],
+        parameters: [true],
+      });
+
+      expect(query).toBe(
+        'SELECT *, created_at::text AS _cursor FROM forms WHERE is_active = $1 AND (created_at, id) < ($2, $3) ' +
+        'ORDER BY created_at DESC, id DESC LIMIT $4'
+      );
+      expect(parameters).toEqual([true, '2025-01-01 10:00:00+00', 'form-uuid', 11]);
+    });
+
+    it('should page ascending when moving forward', () => {
+      const cursor = CursorPaginator.encodeCursor(['2025-01-01 10:00:00+00', 'form-uuid']);
+      expect(paginator.build({ cursor }).query).toContain('(created_at, id) > ($1, $2) ORDER BY created_at ASC, id ASC');
+    });
+
+    it('should keep single-field pagination for paginators without a tie-breaker', () => {
+      const { query, parameters } = new CursorPaginator('submissions', 'submitted_at')
+        .build({ cursor: '2024-01-31', limit: 20, direction: 'backward' });
+
+      expect(query).toBe('SELECT * FROM submissions WHERE submitted_at < $1 ORDER BY submitted_at DESC LIMIT $2');
+      expect(parameters).toEqual(['2024-01-31', 21]);
+    });
+
+    it('should reject invalid page sizes', () => {
+      expect(() => paginator.build({ limit: 0 })).toThrow(ValidationError);
+    });
+  });
+});
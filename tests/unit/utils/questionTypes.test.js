@@ -0,0 +1,145 @@
+import {
+  registerQuestionType,
+  unregisterQuestionType,
+  getQuestionType,
+  isQuestionType,
+} from '../../../src/utils/questionTypes.js';
+import { validateAndSanitizeQuestion, validateAndSanitizeSubmissionData } from '../../../src/utils/optimizedValidation.js';
+import { validateQuestionType, validateSubmissionData } from '../../../src/utils/validation.js';
+import { OptionUtils } from '../../../src/utils/optionUtils.js';
+import { ValidationError, DuplicateError, InvalidOperationError } from '../../../src/utils/errors.js';
+import CheckOps from '../../../src/index.js';
+
+const temperature = {
+  name: 'temperature',
+  validate: (answer) => {
+    if (!Number.isFinite(Number(answer))) {
+      throw new ValidationError('must be a temperature in °C');
+    }
+  },
+  normalize: (answer) => Number(answer),
+  aggregateStats: (answers) => ({ average: answers.reduce((sum, value) => sum + value, 0) / answers.length }),
+};
+
+describe('Question Type Registry', () => {
+  afterEach(() => {
+    unregisterQuestionType('temperature');
+    unregisterQuestionType('traffic_light');
+  });
+
+  describe('registerQuestionType', () => {
+    it('should make the type known to every layer', () => {
+      expect(isQuestionType('temperature')).toBe(false);
+
+      registerQuestionType(temperature);
+
+      expect(validateQuestionType('temperature')).toBe(true);
+      expect(getQuestionType('temperature')).toMatchObject({ name: 'temperature', requiresOptions: false, builtIn: false });
+      expect(validateAndSanitizeQuestion({ questionText: 'Fridge', questionType: 'temperature' }).questionType)
+        .toBe('temperature');
+    });
+
+    it('should reject malformed definitions', () => {
+      expect(() => registerQuestionType({ name: 'Temperature' })).toThrow(ValidationError);
+      expect(() => registerQuestionType({ name: 'temperature', validate: 'yes' })).toThrow('validate must be a function');
+      expect(() => registerQuestionType({ name: 'temperature', requiresOptions: 'no' })).toThrow(ValidationError);
+    });
+
+    it('should not replace existing types', () => {
+      expect(() => registerQuestionType({ name: 'text' })).toThrow(DuplicateError);
+      registerQuestionType(temperature);
+      expect(() => registerQuestionType(temperature)).toThrow(DuplicateError);
+    });
+
+    it('should keep built-in types registered', () => {
+      expect(() => unregisterQuestionType('select')).toThrow(InvalidOperationError);
+      expect(getQuestionType('matrix')).toMatchObject({ requiresOptions: true, builtIn: true });
+    });
+  });
+
+  describe('answers', () => {
+    const fridge = { id: 'q_temp', questionText: 'Fridge', questionType: 'temperature' };
+
+    it('should validate and normalize answers in the optimized pipeline', () => {
+      registerQuestionType(temperature);
+
+      expect(validateAndSanitizeSubmissionData({ q_temp: '4.5' }, [fridge])).toEqual({ q_temp: 4.5 });
+      expect(() => validateAndSanitizeSubmissionData({ q_temp: 'cold' }, [fridge]))
+        .toThrow('Question "Fridge": must be a temperature in °C');
+    });
+
+    it('should validate answers in validateSubmissionData', () => {
+      registerQuestionType(temperature);
+
+      try {
+        validateSubmissionData({ q_temp: 'cold' }, [fridge]);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error.details).toEqual(["Answer for question 'q_temp': must be a temperature in °C"]);
+      }
+    });
+
+    it('should treat custom option types like option questions', () => {
+      registerQuestionType({ name: 'traffic_light', requiresOptions: true });
+      const light = {
+        id: 'q_light',
+        questionText: 'Status',
+        questionType: 'traffic_light',
+        options: [{ key: 'red', label: 'Red' }, { key: 'green', label: 'Green' }],
+      };
+
+      expect(OptionUtils.requiresOptions('traffic_light')).toBe(true);
+      expect(() => validateAndSanitizeQuestion({ questionText: 'Status', questionType: 'traffic_light' }))
+        .toThrow('Options are required for this question type');
+      expect(validateAndSanitizeSubmissionData({ q_light: 'Green' }, [light])).toEqual({ q_light: 'green' });
+    });
+  });
+
+  describe('built-in types', () => {
+    const stats = {
+      answerDistribution: async () => ({ Yes: 2 }),
+      keyDistribution: async () => ({ opt_yes: 2 }),
+      matrixDistribution: async () => ({ answerDistribution: { Floor: { Good: 1 } }, keyDistribution: { row_floor: { opt_good: 1 } } }),
+      simpleDistribution: async () => ({ 4: 1 }),
+      fileCount: async () => 3,
+      locationBounds: async () => null,
+    };
+
+    it('should carry validate and normalize hooks', () => {
+      const select = getQuestionType('select');
+      const question = { questionType: 'select', options: [{ key: 'opt_yes', label: 'Yes' }] };
+
+      expect(select.normalize('Yes', question)).toBe('opt_yes');
+      expect(() => select.validate('Maybe', question, "Answer for question 'q1'"))
+        .toThrow("Answer for question 'q1' must be a valid option");
+      expect(getQuestionType('number').normalize('4.5', { questionType: 'number' })).toBe(4.5);
+    });
+
+    it('should aggregate stats through the stats queries', async () => {
+      const options = [{ key: 'opt_yes', label: 'Yes' }];
+
+      await expect(getQuestionType('radio').aggregateStats(stats, { options }))
+        .resolves.toEqual({ answerDistribution: { Yes: 2 }, _keyDistribution: { opt_yes: 2 } });
+      await expect(getQuestionType('matrix').aggregateStats(stats, { options }))
+        .resolves.toEqual({ answerDistribution: { Floor: { Good: 1 } }, _keyDistribution: { row_floor: { opt_good: 1 } } });
+      await expect(getQuestionType('photo').aggregateStats(stats, {}))
+        .resolves.toEqual({ answerDistribution: {}, fileCount: 3 });
+      await expect(getQuestionType('geolocation').aggregateStats(stats, {}))
+        .resolves.toEqual({ answerDistribution: {}, location: null });
+      await expect(getQuestionType('number').aggregateStats(stats, {}))
+        .resolves.toEqual({ answerDistribution: { 4: 1 } });
+    });
+  });
+
+  describe('CheckOps', () => {
+    it('should register and list types before initialize()', () => {
+      const checkops = new CheckOps();
+      checkops.registerQuestionType(temperature);
+
+      const types = checkops.getQuestionTypes();
+      expect(types).toContainEqual({ name: 'temperature', requiresOptions: false, builtIn: false });
+      expect(types).toContainEqual({ name: 'select', requiresOptions: true, builtIn: true });
+      expect(checkops.unregisterQuestionType('temperature')).toBe(true);
+    });
+  });
+});
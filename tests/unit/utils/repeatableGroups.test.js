@@ -0,0 +1,151 @@
+import { getRepeatableGroups, checkGroupInstances } from '../../../src/utils/repeatableGroups.js';
+import { validateAndSanitizeSections } from '../../../src/utils/formSections.js';
+import { validateAndSanitizeSubmissionData } from '../../../src/utils/optimizedValidation.js';
+import { validateSubmissionData } from '../../../src/utils/validation.js';
+import { calculateScore } from '../../../src/utils/scoring.js';
+import { evaluateFindingRules } from '../../../src/utils/findingRules.js';
+import { SubmissionService } from '../../../src/services/SubmissionService.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const SITE = '66666666-6666-4666-8666-666666666661';
+const TEMP = '66666666-6666-4666-8666-666666666662';
+const SEAL = '66666666-6666-4666-8666-666666666663';
+
+const questions = [
+  { id: SITE, questionId: SITE, questionText: 'Site name', questionType: 'text', required: true },
+  { id: TEMP, questionId: TEMP, questionText: 'Temperature', questionType: 'number', required: true },
+  {
+    id: SEAL,
+    questionId: SEAL,
+    questionText: 'Seal OK',
+    questionType: 'radio',
+    options: [
+      { key: 'opt_yes', label: 'Yes', points: 1 },
+      { key: 'opt_no', label: 'No', points: 0 },
+    ],
+    findingRule: { options: ['opt_no'], severity: 'Minor' },
+  },
+];
+
+const sections = [
+  { key: 'fridges', title: 'Fridges', description: '', repeatable: true, minRepeats: 1, maxRepeats: 3, questionIds: [TEMP, SEAL] },
+];
+
+describe('Repeatable Groups', () => {
+  describe('section definitions', () => {
+    it('should keep repeat bounds on repeatable sections', () => {
+      expect(validateAndSanitizeSections(sections, [SITE, TEMP, SEAL])).toEqual(sections);
+    });
+
+    it('should reject invalid repeat bounds', () => {
+      const section = { title: 'Fridges', questionIds: [TEMP] };
+
+      expect(() => validateAndSanitizeSections([{ ...section, minRepeats: 1 }], [TEMP])).toThrow('minRepeats needs repeatable: true');
+      expect(() => validateAndSanitizeSections([{ ...section, repeatable: true, maxRepeats: -1 }], [TEMP]))
+        .toThrow('must be a non-negative integer');
+      expect(() => validateAndSanitizeSections([{ ...section, repeatable: true, minRepeats: 3, maxRepeats: 2 }], [TEMP]))
+        .toThrow('not below minRepeats');
+      expect(() => validateAndSanitizeSections([{ ...section, key: TEMP, repeatable: true }], [TEMP]))
+        .toThrow('clashes with a question ID');
+    });
+
+    it('should resolve groups with their questions', () => {
+      const [group] = getRepeatableGroups(questions, sections);
+
+      expect(group).toMatchObject({ key: 'fridges', title: 'Fridges', minRepeats: 1, maxRepeats: 3 });
+      expect(group.questions.map(question => question.id)).toEqual([TEMP, SEAL]);
+    });
+
+    it('should check the number and shape of instances', () => {
+      const [group] = getRepeatableGroups(questions, sections);
+
+      expect(checkGroupInstances(group, undefined)).toEqual(['Group "Fridges" needs at least 1 entries']);
+      expect(checkGroupInstances(group, {})).toEqual(['Group "Fridges" must be an array of entries']);
+      expect(checkGroupInstances(group, [{}, {}, {}, {}])).toEqual(['Group "Fridges" allows at most 3 entries']);
+      expect(checkGroupInstances(group, [{}, 'x'])).toEqual(['Group "Fridges" entry 2 must be an object of answers']);
+    });
+  });
+
+  describe('submission validation', () => {
+    it('should validate and sanitize each instance', () => {
+      const sanitized = validateAndSanitizeSubmissionData(
+        { [SITE]: 'Depot', fridges: [{ [TEMP]: '4', [SEAL]: 'Yes' }, { [TEMP]: 7, [SEAL]: 'opt_no' }] },
+        questions,
+        { sections }
+      );
+
+      expect(sanitized).toEqual({
+        [SITE]: 'Depot',
+        fridges: [{ [TEMP]: 4, [SEAL]: 'opt_yes' }, { [TEMP]: 7, [SEAL]: 'opt_no' }],
+      });
+    });
+
+    it('should report errors per instance', () => {
+      expect(() => validateAndSanitizeSubmissionData(
+        { [SITE]: 'Depot', fridges: [{ [TEMP]: 4 }, { [SEAL]: 'opt_yes' }] },
+        questions,
+        { sections }
+      )).toThrow('Fridges #2: Question "Temperature" is required');
+
+      try {
+        validateSubmissionData({ [SITE]: 'Depot', fridges: [{ [TEMP]: 'warm' }] }, questions, [], sections);
+        throw new Error('expected validation to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual([`Fridges #1: Answer for question '${TEMP}' must be a valid number`]);
+      }
+    });
+
+    it('should accept partial answers for drafts', () => {
+      expect(validateAndSanitizeSubmissionData({}, questions, { sections, partial: true })).toEqual({});
+      expect(validateAndSanitizeSubmissionData({ fridges: [{ [SEAL]: 'No' }] }, questions, { sections, partial: true }))
+        .toEqual({ fridges: [{ [SEAL]: 'opt_no' }] });
+      expect(() => validateAndSanitizeSubmissionData({ fridges: [{ [TEMP]: 'warm' }] }, questions, { sections, partial: true }))
+        .toThrow('Fridges #1: Question "Temperature"');
+    });
+
+    it('should require group answers to be given per instance', () => {
+      expect(() => validateAndSanitizeSubmissionData({ [SITE]: 'Depot', [TEMP]: 4 }, questions, { sections }))
+        .toThrow(/belongs to repeatable group 'fridges'.*Group "Fridges" needs at least 1 entries/);
+    });
+  });
+
+  describe('scoring and findings', () => {
+    const answers = { [SITE]: 'Depot', fridges: [{ [TEMP]: 4, [SEAL]: 'opt_yes' }, { [TEMP]: 9, [SEAL]: 'opt_no' }] };
+
+    it('should add up question scores over instances', () => {
+      expect(calculateScore(answers, questions, { sections })).toMatchObject({ total: 1, max: 2, percent: 50 });
+    });
+
+    it('should raise findings per instance', () => {
+      const findings = evaluateFindingRules(answers, questions, { sections });
+
+      expect(findings).toEqual([{
+        questionId: SEAL,
+        severity: 'Minor',
+        department: null,
+        observation: 'Fridges #2: Seal OK: answered No',
+        metadata: { source: 'findingRule', trigger: 'option', answer: 'opt_no', groupKey: 'fridges', instance: 1 },
+      }]);
+    });
+  });
+
+  describe('SubmissionService', () => {
+    const service = new SubmissionService();
+
+    it('should show option labels inside instances', () => {
+      expect(service._transformKeysToLabels({ fridges: [{ [SEAL]: 'opt_no' }] }, questions))
+        .toEqual({ fridges: [{ [SEAL]: 'No' }] });
+    });
+
+    it('should measure repeatable section completion against instances', () => {
+      const stats = {
+        totalSubmissions: 2,
+        questionStats: { [TEMP]: { totalAnswers: 5 }, [SEAL]: { totalAnswers: 4 } },
+      };
+      const sectionStats = service._buildSectionStats([{ ...sections[0], description: '' }], stats, { fridges: 5 });
+
+      expect(sectionStats.fridges).toMatchObject({ instanceCount: 5, totalAnswers: 9, completionRate: 90 });
+    });
+  });
+});
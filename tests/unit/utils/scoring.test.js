@@ -0,0 +1,138 @@
+import { calculateScore, scoreQuestion, isScoredQuestion } from '../../../src/utils/scoring.js';
+import { OptionUtils } from '../../../src/utils/optionUtils.js';
+import { validateAndSanitizeOptions, validateAndSanitizeQuestion } from '../../../src/utils/optimizedValidation.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const Q1 = '44444444-4444-4444-8444-444444444441';
+const Q2 = '44444444-4444-4444-8444-444444444442';
+const Q3 = '44444444-4444-4444-8444-444444444443';
+
+const yesNoNa = [
+  { key: 'yes', label: 'Yes', points: 2 },
+  { key: 'no', label: 'No', points: 0 },
+  { key: 'na', label: 'N/A', notApplicable: true },
+];
+
+const question = (id, overrides = {}) => ({
+  id,
+  questionId: id,
+  questionText: `Question ${id}`,
+  questionType: 'radio',
+  options: yesNoNa,
+  ...overrides,
+});
+
+describe('Scoring', () => {
+  describe('option scoring fields', () => {
+    it('should keep points and N/A flags on processed options', () => {
+      const options = OptionUtils.processOptions(yesNoNa, 'Q-001');
+
+      expect(options[0].points).toBe(2);
+      expect(options[2].notApplicable).toBe(true);
+      expect(options[2]).not.toHaveProperty('points');
+    });
+
+    it('should keep points on inline question options', () => {
+      expect(validateAndSanitizeOptions([{ key: 'yes', label: 'Yes', points: '1.5' }])[0].points).toBe(1.5);
+    });
+
+    it('should reject non-numeric points and points on N/A options', () => {
+      expect(() => OptionUtils.processOptions([{ key: 'a', label: 'A', points: 'lots' }], 'Q-001'))
+        .toThrow(ValidationError);
+      expect(() => OptionUtils.processOptions([{ key: 'a', label: 'A', points: 1, notApplicable: true }], 'Q-001'))
+        .toThrow(/N\/A option cannot carry points/);
+    });
+
+    it('should accept critical on question references', () => {
+      expect(validateAndSanitizeQuestion({ questionId: Q1, critical: true })).toEqual({ questionId: Q1, critical: true });
+      expect(() => validateAndSanitizeQuestion({ questionId: Q1, critical: 'yes' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('scoreQuestion', () => {
+    it('should apply the question weight', () => {
+      expect(scoreQuestion(question(Q1, { weight: 3 }), 'yes')).toMatchObject({ points: 6, maxPoints: 6 });
+    });
+
+    it('should sum chosen options of multi-choice questions', () => {
+      const checklist = question(Q1, {
+        questionType: 'checkbox',
+        options: [
+          { key: 'a', label: 'A', points: 1 },
+          { key: 'b', label: 'B', points: 2 },
+          { key: 'c', label: 'C', points: -1 },
+        ],
+      });
+
+      expect(scoreQuestion(checklist, ['a', 'c'])).toMatchObject({ points: 0, maxPoints: 3 });
+    });
+
+    it('should score unanswered questions as zero', () => {
+      expect(scoreQuestion(question(Q1), undefined)).toMatchObject({ points: 0, maxPoints: 2, answered: false });
+    });
+
+    it('should score matrix questions row by row', () => {
+      const matrix = question(Q1, {
+        questionType: 'matrix',
+        validationRules: { rows: [{ key: 'floor', label: 'Floor' }, { key: 'walls', label: 'Walls' }, { key: 'roof', label: 'Roof' }] },
+      });
+
+      expect(scoreQuestion(matrix, { floor: 'yes', walls: 'no', roof: 'na' })).toMatchObject({ points: 2, maxPoints: 4, answered: true });
+      expect(scoreQuestion(matrix, { floor: 'na', walls: 'na', roof: 'na' })).toMatchObject({ notApplicable: true, maxPoints: 0 });
+      expect(scoreQuestion(matrix, undefined)).toMatchObject({ points: 0, maxPoints: 6, answered: false });
+    });
+  });
+
+  describe('calculateScore', () => {
+    it('should return null for forms without scored questions', () => {
+      const text = { id: Q1, questionText: 'Notes', questionType: 'text', options: null };
+
+      expect(isScoredQuestion(text)).toBe(false);
+      expect(calculateScore({ [Q1]: 'ok' }, [text])).toBeNull();
+    });
+
+    it('should drop N/A answers out of the denominator', () => {
+      const score = calculateScore(
+        { [Q1]: 'yes', [Q2]: 'na', [Q3]: 'no' },
+        [question(Q1), question(Q2), question(Q3)]
+      );
+
+      expect(score).toMatchObject({ total: 2, max: 4, percent: 50, autoFailed: false });
+      expect(score.questions[Q2].notApplicable).toBe(true);
+    });
+
+    it('should auto-fail when a critical question misses points', () => {
+      const score = calculateScore(
+        { [Q1]: 'yes', [Q2]: 'no' },
+        [question(Q1, { weight: 4 }), question(Q2, { critical: true })]
+      );
+
+      expect(score).toMatchObject({ total: 8, max: 10, percent: 0, autoFailed: true, failedCriticalQuestionIds: [Q2] });
+    });
+
+    it('should skip questions hidden by display rules', () => {
+      const score = calculateScore(
+        { [Q1]: 'no' },
+        [question(Q1), question(Q2)],
+        { displayRules: [{ questionId: Q2, showWhen: [{ questionId: Q1, operator: 'equals', value: 'yes' }] }] }
+      );
+
+      expect(score).toMatchObject({ total: 0, max: 2 });
+      expect(score.questions).not.toHaveProperty(Q2);
+    });
+
+    it('should break the score down per section', () => {
+      const score = calculateScore(
+        { [Q1]: 'yes', [Q2]: 'no', [Q3]: 'yes' },
+        [question(Q1), question(Q2), question(Q3)],
+        { sections: [{ key: 'kitchen', title: 'Kitchen', description: '', repeatable: false, questionIds: [Q1, Q2] }] }
+      );
+
+      expect(score.sections).toEqual({
+        kitchen: { total: 2, max: 4, percent: 50 },
+        default: { total: 2, max: 2, percent: 100 },
+      });
+      expect(score.percent).toBe(66.67);
+    });
+  });
+});
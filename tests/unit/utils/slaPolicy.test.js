@@ -0,0 +1,51 @@
+import { createSlaPolicy, parseDuration, DEFAULT_SLA_POLICY } from '../../../src/utils/slaPolicy.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('SLA Policy', () => {
+  describe('parseDuration', () => {
+    it('should read numbers as hours and strings with units', () => {
+      expect(parseDuration(24)).toBe(24 * HOUR);
+      expect(parseDuration('90m')).toBe(1.5 * HOUR);
+      expect(parseDuration('7d')).toBe(7 * 24 * HOUR);
+      expect(parseDuration('2w')).toBe(14 * 24 * HOUR);
+    });
+
+    it('should reject malformed durations', () => {
+      expect(() => parseDuration('soon')).toThrow(ValidationError);
+      expect(() => parseDuration(0)).toThrow(ValidationError);
+      expect(() => parseDuration('0h')).toThrow(ValidationError);
+    });
+  });
+
+  describe('createSlaPolicy', () => {
+    const raisedAt = new Date('2025-01-01T00:00:00Z');
+
+    it('should compute due dates from severity', () => {
+      const policy = createSlaPolicy(DEFAULT_SLA_POLICY);
+
+      expect(policy.dueAt('Critical', raisedAt).toISOString()).toBe('2025-01-02T00:00:00.000Z');
+      expect(policy.dueAt('major', raisedAt).toISOString()).toBe('2025-01-08T00:00:00.000Z');
+    });
+
+    it('should leave severities without an SLA undated unless there is a default', () => {
+      expect(createSlaPolicy().dueAt('Observation', raisedAt)).toBeNull();
+      expect(createSlaPolicy().dueAt(null, raisedAt)).toBeNull();
+      expect(createSlaPolicy({ durations: { default: '3d' } }).dueAt('Observation', raisedAt).toISOString())
+        .toBe('2025-01-04T00:00:00.000Z');
+    });
+
+    it('should stop the clock at resolved statuses', () => {
+      const policy = createSlaPolicy();
+
+      expect(policy.isResolvedStatus('resolved')).toBe(true);
+      expect(policy.isResolvedStatus('in_progress')).toBe(false);
+    });
+
+    it('should reject invalid policies', () => {
+      expect(() => createSlaPolicy({ durations: { Critical: 'asap' } })).toThrow(/Invalid SLA duration/);
+      expect(() => createSlaPolicy({ durations: {}, resolvedStatuses: 'closed' })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  withTenant,
+  getTenantId,
+  normalizeTenantId,
+  tenantFilter,
+  tenantCondition,
+  sidTenantCondition,
+} from '../../../src/utils/tenantContext.js';
+import { withActor } from '../../../src/utils/actorContext.js';
+import { CheckOpsCache } from '../../../src/utils/cache.js';
+import { Submission } from '../../../src/models/Submission.js';
+import { Finding } from '../../../src/models/Finding.js';
+import { CheckOps } from '../../../src/index.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+describe('Tenant Context', () => {
+  describe('withTenant()', () => {
+    it('should expose the tenant to async work inside it only', async () => {
+      expect(getTenantId()).toBeNull();
+
+      const seen = await withTenant('acme', async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return getTenantId();
+      });
+
+      expect(seen).toBe('acme');
+      expect(getTenantId()).toBeNull();
+    });
+
+    it('should fall back to the actor tenant', async () => {
+      expect(await withActor({ userId: 'u1', tenantId: 'acme' }, async () => getTenantId())).toBe('acme');
+      expect(await withActor({ userId: 'u1', tenantId: 'acme' }, () => withTenant('beta', async () => getTenantId())))
+        .toBe('beta');
+    });
+
+    it('should reject invalid tenant IDs', () => {
+      expect(() => normalizeTenantId('')).toThrow(ValidationError);
+      expect(() => normalizeTenantId(42)).toThrow(ValidationError);
+      expect(() => normalizeTenantId('t'.repeat(101))).toThrow('100 characters');
+    });
+  });
+
+  describe('query conditions', () => {
+    it('should add nothing when unscoped', () => {
+      const params = ['id-1'];
+      expect(tenantFilter(params)).toEqual([]);
+      expect(tenantCondition(params)).toBe('');
+      expect(params).toEqual(['id-1']);
+    });
+
+    it('should append the tenant as the next parameter', () => {
+      withTenant('acme', () => {
+        const params = ['id-1', 10];
+        expect(tenantCondition(params, 's.tenant_id')).toBe(' AND s.tenant_id = $3');
+        expect(params).toEqual(['id-1', 10, 'acme']);
+      });
+    });
+
+    it('should match SIDs among rows without a tenant when unscoped', () => {
+      const params = ['FORM-001'];
+      expect(sidTenantCondition(params)).toBe(' AND tenant_id IS NULL');
+      expect(withTenant('acme', () => sidTenantCondition(params))).toBe(' AND tenant_id = $2');
+      expect(params).toEqual(['FORM-001', 'acme']);
+    });
+
+    it('should scope submission and finding filters', () => {
+      withTenant('acme', () => {
+        const submissions = Submission.buildFilterClause({ formId: 'form-1' });
+        expect(submissions.where).toBe(' WHERE form_id = $1 AND tenant_id = $2');
+        expect(submissions.params).toEqual(['form-1', 'acme']);
+
+        expect(Finding.buildFilterClause({}).where).toBe(' WHERE tenant_id = $1');
+      });
+    });
+  });
+
+  describe('cache', () => {
+    const cache = new CheckOpsCache();
+
+    afterEach(() => cache.clear());
+
+    it('should keep entries per tenant and invalidate them everywhere', () => {
+      const form = { id: '11111111-1111-4111-8111-111111111111', sid: 'FORM-001' };
+
+      withTenant('acme', () => cache.setForm(form.id, form));
+
+      expect(withTenant('acme', () => cache.getForm('FORM-001'))).toBe(form);
+      expect(withTenant('beta', () => cache.getForm('FORM-001'))).toBeUndefined();
+      expect(cache.getForm('FORM-001')).toBeUndefined();
+
+      cache.invalidateForm('FORM-001');
+      expect(withTenant('acme', () => cache.getForm(form.id))).toBeUndefined();
+    });
+  });
+
+  describe('CheckOps.forTenant()', () => {
+    it('should run every method of the view in the tenant', async () => {
+      const checkops = new CheckOps();
+      checkops.currentTenant = async () => getTenantId();
+
+      expect(await checkops.forTenant('acme').currentTenant()).toBe('acme');
+      expect(await checkops.currentTenant()).toBeNull();
+      expect(await checkops.forTenant('acme').as({ userId: 'u1' }).currentTenant()).toBe('acme');
+    });
+
+    it('should validate the tenantId of the config up front', () => {
+      expect(new CheckOps({ tenantId: 'acme' }).tenantId).toBe('acme');
+      expect(new CheckOps().tenantId).toBeNull();
+      expect(() => new CheckOps({ tenantId: '' })).toThrow(ValidationError);
+    });
+  });
+});
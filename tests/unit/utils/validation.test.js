@@ -58,6 +58,12 @@ describe('Validation Utils', () => {
       expect(validateQuestionType('select')).toBe(true);
     });
 
+    it('should accept field capture types', () => {
+      for (const type of ['matrix', 'signature', 'geolocation', 'photo', 'barcode']) {
+        expect(validateQuestionType(type)).toBe(true);
+      }
+    });
+
     it('should reject invalid question type', () => {
       expect(validateQuestionType('invalid')).toBe(false);
     });
@@ -0,0 +1,78 @@
+import { createWorkflow, DEFAULT_FINDING_WORKFLOW, DEFAULT_SUBMISSION_WORKFLOW } from '../../../src/utils/workflow.js';
+import { ValidationError, InvalidOperationError } from '../../../src/utils/errors.js';
+
+describe('Workflow', () => {
+  describe('default finding workflow', () => {
+    const workflow = createWorkflow(DEFAULT_FINDING_WORKFLOW, 'Finding');
+
+    it('should walk open -> in_progress -> resolved -> verified -> closed', () => {
+      const path = ['open', 'in_progress', 'resolved', 'verified', 'closed'];
+      for (let i = 1; i < path.length; i++) {
+        expect(() => workflow.assertTransition(path[i - 1], path[i])).not.toThrow();
+      }
+    });
+
+    it('should allow reopening', () => {
+      expect(workflow.canTransition('closed', 'open')).toBe(true);
+      expect(workflow.canTransition('verified', 'open')).toBe(true);
+    });
+
+    it('should reject skipping verification', () => {
+      expect(() => workflow.assertTransition('resolved', 'closed')).toThrow(InvalidOperationError);
+      expect(() => workflow.assertTransition('resolved', 'closed'))
+        .toThrow("Finding cannot move from 'resolved' to 'closed' (allowed: verified, open)");
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(() => workflow.assertTransition('open', 'archived')).toThrow(/Unknown finding status 'archived'/);
+    });
+  });
+
+  describe('default submission workflow', () => {
+    const workflow = createWorkflow(DEFAULT_SUBMISSION_WORKFLOW, 'Submission');
+
+    it('should review, return, resubmit and approve', () => {
+      const path = ['submitted', 'under_review', 'returned', 'submitted', 'approved'];
+      for (let i = 1; i < path.length; i++) {
+        expect(() => workflow.assertTransition(path[i - 1], path[i])).not.toThrow();
+      }
+    });
+
+    it('should close approved submissions for good', () => {
+      expect(workflow.isClosed('approved')).toBe(true);
+      expect(workflow.nextStatuses('approved')).toEqual([]);
+      expect(() => workflow.assertTransition('approved', 'returned'))
+        .toThrow("Submission cannot move from 'approved' to 'returned' (allowed: none)");
+    });
+
+    it('should not know drafts', () => {
+      expect(() => workflow.assertTransition('submitted', 'draft')).toThrow("Unknown submission status 'draft'");
+    });
+  });
+
+  describe('createWorkflow', () => {
+    it('should accept a custom workflow', () => {
+      const workflow = createWorkflow({ initial: 'new', transitions: { new: ['done'], done: [] } });
+
+      expect(workflow.initial).toBe('new');
+      expect(workflow.statuses).toEqual(['new', 'done']);
+      expect(workflow.nextStatuses('done')).toEqual([]);
+    });
+
+    it('should reject an initial status outside the workflow', () => {
+      expect(() => createWorkflow({ initial: 'draft', transitions: { open: [] } })).toThrow(ValidationError);
+    });
+
+    it('should default the closing statuses to closed', () => {
+      expect(createWorkflow({ initial: 'open', transitions: { open: ['closed'], closed: [] } }).closed).toEqual(['closed']);
+      expect(createWorkflow({ initial: 'new', transitions: { new: ['done'], done: [] }, closed: ['done'] }).isClosed('done'))
+        .toBe(true);
+      expect(() => createWorkflow({ initial: 'new', transitions: { new: [] }, closed: ['done'] })).toThrow(ValidationError);
+    });
+
+    it('should reject transitions to unknown statuses', () => {
+      expect(() => createWorkflow({ initial: 'open', transitions: { open: ['closed'] } }))
+        .toThrow(/targets an unknown status/);
+    });
+  });
+});